@@ -51,7 +51,7 @@ VALUES (
     'a0000000-0000-4000-a000-000000000001',
     '00000000-0000-0000-0000-111111111111',
     'doing',
-    'high',
+    '2',
     NOW() + INTERVAL '2 days'
 ) ON CONFLICT (id) DO NOTHING;
 
@@ -100,7 +100,7 @@ VALUES
     'a0000000-0000-4000-a000-000000000002',
     '00000000-0000-0000-0000-111111111111',
     'done',
-    'high',
+    '2',
     NOW() - INTERVAL '2 days',
     'tear down existing cabinets'
 ),
@@ -111,7 +111,7 @@ VALUES
     'a0000000-0000-4000-a000-000000000002',
     '00000000-0000-0000-0000-111111111111',
     'doing',
-    'high',
+    '2',
     NOW(),
     'Install new drain pipes'
 ),
@@ -122,7 +122,7 @@ VALUES
     'a0000000-0000-4000-a000-000000000002',
     '00000000-0000-0000-0000-111111111111',
     'todo',
-    'medium',
+    '3',
     NOW() + INTERVAL '1 day',
     'Run new outlets for island'
 ),
@@ -133,7 +133,7 @@ VALUES
     NULL, -- Lone Task
     '00000000-0000-0000-0000-111111111111',
     'todo',
-    'high',
+    '2',
     NOW() + INTERVAL '3 days',
     'Schedule permit validation'
 ) ON CONFLICT (id) DO NOTHING;
@@ -1,6 +1,6 @@
 import express from 'express';
 import cors from 'cors';
-import { app } from './index.js';
+import { app, runRecurrenceSweep, runNotificationSweep, runMailSweep, runDigestSweep, runTrashSweep } from './index.js';
 
 const devServer = express();
 const PORT = 5001;
@@ -18,3 +18,17 @@ devServer.listen(PORT, () => {
     console.log(`[Dev] Emulator Path: http://localhost:${PORT}/ali-manager-local/us-central1/api`);
     console.log(`[Dev] Short Path:    http://localhost:${PORT}/api`);
 });
+
+// No Cloud Scheduler locally: run the scheduled sweeps on a timer instead
+const sweep = () => {
+    runRecurrenceSweep().catch(err => console.error('[Recurrence] Sweep failed:', err));
+    runNotificationSweep().catch(err => console.error('[Notifications] Sweep failed:', err));
+    runDigestSweep().catch(err => console.error('[Mail] Digest sweep failed:', err));
+    runTrashSweep().catch(err => console.error('[Trash] Sweep failed:', err));
+};
+sweep();
+setInterval(sweep, 60 * 60 * 1000);
+
+const mailSweep = () => runMailSweep().catch(err => console.error('[Mail] Sweep failed:', err));
+mailSweep();
+setInterval(mailSweep, 60 * 1000);
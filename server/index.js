@@ -1,4 +1,5 @@
 import { onRequest } from 'firebase-functions/v2/https';
+import { onSchedule } from 'firebase-functions/v2/scheduler';
 import express from 'express';
 import cors from 'cors';
 import pg from 'pg';
@@ -52,6 +53,23 @@ import { createRequestsRouter } from './src/routes/requests.js';
 import { createUsersRouter } from './src/routes/users.js';
 import { createStepsRouter } from './src/routes/steps.js';
 import { createDelegationsRouter } from './src/routes/delegations.js';
+import { createRecurrencesRouter } from './src/routes/recurrences.js';
+import { createEventsRouter } from './src/routes/events.js';
+import { createSearchRouter } from './src/routes/search.js';
+import { createNotificationsRouter } from './src/routes/notifications.js';
+import { createEmailsRouter } from './src/routes/emails.js';
+import { createInvitationsRouter } from './src/routes/invitations.js';
+import { createOrganizationsRouter } from './src/routes/organizations.js';
+import { createTokensRouter } from './src/routes/tokens.js';
+import { createTrashRouter } from './src/routes/trash.js';
+import { generateUpcomingOccurrences } from './src/services/recurrence.js';
+import { publishTaskChanges } from './src/services/liveEvents.js';
+import { notifyExpiringDelegations } from './src/services/notifications.js';
+import { expireDelegations } from './src/services/delegations.js';
+import { deliverPendingEmails, queueDailyDigests } from './src/services/emailOutbox.js';
+import { createMailTransport } from './src/mail/index.js';
+import { purgeExpiredTrash } from './src/services/trash.js';
+import { createStorage } from './src/storage/index.js';
 
 // Mount Protected Routes
 const authMiddleware = createAuthMiddleware(pool);
@@ -61,6 +79,15 @@ app.use('/users', authMiddleware, createUsersRouter(pool));
 app.use('/requests', authMiddleware, createRequestsRouter(pool));
 app.use('/steps', authMiddleware, createStepsRouter(pool));
 app.use('/delegations', authMiddleware, createDelegationsRouter(pool));
+app.use('/recurrences', authMiddleware, createRecurrencesRouter(pool));
+app.use('/events', authMiddleware, createEventsRouter());
+app.use('/search', authMiddleware, createSearchRouter(pool));
+app.use('/notifications', authMiddleware, createNotificationsRouter(pool));
+app.use('/emails', authMiddleware, createEmailsRouter(pool));
+app.use('/invitations', authMiddleware, createInvitationsRouter(pool));
+app.use('/organizations', authMiddleware, createOrganizationsRouter(pool));
+app.use('/tokens', authMiddleware, createTokensRouter(pool));
+app.use('/trash', authMiddleware, createTrashRouter(pool));
 
 // Legacy/Alias for consistency with frontend 'colleagues'
 app.use('/colleagues', authMiddleware, createUsersRouter(pool));
@@ -84,8 +111,55 @@ app.get('/health', async (req, res) => {
 // This maps to /api/** in firebase.json rewrites
 export const api = onRequest(app);
 
+// Recurring tasks: fill each series' look-ahead horizon
+const runRecurrenceSweep = async () => {
+    const created = await generateUpcomingOccurrences(pool);
+    if (created.length > 0) {
+        console.log(`[Recurrence] Generated ${created.length} occurrence(s)`);
+        publishTaskChanges(pool, 'created', created.map(t => t.id));
+    }
+};
+export const recurrenceSweep = onSchedule('every 1 hours', runRecurrenceSweep);
+
+// Admin delegations ending soon: remind the delegate once
+const runNotificationSweep = async () => {
+    const sent = await notifyExpiringDelegations(pool);
+    if (sent > 0) console.log(`[Notifications] Sent ${sent} delegation expiry reminder(s)`);
+};
+export const notificationSweep = onSchedule('every 1 hours', runNotificationSweep);
+
+// Admin delegations past expires_at: mark them expired (history), access already ended with expires_at
+const runDelegationSweep = async () => {
+    const expired = await expireDelegations(pool);
+    if (expired.length > 0) console.log(`[Delegations] Marked ${expired.length} delegation(s) expired`);
+};
+export const delegationSweep = onSchedule('every 15 minutes', runDelegationSweep);
+
+// Email outbox: deliver what is due (retries included) through the configured transport
+const mailTransport = createMailTransport();
+const runMailSweep = async () => {
+    const { sent, retrying, failed } = await deliverPendingEmails(pool, mailTransport);
+    if (sent + retrying + failed > 0) console.log(`[Mail] Sent ${sent}, retrying ${retrying}, failed ${failed} (${mailTransport.name})`);
+};
+export const mailSweep = onSchedule('every 1 minutes', runMailSweep);
+
+// Morning digest (once per user per day, however often this runs)
+const runDigestSweep = async () => {
+    const queued = await queueDailyDigests(pool);
+    if (queued > 0) console.log(`[Mail] Queued ${queued} daily digest(s)`);
+};
+export const digestSweep = onSchedule('every day 07:00', runDigestSweep);
+
+// Trash retention: purge what was deleted more than TRASH_RETENTION_DAYS ago (attachments included)
+const trashStorage = createStorage();
+const runTrashSweep = async () => {
+    const { tasks, steps, projects } = await purgeExpiredTrash(pool, trashStorage);
+    if (tasks + steps + projects > 0) console.log(`[Trash] Purged ${tasks} task(s), ${steps} step(s), ${projects} project(s)`);
+};
+export const trashSweep = onSchedule('every day 03:00', runTrashSweep);
+
 // Export for local dev server
-export { app, pool };
+export { app, pool, runRecurrenceSweep, runNotificationSweep, runDelegationSweep, runMailSweep, runDigestSweep, runTrashSweep };
 
 // --- SELF-START LOGIC (Fix for npm run dev) ---
 import { pathToFileURL } from 'url';
@@ -97,6 +171,23 @@ if (import.meta.url === pathToFileURL(process.argv[1]).href) {
     devServer.listen(5001, () => {
         console.log('[Index] Server running on http://localhost:5001/api');
     });
+
+    // No Cloud Scheduler locally: run every sweep on a timer instead (at startup, then at about the scheduled rate).
+    // The digest is once per user per day however often it runs, so hourly is enough to catch the morning.
+    const MINUTE = 60 * 1000;
+    const localSweeps = [
+        ['Recurrence', runRecurrenceSweep, 60 * MINUTE],
+        ['Notifications', runNotificationSweep, 60 * MINUTE],
+        ['Delegations', runDelegationSweep, 15 * MINUTE],
+        ['Mail', runMailSweep, MINUTE],
+        ['Digest', runDigestSweep, 60 * MINUTE],
+        ['Trash', runTrashSweep, 24 * 60 * MINUTE]
+    ];
+    localSweeps.forEach(([name, run, interval]) => {
+        const sweep = () => run().catch(err => console.error(`[${name}] Sweep failed:`, err));
+        sweep();
+        setInterval(sweep, interval);
+    });
 }
 // ----------------------------------------------
 // restart 6
@@ -0,0 +1,14 @@
+-- Scheduled and scoped delegations (see src/services/delegations.js)
+-- scope: 'full' (temporary admin), 'requests' (approve System Requests), 'project' / 'users' (scope_ids lists which)
+ALTER TABLE role_delegations ADD COLUMN IF NOT EXISTS scope TEXT NOT NULL DEFAULT 'full';
+ALTER TABLE role_delegations ADD COLUMN IF NOT EXISTS scope_ids UUID[] NOT NULL DEFAULT '{}';
+ALTER TABLE role_delegations ADD COLUMN IF NOT EXISTS reason TEXT;
+-- When it stopped: cancelled (by cancelled_by) or marked expired by the sweep
+ALTER TABLE role_delegations ADD COLUMN IF NOT EXISTS ended_at TIMESTAMP WITH TIME ZONE;
+ALTER TABLE role_delegations ADD COLUMN IF NOT EXISTS cancelled_by UUID REFERENCES users(id) ON DELETE SET NULL;
+
+-- Delegations that already ran out before the sweep existed
+UPDATE role_delegations SET status = 'expired', ended_at = expires_at WHERE status = 'active' AND expires_at <= NOW();
+UPDATE role_delegations SET ended_at = COALESCE(ended_at, created_at) WHERE status = 'cancelled';
+
+CREATE INDEX IF NOT EXISTS idx_delegations_org_history ON role_delegations(organization_id, ended_at DESC) WHERE status <> 'active';
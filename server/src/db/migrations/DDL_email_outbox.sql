@@ -0,0 +1,23 @@
+-- Transactional email outbox: rows are queued inside the write's transaction, rendered, and delivered later by the mail sweep
+CREATE TABLE IF NOT EXISTS email_outbox (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    organization_id UUID REFERENCES organizations(id) ON DELETE CASCADE, -- Admin visibility; NULL for cross-org mail
+    user_id UUID REFERENCES users(id) ON DELETE SET NULL,
+    to_email VARCHAR(255) NOT NULL,
+    template VARCHAR(50) NOT NULL, -- 'invitation', 'assigned', 'daily_digest', 'request_decision'
+    subject TEXT NOT NULL,
+    body_text TEXT NOT NULL,
+    body_html TEXT,
+    data JSONB NOT NULL DEFAULT '{}', -- Template input, kept for debugging
+    dedupe_key VARCHAR(255) UNIQUE, -- e.g. one daily digest per user per day
+    status VARCHAR(20) NOT NULL DEFAULT 'pending', -- 'pending', 'sending', 'sent', 'failed'
+    attempts INTEGER NOT NULL DEFAULT 0,
+    next_attempt_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+    locked_at TIMESTAMP WITH TIME ZONE, -- Claimed by a worker ('sending')
+    last_error TEXT,
+    sent_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_email_outbox_due ON email_outbox(next_attempt_at) WHERE status IN ('pending', 'sending');
+CREATE INDEX IF NOT EXISTS idx_email_outbox_org ON email_outbox(organization_id, created_at DESC);
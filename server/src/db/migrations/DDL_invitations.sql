@@ -0,0 +1,47 @@
+-- Invitations for ghost users (placeholder accounts created by POST /tasks/:id/invite and POST /users).
+-- The emailed link carries a signed token; accepting merges the ghost's access into the signed-in account.
+-- ghost_user_id has no FK: the ghost row is deleted once nothing refers to it, the invitation stays as the audit record
+CREATE TABLE IF NOT EXISTS invitations (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    organization_id UUID NOT NULL REFERENCES organizations(id) ON DELETE CASCADE,
+    email VARCHAR(255) NOT NULL,
+    ghost_user_id UUID NOT NULL,
+    invited_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    task_ids UUID[] NOT NULL DEFAULT '{}', -- Tasks the ghost was added to
+    membership BOOLEAN NOT NULL DEFAULT FALSE, -- Ghost was added to the organization directory
+    status VARCHAR(20) NOT NULL DEFAULT 'pending', -- 'pending', 'accepted', 'declined', 'revoked'
+    expires_at TIMESTAMP WITH TIME ZONE NOT NULL, -- Part of the token signature: resending re-signs
+    send_count INTEGER NOT NULL DEFAULT 1,
+    last_sent_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    responded_by UUID REFERENCES users(id) ON DELETE SET NULL, -- Who accepted / declined / revoked
+    responded_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- One open invitation per ghost per organization (new task invites are added to it)
+CREATE UNIQUE INDEX IF NOT EXISTS idx_invitations_pending ON invitations(ghost_user_id, organization_id) WHERE status = 'pending';
+CREATE INDEX IF NOT EXISTS idx_invitations_org ON invitations(organization_id, created_at DESC);
+
+-- A ghost no longer reserves its email: the invitee can sign in (getting their own account) before claiming it.
+-- Still at most one ghost and one real account per email
+ALTER TABLE users DROP CONSTRAINT IF EXISTS users_email_key;
+CREATE UNIQUE INDEX IF NOT EXISTS idx_users_email_account ON users(email) WHERE status IS DISTINCT FROM 'pending';
+CREATE UNIQUE INDEX IF NOT EXISTS idx_users_email_ghost ON users(email) WHERE status = 'pending';
+
+-- Backfill: an open invitation for each existing ghost, per organization it was added to
+INSERT INTO invitations (organization_id, email, ghost_user_id, task_ids, membership, expires_at)
+SELECT orgs.organization_id, u.email, u.id,
+    ARRAY(
+        SELECT c.task_id FROM task_collaborators c JOIN tasks t ON t.id = c.task_id
+        WHERE c.user_id = u.id AND t.organization_id = orgs.organization_id
+    ),
+    EXISTS (SELECT 1 FROM memberships m WHERE m.user_id = u.id AND m.organization_id = orgs.organization_id),
+    NOW() + INTERVAL '14 days'
+FROM users u
+CROSS JOIN LATERAL (
+    SELECT m.organization_id FROM memberships m WHERE m.user_id = u.id
+    UNION
+    SELECT t.organization_id FROM task_collaborators c JOIN tasks t ON t.id = c.task_id WHERE c.user_id = u.id
+) orgs
+WHERE u.status = 'pending' AND orgs.organization_id IS NOT NULL
+ON CONFLICT DO NOTHING;
@@ -0,0 +1,22 @@
+-- Multi-organization access: memberships are the source of truth for which organizations a user belongs to
+-- and their role in each (the auth middleware resolves the active one per request from X-Organization-Id).
+-- users.organization_id stays as the default organization when no header is sent.
+
+-- Backfill: every user's primary organization becomes a membership, keeping their organization role
+INSERT INTO memberships (user_id, organization_id, role)
+SELECT u.id, u.organization_id, CASE WHEN u.role = 'admin' THEN 'admin' ELSE 'user' END
+FROM users u
+WHERE u.organization_id IS NOT NULL
+AND u.role <> 'god'
+ON CONFLICT (user_id, organization_id) DO NOTHING;
+
+-- Admins whose primary-organization membership predates this still say 'user'
+UPDATE memberships m
+SET role = 'admin'
+FROM users u
+WHERE u.id = m.user_id
+AND u.organization_id = m.organization_id
+AND u.role = 'admin'
+AND m.role IS DISTINCT FROM 'admin';
+
+CREATE INDEX IF NOT EXISTS idx_memberships_org ON memberships(organization_id);
@@ -0,0 +1,17 @@
+-- In-app notifications (header bell). task_id has no FK so notifications outlive deleted tasks (like task_activity)
+CREATE TABLE IF NOT EXISTS notifications (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    type VARCHAR(50) NOT NULL, -- 'assigned', 'unassigned', 'invited', 'mentioned', 'status_changed', 'request_resolved', 'delegation_granted', 'delegation_expiring'
+    actor_id UUID REFERENCES users(id) ON DELETE SET NULL,
+    task_id UUID,
+    data JSONB NOT NULL DEFAULT '{}', -- Display snapshot (task title, statuses, request type...)
+    read_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_notifications_user ON notifications(user_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_notifications_unread ON notifications(user_id) WHERE read_at IS NULL;
+
+-- Delegation expiry reminders are sent once
+ALTER TABLE role_delegations ADD COLUMN IF NOT EXISTS expiry_notified_at TIMESTAMP WITH TIME ZONE;
@@ -0,0 +1,12 @@
+-- Email-domain auto-join: a new sign-up whose email domain is claimed here joins that organization
+-- (with `role`) instead of getting a workspace of their own. Managed by god users via /organizations/:id/domains.
+CREATE TABLE IF NOT EXISTS organization_domains (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    organization_id UUID NOT NULL REFERENCES organizations(id) ON DELETE CASCADE,
+    domain VARCHAR(253) NOT NULL UNIQUE, -- Lowercase, without '@'
+    role VARCHAR(50) NOT NULL DEFAULT 'user', -- Membership role given on join ('user' or 'admin')
+    created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_organization_domains_org ON organization_domains(organization_id);
@@ -0,0 +1,28 @@
+-- Priorities: one scale, '1' (most urgent) to '4' or NULL for none (see shared/priorities.js at the repo root).
+-- Legacy values map as asap/high -> 2, sooner/medium -> 3, whenever/low -> 4; anything else becomes none.
+UPDATE tasks SET priority = CASE LOWER(TRIM(priority))
+        WHEN 'asap' THEN '2' WHEN 'high' THEN '2'
+        WHEN 'sooner' THEN '3' WHEN 'medium' THEN '3'
+        WHEN 'whenever' THEN '4' WHEN 'low' THEN '4'
+        ELSE NULL
+    END
+WHERE priority IS NOT NULL AND priority NOT IN ('1', '2', '3', '4');
+
+UPDATE task_recurrences SET priority = CASE LOWER(TRIM(priority))
+        WHEN 'asap' THEN '2' WHEN 'high' THEN '2'
+        WHEN 'sooner' THEN '3' WHEN 'medium' THEN '3'
+        WHEN 'whenever' THEN '4' WHEN 'low' THEN '4'
+        ELSE NULL
+    END
+WHERE priority IS NOT NULL AND priority NOT IN ('1', '2', '3', '4');
+
+-- New tasks have no priority unless one is given
+ALTER TABLE tasks ALTER COLUMN priority DROP DEFAULT;
+
+ALTER TABLE tasks DROP CONSTRAINT IF EXISTS tasks_priority_check;
+ALTER TABLE tasks ADD CONSTRAINT tasks_priority_check CHECK (priority IN ('1', '2', '3', '4'));
+ALTER TABLE task_recurrences DROP CONSTRAINT IF EXISTS task_recurrences_priority_check;
+ALTER TABLE task_recurrences ADD CONSTRAINT task_recurrences_priority_check CHECK (priority IN ('1', '2', '3', '4'));
+
+-- Per-organization labels and colors for the four levels; NULL = the defaults (Now, ASAP, Soon, Later)
+ALTER TABLE organizations ADD COLUMN IF NOT EXISTS priority_levels JSONB;
@@ -0,0 +1,27 @@
+-- Approval workflows for the System Requests queue (see src/requestTypes).
+-- A request is approved once `required_approvals` distinct approvers approved it; a single rejection rejects it.
+ALTER TABLE requests ADD COLUMN IF NOT EXISTS required_approvals INTEGER NOT NULL DEFAULT 1;
+ALTER TABLE requests ADD COLUMN IF NOT EXISTS context JSONB NOT NULL DEFAULT '{}'; -- Display snapshot at submission (task titles, names)
+ALTER TABLE requests ADD COLUMN IF NOT EXISTS resolved_by UUID REFERENCES users(id) ON DELETE SET NULL;
+ALTER TABLE requests ADD COLUMN IF NOT EXISTS resolved_at TIMESTAMP WITH TIME ZONE;
+
+-- One vote per approver (voting again replaces it)
+CREATE TABLE IF NOT EXISTS request_approvals (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    request_id UUID NOT NULL REFERENCES requests(id) ON DELETE CASCADE,
+    approver_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    decision request_status NOT NULL, -- 'APPROVED' or 'REJECTED'
+    note TEXT,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    UNIQUE (request_id, approver_id)
+);
+
+CREATE TABLE IF NOT EXISTS request_comments (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    request_id UUID NOT NULL REFERENCES requests(id) ON DELETE CASCADE,
+    author_id UUID REFERENCES users(id) ON DELETE SET NULL,
+    body TEXT NOT NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_request_comments_request ON request_comments(request_id, created_at);
@@ -0,0 +1,3 @@
+-- Optimistic concurrency: every write bumps the row version; clients send it back as If-Match
+ALTER TABLE tasks ADD COLUMN IF NOT EXISTS version INTEGER NOT NULL DEFAULT 1;
+ALTER TABLE task_steps ADD COLUMN IF NOT EXISTS version INTEGER NOT NULL DEFAULT 1;
@@ -0,0 +1,9 @@
+-- Global search (GET /search). Expressions must match the ones in services/search.js and services/directory.js
+CREATE INDEX IF NOT EXISTS idx_tasks_search ON tasks
+    USING GIN (to_tsvector('english', coalesce(title, '') || ' ' || coalesce(description, '')));
+CREATE INDEX IF NOT EXISTS idx_task_steps_search ON task_steps
+    USING GIN (to_tsvector('english', coalesce(title, '')));
+CREATE INDEX IF NOT EXISTS idx_projects_search ON projects
+    USING GIN (to_tsvector('english', coalesce(title, '') || ' ' || coalesce(description, '')));
+CREATE INDEX IF NOT EXISTS idx_users_search ON users
+    USING GIN (to_tsvector('simple', coalesce(display_name, '') || ' ' || coalesce(email, '') || ' ' || coalesce(department, '')));
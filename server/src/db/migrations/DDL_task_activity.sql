@@ -0,0 +1,15 @@
+-- Task Activity / Audit Log
+-- task_id intentionally has no FK: history must survive the task being deleted.
+CREATE TABLE IF NOT EXISTS task_activity (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    task_id UUID NOT NULL,
+    organization_id UUID REFERENCES organizations(id) ON DELETE CASCADE,
+    actor_id UUID REFERENCES users(id) ON DELETE SET NULL,
+    action TEXT NOT NULL, -- 'created', 'updated', 'assigned', 'unassigned', 'invited', 'step_added', 'step_updated', 'step_deleted', 'step_restored', 'deleted', 'restored'
+    field TEXT, -- e.g. 'dueDate' for 'updated' entries
+    old_value JSONB,
+    new_value JSONB,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_task_activity_task ON task_activity(task_id, created_at DESC);
@@ -0,0 +1,19 @@
+-- Task start dates (due_date remains the end of the bar)
+ALTER TABLE tasks ADD COLUMN IF NOT EXISTS start_date TIMESTAMP WITH TIME ZONE;
+
+-- Task Dependencies
+-- finish_to_start: successor starts after predecessor finishes (+ lag days)
+-- start_to_start:  successor starts after predecessor starts (+ lag days)
+CREATE TABLE IF NOT EXISTS task_dependencies (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    predecessor_id UUID NOT NULL REFERENCES tasks(id) ON DELETE CASCADE,
+    successor_id UUID NOT NULL REFERENCES tasks(id) ON DELETE CASCADE,
+    type VARCHAR(20) NOT NULL DEFAULT 'finish_to_start' CHECK (type IN ('finish_to_start', 'start_to_start')),
+    lag_days INTEGER NOT NULL DEFAULT 0,
+    created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    UNIQUE (predecessor_id, successor_id),
+    CHECK (predecessor_id <> successor_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_task_dependencies_successor ON task_dependencies(successor_id);
@@ -0,0 +1,6 @@
+-- GET /tasks: visibility, filters and the (due_date, id) keyset order
+CREATE INDEX IF NOT EXISTS idx_tasks_org_due ON tasks(organization_id, due_date, id);
+CREATE INDEX IF NOT EXISTS idx_tasks_created_by ON tasks(created_by);
+CREATE INDEX IF NOT EXISTS idx_tasks_project ON tasks(project_id);
+-- Completed tasks (completed_at marks the done category of any workflow; DDL_workflows.sql recreates older copies)
+CREATE INDEX IF NOT EXISTS idx_tasks_completed_at ON tasks(completed_at) WHERE completed_at IS NOT NULL;
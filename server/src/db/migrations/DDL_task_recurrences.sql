@@ -0,0 +1,28 @@
+-- Recurring Task Series (rule + template). Occurrences are regular tasks linked by recurrence_id.
+CREATE TABLE IF NOT EXISTS task_recurrences (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    organization_id UUID REFERENCES organizations(id) ON DELETE CASCADE,
+    created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    rule JSONB NOT NULL,
+    starts_on DATE NOT NULL,
+    ends_on DATE,
+    horizon_days INTEGER NOT NULL DEFAULT 14, -- 0 = only generate the next occurrence on completion
+    generated_through DATE, -- high-water mark: occurrences up to this date have been created
+
+    -- Template for new occurrences
+    title TEXT NOT NULL,
+    description TEXT,
+    priority VARCHAR(20),
+    project_id UUID REFERENCES projects(id) ON DELETE SET NULL,
+    assigned_to UUID[] NOT NULL DEFAULT '{}',
+    due_time TIME NOT NULL DEFAULT '17:00',
+
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+ALTER TABLE tasks ADD COLUMN IF NOT EXISTS recurrence_id UUID REFERENCES task_recurrences(id) ON DELETE SET NULL;
+ALTER TABLE tasks ADD COLUMN IF NOT EXISTS occurrence_date DATE;
+
+-- One task per series per day (makes generation idempotent)
+CREATE UNIQUE INDEX IF NOT EXISTS idx_tasks_recurrence_occurrence ON tasks(recurrence_id, occurrence_date) WHERE recurrence_id IS NOT NULL;
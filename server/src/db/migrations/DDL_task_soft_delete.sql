@@ -0,0 +1,6 @@
+-- Soft delete: DELETE /tasks marks the row instead of removing it, so collaborators, steps and files stay
+-- and the task can be restored (undo). Every task list filters on deleted_at IS NULL.
+ALTER TABLE tasks ADD COLUMN IF NOT EXISTS deleted_at TIMESTAMPTZ;
+ALTER TABLE tasks ADD COLUMN IF NOT EXISTS deleted_by UUID REFERENCES users(id) ON DELETE SET NULL;
+
+CREATE INDEX IF NOT EXISTS idx_tasks_deleted_at ON tasks(deleted_at) WHERE deleted_at IS NOT NULL;
@@ -0,0 +1,15 @@
+-- Trash: steps and projects are soft-deleted like tasks (DDL_task_soft_delete.sql) and listed under /trash
+-- until restored, purged by hand, or purged by the retention sweep (TRASH_RETENTION_DAYS).
+ALTER TABLE task_steps ADD COLUMN IF NOT EXISTS deleted_at TIMESTAMPTZ;
+ALTER TABLE task_steps ADD COLUMN IF NOT EXISTS deleted_by UUID REFERENCES users(id) ON DELETE SET NULL;
+
+ALTER TABLE projects ADD COLUMN IF NOT EXISTS deleted_at TIMESTAMPTZ;
+ALTER TABLE projects ADD COLUMN IF NOT EXISTS deleted_by UUID REFERENCES users(id) ON DELETE SET NULL;
+
+CREATE INDEX IF NOT EXISTS idx_task_steps_deleted_at ON task_steps(deleted_at) WHERE deleted_at IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_projects_deleted_at ON projects(deleted_at) WHERE deleted_at IS NOT NULL;
+
+-- Ending a series trashes its later open occurrences (truncateSeries); restoring them also restores the end date.
+-- truncated_at is the deletion time those occurrences share, ends_on_before_truncate the end to put back.
+ALTER TABLE task_recurrences ADD COLUMN IF NOT EXISTS truncated_at TIMESTAMPTZ;
+ALTER TABLE task_recurrences ADD COLUMN IF NOT EXISTS ends_on_before_truncate DATE;
@@ -0,0 +1,14 @@
+-- users.organization_id is only the default organization (memberships decide access), so it may be empty:
+-- a user removed from their last organization keeps the account but has no default left.
+-- Service accounts keep theirs: it is the organization that owns them, listed there even once disabled.
+ALTER TABLE users ALTER COLUMN organization_id DROP NOT NULL;
+
+-- Users already removed from their default organization: move it to one they still belong to, else clear it
+UPDATE users u
+SET organization_id = (
+    SELECT m.organization_id FROM memberships m WHERE m.user_id = u.id ORDER BY m.created_at ASC LIMIT 1
+)
+WHERE u.organization_id IS NOT NULL
+AND u.role <> 'god'
+AND NOT u.is_service_account
+AND NOT EXISTS (SELECT 1 FROM memberships m WHERE m.user_id = u.id AND m.organization_id = u.organization_id);
@@ -0,0 +1,11 @@
+-- Workflows: each organization defines its task statuses (see services/workflows.js); NULL = the default
+-- (todo, doing, paused, blocked, done). tasks.status holds a status key of the task's organization.
+ALTER TABLE organizations ADD COLUMN IF NOT EXISTS workflow JSONB;
+
+-- The note given on entering a status that requires one (e.g. what a blocked task waits on)
+ALTER TABLE tasks ADD COLUMN IF NOT EXISTS status_note TEXT;
+
+-- completed_at marks the done category (status keys are per organization): backfill legacy done tasks
+UPDATE tasks SET completed_at = COALESCE(created_at, NOW()) WHERE status = 'done' AND completed_at IS NULL;
+DROP INDEX IF EXISTS idx_tasks_completed_at;
+CREATE INDEX IF NOT EXISTS idx_tasks_completed_at ON tasks(completed_at) WHERE completed_at IS NOT NULL;
@@ -0,0 +1,10 @@
+/**
+ * Console mail transport (default): prints each message to the server log instead of sending it.
+ */
+export const createConsoleTransport = () => ({
+    name: 'console',
+
+    async send({ from, to, subject, text }) {
+        console.log(`[Mail] From: ${from}\n[Mail] To: ${to}\n[Mail] Subject: ${subject}\n${text}\n[Mail] ---`);
+    }
+});
@@ -0,0 +1,22 @@
+import fs from 'fs';
+import path from 'path';
+import nodemailer from 'nodemailer';
+
+/**
+ * File mail transport: writes each message as an .eml file under `outputDir` (open it in any mail client).
+ */
+export const createFileTransport = ({ outputDir }) => {
+    // Builds the raw RFC 822 message without sending it
+    const composer = nodemailer.createTransport({ streamTransport: true, buffer: true });
+
+    return {
+        name: 'file',
+
+        async send(message) {
+            const info = await composer.sendMail(message);
+            await fs.promises.mkdir(outputDir, { recursive: true });
+            const fileName = `${new Date().toISOString().replace(/[:.]/g, '-')}-${info.messageId.replace(/[^\w.-]/g, '')}.eml`;
+            await fs.promises.writeFile(path.join(outputDir, fileName), info.message);
+        }
+    };
+};
@@ -0,0 +1,39 @@
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { createConsoleTransport } from './consoleTransport.js';
+import { createFileTransport } from './fileTransport.js';
+import { createSmtpTransport } from './smtpTransport.js';
+
+/**
+ * Pluggable Mail Transport
+ * A transport implements: { name, send({ from, to, subject, text, html }) } and rejects when delivery fails.
+ * Select with MAIL_TRANSPORT (default 'console'). Register new transports in DRIVERS.
+ */
+
+const serverRoot = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..', '..');
+
+const DRIVERS = {
+    console: () => createConsoleTransport(),
+    file: () => createFileTransport({
+        outputDir: process.env.MAIL_FILE_DIR || path.join(serverRoot, 'mail')
+    }),
+    // Defaults point at a local catcher (MailHog / Mailpit listen for SMTP on 1025)
+    smtp: () => createSmtpTransport({
+        host: process.env.SMTP_HOST || 'localhost',
+        port: process.env.SMTP_PORT ? parseInt(process.env.SMTP_PORT) : 1025,
+        secure: process.env.SMTP_SECURE === 'true',
+        user: process.env.SMTP_USER,
+        password: process.env.SMTP_PASSWORD
+    })
+};
+
+export const createMailTransport = (driverName = process.env.MAIL_TRANSPORT || 'console') => {
+    const factory = DRIVERS[driverName];
+    if (!factory) throw new Error(`Unknown mail transport: ${driverName}`);
+    return factory();
+};
+
+export const MAIL_FROM = process.env.MAIL_FROM || 'AliManager <no-reply@alimanager.local>';
+
+// Links in emails point at the web client
+export const APP_URL = (process.env.APP_URL || 'http://localhost:5173').replace(/\/$/, '');
@@ -0,0 +1,22 @@
+import nodemailer from 'nodemailer';
+
+/**
+ * SMTP mail transport. Works against a real relay or a local catcher such as MailHog.
+ * Auth is only sent when a user is configured (local catchers accept anything).
+ */
+export const createSmtpTransport = ({ host, port, secure, user, password }) => {
+    const transporter = nodemailer.createTransport({
+        host,
+        port,
+        secure,
+        auth: user ? { user, pass: password } : undefined
+    });
+
+    return {
+        name: 'smtp',
+
+        async send(message) {
+            await transporter.sendMail(message);
+        }
+    };
+};
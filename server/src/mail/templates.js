@@ -0,0 +1,118 @@
+import { APP_URL } from './index.js';
+
+/**
+ * Email Templates
+ * Each template renders its data to { subject, text, html }. Rendering happens when the email is queued,
+ * so the outbox row holds exactly what will be sent.
+ */
+
+const escapeHtml = (value) => String(value ?? '').replace(/[&<>"']/g, ch => ({
+    '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+}[ch]));
+
+const formatDate = (value) => new Date(value).toLocaleDateString('en-US', { month: 'short', day: 'numeric', timeZone: 'UTC' });
+
+const taskUrl = (taskId) => `${APP_URL}/task/${taskId}`;
+
+// Shared HTML shell: one heading, body paragraphs (already escaped) and an optional button
+const layout = ({ heading, paragraphs, action }) => `<!DOCTYPE html>
+<html>
+<body style="margin:0;padding:24px;background:#f8fafc;font-family:-apple-system,BlinkMacSystemFont,'Segoe UI',sans-serif;color:#0f172a;">
+    <div style="max-width:520px;margin:0 auto;background:#ffffff;border:1px solid #e2e8f0;border-radius:16px;padding:32px;">
+        <h1 style="margin:0 0 16px;font-size:20px;">${heading}</h1>
+        ${paragraphs.map(p => `<p style="margin:0 0 12px;font-size:14px;line-height:1.6;color:#475569;">${p}</p>`).join('\n        ')}
+        ${action ? `<a href="${escapeHtml(action.url)}" style="display:inline-block;margin-top:12px;padding:10px 20px;background:#0f172a;color:#ffffff;border-radius:12px;font-size:14px;font-weight:600;text-decoration:none;">${escapeHtml(action.label)}</a>` : ''}
+    </div>
+</body>
+</html>`;
+
+const taskListText = (tasks) => tasks.map(t => `  - ${t.title}${t.dueDate ? ` (due ${formatDate(t.dueDate)})` : ''}: ${taskUrl(t.id)}`).join('\n');
+
+const taskListHtml = (tasks) => `<ul style="margin:0;padding-left:18px;">${tasks.map(t =>
+    `<li><a href="${escapeHtml(taskUrl(t.id))}" style="color:#0d9488;">${escapeHtml(t.title)}</a>${t.dueDate ? ` <span style="color:#94a3b8;">due ${formatDate(t.dueDate)}</span>` : ''}</li>`
+).join('')}</ul>`;
+
+export const TEMPLATES = {
+    // { inviterName, organizationName, taskTitle?, acceptUrl, expiresAt }: a ghost user was added to a task or to the directory
+    invitation: ({ inviterName, organizationName, taskTitle, acceptUrl, expiresAt }) => {
+        const what = taskTitle ? `to collaborate on "${taskTitle}" in ${organizationName}` : `to join ${organizationName}`;
+        const expiry = `This link expires ${formatDate(expiresAt)}.`;
+        return {
+            subject: taskTitle ? `${inviterName} invited you to "${taskTitle}"` : `${inviterName} invited you to ${organizationName}`,
+            text: `${inviterName} invited you ${what} on AliManager.\n\nAccept or decline: ${acceptUrl}\n\n${expiry}`,
+            html: layout({
+                heading: 'You have been invited',
+                paragraphs: [
+                    `${escapeHtml(inviterName)} invited you ${escapeHtml(what)} on AliManager.`,
+                    `Sign in to accept or decline. ${expiry}`
+                ],
+                action: { label: 'View invitation', url: acceptUrl }
+            })
+        };
+    },
+
+    // { actorName, taskId, taskTitle, dueDate? }
+    assigned: ({ actorName, taskId, taskTitle, dueDate }) => {
+        const due = dueDate ? ` It is due ${formatDate(dueDate)}.` : '';
+        return {
+            subject: `${actorName} assigned you to "${taskTitle}"`,
+            text: `${actorName} assigned you to "${taskTitle}".${due}\n\n${taskUrl(taskId)}`,
+            html: layout({
+                heading: 'New assignment',
+                paragraphs: [`${escapeHtml(actorName)} assigned you to <strong>${escapeHtml(taskTitle)}</strong>.${escapeHtml(due)}`],
+                action: { label: 'Open task', url: taskUrl(taskId) }
+            })
+        };
+    },
+
+    // { name, overdue: [{ id, title, dueDate }], dueToday: [...], unreadCount }
+    daily_digest: ({ name, overdue, dueToday, unreadCount }) => {
+        const summary = [
+            overdue.length > 0 && `${overdue.length} overdue`,
+            dueToday.length > 0 && `${dueToday.length} due today`,
+            unreadCount > 0 && `${unreadCount} unread notification${unreadCount === 1 ? '' : 's'}`
+        ].filter(Boolean).join(', ');
+
+        const textSections = [];
+        const htmlParagraphs = [`Good morning ${escapeHtml(name)}, here is your day: ${escapeHtml(summary)}.`];
+        if (overdue.length > 0) {
+            textSections.push(`Overdue:\n${taskListText(overdue)}`);
+            htmlParagraphs.push(`<strong>Overdue</strong>${taskListHtml(overdue)}`);
+        }
+        if (dueToday.length > 0) {
+            textSections.push(`Due today:\n${taskListText(dueToday)}`);
+            htmlParagraphs.push(`<strong>Due today</strong>${taskListHtml(dueToday)}`);
+        }
+
+        return {
+            subject: `Your day: ${summary}`,
+            text: `Good morning ${name}, here is your day: ${summary}.\n\n${textSections.join('\n\n')}\n\n${APP_URL}`,
+            html: layout({ heading: 'Daily digest', paragraphs: htmlParagraphs, action: { label: 'Open AliManager', url: APP_URL } })
+        };
+    },
+
+    // { requestType, status: 'APPROVED' | 'REJECTED', adminNotes? }
+    request_decision: ({ requestType, status, adminNotes }) => {
+        const kind = String(requestType || 'request').replace(/_/g, ' ').toLowerCase();
+        const decision = status === 'APPROVED' ? 'approved' : 'rejected';
+        const notes = adminNotes ? `\n\nNotes from the admin: "${adminNotes}"` : '';
+        return {
+            subject: `Your ${kind} request was ${decision}`,
+            text: `Your ${kind} request was ${decision}.${notes}\n\n${APP_URL}`,
+            html: layout({
+                heading: `Request ${decision}`,
+                paragraphs: [
+                    `Your ${escapeHtml(kind)} request was <strong>${decision}</strong>.`,
+                    ...(adminNotes ? [`Notes from the admin: "${escapeHtml(adminNotes)}"`] : [])
+                ],
+                action: { label: 'Open AliManager', url: APP_URL }
+            })
+        };
+    }
+};
+
+export const renderEmail = (template, data) => {
+    const render = TEMPLATES[template];
+    if (!render) throw new Error(`Unknown email template: ${template}`);
+    return render(data);
+};
@@ -1,11 +1,59 @@
 import admin from 'firebase-admin';
+import { ORGANIZATION_HEADER, resolveActiveOrganization, createOrganization, addMember, findAutoJoinRule } from '../services/organizations.js';
+import { getActiveDelegations } from '../services/delegations.js';
+import { isApiToken, authenticateApiToken, tokenAllows } from '../services/apiTokens.js';
 
 const GOD_EMAILS = ['christianplyler@gmail.com', 'xtnpowered@gmail.com'];
-const DEFAULT_ORG_ID = '00000000-0000-0000-0000-111111111111'; // Mattamay Homes (Genesis Block)
+
+// Opt-in: sign-ups no auto-join rule covers get a workspace of their own to administer.
+// Otherwise they start without an organization until invited or a domain rule matches.
+const CREATE_NEW_USER_WORKSPACES = process.env.NEW_USER_WORKSPACES === 'true';
+
+/**
+ * Per-request access: the active organization (X-Organization-Id, validated against memberships),
+ * the user's role in it (gods stay gods) and any delegation in effect there: a full one makes them admin,
+ * scoped ones are listed on dbUser.delegated_scopes.
+ * Mutates and returns dbUser, or { error } when the requested organization is not theirs.
+ */
+const applyAccessContext = async (pool, dbUser, requestedOrgId) => {
+    const { error, organization, organizations } = await resolveActiveOrganization(pool, dbUser, requestedOrgId);
+    if (error) return { error };
+
+    dbUser.home_organization_id = dbUser.organization_id;
+    dbUser.organization_id = organization?.id || null;
+    dbUser.organizations = organizations;
+    if (dbUser.role === 'god') return { dbUser };
+
+    dbUser.role = organization?.role || 'user';
+
+    // CHECK DELEGATIONS (Temporary Admin in this organization, or narrower scoped rights)
+    if (dbUser.role !== 'admin' && organization) {
+        const delegations = await getActiveDelegations(pool, dbUser.id, organization.id);
+        const full = delegations.find(d => d.scope === 'full');
+
+        if (full) {
+            console.log(`[Auth] Active Delegation Found! Promoting ${dbUser.id} to TEMP ADMIN of ${organization.id}.`);
+            dbUser.role = 'admin';
+            dbUser.is_delegated = true;
+            dbUser.delegation_expires_at = full.expires_at;
+        } else if (delegations.length > 0) {
+            dbUser.delegated_scopes = delegations.map(d => ({ scope: d.scope, scopeIds: d.scope_ids || [], expiresAt: d.expires_at }));
+        }
+    }
+    return { dbUser };
+};
 
 export const createAuthMiddleware = (pool) => {
     return async (req, res, next) => {
         const isDev = process.env.NODE_ENV !== 'production';
+        const requestedOrgId = req.headers[ORGANIZATION_HEADER];
+
+        const proceed = async (dbUser) => {
+            const context = await applyAccessContext(pool, dbUser, requestedOrgId);
+            if (context.error) return res.status(403).json({ error: context.error });
+            req.dbUser = context.dbUser;
+            next();
+        };
 
         // ------------------------------------------------------------------
         // 3. DEVELOPMENT "GOD MODE" & MOCK USER SWITCHING
@@ -18,7 +66,8 @@ export const createAuthMiddleware = (pool) => {
                 host: req.headers.host,
                 bypass: godModeBypass,
                 mockId: mockUserId,
-                auth: req.headers.authorization ? 'Bearer [HIDDEN]' : 'None'
+                auth: req.headers.authorization ? 'Bearer [HIDDEN]' : 'None',
+                org: requestedOrgId
             });
 
             // Priority 1: Specific Mock User (Switched via UI)
@@ -29,8 +78,7 @@ export const createAuthMiddleware = (pool) => {
                     if (mockUserRes.rows.length > 0) {
                         const mockUser = mockUserRes.rows[0];
                         req.user = { uid: mockUser.firebase_uid, email: mockUser.email, picture: mockUser.avatar_url, name: mockUser.display_name };
-                        req.dbUser = mockUser;
-                        return next();
+                        return await proceed(mockUser);
                     } else {
                         console.warn(`[DEV] Mock User ID ${mockUserId} not found in DB.`);
                     }
@@ -47,8 +95,7 @@ export const createAuthMiddleware = (pool) => {
                     if (godUserRes.rows.length > 0) {
                         const godUser = godUserRes.rows[0];
                         req.user = { uid: godUser.firebase_uid, email: godUser.email, picture: godUser.avatar_url, name: godUser.display_name };
-                        req.dbUser = godUser;
-                        return next();
+                        return await proceed(godUser);
                     }
                 } catch (err) {
                     console.error('[DEV] God Mode lookup failed:', err);
@@ -63,6 +110,24 @@ export const createAuthMiddleware = (pool) => {
 
         const idToken = authHeader.split('Bearer ')[1];
 
+        // Personal access token (scripts, service accounts): looked up by hash, no Firebase involved
+        if (isApiToken(idToken)) {
+            try {
+                const authenticated = await authenticateApiToken(pool, idToken, req.ip);
+                if (!authenticated) return res.status(401).json({ error: 'Unauthorized: Invalid, expired or revoked API token' });
+                if (!tokenAllows(authenticated.apiToken, req.method)) {
+                    return res.status(403).json({ error: 'Forbidden: This token is read-only' });
+                }
+                const { user } = authenticated;
+                req.user = { uid: user.firebase_uid, email: user.email, picture: user.avatar_url, name: user.display_name };
+                req.apiToken = authenticated.apiToken;
+                return await proceed(user);
+            } catch (error) {
+                console.error('Auth Error (API token):', error);
+                return res.status(401).json({ error: 'Unauthorized: Invalid token or DB error' });
+            }
+        }
+
         try {
             // 1. Verify Firebase Token
             console.log('[Auth] Verifying Token...');
@@ -74,7 +139,7 @@ export const createAuthMiddleware = (pool) => {
             // 2. Fetch User from Postgres
             console.log('[Auth] Fetching from DB...');
             let result = await pool.query(
-                'SELECT id, role, organization_id FROM users WHERE firebase_uid = $1',
+                'SELECT id, role, organization_id, email, display_name FROM users WHERE firebase_uid = $1',
                 [uid]
             );
 
@@ -83,14 +148,18 @@ export const createAuthMiddleware = (pool) => {
 
             // 3. JIT Provisioning (Registration Pipeline)
             if (!dbUser) {
-                console.log(`[Auth] User not found. Checking for Ghost Record for ${email}...`);
-                // CLAIMS LOGIC: Check if this email exists as a "Ghost" user (invited via Viral Loop)
-                const existingEmailRes = await pool.query('SELECT * FROM users WHERE email = $1', [email]);
+                console.log(`[Auth] User not found. Checking for an existing account for ${email}...`);
+                // Ghost users (status 'pending') are never claimed here: the invitee accepts their
+                // invitation link explicitly (see services/invitations.js), which merges the ghost into this account
+                const existingEmailRes = await pool.query(
+                    `SELECT * FROM users WHERE email = $1 AND status IS DISTINCT FROM 'pending'`,
+                    [email]
+                );
 
                 if (existingEmailRes.rows.length > 0) {
-                    // ACCOUNT CLAIM: Merge Firebase Identity into Ghost Record
-                    console.log(`[Auth] Account Claim Detected for ${email}. Merging Ghost Record...`);
-                    const ghostUser = existingEmailRes.rows[0];
+                    // RELINK: Same account, new Firebase identity (e.g. seeded users)
+                    console.log(`[Auth] Existing account found for ${email}. Linking Firebase identity...`);
+                    const existingUser = existingEmailRes.rows[0];
 
                     const updateRes = await pool.query(
                         `UPDATE users 
@@ -99,8 +168,8 @@ export const createAuthMiddleware = (pool) => {
                              display_name = COALESCE(NULLIF($3, ''), display_name),
                              status = 'active'
                          WHERE id = $4
-                         RETURNING id, role, organization_id`,
-                        [uid, picture || '', name || ghostUser.display_name, ghostUser.id]
+                         RETURNING id, role, organization_id, email, display_name`,
+                        [uid, picture || '', name || existingUser.display_name, existingUser.id]
                     );
 
                     dbUser = updateRes.rows[0];
@@ -111,16 +180,36 @@ export const createAuthMiddleware = (pool) => {
                     // Determine Role
                     const isGod = GOD_EMAILS.includes(email);
                     const role = isGod ? 'god' : 'user';
-                    const orgId = DEFAULT_ORG_ID; // Auto-join "Mattamay" for now
 
-                    const insertResult = await pool.query(
-                        `INSERT INTO users (firebase_uid, email, role, organization_id, display_name, avatar_url, status)
-                         VALUES ($1, $2, $3, $4, $5, $6, 'active')
-                         RETURNING id, role, organization_id`,
-                        [uid, email, role, orgId, name || 'New User', picture || '']
-                    );
+                    // Organization: the one that claimed their email domain (auto-join rule),
+                    // else a new workspace they administer when NEW_USER_WORKSPACES is on, else none
+                    const joinRule = await findAutoJoinRule(pool, email);
+                    const client = await pool.connect();
+                    try {
+                        await client.query('BEGIN');
+                        let organizationId = joinRule?.organization_id || null;
+                        if (!organizationId && CREATE_NEW_USER_WORKSPACES) {
+                            organizationId = (await createOrganization(client, { name: `${name || email.split('@')[0]}'s Workspace` })).id;
+                        }
+
+                        const insertResult = await client.query(
+                            `INSERT INTO users (firebase_uid, email, role, organization_id, display_name, avatar_url, status)
+                             VALUES ($1, $2, $3, $4, $5, $6, 'active')
+                             RETURNING id, role, organization_id, email, display_name`,
+                            [uid, email, role, organizationId, name || 'New User', picture || '']
+                        );
+                        dbUser = insertResult.rows[0];
+                        if (organizationId) {
+                            await addMember(client, { organizationId, userId: dbUser.id, role: joinRule ? joinRule.role : 'admin' });
+                        }
+                        await client.query('COMMIT');
+                    } catch (e) {
+                        await client.query('ROLLBACK');
+                        throw e;
+                    } finally {
+                        client.release();
+                    }
 
-                    dbUser = insertResult.rows[0];
                     console.log(`[Auth] Provisioned ${email} as ${role}`);
                 }
             }
@@ -131,29 +220,8 @@ export const createAuthMiddleware = (pool) => {
                 dbUser.role = 'god';
             }
 
-            // 4. CHECK DELEGATIONS (Temporary Admin)
-            if (dbUser.role !== 'god' && dbUser.role !== 'admin') {
-                const delegationRes = await pool.query(
-                    `SELECT * FROM role_delegations 
-                     WHERE delegate_id = $1 
-                     AND status = 'active' 
-                     AND starts_at <= NOW() 
-                     AND expires_at > NOW() 
-                     ORDER BY created_at DESC LIMIT 1`,
-                    [dbUser.id]
-                );
-
-                if (delegationRes.rows.length > 0) {
-                    const delegation = delegationRes.rows[0];
-                    console.log(`[Auth] Active Delegation Found! Promoting ${email} to TEMP ADMIN.`);
-                    dbUser.role = 'admin';
-                    dbUser.is_delegated = true;
-                    dbUser.delegation_expires_at = delegation.expires_at;
-                }
-            }
-
-            req.dbUser = dbUser;
-            next();
+            // 4. Active organization, per-organization role and delegations
+            await proceed(dbUser);
         } catch (error) {
             console.error('Auth Error:', error);
             res.status(401).json({ error: 'Unauthorized: Invalid token or DB error' });
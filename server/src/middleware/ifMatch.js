@@ -0,0 +1,28 @@
+/**
+ * Optimistic concurrency helpers (row `version` columns exposed as ETags).
+ * Clients send the version they last saw as `If-Match: "<version>"`; writes against a stale
+ * version are rejected with 409 and the current server state so the client can resolve the conflict.
+ */
+
+export const etagFor = (version) => `"${version}"`;
+
+/**
+ * The version a write is conditional on, or null when the request is unconditional
+ * (no If-Match header, or `If-Match: *`). Weak validators (W/"3") are accepted.
+ * @returns {number|null|undefined} undefined when the header is malformed
+ */
+export const parseIfMatch = (req) => {
+    const header = req.get('If-Match');
+    if (!header || header.trim() === '*') return null;
+    const match = header.trim().match(/^(?:W\/)?"(\d+)"$/);
+    return match ? parseInt(match[1], 10) : undefined;
+};
+
+/** Sends 400 for a malformed If-Match header. @returns {boolean} true when the header is usable */
+export const validateIfMatch = (req, res) => {
+    if (parseIfMatch(req) === undefined) {
+        res.status(400).json({ error: 'If-Match must be a quoted version, e.g. "3"' });
+        return false;
+    }
+    return true;
+};
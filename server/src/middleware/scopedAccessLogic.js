@@ -41,33 +41,136 @@ export const getScopedTasksQuery = (userId, memberOrgIds) => {
     `;
 };
 
-// 3. Scoped Access Middleware (for Single Task Routes like GET /tasks/:id)
-export const requireTaskAccess = async (pool, req, res, next) => {
-    const { id: taskId } = req.params;
-    const { id: userId, organization_id } = req.dbUser; // assuming legacy org_id or new memberships
+// 3. Task Authorization Layer (shared by tasks + steps routers)
+// Access levels, strongest first. A user gets the first one that applies.
+//   god          -> system god, sees and does everything
+//   owner        -> created the task
+//   member       -> belongs to the task's org (tasks created by gods stay hidden, matching GET /tasks)
+//   collaborator -> invited/assigned via task_collaborators but outside the org
+export const TASK_ACCESS_LEVELS = ['god', 'owner', 'member', 'collaborator'];
 
-    // Check if user is a member of the task's org
-    const taskOrgResult = await pool.query('SELECT organization_id FROM tasks WHERE id = $1', [taskId]);
-    if (taskOrgResult.rows.length === 0) return res.status(404).json({ error: 'Task not found' });
+// Action Matrix: which access levels may perform which action.
+// Priority is owner-only (the context menu already hides it from non-owners).
+export const TASK_PERMISSIONS = {
+    view: ['god', 'owner', 'member', 'collaborator'],
+    edit: ['god', 'owner', 'member', 'collaborator'],
+    manageSteps: ['god', 'owner', 'member', 'collaborator'],
+    comment: ['god', 'owner', 'member', 'collaborator'],
+    reassign: ['god', 'owner', 'member'],
+    invite: ['god', 'owner', 'member'],
+    setPriority: ['god', 'owner'],
+    delete: ['god', 'owner']
+};
+
+export const TASK_DENIED_MESSAGES = {
+    view: 'You do not have access to this task.',
+    edit: 'You do not have permission to edit this task.',
+    manageSteps: 'You do not have permission to manage steps on this task.',
+    comment: 'You do not have permission to comment on this task.',
+    reassign: 'Only organization members can reassign this task.',
+    invite: 'Only organization members can invite collaborators.',
+    setPriority: 'Only the task owner can change priority.',
+    delete: 'Only the task creator can delete this task.'
+};
+
+export const canPerform = (accessLevel, action) => {
+    const allowed = TASK_PERMISSIONS[action];
+    if (!allowed) throw new Error(`Unknown task action: ${action}`);
+    return !!accessLevel && allowed.includes(accessLevel);
+};
+
+/**
+ * Resolve how a user relates to a task.
+ * Deleted tasks count as missing unless `includeDeleted` (restoring them).
+ * @returns {Promise<{ task: object|null, accessLevel: string|null }>} task is null when it does not exist
+ */
+export const resolveTaskAccess = async (db, dbUser, taskId, { includeDeleted = false } = {}) => {
+    const taskRes = await db.query(
+        `SELECT t.*, creator.role as creator_role
+         FROM tasks t
+         LEFT JOIN users creator ON creator.id = t.created_by
+         WHERE t.id = $1
+         ${includeDeleted ? '' : 'AND t.deleted_at IS NULL'}`,
+        [taskId]
+    );
+    if (taskRes.rows.length === 0) return { task: null, accessLevel: null };
 
-    const taskOrgId = taskOrgResult.rows[0].organization_id;
+    const task = taskRes.rows[0];
+    const { id: userId, role } = dbUser;
 
-    // 1. Org Membership Check
-    // (In full implementation, check against req.user.member_orgs array)
-    if (organization_id === taskOrgId) {
-        return next(); // User owns the task via Org
+    if (role === 'god') return { task, accessLevel: 'god' };
+    if (task.created_by === userId) return { task, accessLevel: 'owner' };
+
+    // Membership only: users.organization_id is just a default and outlives removal from the organization
+    if (task.creator_role !== 'god') {
+        const memberRes = await db.query(
+            'SELECT 1 FROM memberships WHERE user_id = $1 AND organization_id = $2',
+            [userId, task.organization_id]
+        );
+        if (memberRes.rows.length > 0) return { task, accessLevel: 'member' };
     }
 
-    // 2. Collaborator Check
-    const collabResult = await pool.query(
+    const collabRes = await db.query(
         'SELECT access_level FROM task_collaborators WHERE task_id = $1 AND user_id = $2',
         [taskId, userId]
     );
+    if (collabRes.rows.length > 0) return { task, accessLevel: 'collaborator' };
+
+    return { task, accessLevel: null };
+};
 
-    if (collabResult.rows.length > 0) {
-        req.accessLevel = collabResult.rows[0].access_level;
-        return next(); // User is a collaborator
+/**
+ * Check an action against a resolved access level and send the error response if denied.
+ * Unknown tasks and tasks the user cannot even view both get 404 (no existence leak).
+ * @returns {boolean} true when allowed
+ */
+export const authorizeTaskAction = (res, { task, accessLevel }, actions) => {
+    if (!task || !canPerform(accessLevel, 'view')) {
+        res.status(404).json({ error: 'Task not found' });
+        return false;
+    }
+    for (const action of [].concat(actions)) {
+        if (!canPerform(accessLevel, action)) {
+            res.status(403).json({ error: TASK_DENIED_MESSAGES[action], action });
+            return false;
+        }
     }
+    return true;
+};
+
+/**
+ * Which actions a PATCH /tasks/:id body requires.
+ */
+export const actionsForTaskUpdate = (updates = {}) => {
+    const actions = new Set();
+    if (['title', 'status', 'statusNote', 'startDate', 'dueDate', 'description'].some(key => updates[key] !== undefined)) actions.add('edit');
+    if (updates.priority !== undefined) actions.add('setPriority');
+    if (updates.assignedTo !== undefined) actions.add('reassign');
+    if (actions.size === 0) actions.add('view');
+    return [...actions];
+};
+
+/**
+ * Express middleware factory.
+ * `actions` may be a string, an array, or a function of req returning either.
+ * `getTaskId` defaults to req.params.id. On success sets req.task and req.taskAccess.
+ */
+export const requireTaskAccess = (pool, actions, getTaskId = (req) => req.params.id) => {
+    return async (req, res, next) => {
+        try {
+            const taskId = await getTaskId(req);
+            if (!taskId) return res.status(400).json({ error: 'taskId is required' });
+
+            const access = await resolveTaskAccess(pool, req.dbUser, taskId);
+            const required = typeof actions === 'function' ? actions(req) : actions;
+            if (!authorizeTaskAction(res, access, required)) return;
 
-    return res.status(403).json({ error: 'Access Denied' });
+            req.task = access.task;
+            req.taskAccess = access.accessLevel;
+            next();
+        } catch (error) {
+            console.error('Task Access Error:', error);
+            res.status(500).json({ error: 'Internal Server Error' });
+        }
+    };
 };
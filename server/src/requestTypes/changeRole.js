@@ -0,0 +1,31 @@
+import { ORGANIZATION_ROLES, setMemberRole } from '../services/organizations.js';
+import { userNames, requireMembers } from './lookups.js';
+
+/**
+ * CHANGE_ROLE: make a member an admin of the organization, or back to a regular user.
+ */
+export const changeRole = {
+    type: 'CHANGE_ROLE',
+    label: 'Role Change',
+    requiredApprovals: 1,
+    schema: {
+        userId: { type: 'uuid' },
+        role: { type: 'enum', values: ORGANIZATION_ROLES },
+        reason: { type: 'string', optional: true, maxLength: 500 }
+    },
+
+    authorize: (db, { organizationId, payload }) => requireMembers(db, organizationId, [payload.userId]),
+
+    // Temporary admins and request-scoped delegates cannot hand out standing roles
+    canApprove: (approver) => approver.role === 'god' || (approver.role === 'admin' && !approver.is_delegated),
+
+    async describe(db, payload) {
+        const names = await userNames(db, [payload.userId]);
+        return { userName: names[payload.userId] || null };
+    },
+
+    async execute(db, { request, payload }) {
+        const change = await setMemberRole(db, { organizationId: request.organization_id, userId: payload.userId, role: payload.role });
+        return change.error ? change : {};
+    }
+};
@@ -0,0 +1,40 @@
+import { createProject } from '../services/projects.js';
+import { publishProjectChange } from '../services/liveEvents.js';
+
+/**
+ * CREATE_PROJECT: members who cannot create projects ask for one. The requester becomes its owner.
+ */
+export const createProjectRequest = {
+    type: 'CREATE_PROJECT',
+    label: 'New Project',
+    requiredApprovals: 1,
+    schema: {
+        title: { type: 'string', maxLength: 200 },
+        description: { type: 'string', optional: true, maxLength: 5000 },
+        client: { type: 'string', optional: true, maxLength: 200 },
+        startDate: { type: 'date', optional: true },
+        endDate: { type: 'date', optional: true }
+    },
+
+    async authorize(db, { payload }) {
+        if (payload.startDate && payload.endDate && payload.startDate > payload.endDate) {
+            return { status: 400, error: 'startDate must be on or before endDate' };
+        }
+        return null;
+    },
+
+    describe: async () => ({}),
+
+    async execute(db, { request, payload, actorId }) {
+        const project = await createProject(db, {
+            organizationId: request.organization_id,
+            userId: request.requester_id,
+            title: payload.title,
+            description: payload.description || null,
+            client: payload.client || null,
+            startDate: payload.startDate || null,
+            endDate: payload.endDate || null
+        });
+        return { after: (pool) => publishProjectChange(pool, 'created', project, { actorId }) };
+    }
+};
@@ -0,0 +1,38 @@
+import { recordActivity } from '../services/activityLog.js';
+import { getTaskAudience, publishTaskChanges } from '../services/liveEvents.js';
+import { softDeleteTask } from '../services/taskUpdates.js';
+import { requireVisibleTask, lockTask } from './lookups.js';
+
+/**
+ * DELETE_TASK: delete a task the requester does not own (only creators can delete directly).
+ */
+export const deleteTask = {
+    type: 'DELETE_TASK',
+    label: 'Task Deletion',
+    requiredApprovals: 1,
+    schema: {
+        taskId: { type: 'uuid' },
+        reason: { type: 'string', optional: true, maxLength: 500 }
+    },
+
+    async authorize(db, { requester, organizationId, payload }) {
+        const visible = await requireVisibleTask(db, requester, organizationId, payload.taskId);
+        return visible.error ? visible : null;
+    },
+
+    async describe(db, payload) {
+        const taskRes = await db.query('SELECT title FROM tasks WHERE id = $1', [payload.taskId]);
+        return { taskTitle: taskRes.rows[0]?.title || null };
+    },
+
+    async execute(db, { payload, actorId }) {
+        const { task, status, error } = await lockTask(db, payload.taskId);
+        if (error) return { status, error };
+
+        const audience = await getTaskAudience(db, task.id);
+        await softDeleteTask(db, task.id, actorId);
+        await recordActivity(db, { taskId: task.id, organizationId: task.organization_id, actorId, action: 'deleted', oldValue: task.title });
+
+        return { after: (pool) => publishTaskChanges(pool, 'deleted', [task.id], { actorId, audience }) };
+    }
+};
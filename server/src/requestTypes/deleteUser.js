@@ -0,0 +1,27 @@
+import { removeMember } from '../services/organizations.js';
+import { userNames, requireMembers } from './lookups.js';
+
+/**
+ * DELETE_USER: remove someone from the organization (their membership, not the account).
+ */
+export const deleteUser = {
+    type: 'DELETE_USER',
+    label: 'Remove User',
+    requiredApprovals: 1,
+    schema: {
+        targetUserId: { type: 'uuid' },
+        reason: { type: 'string', optional: true, maxLength: 500 }
+    },
+
+    authorize: (db, { organizationId, payload }) => requireMembers(db, organizationId, [payload.targetUserId]),
+
+    async describe(db, payload) {
+        const names = await userNames(db, [payload.targetUserId]);
+        return { targetUserName: names[payload.targetUserId] || null };
+    },
+
+    async execute(db, { request, payload }) {
+        const removal = await removeMember(db, { organizationId: request.organization_id, userId: payload.targetUserId });
+        return removal.error ? removal : {};
+    }
+};
@@ -0,0 +1,48 @@
+import { applyTaskUpdate } from '../services/taskUpdates.js';
+import { publishTaskChanges } from '../services/liveEvents.js';
+import { notifyTaskChange } from '../services/notifications.js';
+import { requireVisibleTask, lockTask } from './lookups.js';
+
+const isExtension = (task, dueDate) => !task.due_date || new Date(dueDate) > new Date(task.due_date);
+
+/**
+ * EXTEND_DUE_DATE: move a task's due date later (typically asked by an assignee who cannot change it).
+ */
+export const extendDueDate = {
+    type: 'EXTEND_DUE_DATE',
+    label: 'Due Date Extension',
+    requiredApprovals: 1,
+    schema: {
+        taskId: { type: 'uuid' },
+        dueDate: { type: 'date' },
+        reason: { type: 'string', optional: true, maxLength: 500 }
+    },
+
+    async authorize(db, { requester, organizationId, payload }) {
+        const visible = await requireVisibleTask(db, requester, organizationId, payload.taskId);
+        if (visible.error) return visible;
+        if (!isExtension(visible.task, payload.dueDate)) return { status: 400, error: 'The new due date must be later than the current one' };
+        return null;
+    },
+
+    async describe(db, payload) {
+        const taskRes = await db.query('SELECT title, due_date FROM tasks WHERE id = $1', [payload.taskId]);
+        return { taskTitle: taskRes.rows[0]?.title || null, currentDueDate: taskRes.rows[0]?.due_date || null };
+    },
+
+    async execute(db, { payload, actorId }) {
+        const { task: before, status, error } = await lockTask(db, payload.taskId);
+        if (error) return { status, error };
+        if (!isExtension(before, payload.dueDate)) return { status: 409, error: 'The task is already due on or after the requested date' };
+
+        const outcome = await applyTaskUpdate(db, { before, updates: { dueDate: payload.dueDate }, actorId });
+        if (outcome.error) return { status: 400, error: outcome.error };
+
+        return {
+            after: (pool) => {
+                publishTaskChanges(pool, 'updated', [before.id], { actorId });
+                notifyTaskChange(pool, { before, after: outcome.task, actorId });
+            }
+        };
+    }
+};
@@ -0,0 +1,53 @@
+import { notifyUsers } from '../services/notifications.js';
+import { MAX_DELEGATION_DAYS, createDelegation } from '../services/delegations.js';
+import { userNames, requireMembers } from './lookups.js';
+
+/**
+ * GRANT_DELEGATION: temporary admin rights in the organization, starting on approval (see /delegations).
+ * The approver who completes the quorum is recorded as the delegator.
+ */
+export const grantDelegation = {
+    type: 'GRANT_DELEGATION',
+    label: 'Admin Delegation',
+    requiredApprovals: 1,
+    schema: {
+        delegateId: { type: 'uuid' },
+        days: { type: 'integer', min: 1, max: MAX_DELEGATION_DAYS },
+        reason: { type: 'string', optional: true, maxLength: 500 }
+    },
+
+    authorize: (db, { organizationId, payload }) => requireMembers(db, organizationId, [payload.delegateId]),
+
+    // Temporary admins and request-scoped delegates cannot extend admin rights to others
+    canApprove: (approver) => approver.role === 'god' || (approver.role === 'admin' && !approver.is_delegated),
+
+    async describe(db, payload) {
+        const names = await userNames(db, [payload.delegateId]);
+        return { delegateName: names[payload.delegateId] || null };
+    },
+
+    async execute(db, { request, payload, actorId }) {
+        const startsAt = new Date();
+        const delegation = await createDelegation(db, {
+            organizationId: request.organization_id,
+            delegatorId: actorId,
+            delegation: {
+                delegateId: payload.delegateId,
+                scope: 'full',
+                scopeIds: [],
+                startsAt: startsAt.toISOString(),
+                expiresAt: new Date(startsAt.getTime() + payload.days * 24 * 60 * 60 * 1000).toISOString(),
+                reason: payload.reason || null
+            }
+        });
+
+        return {
+            after: (pool) => notifyUsers(pool, {
+                userIds: [payload.delegateId],
+                type: 'delegation_granted',
+                actorId,
+                data: { role: delegation.role, scope: delegation.scope, startsAt: delegation.starts_at, expiresAt: delegation.expires_at }
+            })
+        };
+    }
+};
@@ -0,0 +1,104 @@
+import { deleteUser } from './deleteUser.js';
+import { reassignTask } from './reassignTask.js';
+import { changeRole } from './changeRole.js';
+import { extendDueDate } from './extendDueDate.js';
+import { createProjectRequest } from './createProject.js';
+import { deleteTask } from './deleteTask.js';
+import { grantDelegation } from './grantDelegation.js';
+import { hasDelegatedScope } from '../services/delegations.js';
+
+/**
+ * Request Type Registry
+ * What each System Request type asks for and what approving it does. A type implements:
+ *   type, label
+ *   requiredApprovals        default quorum (a request may ask for more, never fewer)
+ *   schema                   payload fields: { name: { type, optional?, ...limits } }, checked by validatePayload
+ *   authorize(db, ctx)       may `ctx.requester` ask for this in `ctx.organizationId`? null, or { status, error }
+ *   canApprove(approver)     optional extra approver check on top of isRequestApprover
+ *   describe(db, payload)    display snapshot stored as request.context (names and titles at submission)
+ *   execute(db, ctx)         runs inside the approval transaction with { request, payload, actorId }.
+ *                            Returns { status, error } to refuse (the request stays pending), or
+ *                            { after } with a callback run on the pool after COMMIT (live events, notifications)
+ * Register new types in REQUEST_TYPES.
+ */
+
+export const REQUEST_TYPES = Object.fromEntries(
+    [deleteUser, reassignTask, changeRole, extendDueDate, createProjectRequest, deleteTask, grantDelegation].map(t => [t.type, t])
+);
+
+export const MAX_REQUIRED_APPROVALS = 5;
+
+export const getRequestType = (type) => REQUEST_TYPES[type] || null;
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+// One checker per schema field type: returns the normalized value, or undefined when invalid
+const FIELD_TYPES = {
+    uuid: (value) => (typeof value === 'string' && UUID_PATTERN.test(value) ? value : undefined),
+    'uuid[]': (value, field) => {
+        if (!Array.isArray(value) || value.length < (field.minItems || 0)) return undefined;
+        const ids = [...new Set(value)];
+        return ids.every(id => typeof id === 'string' && UUID_PATTERN.test(id)) ? ids : undefined;
+    },
+    string: (value, field) => {
+        if (typeof value !== 'string' || !value.trim()) return undefined;
+        return value.trim().length <= (field.maxLength || 1000) ? value.trim() : undefined;
+    },
+    date: (value) => (typeof value === 'string' && !isNaN(new Date(value).getTime()) ? new Date(value).toISOString() : undefined),
+    integer: (value, field) => {
+        const number = Number(value);
+        if (!Number.isInteger(number)) return undefined;
+        if (field.min !== undefined && number < field.min) return undefined;
+        if (field.max !== undefined && number > field.max) return undefined;
+        return number;
+    },
+    enum: (value, field) => (field.values.includes(value) ? value : undefined)
+};
+
+const describeField = (name, field) => {
+    if (field.type === 'enum') return `${name} must be one of: ${field.values.join(', ')}`;
+    if (field.type === 'integer') return `${name} must be a whole number${field.min !== undefined ? ` from ${field.min}` : ''}${field.max !== undefined ? ` to ${field.max}` : ''}`;
+    if (field.type === 'uuid[]') return `${name} must be a list of ids${field.minItems ? ` (at least ${field.minItems})` : ''}`;
+    if (field.type === 'string') return `${name} must be text (at most ${field.maxLength || 1000} characters)`;
+    return `${name} must be a valid ${field.type}`;
+};
+
+/**
+ * Check a payload against a type's schema. Unknown keys are dropped.
+ * @returns {{ error: string } | { payload: object }} payload is normalized (trimmed strings, ISO dates, numbers)
+ */
+export const validatePayload = (definition, payload) => {
+    if (!payload || typeof payload !== 'object' || Array.isArray(payload)) return { error: 'payload must be an object' };
+
+    const normalized = {};
+    for (const [name, field] of Object.entries(definition.schema)) {
+        const value = payload[name];
+        if (value === undefined || value === null || value === '') {
+            if (field.optional) continue;
+            return { error: `${name} is required` };
+        }
+        const checked = FIELD_TYPES[field.type](value, field);
+        if (checked === undefined) return { error: describeField(name, field) };
+        normalized[name] = checked;
+    }
+    return { payload: normalized };
+};
+
+/**
+ * Can this user work the request queue of an organization? Its admins, members delegated the 'requests' scope there, and gods.
+ */
+export const isRequestApprover = (user, organizationId) => user.role === 'god'
+    || (user.organization_id === organizationId && (user.role === 'admin' || hasDelegatedScope(user, 'requests')));
+
+/**
+ * Approvers of the request's organization approve, except their own requests; types may narrow it further.
+ * @returns {string|null} why the user may not approve, or null
+ */
+export const approvalDenied = (user, request, definition) => {
+    if (!isRequestApprover(user, request.organization_id)) {
+        return 'Only admins of this organization can resolve its requests';
+    }
+    if (user.role !== 'god' && user.id === request.requester_id) return 'You cannot resolve your own request';
+    if (definition?.canApprove && !definition.canApprove(user)) return `This ${definition.label.toLowerCase()} needs an approver with standing admin rights`;
+    return null;
+};
@@ -0,0 +1,50 @@
+import { resolveTaskAccess, canPerform } from '../middleware/scopedAccessLogic.js';
+
+/**
+ * Lookups shared by request type definitions: permission checks at submission
+ * and the display snapshot (request.context) the queue renders.
+ */
+
+const displayName = (u) => u.display_name || u.email.split('@')[0];
+
+/** { id: name } for the given users (unknown ids are left out). */
+export const userNames = async (db, userIds) => {
+    const ids = [...new Set(userIds.filter(Boolean))];
+    if (ids.length === 0) return {};
+    const result = await db.query('SELECT id, display_name, email FROM users WHERE id = ANY($1::uuid[])', [ids]);
+    return Object.fromEntries(result.rows.map(u => [u.id, displayName(u)]));
+};
+
+/**
+ * Check every id is a member of the organization.
+ * @returns {Promise<{ status: number, error: string } | null>}
+ */
+export const requireMembers = async (db, organizationId, userIds) => {
+    const ids = [...new Set(userIds)];
+    const result = await db.query(
+        'SELECT COUNT(*)::int AS count FROM memberships WHERE organization_id = $1 AND user_id = ANY($2::uuid[])',
+        [organizationId, ids]
+    );
+    return result.rows[0].count === ids.length ? null : { status: 400, error: 'Everyone named in the request must be a member of this organization' };
+};
+
+/**
+ * The requester must be able to see the task, and it must belong to the request's organization.
+ * @returns {Promise<{ status: number, error: string } | { task: object }>}
+ */
+export const requireVisibleTask = async (db, requester, organizationId, taskId) => {
+    const access = await resolveTaskAccess(db, requester, taskId);
+    if (!access.task || !canPerform(access.accessLevel, 'view')) return { status: 404, error: 'Task not found' };
+    if (access.task.organization_id !== organizationId) return { status: 400, error: 'The task belongs to another organization' };
+    return { task: access.task };
+};
+
+/**
+ * Lock a task for an executor. It may have been deleted since the request was made.
+ * @returns {Promise<{ status: number, error: string } | { task: object }>}
+ */
+export const lockTask = async (db, taskId) => {
+    const result = await db.query('SELECT * FROM tasks WHERE id = $1 AND deleted_at IS NULL FOR UPDATE', [taskId]);
+    if (result.rows.length === 0) return { status: 409, error: 'The task no longer exists' };
+    return { task: result.rows[0] };
+};
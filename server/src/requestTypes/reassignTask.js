@@ -0,0 +1,59 @@
+import { applyTaskUpdate } from '../services/taskUpdates.js';
+import { getTaskAudience, publishTaskChanges } from '../services/liveEvents.js';
+import { notifyTaskChange } from '../services/notifications.js';
+import { userNames, requireMembers, requireVisibleTask, lockTask } from './lookups.js';
+
+/**
+ * REASSIGN_TASK: hand a task to other people. With fromUserId only that assignee is swapped out,
+ * otherwise toUserIds replace the whole assignee list.
+ */
+export const reassignTask = {
+    type: 'REASSIGN_TASK',
+    label: 'Task Reassignment',
+    requiredApprovals: 1,
+    schema: {
+        taskId: { type: 'uuid' },
+        toUserIds: { type: 'uuid[]', minItems: 1 },
+        fromUserId: { type: 'uuid', optional: true },
+        reason: { type: 'string', optional: true, maxLength: 500 }
+    },
+
+    async authorize(db, { requester, organizationId, payload }) {
+        const visible = await requireVisibleTask(db, requester, organizationId, payload.taskId);
+        if (visible.error) return visible;
+        return requireMembers(db, organizationId, payload.toUserIds);
+    },
+
+    async describe(db, payload) {
+        const taskRes = await db.query('SELECT title FROM tasks WHERE id = $1', [payload.taskId]);
+        const names = await userNames(db, [...payload.toUserIds, payload.fromUserId]);
+        return {
+            taskTitle: taskRes.rows[0]?.title || null,
+            toUserNames: payload.toUserIds.map(id => names[id]).filter(Boolean),
+            fromUserName: payload.fromUserId ? names[payload.fromUserId] || null : null
+        };
+    },
+
+    async execute(db, { payload, actorId }) {
+        const { task: before, status, error } = await lockTask(db, payload.taskId);
+        if (error) return { status, error };
+
+        const currentRes = await db.query('SELECT user_id FROM task_collaborators WHERE task_id = $1', [before.id]);
+        const current = currentRes.rows.map(r => r.user_id);
+        const assignedTo = payload.fromUserId
+            ? [...new Set([...current.filter(id => id !== payload.fromUserId), ...payload.toUserIds])]
+            : payload.toUserIds;
+
+        // Reassignment can hide the task from someone; they still need to hear about it
+        const previousAudience = await getTaskAudience(db, before.id);
+        const outcome = await applyTaskUpdate(db, { before, updates: { assignedTo }, actorId });
+        if (outcome.error) return { status: 400, error: outcome.error };
+
+        return {
+            after: (pool) => {
+                publishTaskChanges(pool, 'updated', [before.id], { actorId, previousAudience });
+                notifyTaskChange(pool, { before, after: outcome.task, assignmentChanges: outcome.assignmentChanges, actorId });
+            }
+        };
+    }
+};
@@ -0,0 +1,175 @@
+import express from 'express';
+import { requireTaskAccess } from '../middleware/scopedAccessLogic.js';
+import { getDirectory } from '../services/directory.js';
+import { resolveMentions } from '../services/mentions.js';
+import { notifyUsers } from '../services/notifications.js';
+
+// Mounted under /tasks/:id/comments (see tasks router)
+export const createTaskCommentsRouter = (pool) => {
+    const router = express.Router({ mergeParams: true });
+
+    const fetchComments = async (db, whereClause, params) => {
+        const result = await db.query(`
+            SELECT c.*, u.display_name as author_name, u.avatar_url as author_avatar,
+                COALESCE(
+                    json_agg(json_build_object('id', mu.id, 'name', COALESCE(mu.display_name, split_part(mu.email, '@', 1))))
+                    FILTER (WHERE mu.id IS NOT NULL),
+                    '[]'
+                ) as mentions
+            FROM task_comments c
+            LEFT JOIN users u ON u.id = c.author_id
+            LEFT JOIN task_comment_mentions m ON m.comment_id = c.id
+            LEFT JOIN users mu ON mu.id = m.user_id
+            WHERE ${whereClause}
+            GROUP BY c.id, u.display_name, u.avatar_url
+            ORDER BY c.created_at ASC
+        `, params);
+
+        return result.rows.map(c => ({
+            id: c.id,
+            taskId: c.task_id,
+            authorId: c.author_id,
+            authorName: c.author_name,
+            authorAvatar: c.author_avatar,
+            body: c.body,
+            mentions: c.mentions,
+            createdAt: c.created_at,
+            editedAt: c.edited_at
+        }));
+    };
+
+    // Replace the mention rows of a comment with whatever the body references now.
+    // Returns the users mentioned for the first time (the ones to notify)
+    const syncMentions = async (client, req, commentId, body) => {
+        const colleagues = await getDirectory(client, req.dbUser);
+        const mentionedIds = resolveMentions(body, colleagues);
+
+        const previousRes = await client.query('SELECT user_id FROM task_comment_mentions WHERE comment_id = $1', [commentId]);
+        const previousIds = new Set(previousRes.rows.map(r => r.user_id));
+
+        await client.query('DELETE FROM task_comment_mentions WHERE comment_id = $1', [commentId]);
+        if (mentionedIds.length > 0) {
+            await client.query(
+                `INSERT INTO task_comment_mentions (comment_id, user_id)
+                 SELECT $1, unnest($2::uuid[])`,
+                [commentId, mentionedIds]
+            );
+        }
+        return mentionedIds.filter(id => !previousIds.has(id));
+    };
+
+    const notifyMentioned = (req, userIds, commentId) => notifyUsers(pool, {
+        userIds,
+        type: 'mentioned',
+        actorId: req.dbUser.id,
+        taskId: req.params.id,
+        data: { taskTitle: req.task.title, commentId }
+    });
+
+    // Only the author may edit; author, task owner or god may delete
+    const loadOwnComment = async (req, res, { allowTaskOwner = false } = {}) => {
+        const { commentId, id: taskId } = req.params;
+        const result = await pool.query('SELECT * FROM task_comments WHERE id = $1 AND task_id = $2', [commentId, taskId]);
+        if (result.rows.length === 0) {
+            res.status(404).json({ error: 'Comment not found' });
+            return null;
+        }
+
+        const comment = result.rows[0];
+        const isAuthor = comment.author_id === req.dbUser.id;
+        const isPrivileged = allowTaskOwner && ['owner', 'god'].includes(req.taskAccess);
+        if (!isAuthor && !isPrivileged) {
+            res.status(403).json({ error: 'You can only change your own comments.' });
+            return null;
+        }
+        return comment;
+    };
+
+    // GET /api/tasks/:id/comments
+    router.get('/', requireTaskAccess(pool, 'view'), async (req, res) => {
+        try {
+            const comments = await fetchComments(pool, 'c.task_id = $1', [req.params.id]);
+            res.json(comments);
+        } catch (error) {
+            console.error('GET /tasks/:id/comments Error:', error);
+            res.status(500).json({ error: 'Internal Server Error' });
+        }
+    });
+
+    // POST /api/tasks/:id/comments
+    router.post('/', requireTaskAccess(pool, 'comment'), async (req, res) => {
+        const body = (req.body.body || '').trim();
+        if (!body) return res.status(400).json({ error: 'Comment body is required' });
+
+        const client = await pool.connect();
+        try {
+            await client.query('BEGIN');
+
+            const insertRes = await client.query(
+                `INSERT INTO task_comments (task_id, author_id, body)
+                 VALUES ($1, $2, $3) RETURNING id`,
+                [req.params.id, req.dbUser.id, body]
+            );
+            const commentId = insertRes.rows[0].id;
+            const mentioned = await syncMentions(client, req, commentId, body);
+
+            await client.query('COMMIT');
+            notifyMentioned(req, mentioned, commentId);
+
+            const [comment] = await fetchComments(pool, 'c.id = $1', [commentId]);
+            res.status(201).json(comment);
+        } catch (error) {
+            await client.query('ROLLBACK');
+            console.error('POST /tasks/:id/comments Error:', error);
+            res.status(500).json({ error: 'Internal Server Error' });
+        } finally {
+            client.release();
+        }
+    });
+
+    // PATCH /api/tasks/:id/comments/:commentId
+    router.patch('/:commentId', requireTaskAccess(pool, 'comment'), async (req, res) => {
+        const body = (req.body.body || '').trim();
+        if (!body) return res.status(400).json({ error: 'Comment body is required' });
+
+        const client = await pool.connect();
+        try {
+            const comment = await loadOwnComment(req, res);
+            if (!comment) return;
+
+            await client.query('BEGIN');
+            await client.query(
+                'UPDATE task_comments SET body = $1, edited_at = NOW(), updated_at = NOW() WHERE id = $2',
+                [body, comment.id]
+            );
+            const mentioned = await syncMentions(client, req, comment.id, body);
+            await client.query('COMMIT');
+            notifyMentioned(req, mentioned, comment.id);
+
+            const [updated] = await fetchComments(pool, 'c.id = $1', [comment.id]);
+            res.json(updated);
+        } catch (error) {
+            await client.query('ROLLBACK');
+            console.error('PATCH /tasks/:id/comments/:commentId Error:', error);
+            res.status(500).json({ error: 'Internal Server Error' });
+        } finally {
+            client.release();
+        }
+    });
+
+    // DELETE /api/tasks/:id/comments/:commentId
+    router.delete('/:commentId', requireTaskAccess(pool, 'view'), async (req, res) => {
+        try {
+            const comment = await loadOwnComment(req, res, { allowTaskOwner: true });
+            if (!comment) return;
+
+            await pool.query('DELETE FROM task_comments WHERE id = $1', [comment.id]);
+            res.json({ message: 'Comment deleted' });
+        } catch (error) {
+            console.error('DELETE /tasks/:id/comments/:commentId Error:', error);
+            res.status(500).json({ error: 'Internal Server Error' });
+        }
+    });
+
+    return router;
+};
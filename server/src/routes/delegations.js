@@ -1,4 +1,20 @@
 import express from 'express';
+import { notifyUsers } from '../services/notifications.js';
+import { requireActiveOrganization } from '../services/organizations.js';
+import { validateDelegation, createDelegation } from '../services/delegations.js';
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+const MAX_HISTORY = 200;
+
+// Delegation rows with the people involved
+const DELEGATION_SELECT = `
+    SELECT d.*, u.display_name as delegate_name, u.email as delegate_email, u.avatar_url as delegate_avatar,
+           g.display_name as delegator_name, c.display_name as cancelled_by_name
+    FROM role_delegations d
+    JOIN users u ON d.delegate_id = u.id
+    LEFT JOIN users g ON d.delegator_id = g.id
+    LEFT JOIN users c ON d.cancelled_by = c.id
+`;
 
 export const createDelegationsRouter = (pool) => {
     const router = express.Router();
@@ -13,17 +29,15 @@ export const createDelegationsRouter = (pool) => {
 
     router.use(requireAdmin);
 
-    // GET / - List Active Delegations
+    // GET / - List Current Delegations (in effect, and scheduled to start later)
     router.get('/', async (req, res) => {
         try {
             const result = await pool.query(`
-                SELECT d.*, u.display_name as delegate_name, u.email as delegate_email, u.avatar_url as delegate_avatar
-                FROM role_delegations d
-                JOIN users u ON d.delegate_id = u.id
-                WHERE d.organization_id = $1 
+                ${DELEGATION_SELECT}
+                WHERE d.organization_id = $1
                 AND d.status = 'active'
                 AND d.expires_at > NOW()
-                ORDER BY d.created_at DESC
+                ORDER BY d.starts_at ASC, d.created_at DESC
             `, [req.dbUser.organization_id]);
             res.json(result.rows);
         } catch (err) {
@@ -32,23 +46,65 @@ export const createDelegationsRouter = (pool) => {
         }
     });
 
-    // POST / - Create Delegation
-    router.post('/', async (req, res) => {
-        const { delegateId, days } = req.body;
+    // GET /history - Ended Delegations (expired or cancelled), most recent first
+    // Query: ?delegateId= to narrow it to one person
+    router.get('/history', async (req, res) => {
+        const { delegateId } = req.query;
+        if (delegateId && !UUID_PATTERN.test(delegateId)) return res.status(400).json({ error: 'Invalid delegateId' });
+
+        try {
+            const params = [req.dbUser.organization_id];
+            let delegateFilter = '';
+            if (delegateId) {
+                params.push(delegateId);
+                delegateFilter = `AND d.delegate_id = $${params.length}`;
+            }
 
-        if (!delegateId || !days) {
-            return res.status(400).json({ error: 'Missing delegateId or days' });
+            // Ran out but not yet swept: history already
+            const result = await pool.query(`
+                ${DELEGATION_SELECT}
+                WHERE d.organization_id = $1
+                AND (d.status <> 'active' OR d.expires_at <= NOW())
+                ${delegateFilter}
+                ORDER BY COALESCE(d.ended_at, d.expires_at) DESC
+                LIMIT ${MAX_HISTORY}
+            `, params);
+            res.json(result.rows.map(d => (d.status === 'active' ? { ...d, status: 'expired', ended_at: d.expires_at } : d)));
+        } catch (err) {
+            console.error('Delegation History Error:', err);
+            res.status(500).json({ error: 'Failed to list delegation history' });
+        }
+    });
+
+    // POST / - Create Delegation
+    // Body: { delegateId, scope?: 'full'|'requests'|'project'|'users', scopeIds?, startsAt?, expiresAt? (or days), reason? }
+    // Temporary admins cannot pass admin rights on (they could outlast their own grant), as for GRANT_DELEGATION requests
+    router.post('/', requireActiveOrganization, async (req, res) => {
+        if (req.dbUser.is_delegated) {
+            return res.status(403).json({ error: 'Forbidden: Temporary admins cannot create delegations' });
         }
 
         try {
-            const result = await pool.query(`
-                INSERT INTO role_delegations 
-                (delegator_id, delegate_id, organization_id, role, starts_at, expires_at, status)
-                VALUES ($1, $2, $3, 'admin', NOW(), NOW() + make_interval(days => $4), 'active')
-                RETURNING *
-            `, [req.dbUser.id, delegateId, req.dbUser.organization_id, days]);
+            const { delegation, status, error } = await validateDelegation(pool, req.dbUser.organization_id, req.body);
+            if (error) return res.status(status).json({ error });
 
-            const newDelegation = result.rows[0];
+            const newDelegation = await createDelegation(pool, {
+                organizationId: req.dbUser.organization_id,
+                delegatorId: req.dbUser.id,
+                delegation
+            });
+
+            notifyUsers(pool, {
+                userIds: [delegation.delegateId],
+                type: 'delegation_granted',
+                actorId: req.dbUser.id,
+                data: {
+                    role: newDelegation.role,
+                    scope: newDelegation.scope,
+                    startsAt: newDelegation.starts_at,
+                    expiresAt: newDelegation.expires_at
+                }
+            });
             res.status(201).json(newDelegation);
         } catch (err) {
             console.error('Create Delegation Error:', err);
@@ -56,15 +112,18 @@ export const createDelegationsRouter = (pool) => {
         }
     });
 
-    // DELETE /:id - Cancel/Revoke Delegation
+    // DELETE /:id - Cancel/Revoke Delegation (in effect or scheduled)
     router.delete('/:id', async (req, res) => {
         const { id } = req.params;
+        if (!UUID_PATTERN.test(id)) return res.status(404).json({ error: 'Delegation not found' });
+
         try {
-            await pool.query(`
-                UPDATE role_delegations 
-                SET status = 'cancelled' 
-                WHERE id = $1 AND organization_id = $2
-            `, [id, req.dbUser.organization_id]);
+            const result = await pool.query(`
+                UPDATE role_delegations
+                SET status = 'cancelled', ended_at = NOW(), cancelled_by = $3
+                WHERE id = $1 AND organization_id = $2 AND status = 'active'
+            `, [id, req.dbUser.organization_id, req.dbUser.id]);
+            if (result.rowCount === 0) return res.status(404).json({ error: 'Delegation not found or already ended' });
             res.json({ success: true });
         } catch (err) {
             console.error('Revoke Delegation Error:', err);
@@ -0,0 +1,224 @@
+import express from 'express';
+import { requireTaskAccess, resolveTaskAccess, authorizeTaskAction } from '../middleware/scopedAccessLogic.js';
+import { recordActivity } from '../services/activityLog.js';
+import { publishTaskChanges } from '../services/liveEvents.js';
+import { mapDependency } from '../services/taskMapper.js';
+
+export const DEPENDENCY_TYPES = ['finish_to_start', 'start_to_start'];
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+// Mounted under /tasks/:id/dependencies (see tasks router). :id is always the successor.
+export const createTaskDependenciesRouter = (pool) => {
+    const router = express.Router({ mergeParams: true });
+
+    const validate = ({ type, lagDays }) => {
+        if (type !== undefined && !DEPENDENCY_TYPES.includes(type)) {
+            return `Invalid type. Must be one of: ${DEPENDENCY_TYPES.join(', ')}`;
+        }
+        if (lagDays !== undefined && !Number.isInteger(lagDays)) {
+            return 'lagDays must be an integer';
+        }
+        return null;
+    };
+
+    // True when `successorId` already (transitively) precedes `predecessorId`
+    const wouldCreateCycle = async (db, predecessorId, successorId) => {
+        const result = await db.query(
+            `WITH RECURSIVE downstream AS (
+                SELECT successor_id FROM task_dependencies WHERE predecessor_id = $1
+                UNION
+                SELECT d.successor_id FROM task_dependencies d
+                JOIN downstream ds ON d.predecessor_id = ds.successor_id
+            )
+            SELECT 1 FROM downstream WHERE successor_id = $2 LIMIT 1`,
+            [successorId, predecessorId]
+        );
+        return result.rows.length > 0;
+    };
+
+    // Row-lock the predecessor and everything downstream of the successor (itself included), in id order.
+    // Any concurrent link that could close a cycle with this one locks the same predecessor-side task,
+    // so the two cycle checks run one after the other instead of both passing.
+    const lockDependencyChain = async (db, predecessorId, successorId) => {
+        await db.query(
+            `WITH RECURSIVE downstream AS (
+                SELECT $2::uuid AS id
+                UNION
+                SELECT d.successor_id FROM task_dependencies d
+                JOIN downstream ds ON d.predecessor_id = ds.id
+            )
+            SELECT t.id FROM tasks t
+            WHERE t.id = $1 OR t.id IN (SELECT id FROM downstream)
+            ORDER BY t.id
+            FOR UPDATE OF t`,
+            [predecessorId, successorId]
+        );
+    };
+
+    const loadDependency = async (req, res) => {
+        const result = await pool.query(
+            'SELECT * FROM task_dependencies WHERE id = $1 AND successor_id = $2',
+            [req.params.dependencyId, req.params.id]
+        );
+        if (result.rows.length === 0) {
+            res.status(404).json({ error: 'Dependency not found' });
+            return null;
+        }
+        return result.rows[0];
+    };
+
+    // GET /api/tasks/:id/dependencies
+    router.get('/', requireTaskAccess(pool, 'view'), async (req, res) => {
+        try {
+            const result = await pool.query(
+                `SELECT d.*, p.title as predecessor_title, s.title as successor_title
+                 FROM task_dependencies d
+                 JOIN tasks p ON p.id = d.predecessor_id
+                 JOIN tasks s ON s.id = d.successor_id
+                 WHERE (d.successor_id = $1 OR d.predecessor_id = $1)
+                 AND p.deleted_at IS NULL AND s.deleted_at IS NULL
+                 ORDER BY d.created_at ASC`,
+                [req.params.id]
+            );
+
+            res.json({
+                predecessors: result.rows
+                    .filter(d => d.successor_id === req.params.id)
+                    .map(d => ({ ...mapDependency(d), title: d.predecessor_title })),
+                successors: result.rows
+                    .filter(d => d.predecessor_id === req.params.id)
+                    .map(d => ({ ...mapDependency(d), title: d.successor_title }))
+            });
+        } catch (error) {
+            console.error('GET /tasks/:id/dependencies Error:', error);
+            res.status(500).json({ error: 'Internal Server Error' });
+        }
+    });
+
+    // POST /api/tasks/:id/dependencies { predecessorId, type?, lagDays? }
+    router.post('/', requireTaskAccess(pool, 'edit'), async (req, res) => {
+        const { id: successorId } = req.params;
+        const { predecessorId, type = 'finish_to_start', lagDays = 0 } = req.body;
+
+        if (!predecessorId) return res.status(400).json({ error: 'predecessorId is required' });
+        if (typeof predecessorId !== 'string' || !UUID_PATTERN.test(predecessorId)) return res.status(400).json({ error: 'Invalid predecessorId' });
+        if (predecessorId === successorId) return res.status(400).json({ error: 'A task cannot depend on itself' });
+        const invalid = validate({ type, lagDays });
+        if (invalid) return res.status(400).json({ error: invalid });
+
+        let client = null; // Connected once the predecessor checks out
+        try {
+            // The predecessor must be visible to the requester too
+            const predecessorAccess = await resolveTaskAccess(pool, req.dbUser, predecessorId);
+            if (!authorizeTaskAction(res, predecessorAccess, 'view')) return;
+
+            client = await pool.connect();
+            await client.query('BEGIN');
+            await lockDependencyChain(client, predecessorId, successorId);
+
+            if (await wouldCreateCycle(client, predecessorId, successorId)) {
+                await client.query('ROLLBACK');
+                return res.status(409).json({ error: 'This dependency would create a cycle' });
+            }
+
+            const result = await client.query(
+                `INSERT INTO task_dependencies (predecessor_id, successor_id, type, lag_days, created_by)
+                 VALUES ($1, $2, $3, $4, $5)
+                 ON CONFLICT (predecessor_id, successor_id) DO NOTHING
+                 RETURNING *`,
+                [predecessorId, successorId, type, lagDays, req.dbUser.id]
+            );
+            if (result.rows.length === 0) {
+                await client.query('ROLLBACK');
+                return res.status(409).json({ error: 'Dependency already exists' });
+            }
+
+            await recordActivity(client, {
+                taskId: successorId,
+                organizationId: req.task.organization_id,
+                actorId: req.dbUser.id,
+                action: 'dependency_added',
+                field: 'dependencies',
+                newValue: { predecessorId, title: predecessorAccess.task.title, type, lagDays }
+            });
+            await client.query('COMMIT');
+
+            publishTaskChanges(pool, 'updated', [successorId], { actorId: req.dbUser.id });
+            res.status(201).json(mapDependency(result.rows[0]));
+        } catch (error) {
+            if (client) await client.query('ROLLBACK');
+            console.error('POST /tasks/:id/dependencies Error:', error);
+            res.status(500).json({ error: 'Internal Server Error' });
+        } finally {
+            client?.release();
+        }
+    });
+
+    // PATCH /api/tasks/:id/dependencies/:dependencyId { type?, lagDays? }
+    router.patch('/:dependencyId', requireTaskAccess(pool, 'edit'), async (req, res) => {
+        const { type, lagDays } = req.body;
+        const invalid = validate({ type, lagDays });
+        if (invalid) return res.status(400).json({ error: invalid });
+
+        try {
+            const dependency = await loadDependency(req, res);
+            if (!dependency) return;
+
+            const result = await pool.query(
+                `UPDATE task_dependencies SET type = COALESCE($1, type), lag_days = COALESCE($2, lag_days)
+                 WHERE id = $3 RETURNING *`,
+                [type ?? null, lagDays ?? null, dependency.id]
+            );
+            const updated = result.rows[0];
+
+            if (updated.type !== dependency.type || updated.lag_days !== dependency.lag_days) {
+                const predecessorRes = await pool.query('SELECT title FROM tasks WHERE id = $1', [dependency.predecessor_id]);
+                const title = predecessorRes.rows[0]?.title;
+                await recordActivity(pool, {
+                    taskId: dependency.successor_id,
+                    organizationId: req.task.organization_id,
+                    actorId: req.dbUser.id,
+                    action: 'dependency_updated',
+                    field: 'dependencies',
+                    oldValue: { predecessorId: dependency.predecessor_id, title, type: dependency.type, lagDays: dependency.lag_days },
+                    newValue: { predecessorId: updated.predecessor_id, title, type: updated.type, lagDays: updated.lag_days }
+                });
+
+                publishTaskChanges(pool, 'updated', [dependency.successor_id], { actorId: req.dbUser.id });
+            }
+            res.json(mapDependency(updated));
+        } catch (error) {
+            console.error('PATCH /tasks/:id/dependencies/:dependencyId Error:', error);
+            res.status(500).json({ error: 'Internal Server Error' });
+        }
+    });
+
+    // DELETE /api/tasks/:id/dependencies/:dependencyId
+    router.delete('/:dependencyId', requireTaskAccess(pool, 'edit'), async (req, res) => {
+        try {
+            const dependency = await loadDependency(req, res);
+            if (!dependency) return;
+
+            await pool.query('DELETE FROM task_dependencies WHERE id = $1', [dependency.id]);
+
+            const predecessorRes = await pool.query('SELECT title FROM tasks WHERE id = $1', [dependency.predecessor_id]);
+            await recordActivity(pool, {
+                taskId: dependency.successor_id,
+                organizationId: req.task.organization_id,
+                actorId: req.dbUser.id,
+                action: 'dependency_removed',
+                field: 'dependencies',
+                oldValue: { predecessorId: dependency.predecessor_id, title: predecessorRes.rows[0]?.title, type: dependency.type, lagDays: dependency.lag_days }
+            });
+
+            publishTaskChanges(pool, 'updated', [dependency.successor_id], { actorId: req.dbUser.id });
+            res.json({ message: 'Dependency removed' });
+        } catch (error) {
+            console.error('DELETE /tasks/:id/dependencies/:dependencyId Error:', error);
+            res.status(500).json({ error: 'Internal Server Error' });
+        }
+    });
+
+    return router;
+};
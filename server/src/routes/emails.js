@@ -0,0 +1,80 @@
+import express from 'express';
+import { mapEmail, EMAIL_STATUSES } from '../services/emailOutbox.js';
+
+const MAX_LIMIT = 200;
+
+// Delivery status is for admins: their organization's mail (god sees everything)
+export const createEmailsRouter = (pool) => {
+    const router = express.Router();
+
+    router.use((req, res, next) => {
+        if (req.dbUser.role !== 'admin' && req.dbUser.role !== 'god') {
+            return res.status(403).json({ error: 'Forbidden: Insufficient permissions' });
+        }
+        next();
+    });
+
+    const scope = (dbUser, params) => {
+        if (dbUser.role === 'god') return 'TRUE';
+        params.push(dbUser.organization_id);
+        return `organization_id = $${params.length}`;
+    };
+
+    // GET /api/emails?status=failed&limit=50
+    // Newest first, plus per-status counts for the whole (scoped) outbox
+    router.get('/', async (req, res) => {
+        try {
+            const { status } = req.query;
+            if (status && !EMAIL_STATUSES.includes(status)) {
+                return res.status(400).json({ error: `status must be one of: ${EMAIL_STATUSES.join(', ')}` });
+            }
+            const limit = Math.min(Number(req.query.limit) || 50, MAX_LIMIT);
+
+            const params = [limit];
+            let where = scope(req.dbUser, params);
+            if (status) {
+                params.push(status);
+                where += ` AND status = $${params.length}`;
+            }
+
+            const result = await pool.query(
+                `SELECT * FROM email_outbox WHERE ${where} ORDER BY created_at DESC LIMIT $1`,
+                params
+            );
+            const countsParams = [];
+            const countsRes = await pool.query(
+                `SELECT status, COUNT(*)::int AS count FROM email_outbox WHERE ${scope(req.dbUser, countsParams)} GROUP BY status`,
+                countsParams
+            );
+
+            const counts = Object.fromEntries(EMAIL_STATUSES.map(s => [s, 0]));
+            countsRes.rows.forEach(r => { counts[r.status] = r.count; });
+
+            res.json({ emails: result.rows.map(mapEmail), counts });
+        } catch (error) {
+            console.error('GET /emails Error:', error);
+            res.status(500).json({ error: 'Internal Server Error' });
+        }
+    });
+
+    // POST /api/emails/:id/retry - Send a failed email again (fresh attempts, next sweep)
+    router.post('/:id/retry', async (req, res) => {
+        try {
+            const params = [req.params.id];
+            const result = await pool.query(
+                `UPDATE email_outbox
+                 SET status = 'pending', attempts = 0, next_attempt_at = NOW(), last_error = NULL
+                 WHERE id = $1 AND status = 'failed' AND ${scope(req.dbUser, params)}
+                 RETURNING *`,
+                params
+            );
+            if (result.rows.length === 0) return res.status(404).json({ error: 'Failed email not found' });
+            res.json(mapEmail(result.rows[0]));
+        } catch (error) {
+            console.error('POST /emails/:id/retry Error:', error);
+            res.status(500).json({ error: 'Internal Server Error' });
+        }
+    });
+
+    return router;
+};
@@ -0,0 +1,33 @@
+import express from 'express';
+import { subscribe } from '../services/liveEvents.js';
+
+const HEARTBEAT_MS = 25 * 1000; // Keep proxies / load balancers from closing idle streams
+
+export const createEventsRouter = () => {
+    const router = express.Router();
+
+    // GET /api/events
+    // Server-Sent Events stream of changes the requester can see (see services/liveEvents.js)
+    router.get('/', (req, res) => {
+        res.set({
+            'Content-Type': 'text/event-stream',
+            'Cache-Control': 'no-cache, no-transform',
+            'Connection': 'keep-alive',
+            'X-Accel-Buffering': 'no'
+        });
+        res.flushHeaders();
+
+        const send = (event) => res.write(`event: change\ndata: ${JSON.stringify(event)}\n\n`);
+        const unsubscribe = subscribe(req.dbUser, send);
+
+        res.write(`event: ready\ndata: ${JSON.stringify({ userId: req.dbUser.id })}\n\n`);
+        const heartbeat = setInterval(() => res.write(': ping\n\n'), HEARTBEAT_MS);
+
+        req.on('close', () => {
+            clearInterval(heartbeat);
+            unsubscribe();
+        });
+    });
+
+    return router;
+};
@@ -0,0 +1,225 @@
+import express from 'express';
+import crypto from 'crypto';
+import busboy from 'busboy';
+import { Transform } from 'stream';
+import { requireTaskAccess } from '../middleware/scopedAccessLogic.js';
+import { recordActivity } from '../services/activityLog.js';
+import { publishTaskChanges } from '../services/liveEvents.js';
+import { MAX_UPLOAD_BYTES, MAX_FILES_PER_UPLOAD, ALLOWED_MIME_TYPES } from '../storage/index.js';
+
+const mapFile = (f) => ({
+    id: f.id,
+    taskId: f.task_id,
+    name: f.original_name,
+    mimeType: f.mime_type,
+    size: Number(f.size_bytes),
+    uploadedBy: f.uploaded_by,
+    uploaderName: f.uploader_name,
+    createdAt: f.created_at
+});
+
+class UploadError extends Error {
+    constructor(status, message) {
+        super(message);
+        this.status = status;
+    }
+}
+
+/**
+ * Stream multipart files straight into the storage driver.
+ * Resolves with the stored file descriptors; on any rejection, already-stored files are removed.
+ */
+const receiveUpload = (req, storage, taskId) => new Promise((resolve, reject) => {
+    let bb;
+    try {
+        bb = busboy({ headers: req.headers, limits: { fileSize: MAX_UPLOAD_BYTES, files: MAX_FILES_PER_UPLOAD } });
+    } catch (err) {
+        return reject(new UploadError(400, 'Expected a multipart/form-data upload'));
+    }
+
+    const stored = [];
+    const pending = [];
+    let failure = null;
+
+    bb.on('file', (fieldName, file, info) => {
+        const { filename, mimeType } = info;
+
+        if (failure) return file.resume();
+        if (!ALLOWED_MIME_TYPES.includes(mimeType)) {
+            failure = new UploadError(415, `File type not allowed: ${mimeType}`);
+            return file.resume();
+        }
+
+        const id = crypto.randomUUID();
+        const entry = { id, name: filename, mimeType, size: 0, storageKey: `${taskId}/${id}` };
+        // Count bytes on the way through (a 'data' listener would start the flow before the driver is ready)
+        const counter = new Transform({
+            transform(chunk, encoding, callback) {
+                entry.size += chunk.length;
+                callback(null, chunk);
+            }
+        });
+        file.on('limit', () => {
+            failure = failure || new UploadError(413, `${filename} exceeds the ${Math.round(MAX_UPLOAD_BYTES / 1024 / 1024)} MB limit`);
+        });
+
+        stored.push(entry);
+        pending.push(storage.save(entry.storageKey, file.pipe(counter)));
+    });
+
+    bb.on('filesLimit', () => {
+        failure = failure || new UploadError(413, `At most ${MAX_FILES_PER_UPLOAD} files per upload`);
+    });
+
+    bb.on('error', (err) => { failure = failure || err; });
+
+    bb.on('close', async () => {
+        try {
+            await Promise.all(pending);
+        } catch (err) {
+            failure = failure || err;
+        }
+
+        if (failure || stored.length === 0) {
+            await Promise.all(stored.map(f => storage.remove(f.storageKey).catch(() => { })));
+            return reject(failure || new UploadError(400, 'No files received'));
+        }
+        resolve(stored);
+    });
+
+    // Cloud Functions pre-buffers the body; plain Express gives us the raw stream
+    if (req.rawBody) bb.end(req.rawBody);
+    else req.pipe(bb);
+});
+
+// Mounted under /tasks/:id/files (see tasks router)
+export const createTaskFilesRouter = (pool, storage) => {
+    const router = express.Router({ mergeParams: true });
+
+    // GET /api/tasks/:id/files
+    router.get('/', requireTaskAccess(pool, 'view'), async (req, res) => {
+        try {
+            const result = await pool.query(
+                `SELECT f.*, u.display_name as uploader_name
+                 FROM task_files f
+                 LEFT JOIN users u ON u.id = f.uploaded_by
+                 WHERE f.task_id = $1
+                 ORDER BY f.created_at DESC`,
+                [req.params.id]
+            );
+            res.json(result.rows.map(mapFile));
+        } catch (error) {
+            console.error('GET /tasks/:id/files Error:', error);
+            res.status(500).json({ error: 'Internal Server Error' });
+        }
+    });
+
+    // POST /api/tasks/:id/files (multipart/form-data, field name "files")
+    router.post('/', requireTaskAccess(pool, 'edit'), async (req, res) => {
+        const { id: taskId } = req.params;
+
+        let uploaded;
+        try {
+            uploaded = await receiveUpload(req, storage, taskId);
+        } catch (error) {
+            if (error instanceof UploadError) return res.status(error.status).json({ error: error.message });
+            console.error('POST /tasks/:id/files Upload Error:', error);
+            return res.status(500).json({ error: 'Upload failed' });
+        }
+
+        const client = await pool.connect();
+        try {
+            await client.query('BEGIN');
+
+            const rows = [];
+            for (const f of uploaded) {
+                const insertRes = await client.query(
+                    `INSERT INTO task_files (id, task_id, organization_id, uploaded_by, original_name, mime_type, size_bytes, storage_driver, storage_key)
+                     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9) RETURNING *`,
+                    [f.id, taskId, req.task.organization_id, req.dbUser.id, f.name, f.mimeType, f.size, storage.name, f.storageKey]
+                );
+                rows.push(insertRes.rows[0]);
+
+                await recordActivity(client, {
+                    taskId,
+                    organizationId: req.task.organization_id,
+                    actorId: req.dbUser.id,
+                    action: 'file_added',
+                    field: 'files',
+                    newValue: { fileId: f.id, name: f.name }
+                });
+            }
+
+            await client.query('COMMIT');
+            publishTaskChanges(pool, 'updated', [req.task.id], { actorId: req.dbUser.id });
+            res.status(201).json(rows.map(mapFile));
+        } catch (error) {
+            await client.query('ROLLBACK');
+            await Promise.all(uploaded.map(f => storage.remove(f.storageKey).catch(() => { })));
+            console.error('POST /tasks/:id/files Error:', error);
+            res.status(500).json({ error: 'Internal Server Error' });
+        } finally {
+            client.release();
+        }
+    });
+
+    // GET /api/tasks/:id/files/:fileId/download (?inline=1 for previews)
+    router.get('/:fileId/download', requireTaskAccess(pool, 'view'), async (req, res) => {
+        try {
+            const result = await pool.query('SELECT * FROM task_files WHERE id = $1 AND task_id = $2', [req.params.fileId, req.params.id]);
+            if (result.rows.length === 0) return res.status(404).json({ error: 'File not found' });
+
+            const file = result.rows[0];
+            const disposition = req.query.inline === '1' ? 'inline' : 'attachment';
+
+            res.setHeader('Content-Type', file.mime_type);
+            res.setHeader('Content-Length', file.size_bytes);
+            res.setHeader('Content-Disposition', `${disposition}; filename*=UTF-8''${encodeURIComponent(file.original_name)}`);
+            res.setHeader('X-Content-Type-Options', 'nosniff');
+
+            const stream = storage.createReadStream(file.storage_key);
+            stream.on('error', (err) => {
+                console.error('File Stream Error:', err);
+                if (!res.headersSent) res.status(404).json({ error: 'File content missing' });
+                else res.destroy(err);
+            });
+            stream.pipe(res);
+        } catch (error) {
+            console.error('GET /tasks/:id/files/:fileId/download Error:', error);
+            res.status(500).json({ error: 'Internal Server Error' });
+        }
+    });
+
+    // DELETE /api/tasks/:id/files/:fileId (uploader, task owner or god)
+    router.delete('/:fileId', requireTaskAccess(pool, 'edit'), async (req, res) => {
+        try {
+            const result = await pool.query('SELECT * FROM task_files WHERE id = $1 AND task_id = $2', [req.params.fileId, req.params.id]);
+            if (result.rows.length === 0) return res.status(404).json({ error: 'File not found' });
+
+            const file = result.rows[0];
+            if (file.uploaded_by !== req.dbUser.id && !['owner', 'god'].includes(req.taskAccess)) {
+                return res.status(403).json({ error: 'Only the uploader or task owner can delete this file.' });
+            }
+
+            await pool.query('DELETE FROM task_files WHERE id = $1', [file.id]);
+            await storage.remove(file.storage_key);
+
+            await recordActivity(pool, {
+                taskId: file.task_id,
+                organizationId: file.organization_id,
+                actorId: req.dbUser.id,
+                action: 'file_deleted',
+                field: 'files',
+                oldValue: { fileId: file.id, name: file.original_name }
+            });
+
+            publishTaskChanges(pool, 'updated', [file.task_id], { actorId: req.dbUser.id });
+            res.json({ message: 'File deleted' });
+        } catch (error) {
+            console.error('DELETE /tasks/:id/files/:fileId Error:', error);
+            res.status(500).json({ error: 'Internal Server Error' });
+        }
+    });
+
+    return router;
+};
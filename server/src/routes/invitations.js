@@ -0,0 +1,217 @@
+import express from 'express';
+import {
+    parseInvitationToken, verifyInvitationToken, isExpired, mapInvitation, getInvitation,
+    renewInvitation, acceptInvitation, closeInvitation
+} from '../services/invitations.js';
+import { queueInvitationEmail } from '../services/emailOutbox.js';
+import { publishTaskChanges } from '../services/liveEvents.js';
+
+const INVITATION_STATUSES = ['pending', 'accepted', 'declined', 'revoked'];
+
+const isAdmin = (dbUser) => dbUser.role === 'admin' || dbUser.role === 'god';
+
+// Lock the invitation a token points at and check it can still be answered.
+// Returns { invitation } or { status, error } (the caller rolls back)
+const lockByToken = async (client, token) => {
+    const id = parseInvitationToken(token);
+    const result = id ? await client.query('SELECT * FROM invitations WHERE id = $1 FOR UPDATE', [id]) : { rows: [] };
+    const invitation = result.rows[0];
+
+    if (!invitation || !verifyInvitationToken(invitation, token)) return { status: 404, error: 'Invitation not found' };
+    if (invitation.status !== 'pending') return { status: 409, error: `This invitation was already ${invitation.status}` };
+    if (isExpired(invitation)) return { status: 410, error: 'This invitation has expired. Ask for a new one.' };
+    return { invitation };
+};
+
+export const createInvitationsRouter = (pool) => {
+    const router = express.Router();
+
+    // GET /api/invitations?status=pending (Admin: own organization's invitations; god sees all)
+    router.get('/', async (req, res) => {
+        try {
+            if (!isAdmin(req.dbUser)) return res.status(403).json({ error: 'Forbidden: Insufficient permissions' });
+
+            const { status } = req.query;
+            if (status && !INVITATION_STATUSES.includes(status)) {
+                return res.status(400).json({ error: `status must be one of: ${INVITATION_STATUSES.join(', ')}` });
+            }
+
+            const params = [];
+            const where = [];
+            if (req.dbUser.role !== 'god') {
+                params.push(req.dbUser.organization_id);
+                where.push(`i.organization_id = $${params.length}`);
+            }
+            if (status) {
+                params.push(status);
+                where.push(`i.status = $${params.length}`);
+            }
+
+            const result = await pool.query(
+                `SELECT i.*, o.name AS organization_name, u.display_name AS inviter_name
+                 FROM invitations i
+                 LEFT JOIN organizations o ON o.id = i.organization_id
+                 LEFT JOIN users u ON u.id = i.invited_by
+                 ${where.length > 0 ? `WHERE ${where.join(' AND ')}` : ''}
+                 ORDER BY i.created_at DESC
+                 LIMIT 200`,
+                params
+            );
+            res.json(result.rows.map(mapInvitation));
+        } catch (error) {
+            console.error('GET /invitations Error:', error);
+            res.status(500).json({ error: 'Internal Server Error' });
+        }
+    });
+
+    // GET /api/invitations/:token (Accept page: who invited you, to which organization and tasks)
+    router.get('/:token', async (req, res) => {
+        try {
+            const id = parseInvitationToken(req.params.token);
+            const invitation = id && await getInvitation(pool, id);
+            if (!invitation || !verifyInvitationToken(invitation, req.params.token)) {
+                return res.status(404).json({ error: 'Invitation not found' });
+            }
+
+            const tasksRes = await pool.query(
+                'SELECT id, title, due_date FROM tasks WHERE id = ANY($1::uuid[]) AND deleted_at IS NULL ORDER BY due_date ASC NULLS LAST',
+                [invitation.task_ids]
+            );
+
+            res.json({
+                ...mapInvitation(invitation),
+                tasks: tasksRes.rows.map(t => ({ id: t.id, title: t.title, dueDate: t.due_date })),
+                emailMatches: (req.dbUser.email || req.user?.email) === invitation.email
+            });
+        } catch (error) {
+            console.error('GET /invitations/:token Error:', error);
+            res.status(500).json({ error: 'Internal Server Error' });
+        }
+    });
+
+    // POST /api/invitations/:token/accept (Claim: the invitation's access moves to the signed-in account)
+    router.post('/:token/accept', async (req, res) => {
+        const client = await pool.connect();
+        try {
+            await client.query('BEGIN');
+
+            const { invitation, status, error } = await lockByToken(client, req.params.token);
+            if (error) {
+                await client.query('ROLLBACK');
+                return res.status(status).json({ error });
+            }
+
+            const taskIds = await acceptInvitation(client, invitation, req.dbUser);
+            console.log(`[Invite] ${req.dbUser.id} accepted invitation ${invitation.id} (ghost ${invitation.ghost_user_id}, ${taskIds.length} task(s))`);
+
+            await client.query('COMMIT');
+            publishTaskChanges(pool, 'updated', taskIds, { actorId: req.dbUser.id });
+
+            res.json({ ...mapInvitation(await getInvitation(pool, invitation.id)), taskIds });
+        } catch (error) {
+            await client.query('ROLLBACK');
+            console.error('POST /invitations/:token/accept Error:', error);
+            res.status(500).json({ error: 'Internal Server Error' });
+        } finally {
+            client.release();
+        }
+    });
+
+    // POST /api/invitations/:token/decline
+    router.post('/:token/decline', async (req, res) => {
+        const client = await pool.connect();
+        try {
+            await client.query('BEGIN');
+
+            const { invitation, status, error } = await lockByToken(client, req.params.token);
+            if (error) {
+                await client.query('ROLLBACK');
+                return res.status(status).json({ error });
+            }
+
+            const taskIds = await closeInvitation(client, invitation, { status: 'declined', actorId: req.dbUser.id });
+
+            await client.query('COMMIT');
+            publishTaskChanges(pool, 'updated', taskIds, { actorId: req.dbUser.id });
+
+            res.json(mapInvitation(await getInvitation(pool, invitation.id)));
+        } catch (error) {
+            await client.query('ROLLBACK');
+            console.error('POST /invitations/:token/decline Error:', error);
+            res.status(500).json({ error: 'Internal Server Error' });
+        } finally {
+            client.release();
+        }
+    });
+
+    // Admin actions on a pending invitation by id, scoped like GET /
+    const lockForAdmin = async (client, req) => {
+        const params = [req.params.id];
+        let query = `SELECT * FROM invitations WHERE id = $1 AND status = 'pending'`;
+        if (req.dbUser.role !== 'god') {
+            params.push(req.dbUser.organization_id);
+            query += ' AND organization_id = $2';
+        }
+        const result = await client.query(`${query} FOR UPDATE`, params);
+        return result.rows[0] || null;
+    };
+
+    // POST /api/invitations/:id/revoke (Admin)
+    router.post('/:id/revoke', async (req, res) => {
+        if (!isAdmin(req.dbUser)) return res.status(403).json({ error: 'Forbidden: Insufficient permissions' });
+
+        const client = await pool.connect();
+        try {
+            await client.query('BEGIN');
+
+            const invitation = await lockForAdmin(client, req);
+            if (!invitation) {
+                await client.query('ROLLBACK');
+                return res.status(404).json({ error: 'Pending invitation not found' });
+            }
+
+            const taskIds = await closeInvitation(client, invitation, { status: 'revoked', actorId: req.dbUser.id });
+
+            await client.query('COMMIT');
+            publishTaskChanges(pool, 'updated', taskIds, { actorId: req.dbUser.id });
+
+            res.json(mapInvitation(await getInvitation(pool, invitation.id)));
+        } catch (error) {
+            await client.query('ROLLBACK');
+            console.error('POST /invitations/:id/revoke Error:', error);
+            res.status(500).json({ error: 'Internal Server Error' });
+        } finally {
+            client.release();
+        }
+    });
+
+    // POST /api/invitations/:id/resend (Admin: fresh expiry and link; earlier links stop working)
+    router.post('/:id/resend', async (req, res) => {
+        if (!isAdmin(req.dbUser)) return res.status(403).json({ error: 'Forbidden: Insufficient permissions' });
+
+        const client = await pool.connect();
+        try {
+            await client.query('BEGIN');
+
+            const pending = await lockForAdmin(client, req);
+            if (!pending) {
+                await client.query('ROLLBACK');
+                return res.status(404).json({ error: 'Pending invitation not found' });
+            }
+
+            const invitation = await renewInvitation(client, pending.id);
+            await queueInvitationEmail(client, invitation);
+
+            await client.query('COMMIT');
+            res.json(mapInvitation(await getInvitation(pool, invitation.id)));
+        } catch (error) {
+            await client.query('ROLLBACK');
+            console.error('POST /invitations/:id/resend Error:', error);
+            res.status(500).json({ error: 'Internal Server Error' });
+        } finally {
+            client.release();
+        }
+    });
+
+    return router;
+};
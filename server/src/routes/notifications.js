@@ -0,0 +1,80 @@
+import express from 'express';
+import { mapNotification } from '../services/notifications.js';
+
+const MAX_LIMIT = 100;
+
+export const createNotificationsRouter = (pool) => {
+    const router = express.Router();
+
+    // GET /api/notifications?unread=true&limit=30&before=<createdAt>
+    // Own notifications, newest first, plus the unread count for the badge
+    router.get('/', async (req, res) => {
+        const before = req.query.before ? new Date(req.query.before) : null;
+        if (before && isNaN(before.getTime())) return res.status(400).json({ error: 'before must be a valid date' });
+
+        try {
+            const { id: userId } = req.dbUser;
+            const limit = Math.min(Math.max(Number(req.query.limit) || 30, 1), MAX_LIMIT);
+            const params = [userId, limit];
+            let where = 'n.user_id = $1';
+
+            if (req.query.unread === 'true') where += ' AND n.read_at IS NULL';
+            if (before) {
+                params.push(before);
+                where += ` AND n.created_at < $${params.length}`;
+            }
+
+            const result = await pool.query(
+                `SELECT n.*, u.display_name as actor_name
+                 FROM notifications n
+                 LEFT JOIN users u ON u.id = n.actor_id
+                 WHERE ${where}
+                 ORDER BY n.created_at DESC
+                 LIMIT $2`,
+                params
+            );
+            const countRes = await pool.query(
+                'SELECT COUNT(*)::int as unread FROM notifications WHERE user_id = $1 AND read_at IS NULL',
+                [userId]
+            );
+
+            res.json({ notifications: result.rows.map(mapNotification), unreadCount: countRes.rows[0].unread });
+        } catch (error) {
+            console.error('GET /notifications Error:', error);
+            res.status(500).json({ error: 'Internal Server Error' });
+        }
+    });
+
+    // POST /api/notifications/read-all
+    router.post('/read-all', async (req, res) => {
+        try {
+            const result = await pool.query(
+                'UPDATE notifications SET read_at = NOW() WHERE user_id = $1 AND read_at IS NULL',
+                [req.dbUser.id]
+            );
+            res.json({ updated: result.rowCount });
+        } catch (error) {
+            console.error('POST /notifications/read-all Error:', error);
+            res.status(500).json({ error: 'Internal Server Error' });
+        }
+    });
+
+    // POST /api/notifications/:id/read
+    router.post('/:id/read', async (req, res) => {
+        try {
+            const result = await pool.query(
+                `UPDATE notifications SET read_at = COALESCE(read_at, NOW())
+                 WHERE id = $1 AND user_id = $2
+                 RETURNING *`,
+                [req.params.id, req.dbUser.id]
+            );
+            if (result.rows.length === 0) return res.status(404).json({ error: 'Notification not found' });
+            res.json(mapNotification(result.rows[0]));
+        } catch (error) {
+            console.error('POST /notifications/:id/read Error:', error);
+            res.status(500).json({ error: 'Internal Server Error' });
+        }
+    });
+
+    return router;
+};
@@ -0,0 +1,459 @@
+import express from 'express';
+import {
+    ORGANIZATION_ROLES, PLAN_TIERS, mapOrganization, mapMember, mapDomainRule, normalizeDomain,
+    createOrganization, setMemberRole, removeMember
+} from '../services/organizations.js';
+import { hasDelegatedScope } from '../services/delegations.js';
+import {
+    mapApiToken, mapServiceAccount, validateTokenRequest, createApiToken, revokeApiToken, createServiceAccount, disableServiceAccount
+} from '../services/apiTokens.js';
+import { requireSession } from './tokens.js';
+import { DEFAULT_WORKFLOW, validateWorkflow } from '../services/workflows.js';
+import { DEFAULT_PRIORITY_LEVELS, validatePriorityLevels } from '../../../shared/priorities.js';
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+const isGod = (dbUser) => dbUser.role === 'god';
+
+// Org admins manage the organization they are working in (their role is per active organization); gods manage any
+const canManage = (dbUser, organizationId) => isGod(dbUser) || (dbUser.role === 'admin' && dbUser.organization_id === organizationId);
+
+export const createOrganizationsRouter = (pool) => {
+    const router = express.Router();
+
+    // Malformed ids are simply not found (rather than a uuid cast error)
+    const NOT_FOUND = {
+        id: 'Organization not found', userId: 'Member not found', domainId: 'Domain rule not found',
+        accountId: 'Service account not found', tokenId: 'Token not found'
+    };
+    Object.entries(NOT_FOUND).forEach(([name, error]) => {
+        router.param(name, (req, res, next, value) => {
+            if (!UUID_PATTERN.test(value)) return res.status(404).json({ error });
+            next();
+        });
+    });
+
+    // Member and domain routes: admin of this organization, or god
+    const requireManager = (req, res, next) => {
+        if (!canManage(req.dbUser, req.params.id)) return res.status(403).json({ error: 'Forbidden: Insufficient permissions' });
+        next();
+    };
+
+    const requireManagerOrUserDelegate = (req, res, next) => {
+        const delegated = req.dbUser.organization_id === req.params.id && hasDelegatedScope(req.dbUser, 'users', req.params.userId);
+        if (!delegated) return requireManager(req, res, next);
+        next();
+    };
+
+    // Settings every member reads (workflow, priority labels): members of this organization, or god
+    const requireMember = async (req, res, next) => {
+        if (isGod(req.dbUser)) return next();
+        try {
+            const memberRes = await pool.query('SELECT 1 FROM memberships WHERE organization_id = $1 AND user_id = $2', [req.params.id, req.dbUser.id]);
+            if (memberRes.rows.length === 0) return res.status(404).json({ error: 'Organization not found' });
+            next();
+        } catch (error) {
+            console.error('Organization Membership Check Error:', error);
+            res.status(500).json({ error: 'Internal Server Error' });
+        }
+    };
+
+    const requireGod = (req, res, next) => {
+        if (!isGod(req.dbUser)) return res.status(403).json({ error: 'Forbidden: God access required' });
+        next();
+    };
+
+    // GET /api/organizations (God: every organization; others: the ones they belong to, with their role)
+    router.get('/', async (req, res) => {
+        try {
+            const params = [];
+            let scope = '';
+            if (!isGod(req.dbUser)) {
+                params.push(req.dbUser.id);
+                scope = 'WHERE o.id IN (SELECT organization_id FROM memberships WHERE user_id = $1)';
+            }
+            const result = await pool.query(
+                `SELECT o.*, (SELECT COUNT(*) FROM memberships m WHERE m.organization_id = o.id) AS member_count
+                 FROM organizations o
+                 ${scope}
+                 ORDER BY o.name ASC`,
+                params
+            );
+            const roles = new Map((req.dbUser.organizations || []).map(o => [o.id, o.role]));
+            res.json(result.rows.map(o => ({ ...mapOrganization(o), role: roles.get(o.id) || null })));
+        } catch (error) {
+            console.error('GET /organizations Error:', error);
+            res.status(500).json({ error: 'Internal Server Error' });
+        }
+    });
+
+    // POST /api/organizations (God)
+    router.post('/', requireGod, async (req, res) => {
+        const { name, planTier = 'free' } = req.body;
+        if (!name || !name.trim()) return res.status(400).json({ error: 'Name is required' });
+        if (!PLAN_TIERS.includes(planTier)) return res.status(400).json({ error: `planTier must be one of: ${PLAN_TIERS.join(', ')}` });
+
+        try {
+            const organization = await createOrganization(pool, { name: name.trim(), planTier });
+            console.log(`[Orgs] ${req.dbUser.id} created organization ${organization.id} (${organization.name})`);
+            res.status(201).json(mapOrganization({ ...organization, member_count: 0 }));
+        } catch (error) {
+            console.error('POST /organizations Error:', error);
+            res.status(500).json({ error: 'Internal Server Error' });
+        }
+    });
+
+    // PATCH /api/organizations/:id (God: rename, plan tier)
+    router.patch('/:id', requireGod, async (req, res) => {
+        const { name, planTier } = req.body;
+        if (name !== undefined && (!name || !name.trim())) return res.status(400).json({ error: 'Name cannot be empty' });
+        if (planTier !== undefined && !PLAN_TIERS.includes(planTier)) {
+            return res.status(400).json({ error: `planTier must be one of: ${PLAN_TIERS.join(', ')}` });
+        }
+
+        try {
+            const result = await pool.query(
+                `UPDATE organizations
+                 SET name = COALESCE($2, name), plan_tier = COALESCE($3, plan_tier)
+                 WHERE id = $1
+                 RETURNING *, (SELECT COUNT(*) FROM memberships m WHERE m.organization_id = organizations.id) AS member_count`,
+                [req.params.id, name?.trim() || null, planTier || null]
+            );
+            if (result.rows.length === 0) return res.status(404).json({ error: 'Organization not found' });
+            res.json(mapOrganization(result.rows[0]));
+        } catch (error) {
+            console.error('PATCH /organizations/:id Error:', error);
+            res.status(500).json({ error: 'Internal Server Error' });
+        }
+    });
+
+    // GET /api/organizations/:id/workflow (Members: the statuses tasks move through; isDefault when never customized)
+    router.get('/:id/workflow', requireMember, async (req, res) => {
+        try {
+            const result = await pool.query('SELECT workflow FROM organizations WHERE id = $1', [req.params.id]);
+            if (result.rows.length === 0) return res.status(404).json({ error: 'Organization not found' });
+            const { workflow } = result.rows[0];
+            res.json({ ...(workflow || DEFAULT_WORKFLOW), isDefault: !workflow });
+        } catch (error) {
+            console.error('GET /organizations/:id/workflow Error:', error);
+            res.status(500).json({ error: 'Internal Server Error' });
+        }
+    });
+
+    // PUT /api/organizations/:id/workflow (Admin: { statuses } or { reset: true } for the default)
+    // A status still used by tasks cannot be removed: 409 { error, inUse: [{ key, count }] }
+    router.put('/:id/workflow', requireManager, async (req, res) => {
+        let workflow = null;
+        if (!req.body.reset) {
+            const validation = validateWorkflow(req.body);
+            if (validation.error) return res.status(400).json({ error: validation.error });
+            workflow = validation.workflow;
+        }
+        const keys = (workflow || DEFAULT_WORKFLOW).statuses.map(s => s.key);
+
+        try {
+            const inUseRes = await pool.query(
+                `SELECT status AS key, COUNT(*)::int AS count FROM tasks
+                 WHERE organization_id = $1 AND deleted_at IS NULL AND NOT (status = ANY($2))
+                 GROUP BY status ORDER BY status`,
+                [req.params.id, keys]
+            );
+            if (inUseRes.rows.length > 0) {
+                return res.status(409).json({
+                    error: `Tasks still use ${inUseRes.rows.map(r => `${r.key} (${r.count})`).join(', ')}: move them to another status first`,
+                    inUse: inUseRes.rows
+                });
+            }
+
+            const result = await pool.query('UPDATE organizations SET workflow = $2 WHERE id = $1 RETURNING workflow', [req.params.id, workflow]);
+            if (result.rows.length === 0) return res.status(404).json({ error: 'Organization not found' });
+            res.json({ ...(workflow || DEFAULT_WORKFLOW), isDefault: !workflow });
+        } catch (error) {
+            console.error('PUT /organizations/:id/workflow Error:', error);
+            res.status(500).json({ error: 'Internal Server Error' });
+        }
+    });
+
+    // GET /api/organizations/:id/priorities (Members: labels and colors of priority levels 1-4)
+    router.get('/:id/priorities', requireMember, async (req, res) => {
+        try {
+            const result = await pool.query('SELECT priority_levels FROM organizations WHERE id = $1', [req.params.id]);
+            if (result.rows.length === 0) return res.status(404).json({ error: 'Organization not found' });
+            const levels = result.rows[0].priority_levels;
+            res.json({ levels: levels || DEFAULT_PRIORITY_LEVELS, isDefault: !levels });
+        } catch (error) {
+            console.error('GET /organizations/:id/priorities Error:', error);
+            res.status(500).json({ error: 'Internal Server Error' });
+        }
+    });
+
+    // PUT /api/organizations/:id/priorities (Admin: { levels: [{ value, label, color }] } or { reset: true } for the defaults)
+    router.put('/:id/priorities', requireManager, async (req, res) => {
+        let levels = null;
+        if (!req.body.reset) {
+            const validation = validatePriorityLevels(req.body);
+            if (validation.error) return res.status(400).json({ error: validation.error });
+            levels = validation.levels;
+        }
+
+        try {
+            // JSON.stringify: pg would send a JS array as a Postgres array
+            const result = await pool.query(
+                'UPDATE organizations SET priority_levels = $2 WHERE id = $1 RETURNING id',
+                [req.params.id, levels && JSON.stringify(levels)]
+            );
+            if (result.rows.length === 0) return res.status(404).json({ error: 'Organization not found' });
+            res.json({ levels: levels || DEFAULT_PRIORITY_LEVELS, isDefault: !levels });
+        } catch (error) {
+            console.error('PUT /organizations/:id/priorities Error:', error);
+            res.status(500).json({ error: 'Internal Server Error' });
+        }
+    });
+
+    // GET /api/organizations/:id/members (Admin)
+    router.get('/:id/members', requireManager, async (req, res) => {
+        try {
+            const result = await pool.query(
+                `SELECT u.id, u.display_name, u.email, u.avatar_url, u.status, m.role, m.created_at AS joined_at
+                 FROM memberships m
+                 JOIN users u ON u.id = m.user_id
+                 WHERE m.organization_id = $1
+                 AND NOT u.is_service_account
+                 ORDER BY m.role = 'admin' DESC, u.display_name ASC`,
+                [req.params.id]
+            );
+            res.json(result.rows.map(mapMember));
+        } catch (error) {
+            console.error('GET /organizations/:id/members Error:', error);
+            res.status(500).json({ error: 'Internal Server Error' });
+        }
+    });
+
+    // PATCH /api/organizations/:id/members/:userId (Admin: { role: 'user' | 'admin' })
+    router.patch('/:id/members/:userId', requireManager, async (req, res) => {
+        const { role } = req.body;
+        if (!ORGANIZATION_ROLES.includes(role)) return res.status(400).json({ error: `role must be one of: ${ORGANIZATION_ROLES.join(', ')}` });
+
+        const client = await pool.connect();
+        try {
+            await client.query('BEGIN');
+            const { member, status, error } = await setMemberRole(client, { organizationId: req.params.id, userId: req.params.userId, role });
+            if (error) {
+                await client.query('ROLLBACK');
+                return res.status(status).json({ error });
+            }
+            await client.query('COMMIT');
+
+            console.log(`[Orgs] ${req.dbUser.id} set ${member.user_id} to ${role} in ${req.params.id}`);
+            res.json({ userId: member.user_id, organizationId: member.organization_id, role: member.role });
+        } catch (error) {
+            await client.query('ROLLBACK');
+            console.error('PATCH /organizations/:id/members/:userId Error:', error);
+            res.status(500).json({ error: 'Internal Server Error' });
+        } finally {
+            client.release();
+        }
+    });
+
+    // DELETE /api/organizations/:id/members/:userId (Admin, or a 'users' delegate for the users in their scope:
+    // removes the membership, not the account)
+    router.delete('/:id/members/:userId', requireManagerOrUserDelegate, async (req, res) => {
+        const client = await pool.connect();
+        try {
+            await client.query('BEGIN');
+            const { status, error } = await removeMember(client, { organizationId: req.params.id, userId: req.params.userId });
+            if (error) {
+                await client.query('ROLLBACK');
+                return res.status(status).json({ error });
+            }
+            await client.query('COMMIT');
+
+            console.log(`[Orgs] ${req.dbUser.id} removed ${req.params.userId} from ${req.params.id}`);
+            res.json({ message: 'Member removed from organization' });
+        } catch (error) {
+            await client.query('ROLLBACK');
+            console.error('DELETE /organizations/:id/members/:userId Error:', error);
+            res.status(500).json({ error: 'Internal Server Error' });
+        } finally {
+            client.release();
+        }
+    });
+
+    // GET /api/organizations/:id/domains (Admin: auto-join rules)
+    router.get('/:id/domains', requireManager, async (req, res) => {
+        try {
+            const result = await pool.query(
+                'SELECT * FROM organization_domains WHERE organization_id = $1 ORDER BY domain ASC',
+                [req.params.id]
+            );
+            res.json(result.rows.map(mapDomainRule));
+        } catch (error) {
+            console.error('GET /organizations/:id/domains Error:', error);
+            res.status(500).json({ error: 'Internal Server Error' });
+        }
+    });
+
+    // POST /api/organizations/:id/domains (God: { domain, role }; a domain belongs to one organization)
+    router.post('/:id/domains', requireGod, async (req, res) => {
+        const domain = normalizeDomain(req.body.domain);
+        const { role = 'user' } = req.body;
+        if (!domain) return res.status(400).json({ error: 'A valid domain is required (e.g. example.com)' });
+        if (!ORGANIZATION_ROLES.includes(role)) return res.status(400).json({ error: `role must be one of: ${ORGANIZATION_ROLES.join(', ')}` });
+
+        try {
+            const result = await pool.query(
+                `INSERT INTO organization_domains (organization_id, domain, role, created_by)
+                 SELECT id, $2, $3, $4 FROM organizations WHERE id = $1
+                 ON CONFLICT (domain) DO NOTHING
+                 RETURNING *`,
+                [req.params.id, domain, role, req.dbUser.id]
+            );
+            if (result.rows.length === 0) {
+                const exists = await pool.query('SELECT 1 FROM organizations WHERE id = $1', [req.params.id]);
+                if (exists.rows.length === 0) return res.status(404).json({ error: 'Organization not found' });
+                return res.status(409).json({ error: `${domain} already auto-joins an organization` });
+            }
+            res.status(201).json(mapDomainRule(result.rows[0]));
+        } catch (error) {
+            console.error('POST /organizations/:id/domains Error:', error);
+            res.status(500).json({ error: 'Internal Server Error' });
+        }
+    });
+
+    // DELETE /api/organizations/:id/domains/:domainId (God)
+    router.delete('/:id/domains/:domainId', requireGod, async (req, res) => {
+        try {
+            const result = await pool.query(
+                'DELETE FROM organization_domains WHERE id = $1 AND organization_id = $2',
+                [req.params.domainId, req.params.id]
+            );
+            if (result.rowCount === 0) return res.status(404).json({ error: 'Domain rule not found' });
+            res.json({ message: 'Domain rule removed' });
+        } catch (error) {
+            console.error('DELETE /organizations/:id/domains/:domainId Error:', error);
+            res.status(500).json({ error: 'Internal Server Error' });
+        }
+    });
+
+    // Service accounts of an organization, with their tokens (hashes left out)
+    const SERVICE_ACCOUNT_SELECT = `
+        SELECT u.id, u.display_name, u.created_by, c.display_name AS creator_name,
+               m.role, m.created_at AS joined_at, (m.user_id IS NOT NULL) AS active,
+               COALESCE((
+                   SELECT json_agg(to_jsonb(t) - 'token_hash' ORDER BY t.created_at DESC)
+                   FROM api_tokens t WHERE t.user_id = u.id
+               ), '[]') AS tokens
+        FROM users u
+        LEFT JOIN memberships m ON m.user_id = u.id AND m.organization_id = $1
+        LEFT JOIN users c ON c.id = u.created_by
+        WHERE u.is_service_account AND u.organization_id = $1
+    `;
+
+    const loadServiceAccount = async (organizationId, accountId) => {
+        const result = await pool.query(`${SERVICE_ACCOUNT_SELECT} AND u.id = $2`, [organizationId, accountId]);
+        return result.rows[0] || null;
+    };
+
+    // GET /api/organizations/:id/service-accounts (Admin)
+    router.get('/:id/service-accounts', requireManager, async (req, res) => {
+        try {
+            const result = await pool.query(`${SERVICE_ACCOUNT_SELECT} ORDER BY active DESC, u.display_name ASC`, [req.params.id]);
+            res.json(result.rows.map(mapServiceAccount));
+        } catch (error) {
+            console.error('GET /organizations/:id/service-accounts Error:', error);
+            res.status(500).json({ error: 'Internal Server Error' });
+        }
+    });
+
+    // POST /api/organizations/:id/service-accounts (Admin: { name, role: 'user' | 'admin' })
+    router.post('/:id/service-accounts', requireSession, requireManager, async (req, res) => {
+        const name = typeof req.body.name === 'string' ? req.body.name.trim() : '';
+        const { role = 'user' } = req.body;
+        if (!name) return res.status(400).json({ error: 'Name is required' });
+        if (!ORGANIZATION_ROLES.includes(role)) return res.status(400).json({ error: `role must be one of: ${ORGANIZATION_ROLES.join(', ')}` });
+
+        const client = await pool.connect();
+        try {
+            await client.query('BEGIN');
+            const exists = await client.query('SELECT 1 FROM organizations WHERE id = $1', [req.params.id]);
+            if (exists.rows.length === 0) {
+                await client.query('ROLLBACK');
+                return res.status(404).json({ error: 'Organization not found' });
+            }
+            const account = await createServiceAccount(client, { organizationId: req.params.id, name, role, createdBy: req.dbUser.id });
+            await client.query('COMMIT');
+
+            console.log(`[Orgs] ${req.dbUser.id} created service account ${account.id} (${role}) in ${req.params.id}`);
+            res.status(201).json(mapServiceAccount(await loadServiceAccount(req.params.id, account.id)));
+        } catch (error) {
+            await client.query('ROLLBACK');
+            console.error('POST /organizations/:id/service-accounts Error:', error);
+            res.status(500).json({ error: 'Internal Server Error' });
+        } finally {
+            client.release();
+        }
+    });
+
+    // DELETE /api/organizations/:id/service-accounts/:accountId (Admin: revokes its tokens and removes it)
+    router.delete('/:id/service-accounts/:accountId', requireSession, requireManager, async (req, res) => {
+        const client = await pool.connect();
+        try {
+            await client.query('BEGIN');
+            const account = await loadServiceAccount(req.params.id, req.params.accountId);
+            if (!account) {
+                await client.query('ROLLBACK');
+                return res.status(404).json({ error: 'Service account not found' });
+            }
+            await disableServiceAccount(client, { userId: account.id, revokedBy: req.dbUser.id });
+            await client.query('COMMIT');
+
+            console.log(`[Orgs] ${req.dbUser.id} retired service account ${account.id} in ${req.params.id}`);
+            res.json({ message: 'Service account retired' });
+        } catch (error) {
+            await client.query('ROLLBACK');
+            console.error('DELETE /organizations/:id/service-accounts/:accountId Error:', error);
+            res.status(500).json({ error: 'Internal Server Error' });
+        } finally {
+            client.release();
+        }
+    });
+
+    // POST /api/organizations/:id/service-accounts/:accountId/tokens (Admin: { name, scopes?, expiresInDays? })
+    // The response carries the token itself; it cannot be shown again
+    router.post('/:id/service-accounts/:accountId/tokens', requireSession, requireManager, async (req, res) => {
+        const { error, ...request } = validateTokenRequest(req.body);
+        if (error) return res.status(400).json({ error });
+
+        try {
+            const account = await loadServiceAccount(req.params.id, req.params.accountId);
+            if (!account) return res.status(404).json({ error: 'Service account not found' });
+            if (!account.active) return res.status(409).json({ error: 'This service account was retired' });
+
+            const created = await createApiToken(pool, { userId: account.id, createdBy: req.dbUser.id, ...request });
+            if (created.error) return res.status(created.status).json({ error: created.error });
+
+            console.log(`[Orgs] ${req.dbUser.id} created token ${created.row.id} for service account ${account.id}`);
+            res.status(201).json({ ...mapApiToken(created.row), token: created.token });
+        } catch (error) {
+            console.error('POST /organizations/:id/service-accounts/:accountId/tokens Error:', error);
+            res.status(500).json({ error: 'Internal Server Error' });
+        }
+    });
+
+    // DELETE /api/organizations/:id/service-accounts/:accountId/tokens/:tokenId (Admin: revoke)
+    router.delete('/:id/service-accounts/:accountId/tokens/:tokenId', requireSession, requireManager, async (req, res) => {
+        try {
+            const account = await loadServiceAccount(req.params.id, req.params.accountId);
+            if (!account) return res.status(404).json({ error: 'Service account not found' });
+
+            const revoked = await revokeApiToken(pool, { tokenId: req.params.tokenId, userId: account.id, revokedBy: req.dbUser.id });
+            if (!revoked) return res.status(404).json({ error: 'Token not found or already revoked' });
+            res.json({ message: 'Token revoked' });
+        } catch (error) {
+            console.error('DELETE /organizations/:id/service-accounts/:accountId/tokens/:tokenId Error:', error);
+            res.status(500).json({ error: 'Internal Server Error' });
+        }
+    });
+
+    return router;
+};
@@ -1,9 +1,78 @@
 import express from 'express';
+import { recordActivity } from '../services/activityLog.js';
+import { publishProjectChange } from '../services/liveEvents.js';
+import { requireActiveOrganization } from '../services/organizations.js';
+import { PROJECT_STATUSES, createProject, canManageProject } from '../services/projects.js';
+
+const PROJECT_MEMBER_ROLES = ['owner', 'member', 'viewer'];
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
 
 export const createProjectsRouter = (pool) => {
     const router = express.Router();
 
+    // Load a project the requester can see (God -> any, others -> own org). Sends 404 otherwise.
+    const loadProject = async (req, res) => {
+        const { role, organization_id } = req.dbUser;
+        let queryText = 'SELECT * FROM projects WHERE id = $1 AND deleted_at IS NULL';
+        const params = [req.params.id];
+
+        if (role !== 'god') {
+            queryText += ' AND organization_id = $2';
+            params.push(organization_id);
+        }
+
+        const result = await pool.query(queryText, params);
+        if (result.rows.length === 0) {
+            res.status(404).json({ error: 'Project not found' });
+            return null;
+        }
+        return result.rows[0];
+    };
+
+    const requireManage = async (req, res) => {
+        const project = await loadProject(req, res);
+        if (!project) return null;
+        if (!(await canManageProject(pool, req.dbUser, project))) {
+            res.status(403).json({ error: 'Forbidden: Only project owners or admins can manage this project' });
+            return null;
+        }
+        return project;
+    };
+
+    // Project members must belong to the project's organization. Sends 404 otherwise.
+    const requireOrganizationMember = async (project, userId, res) => {
+        const result = await pool.query(
+            'SELECT 1 FROM memberships WHERE user_id = $1 AND organization_id = $2',
+            [userId, project.organization_id]
+        );
+        if (result.rows.length === 0) {
+            res.status(404).json({ error: 'User is not a member of this organization' });
+            return false;
+        }
+        return true;
+    };
+
+    const fetchMembers = async (projectId) => {
+        const result = await pool.query(
+            `SELECT pm.user_id, pm.role, pm.added_at, u.display_name, u.email, u.avatar_url
+             FROM project_members pm
+             JOIN users u ON u.id = pm.user_id
+             WHERE pm.project_id = $1
+             ORDER BY CASE pm.role WHEN 'owner' THEN 1 WHEN 'member' THEN 2 ELSE 3 END, u.display_name ASC`,
+            [projectId]
+        );
+        return result.rows.map(m => ({
+            userId: m.user_id,
+            role: m.role,
+            addedAt: m.added_at,
+            name: m.display_name || m.email.split('@')[0],
+            email: m.email,
+            avatar: m.avatar_url || '👤'
+        }));
+    };
+
     // GET /api/projects
+    // Query: ?includeArchived=true to also list archived projects
     router.get('/', async (req, res) => {
         try {
             const { role, organization_id } = req.dbUser;
@@ -11,15 +80,22 @@ export const createProjectsRouter = (pool) => {
 
             let queryText = 'SELECT * FROM projects';
             let params = [];
+            const whereClauses = ['deleted_at IS NULL'];
 
             // RBAC:
             // God -> Sees everything
             // Admin/User -> Sees only their organization's projects
             if (role !== 'god') {
-                queryText += ' WHERE organization_id = $1';
+                whereClauses.push(`organization_id = $${params.length + 1}`);
                 params.push(organization_id);
             }
 
+            if (req.query.includeArchived !== 'true') {
+                whereClauses.push('archived_at IS NULL');
+            }
+
+            queryText += ' WHERE ' + whereClauses.join(' AND ');
+
             queryText += ' ORDER BY created_at DESC';
 
             const result = await pool.query(queryText, params);
@@ -31,25 +107,321 @@ export const createProjectsRouter = (pool) => {
         }
     });
 
+    // GET /api/projects/:id (Project + Members + Task Progress)
+    router.get('/:id', async (req, res) => {
+        try {
+            const project = await loadProject(req, res);
+            if (!project) return;
+
+            const statsRes = await pool.query(
+                `SELECT COUNT(*)::int as total,
+                        COUNT(*) FILTER (WHERE completed_at IS NOT NULL)::int as completed
+                 FROM tasks WHERE project_id = $1 AND deleted_at IS NULL`,
+                [project.id]
+            );
+            const { total, completed } = statsRes.rows[0];
+
+            res.json({
+                ...project,
+                members: await fetchMembers(project.id),
+                taskCount: total,
+                completedTaskCount: completed,
+                progress: total > 0 ? Math.round((completed / total) * 100) : 0,
+                canManage: await canManageProject(pool, req.dbUser, project)
+            });
+        } catch (error) {
+            console.error('GET /projects/:id Error:', error);
+            res.status(500).json({ error: 'Internal Server Error' });
+        }
+    });
+
     // POST /api/projects
-    router.post('/', async (req, res) => {
-        const { role, organization_id } = req.dbUser;
-        const { title, description, status } = req.body;
+    router.post('/', requireActiveOrganization, async (req, res) => {
+        const { role, organization_id, id: userId } = req.dbUser;
+        const { title, description, status, client, startDate, endDate, metadata } = req.body;
 
         // Only Admin or God can create projects
         if (role === 'user') {
             return res.status(403).json({ error: 'Forbidden: Insufficient permissions' });
         }
+        if (!title || !title.trim()) {
+            return res.status(400).json({ error: 'Title is required' });
+        }
+        if (status && !PROJECT_STATUSES.includes(status)) {
+            return res.status(400).json({ error: `Invalid status. Must be one of: ${PROJECT_STATUSES.join(', ')}` });
+        }
 
+        const dbClient = await pool.connect();
         try {
+            await dbClient.query('BEGIN');
+
+            const project = await createProject(dbClient, {
+                organizationId: organization_id,
+                userId,
+                title,
+                description,
+                status: status || 'planning',
+                client: client || null,
+                startDate: startDate || null,
+                endDate: endDate || null,
+                metadata: metadata || {}
+            });
+
+            await dbClient.query('COMMIT');
+            publishProjectChange(pool, 'created', project, { actorId: userId });
+            res.status(201).json(project);
+        } catch (error) {
+            await dbClient.query('ROLLBACK');
+            console.error('POST /projects Error:', error);
+            res.status(500).json({ error: 'Internal Server Error' });
+        } finally {
+            dbClient.release();
+        }
+    });
+
+    // PATCH /api/projects/:id
+    router.patch('/:id', async (req, res) => {
+        try {
+            const project = await requireManage(req, res);
+            if (!project) return;
+
+            const updates = req.body;
+            const fieldMap = { title: 'title', description: 'description', status: 'status', client: 'client', startDate: 'start_date', endDate: 'end_date' };
+
+            if (updates.status && !PROJECT_STATUSES.includes(updates.status)) {
+                return res.status(400).json({ error: `Invalid status. Must be one of: ${PROJECT_STATUSES.join(', ')}` });
+            }
+            if (updates.title !== undefined && !String(updates.title).trim()) {
+                return res.status(400).json({ error: 'Title cannot be empty' });
+            }
+
+            const setClauses = [];
+            const params = [];
+            let idx = 1;
+
+            Object.keys(updates).forEach(key => {
+                if (fieldMap[key]) {
+                    setClauses.push(`${fieldMap[key]} = $${idx}`);
+                    params.push(updates[key] === '' ? null : updates[key]);
+                    idx++;
+                }
+            });
+
+            // Metadata is merged, not replaced
+            if (updates.metadata && typeof updates.metadata === 'object') {
+                setClauses.push(`metadata = COALESCE(metadata, '{}'::jsonb) || $${idx}::jsonb`);
+                params.push(JSON.stringify(updates.metadata));
+                idx++;
+            }
+
+            if (setClauses.length === 0) return res.json(project);
+
+            setClauses.push('updated_at = NOW()');
+            params.push(project.id);
+
             const result = await pool.query(
-                `INSERT INTO projects (organization_id, title, description, status) 
-                 VALUES ($1, $2, $3, $4) RETURNING *`,
-                [organization_id, title, description, status || 'planning']
+                `UPDATE projects SET ${setClauses.join(', ')} WHERE id = $${idx} RETURNING *`,
+                params
             );
-            res.status(201).json(result.rows[0]);
+            publishProjectChange(pool, 'updated', result.rows[0], { actorId: req.dbUser.id });
+            res.json(result.rows[0]);
         } catch (error) {
-            console.error('POST /projects Error:', error);
+            console.error('PATCH /projects/:id Error:', error);
+            res.status(500).json({ error: 'Internal Server Error' });
+        }
+    });
+
+    // POST /api/projects/:id/archive
+    router.post('/:id/archive', async (req, res) => {
+        try {
+            const project = await requireManage(req, res);
+            if (!project) return;
+
+            // Remember the pre-archive status so restore can put it back
+            const result = await pool.query(
+                `UPDATE projects
+                 SET archived_at = NOW(), updated_at = NOW(), status = 'archived',
+                     metadata = COALESCE(metadata, '{}'::jsonb) || jsonb_build_object('statusBeforeArchive', status)
+                 WHERE id = $1 AND archived_at IS NULL
+                 RETURNING *`,
+                [project.id]
+            );
+            if (result.rows.length === 0) return res.status(400).json({ error: 'Project is already archived' });
+            publishProjectChange(pool, 'updated', result.rows[0], { actorId: req.dbUser.id });
+            res.json(result.rows[0]);
+        } catch (error) {
+            console.error('POST /projects/:id/archive Error:', error);
+            res.status(500).json({ error: 'Internal Server Error' });
+        }
+    });
+
+    // POST /api/projects/:id/restore
+    router.post('/:id/restore', async (req, res) => {
+        try {
+            const project = await requireManage(req, res);
+            if (!project) return;
+
+            const result = await pool.query(
+                `UPDATE projects
+                 SET archived_at = NULL, updated_at = NOW(),
+                     status = COALESCE(metadata->>'statusBeforeArchive', 'active'),
+                     metadata = metadata - 'statusBeforeArchive'
+                 WHERE id = $1 AND archived_at IS NOT NULL
+                 RETURNING *`,
+                [project.id]
+            );
+            if (result.rows.length === 0) return res.status(400).json({ error: 'Project is not archived' });
+            publishProjectChange(pool, 'updated', result.rows[0], { actorId: req.dbUser.id });
+            res.json(result.rows[0]);
+        } catch (error) {
+            console.error('POST /projects/:id/restore Error:', error);
+            res.status(500).json({ error: 'Internal Server Error' });
+        }
+    });
+
+    // DELETE /api/projects/:id?tasks=orphan|cascade (to the trash, see /trash)
+    // orphan (default): tasks become Lone Tasks. cascade: tasks are deleted with the project (and restored with it).
+    router.delete('/:id', async (req, res) => {
+        const taskMode = req.query.tasks || 'orphan';
+        if (!['orphan', 'cascade'].includes(taskMode)) {
+            return res.status(400).json({ error: "Invalid tasks mode. Must be 'orphan' or 'cascade'" });
+        }
+
+        let project;
+        try {
+            project = await requireManage(req, res);
+            if (!project) return;
+        } catch (error) {
+            console.error('DELETE /projects/:id Error:', error);
+            return res.status(500).json({ error: 'Internal Server Error' });
+        }
+
+        const client = await pool.connect();
+        try {
+            await client.query('BEGIN');
+
+            let affectedTasks;
+            if (taskMode === 'cascade') {
+                // Same deleted_at as the project (NOW() is per transaction): that is how restoring it finds them
+                const deletedRes = await client.query(
+                    `UPDATE tasks SET deleted_at = NOW(), deleted_by = $2
+                     WHERE project_id = $1 AND deleted_at IS NULL
+                     RETURNING id, title, organization_id`,
+                    [project.id, req.dbUser.id]
+                );
+                affectedTasks = deletedRes.rows;
+                for (const t of deletedRes.rows) {
+                    await recordActivity(client, {
+                        taskId: t.id,
+                        organizationId: t.organization_id,
+                        actorId: req.dbUser.id,
+                        action: 'deleted',
+                        oldValue: t.title
+                    });
+                }
+            } else {
+                const orphanRes = await client.query(
+                    'UPDATE tasks SET project_id = NULL WHERE project_id = $1 RETURNING id',
+                    [project.id]
+                );
+                affectedTasks = orphanRes.rows;
+            }
+
+            // Repeating tasks stop filing new occurrences under it
+            await client.query('UPDATE task_recurrences SET project_id = NULL WHERE project_id = $1', [project.id]);
+            await client.query('UPDATE projects SET deleted_at = NOW(), deleted_by = $2 WHERE id = $1', [project.id, req.dbUser.id]);
+            await client.query('COMMIT');
+            publishProjectChange(pool, 'deleted', project, { actorId: req.dbUser.id });
+
+            res.json({ message: 'Project deleted successfully', tasks: taskMode, affectedTaskCount: affectedTasks.length });
+        } catch (error) {
+            await client.query('ROLLBACK');
+            console.error('DELETE /projects/:id Error:', error);
+            res.status(500).json({ error: 'Internal Server Error' });
+        } finally {
+            client.release();
+        }
+    });
+
+    // GET /api/projects/:id/members
+    router.get('/:id/members', async (req, res) => {
+        try {
+            const project = await loadProject(req, res);
+            if (!project) return;
+            res.json(await fetchMembers(project.id));
+        } catch (error) {
+            console.error('GET /projects/:id/members Error:', error);
+            res.status(500).json({ error: 'Internal Server Error' });
+        }
+    });
+
+    // POST /api/projects/:id/members { userId, role }
+    router.post('/:id/members', async (req, res) => {
+        const { userId, role = 'member' } = req.body;
+        if (!userId) return res.status(400).json({ error: 'userId is required' });
+        if (typeof userId !== 'string' || !UUID_PATTERN.test(userId)) return res.status(400).json({ error: 'Invalid userId' });
+        if (!PROJECT_MEMBER_ROLES.includes(role)) {
+            return res.status(400).json({ error: `Invalid role. Must be one of: ${PROJECT_MEMBER_ROLES.join(', ')}` });
+        }
+
+        try {
+            const project = await requireManage(req, res);
+            if (!project) return;
+            if (!(await requireOrganizationMember(project, userId, res))) return;
+
+            await pool.query(
+                `INSERT INTO project_members (project_id, user_id, role, added_by)
+                 VALUES ($1, $2, $3, $4)
+                 ON CONFLICT (project_id, user_id) DO UPDATE SET role = EXCLUDED.role`,
+                [project.id, userId, role, req.dbUser.id]
+            );
+            publishProjectChange(pool, 'updated', project, { actorId: req.dbUser.id });
+            res.status(201).json(await fetchMembers(project.id));
+        } catch (error) {
+            console.error('POST /projects/:id/members Error:', error);
+            res.status(500).json({ error: 'Internal Server Error' });
+        }
+    });
+
+    // PATCH /api/projects/:id/members/:userId { role }
+    router.patch('/:id/members/:userId', async (req, res) => {
+        const { role } = req.body;
+        if (!PROJECT_MEMBER_ROLES.includes(role)) {
+            return res.status(400).json({ error: `Invalid role. Must be one of: ${PROJECT_MEMBER_ROLES.join(', ')}` });
+        }
+        if (!UUID_PATTERN.test(req.params.userId)) return res.status(400).json({ error: 'Invalid userId' });
+
+        try {
+            const project = await requireManage(req, res);
+            if (!project) return;
+            if (!(await requireOrganizationMember(project, req.params.userId, res))) return;
+
+            const result = await pool.query(
+                'UPDATE project_members SET role = $1 WHERE project_id = $2 AND user_id = $3',
+                [role, project.id, req.params.userId]
+            );
+            if (result.rowCount === 0) return res.status(404).json({ error: 'Member not found' });
+            publishProjectChange(pool, 'updated', project, { actorId: req.dbUser.id });
+            res.json(await fetchMembers(project.id));
+        } catch (error) {
+            console.error('PATCH /projects/:id/members/:userId Error:', error);
+            res.status(500).json({ error: 'Internal Server Error' });
+        }
+    });
+
+    // DELETE /api/projects/:id/members/:userId
+    router.delete('/:id/members/:userId', async (req, res) => {
+        if (!UUID_PATTERN.test(req.params.userId)) return res.status(400).json({ error: 'Invalid userId' });
+
+        try {
+            const project = await requireManage(req, res);
+            if (!project) return;
+
+            await pool.query('DELETE FROM project_members WHERE project_id = $1 AND user_id = $2', [project.id, req.params.userId]);
+            publishProjectChange(pool, 'updated', project, { actorId: req.dbUser.id });
+            res.json(await fetchMembers(project.id));
+        } catch (error) {
+            console.error('DELETE /projects/:id/members/:userId Error:', error);
             res.status(500).json({ error: 'Internal Server Error' });
         }
     });
@@ -0,0 +1,229 @@
+import express from 'express';
+import { requireTaskAccess } from '../middleware/scopedAccessLogic.js';
+import { recordActivity } from '../services/activityLog.js';
+import { getTaskAudience, publishTaskChanges } from '../services/liveEvents.js';
+import {
+    DEFAULT_HORIZON_DAYS, MAX_HORIZON_DAYS,
+    validateRule, normalizeRule, mapSeries, occurrencesBetween, toDay, addDays, todayDay,
+    createSeriesFromTask, truncateSeries, generateWithinHorizon
+} from '../services/recurrence.js';
+
+const MAX_UPCOMING_DAYS = 180;
+
+const validateHorizon = (horizonDays) => {
+    if (horizonDays === undefined) return null;
+    if (!Number.isInteger(horizonDays) || horizonDays < 0 || horizonDays > MAX_HORIZON_DAYS) {
+        return `horizonDays must be an integer between 0 and ${MAX_HORIZON_DAYS}`;
+    }
+    return null;
+};
+
+const loadSeries = async (db, seriesId) => {
+    const result = await db.query('SELECT * FROM task_recurrences WHERE id = $1', [seriesId]);
+    return result.rows[0] || null;
+};
+
+// Mounted under /tasks/:id/recurrence (see tasks router)
+export const createTaskRecurrenceRouter = (pool) => {
+    const router = express.Router({ mergeParams: true });
+
+    // GET /api/tasks/:id/recurrence
+    router.get('/', requireTaskAccess(pool, 'view'), async (req, res) => {
+        try {
+            if (!req.task.recurrence_id) return res.status(404).json({ error: 'Task does not repeat' });
+            const series = await loadSeries(pool, req.task.recurrence_id);
+            if (!series) return res.status(404).json({ error: 'Task does not repeat' });
+            res.json(mapSeries(series));
+        } catch (error) {
+            console.error('GET /tasks/:id/recurrence Error:', error);
+            res.status(500).json({ error: 'Internal Server Error' });
+        }
+    });
+
+    // PUT /api/tasks/:id/recurrence { rule, horizonDays?, endsOn? }
+    // Non-recurring task: starts a series with this task as the first occurrence.
+    // Recurring task: "this and all future" schedule change; the old series ends before this occurrence.
+    router.put('/', requireTaskAccess(pool, 'edit'), async (req, res) => {
+        const { rule, horizonDays = DEFAULT_HORIZON_DAYS, endsOn = null } = req.body;
+        const invalid = validateRule(rule) || validateHorizon(horizonDays);
+        if (invalid) return res.status(400).json({ error: invalid });
+
+        const task = req.task;
+        const client = await pool.connect();
+        try {
+            await client.query('BEGIN');
+
+            const audience = await getTaskAudience(client, task.id);
+            let removed = [];
+            if (task.recurrence_id && task.occurrence_date) {
+                // Detach this occurrence first so truncating the old series does not remove it
+                await client.query('UPDATE tasks SET recurrence_id = NULL WHERE id = $1', [task.id]);
+                // The new series takes over these dates: restoring the old occurrences does not reopen the old one
+                removed = await truncateSeries(client, task.recurrence_id, addDays(toDay(task.occurrence_date), -1), req.dbUser.id, { reversible: false });
+            }
+
+            const assignRes = await client.query('SELECT user_id FROM task_collaborators WHERE task_id = $1', [task.id]);
+            const series = await createSeriesFromTask(client, {
+                task,
+                assignedTo: assignRes.rows.map(r => r.user_id),
+                rule,
+                horizonDays,
+                endsOn
+            });
+
+            for (const r of removed) {
+                await recordActivity(client, { taskId: r.id, organizationId: task.organization_id, actorId: req.dbUser.id, action: 'deleted', oldValue: r.title });
+            }
+            await recordActivity(client, {
+                taskId: task.id,
+                organizationId: task.organization_id,
+                actorId: req.dbUser.id,
+                action: 'recurrence_set',
+                field: 'recurrence',
+                newValue: normalizeRule(rule)
+            });
+
+            await client.query('COMMIT');
+
+            const occurrencesRes = await pool.query('SELECT id FROM tasks WHERE recurrence_id = $1 AND id <> $2', [series.id, task.id]);
+            publishTaskChanges(pool, 'deleted', removed.map(r => r.id), { actorId: req.dbUser.id, audience });
+            publishTaskChanges(pool, 'updated', [task.id], { actorId: req.dbUser.id });
+            publishTaskChanges(pool, 'created', occurrencesRes.rows.map(r => r.id), { actorId: req.dbUser.id });
+
+            res.json(mapSeries(await loadSeries(pool, series.id)));
+        } catch (error) {
+            await client.query('ROLLBACK');
+            console.error('PUT /tasks/:id/recurrence Error:', error);
+            res.status(500).json({ error: 'Internal Server Error' });
+        } finally {
+            client.release();
+        }
+    });
+
+    // PATCH /api/tasks/:id/recurrence { horizonDays?, endsOn? } (series-wide settings, no split)
+    router.patch('/', requireTaskAccess(pool, 'edit'), async (req, res) => {
+        const { horizonDays, endsOn } = req.body;
+        const invalid = validateHorizon(horizonDays);
+        if (invalid) return res.status(400).json({ error: invalid });
+        if (!req.task.recurrence_id) return res.status(404).json({ error: 'Task does not repeat' });
+
+        try {
+            const result = await pool.query(
+                `UPDATE task_recurrences
+                 SET horizon_days = COALESCE($2, horizon_days),
+                     ends_on = CASE WHEN $3::boolean THEN $4::date ELSE ends_on END,
+                     updated_at = NOW()
+                 WHERE id = $1 RETURNING *`,
+                [req.task.recurrence_id, horizonDays ?? null, endsOn !== undefined, endsOn || null]
+            );
+            const series = result.rows[0];
+            const created = await generateWithinHorizon(pool, series);
+            publishTaskChanges(pool, 'created', created.map(t => t.id), { actorId: req.dbUser.id });
+            res.json(mapSeries(await loadSeries(pool, series.id)));
+        } catch (error) {
+            console.error('PATCH /tasks/:id/recurrence Error:', error);
+            res.status(500).json({ error: 'Internal Server Error' });
+        }
+    });
+
+    // DELETE /api/tasks/:id/recurrence
+    // Stop repeating after this occurrence; open later occurrences go to the trash, completed ones are kept.
+    router.delete('/', requireTaskAccess(pool, 'edit'), async (req, res) => {
+        const task = req.task;
+        if (!task.recurrence_id) return res.status(404).json({ error: 'Task does not repeat' });
+
+        const client = await pool.connect();
+        try {
+            await client.query('BEGIN');
+
+            const audience = await getTaskAudience(client, task.id);
+            const removed = await truncateSeries(client, task.recurrence_id, toDay(task.occurrence_date), req.dbUser.id);
+            for (const r of removed) {
+                await recordActivity(client, { taskId: r.id, organizationId: task.organization_id, actorId: req.dbUser.id, action: 'deleted', oldValue: r.title });
+            }
+            await recordActivity(client, {
+                taskId: task.id,
+                organizationId: task.organization_id,
+                actorId: req.dbUser.id,
+                action: 'recurrence_stopped',
+                field: 'recurrence'
+            });
+
+            await client.query('COMMIT');
+            publishTaskChanges(pool, 'deleted', removed.map(r => r.id), { actorId: req.dbUser.id, audience });
+            res.json({ message: 'Recurrence stopped', removedTaskIds: removed.map(r => r.id) });
+        } catch (error) {
+            await client.query('ROLLBACK');
+            console.error('DELETE /tasks/:id/recurrence Error:', error);
+            res.status(500).json({ error: 'Internal Server Error' });
+        } finally {
+            client.release();
+        }
+    });
+
+    return router;
+};
+
+export const createRecurrencesRouter = (pool) => {
+    const router = express.Router();
+
+    // GET /api/recurrences/upcoming?from=YYYY-MM-DD&to=YYYY-MM-DD
+    // Projected occurrences that have not been generated yet (rendered as ghost cards on the timeline)
+    router.get('/upcoming', async (req, res) => {
+        const { id: userId, role } = req.dbUser;
+        const from = req.query.from || todayDay();
+        const to = req.query.to || addDays(from, 60);
+        if (!/^\d{4}-\d{2}-\d{2}$/.test(from) || !/^\d{4}-\d{2}-\d{2}$/.test(to) || to < from) {
+            return res.status(400).json({ error: 'from/to must be YYYY-MM-DD with from <= to' });
+        }
+        const until = to > addDays(from, MAX_UPCOMING_DAYS) ? addDays(from, MAX_UPCOMING_DAYS) : to;
+
+        try {
+            const params = [from];
+            let visibility = '';
+            if (role !== 'god') {
+                // Same scope as GET /tasks: the active organization, plus series they are on as a guest elsewhere
+                params.push(userId, req.dbUser.organization_id);
+                visibility = `AND (
+                    r.organization_id = $3::uuid
+                    OR (
+                        (r.created_by = $2 OR $2 = ANY(r.assigned_to))
+                        AND r.organization_id IS DISTINCT FROM $3::uuid
+                        AND NOT EXISTS (SELECT 1 FROM memberships m WHERE m.user_id = $2 AND m.organization_id = r.organization_id)
+                    )
+                )`;
+            }
+
+            const seriesRes = await pool.query(
+                `SELECT r.* FROM task_recurrences r
+                 WHERE (r.ends_on IS NULL OR r.ends_on >= $1) ${visibility}`,
+                params
+            );
+
+            const occurrences = [];
+            seriesRes.rows.forEach(series => {
+                const watermark = series.generated_through ? toDay(series.generated_through) : null;
+                const after = watermark && watermark >= from ? watermark : addDays(from, -1);
+                occurrencesBetween({ rule: series.rule, startsOn: toDay(series.starts_on), endsOn: series.ends_on && toDay(series.ends_on) }, after, until)
+                    .forEach(date => occurrences.push({
+                        id: `${series.id}:${date}`,
+                        recurrenceId: series.id,
+                        occurrenceDate: date,
+                        dueDate: `${date}T${series.due_time}Z`,
+                        title: series.title,
+                        priority: series.priority,
+                        projectId: series.project_id,
+                        assignedTo: series.assigned_to || [],
+                        createdBy: series.created_by
+                    }));
+            });
+
+            res.json(occurrences);
+        } catch (error) {
+            console.error('GET /recurrences/upcoming Error:', error);
+            res.status(500).json({ error: 'Internal Server Error' });
+        }
+    });
+
+    return router;
+};
@@ -1,47 +1,116 @@
 import express from 'express';
+import { publishRequestChange } from '../services/liveEvents.js';
+import { notifyUsers } from '../services/notifications.js';
+import { queueEmail } from '../services/emailOutbox.js';
+import { requireActiveOrganization } from '../services/organizations.js';
+import { REQUEST_TYPES, MAX_REQUIRED_APPROVALS, getRequestType, validatePayload, approvalDenied, isRequestApprover } from '../requestTypes/index.js';
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+const MAX_COMMENT_LENGTH = 2000;
+
+// Requests with requester, votes and comment count (lists and detail share it)
+const REQUEST_SELECT = `
+    SELECT r.*, u.display_name as requester_name, u.avatar_url as requester_avatar,
+           COALESCE((
+               SELECT json_agg(json_build_object(
+                   'approverId', a.approver_id, 'approverName', au.display_name,
+                   'decision', a.decision, 'note', a.note, 'createdAt', a.created_at
+               ) ORDER BY a.created_at)
+               FROM request_approvals a
+               LEFT JOIN users au ON au.id = a.approver_id
+               WHERE a.request_id = r.id
+           ), '[]') AS approvals,
+           (SELECT COUNT(*)::int FROM request_comments c WHERE c.request_id = r.id) AS comment_count
+    FROM requests r
+    LEFT JOIN users u ON r.requester_id = u.id
+`;
+
+const mapComment = (c) => ({
+    id: c.id,
+    authorId: c.author_id,
+    authorName: c.author_name,
+    authorAvatar: c.author_avatar,
+    body: c.body,
+    createdAt: c.created_at
+});
+
+// The requester and whoever may approve it
+const canView = (dbUser, request) => dbUser.id === request.requester_id || isRequestApprover(dbUser, request.organization_id);
 
 export const createRequestsRouter = (pool) => {
     const router = express.Router();
 
-    // POST /api/requests - Submit a new request
-    router.post('/', async (req, res) => {
+    const loadRequest = async (db, id) => {
+        if (!UUID_PATTERN.test(id)) return null;
+        const result = await db.query(`${REQUEST_SELECT} WHERE r.id = $1`, [id]);
+        return result.rows[0] || null;
+    };
+
+    // GET /api/requests/types - What can be requested (payload schema, default quorum)
+    router.get('/types', (req, res) => {
+        res.json(Object.values(REQUEST_TYPES).map(t => ({
+            type: t.type,
+            label: t.label,
+            requiredApprovals: t.requiredApprovals,
+            schema: t.schema
+        })));
+    });
+
+    // POST /api/requests - Submit a new request ({ type, payload, requiredApprovals? })
+    router.post('/', requireActiveOrganization, async (req, res) => {
         try {
             const { organization_id, id: requester_id } = req.dbUser;
-            const { type, payload } = req.body;
+            const { type, requiredApprovals } = req.body;
 
-            if (!type || !payload) {
-                return res.status(400).json({ error: 'Type and payload are required' });
+            const definition = getRequestType(type);
+            if (!definition) {
+                return res.status(400).json({ error: `Unknown request type. Must be one of: ${Object.keys(REQUEST_TYPES).join(', ')}` });
             }
 
-            // Insert request
+            const { payload, error } = validatePayload(definition, req.body.payload);
+            if (error) return res.status(400).json({ error });
+
+            // A request may ask for a larger quorum than its type's default, never a smaller one
+            let quorum = definition.requiredApprovals;
+            if (requiredApprovals !== undefined) {
+                const requested = Number(requiredApprovals);
+                if (!Number.isInteger(requested) || requested < 1 || requested > MAX_REQUIRED_APPROVALS) {
+                    return res.status(400).json({ error: `requiredApprovals must be a whole number from 1 to ${MAX_REQUIRED_APPROVALS}` });
+                }
+                quorum = Math.max(quorum, requested);
+            }
+
+            const denied = await definition.authorize(pool, { requester: req.dbUser, organizationId: organization_id, payload });
+            if (denied) return res.status(denied.status).json({ error: denied.error });
+
+            const context = await definition.describe(pool, payload);
+
             const result = await pool.query(
-                `INSERT INTO requests (organization_id, requester_id, type, payload)
-                 VALUES ($1, $2, $3, $4)
-                 RETURNING *`,
-                [organization_id, requester_id, type, payload]
+                `INSERT INTO requests (organization_id, requester_id, type, payload, context, required_approvals)
+                 VALUES ($1, $2, $3, $4, $5, $6)
+                 RETURNING id`,
+                [organization_id, requester_id, type, payload, context, quorum]
             );
 
-            res.status(201).json(result.rows[0]);
+            const request = await loadRequest(pool, result.rows[0].id);
+            publishRequestChange(pool, 'created', request, { actorId: requester_id });
+            res.status(201).json(request);
         } catch (error) {
             console.error('POST /requests Error:', error);
             res.status(500).json({ error: 'Internal Server Error' });
         }
     });
 
-    // GET /api/requests - List requests (Admin/God only)
+    // GET /api/requests - List requests (Admin/God, or a 'requests' delegate)
     router.get('/', async (req, res) => {
         try {
             const { role, organization_id } = req.dbUser;
 
-            if (role === 'user') {
+            if (!isRequestApprover(req.dbUser, organization_id)) {
                 return res.status(403).json({ error: 'Forbidden: Admins only' });
             }
 
-            let queryText = `
-                SELECT r.*, u.display_name as requester_name, u.avatar_url as requester_avatar
-                FROM requests r
-                LEFT JOIN users u ON r.requester_id = u.id
-            `;
+            let queryText = REQUEST_SELECT;
             let params = [];
             let whereClauses = [];
 
@@ -72,100 +141,198 @@ export const createRequestsRouter = (pool) => {
         }
     });
 
-    // PATCH /api/requests/:id/resolve - Approve or Reject
-    router.patch('/:id/resolve', async (req, res) => {
-        const client = await pool.connect(); // Use a client for transaction
+    // GET /api/requests/mine - The requester's own requests, every status, newest first
+    router.get('/mine', async (req, res) => {
         try {
-            const { role, organization_id } = req.dbUser;
-            const { id } = req.params;
-            const { status, admin_notes } = req.body; // status must be 'APPROVED' or 'REJECTED'
+            const result = await pool.query(
+                `${REQUEST_SELECT} WHERE r.requester_id = $1 ORDER BY r.created_at DESC LIMIT 200`,
+                [req.dbUser.id]
+            );
+            res.json(result.rows);
+        } catch (error) {
+            console.error('GET /requests/mine Error:', error);
+            res.status(500).json({ error: 'Internal Server Error' });
+        }
+    });
 
-            if (!['APPROVED', 'REJECTED'].includes(status)) {
-                return res.status(400).json({ error: 'Invalid status. Must be APPROVED or REJECTED.' });
-            }
+    // GET /api/requests/:id - One request with its comment thread
+    router.get('/:id', async (req, res) => {
+        try {
+            const request = await loadRequest(pool, req.params.id);
+            if (!request || !canView(req.dbUser, request)) return res.status(404).json({ error: 'Request not found' });
+
+            const commentsRes = await pool.query(
+                `SELECT c.*, u.display_name AS author_name, u.avatar_url AS author_avatar
+                 FROM request_comments c
+                 LEFT JOIN users u ON u.id = c.author_id
+                 WHERE c.request_id = $1
+                 ORDER BY c.created_at ASC`,
+                [request.id]
+            );
+            res.json({ ...request, comments: commentsRes.rows.map(mapComment) });
+        } catch (error) {
+            console.error('GET /requests/:id Error:', error);
+            res.status(500).json({ error: 'Internal Server Error' });
+        }
+    });
 
-            if (role === 'user') {
-                return res.status(403).json({ error: 'Forbidden' });
-            }
+    // POST /api/requests/:id/comments - Discuss a request (requester and approvers)
+    router.post('/:id/comments', async (req, res) => {
+        const body = typeof req.body.body === 'string' ? req.body.body.trim() : '';
+        if (!body) return res.status(400).json({ error: 'Comment body is required' });
+        if (body.length > MAX_COMMENT_LENGTH) return res.status(400).json({ error: `Comments are limited to ${MAX_COMMENT_LENGTH} characters` });
 
-            await client.query('BEGIN');
+        try {
+            const request = await loadRequest(pool, req.params.id);
+            if (!request || !canView(req.dbUser, request)) return res.status(404).json({ error: 'Request not found' });
+
+            const result = await pool.query(
+                `INSERT INTO request_comments (request_id, author_id, body) VALUES ($1, $2, $3) RETURNING *`,
+                [request.id, req.dbUser.id, body]
+            );
+            const comment = { ...result.rows[0], author_name: req.dbUser.display_name, author_avatar: null };
 
-            // 1. Fetch the request to verify existence and permissions
-            let requestQuery = 'SELECT * FROM requests WHERE id = $1';
-            const requestParams = [id];
+            publishRequestChange(pool, 'updated', request, { actorId: req.dbUser.id });
 
-            // RBAC Isolation
-            if (role !== 'god') {
-                requestQuery += ' AND organization_id = $2';
-                requestParams.push(organization_id);
-            }
+            // Everyone already in the conversation: requester, voters and earlier commenters
+            const participantsRes = await pool.query(
+                `SELECT author_id AS user_id FROM request_comments WHERE request_id = $1 AND author_id IS NOT NULL
+                 UNION
+                 SELECT approver_id FROM request_approvals WHERE request_id = $1`,
+                [request.id]
+            );
+            notifyUsers(pool, {
+                userIds: [request.requester_id, ...participantsRes.rows.map(r => r.user_id)],
+                type: 'request_comment',
+                actorId: req.dbUser.id,
+                data: { requestId: request.id, requestType: request.type, excerpt: body.slice(0, 140) }
+            });
+
+            res.status(201).json(mapComment(comment));
+        } catch (error) {
+            console.error('POST /requests/:id/comments Error:', error);
+            res.status(500).json({ error: 'Internal Server Error' });
+        }
+    });
 
-            const requestResult = await client.query(requestQuery, requestParams);
-            if (requestResult.rows.length === 0) {
+    // PATCH /api/requests/:id/resolve - Approve or Reject (one vote per approver)
+    // A rejection resolves the request at once; approvals count towards required_approvals,
+    // and the vote that reaches it runs the type's executor.
+    router.patch('/:id/resolve', async (req, res) => {
+        const { id } = req.params;
+        const { status, admin_notes } = req.body; // status must be 'APPROVED' or 'REJECTED'
+
+        if (!['APPROVED', 'REJECTED'].includes(status)) {
+            return res.status(400).json({ error: 'Invalid status. Must be APPROVED or REJECTED.' });
+        }
+        if (!isRequestApprover(req.dbUser, req.dbUser.organization_id)) {
+            return res.status(403).json({ error: 'Forbidden' });
+        }
+        if (!UUID_PATTERN.test(id)) return res.status(404).json({ error: 'Request not found' });
+
+        const client = await pool.connect(); // Use a client for transaction
+        try {
+            await client.query('BEGIN');
+
+            // 1. Lock the request (votes on one request are serialized)
+            const requestResult = await client.query('SELECT * FROM requests WHERE id = $1 FOR UPDATE', [id]);
+            const request = requestResult.rows[0];
+            if (!request || !canView(req.dbUser, request)) {
                 await client.query('ROLLBACK');
                 return res.status(404).json({ error: 'Request not found' });
             }
-
-            const request = requestResult.rows[0];
-
             if (request.status !== 'PENDING') {
                 await client.query('ROLLBACK');
                 return res.status(400).json({ error: 'Request is already resolved' });
             }
 
-            // 2. Execute Command if APPROVED
+            const definition = getRequestType(request.type);
+            if (!definition && status === 'APPROVED') {
+                await client.query('ROLLBACK');
+                return res.status(400).json({ error: `Unknown request type ${request.type}: it can only be rejected` });
+            }
+
+            const denied = approvalDenied(req.dbUser, request, definition);
+            if (denied) {
+                await client.query('ROLLBACK');
+                return res.status(403).json({ error: denied });
+            }
+
+            // 2. Record the vote
+            await client.query(
+                `INSERT INTO request_approvals (request_id, approver_id, decision, note)
+                 VALUES ($1, $2, $3, $4)
+                 ON CONFLICT (request_id, approver_id) DO UPDATE SET decision = EXCLUDED.decision, note = EXCLUDED.note, created_at = NOW()`,
+                [id, req.dbUser.id, status, admin_notes || null]
+            );
+
+            let after = null;
             if (status === 'APPROVED') {
-                switch (request.type) {
-                    case 'DELETE_USER':
-                        const targetUserId = request.payload.targetUserId;
-                        if (!targetUserId) throw new Error('Invalid payload for DELETE_USER');
-
-                        // Execute delete
-                        // We use the same isolation rules: Admin can only delete from their org
-                        // But since the Request belongs to the org, the user *must* be in that org (assuming normal creation)
-                        // However, strictly speaking, we should verify the target user is in the org.
-                        // Assuming DELETE FROM users WHERE id AND org_id verifies this for us.
-
-                        let deleteQuery = 'DELETE FROM users WHERE id = $1';
-                        let deleteParams = [targetUserId];
-                        if (role !== 'god') {
-                            deleteQuery += ' AND organization_id = $2';
-                            deleteParams.push(organization_id);
-                        }
-                        await client.query(deleteQuery, deleteParams);
-                        break;
-
-                    case 'REASSIGN_TASK':
-                        // Placeholder for future logic
-                        // const { taskId, toUserId } = request.payload;
-                        // await client.query('UPDATE tasks ...');
-                        break;
-
-                    default:
-                        // Unknown command type - Fail safe?
-                        // For now we allow approving unknown types as "Acknowledged" or throw error.
-                        // Let's throw to prevent data rot.
-                        throw new Error(`Unknown request type: ${request.type}`);
+                const countRes = await client.query(
+                    `SELECT COUNT(*)::int AS count FROM request_approvals WHERE request_id = $1 AND decision = 'APPROVED'`,
+                    [id]
+                );
+                // Quorum not reached yet: the request stays pending
+                if (countRes.rows[0].count < request.required_approvals) {
+                    await client.query('UPDATE requests SET updated_at = NOW() WHERE id = $1', [id]);
+                    await client.query('COMMIT');
+                    const pending = await loadRequest(pool, id);
+                    publishRequestChange(pool, 'updated', pending, { actorId: req.dbUser.id });
+                    return res.json(pending);
+                }
+
+                // 3. Execute (payload re-checked: it was stored by an older version of the type, perhaps)
+                const checked = validatePayload(definition, request.payload);
+                if (checked.error) {
+                    await client.query('ROLLBACK');
+                    return res.status(400).json({ error: `Invalid request payload: ${checked.error}` });
+                }
+                const outcome = await definition.execute(client, { request, payload: checked.payload, actorId: req.dbUser.id });
+                if (outcome.error) {
+                    await client.query('ROLLBACK');
+                    return res.status(outcome.status || 400).json({ error: outcome.error });
                 }
+                after = outcome.after || null;
             }
 
-            // 3. Update Request Status
-            const updateResult = await client.query(
-                `UPDATE requests 
-                 SET status = $1, admin_notes = $2, updated_at = NOW() 
-                 WHERE id = $3 
-                 RETURNING *`,
-                [status, admin_notes, id]
+            // 4. Update Request Status
+            await client.query(
+                `UPDATE requests
+                 SET status = $1, admin_notes = $2, resolved_by = $3, resolved_at = NOW(), updated_at = NOW()
+                 WHERE id = $4`,
+                [status, admin_notes, req.dbUser.id, id]
             );
 
+            // 5. Email the requester the decision (queued with the resolution)
+            const requesterRes = await client.query('SELECT email FROM users WHERE id = $1', [request.requester_id]);
+            if (requesterRes.rows[0]?.email) {
+                await queueEmail(client, {
+                    template: 'request_decision',
+                    to: requesterRes.rows[0].email,
+                    userId: request.requester_id,
+                    organizationId: request.organization_id,
+                    data: { requestType: request.type, status, adminNotes: admin_notes || null }
+                });
+            }
+
             await client.query('COMMIT');
 
-            res.json(updateResult.rows[0]);
+            const resolved = await loadRequest(pool, id);
+            publishRequestChange(pool, 'updated', resolved, { actorId: req.dbUser.id });
+            notifyUsers(pool, {
+                userIds: [request.requester_id],
+                type: 'request_resolved',
+                actorId: req.dbUser.id,
+                data: { requestType: request.type, status, adminNotes: admin_notes || null }
+            });
+            if (after) after(pool);
+
+            res.json(resolved);
 
         } catch (error) {
             await client.query('ROLLBACK');
             console.error('PATCH /requests/:id/resolve Error:', error);
-            res.status(500).json({ error: error.message || 'Internal Server Error' });
+            res.status(500).json({ error: 'Internal Server Error' });
         } finally {
             client.release();
         }
@@ -0,0 +1,27 @@
+import express from 'express';
+import { searchAll, MAX_RESULTS_PER_GROUP } from '../services/search.js';
+
+export const createSearchRouter = (pool) => {
+    const router = express.Router();
+
+    // GET /api/search?q=...&limit=5
+    // Grouped full-text results: { tasks, steps, projects, people } (limit applies per group)
+    router.get('/', async (req, res) => {
+        try {
+            const q = String(req.query.q || '').trim();
+            if (q.length > 200) return res.status(400).json({ error: 'q is too long' });
+
+            const limit = req.query.limit === undefined ? 5 : Number(req.query.limit);
+            if (!Number.isInteger(limit) || limit < 1 || limit > MAX_RESULTS_PER_GROUP) {
+                return res.status(400).json({ error: `limit must be between 1 and ${MAX_RESULTS_PER_GROUP}` });
+            }
+
+            res.json(await searchAll(pool, req.dbUser, q, { limit }));
+        } catch (error) {
+            console.error('GET /search Error:', error);
+            res.status(500).json({ error: 'Internal Server Error' });
+        }
+    });
+
+    return router;
+};
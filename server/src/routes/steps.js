@@ -1,15 +1,51 @@
 import express from 'express';
+import { recordActivity } from '../services/activityLog.js';
+import { requireTaskAccess } from '../middleware/scopedAccessLogic.js';
+import { publishStepChange } from '../services/liveEvents.js';
+import { etagFor, parseIfMatch, validateIfMatch } from '../middleware/ifMatch.js';
+
+// Map DB snake_case to camelCase
+const mapStep = (s) => ({
+    id: s.id,
+    taskId: s.task_id,
+    title: s.title,
+    isCompleted: s.is_completed,
+    position: s.position,
+    assignedTo: s.assigned_to,
+    dueDate: s.due_date,
+    duration: s.duration,
+    version: s.version
+});
 
 export const createStepsRouter = (pool) => {
     const router = express.Router();
 
+    // Steps inherit their parent task's permissions
+    const stepTaskId = async (req) => {
+        const stepRes = await pool.query('SELECT task_id FROM task_steps WHERE id = $1 AND deleted_at IS NULL', [req.params.id]);
+        return stepRes.rows[0]?.task_id;
+    };
+    const requireStepAccess = (action) => async (req, res, next) => {
+        try {
+            const taskId = await stepTaskId(req);
+            if (!taskId) return res.status(404).json({ error: 'Step not found' });
+            return requireTaskAccess(pool, action, () => taskId)(req, res, next);
+        } catch (error) {
+            console.error('Step Access Error:', error);
+            res.status(500).json({ error: 'Internal Server Error' });
+        }
+    };
+
     // GET /api/steps
-    // Query: ?taskId=UUID
-    router.get('/', async (req, res) => {
+    // Query: ?taskId=UUID (required unless god)
+    router.get('/', (req, res, next) => {
+        if (!req.query.taskId && req.dbUser.role === 'god') return next();
+        return requireTaskAccess(pool, 'view', () => req.query.taskId)(req, res, next);
+    }, async (req, res) => {
         try {
             const { taskId } = req.query;
             const params = [];
-            let queryText = 'SELECT * FROM task_steps WHERE 1=1';
+            let queryText = 'SELECT * FROM task_steps WHERE deleted_at IS NULL';
 
             if (taskId) {
                 queryText += ' AND task_id = $1';
@@ -20,19 +56,7 @@ export const createStepsRouter = (pool) => {
 
             const result = await pool.query(queryText, params);
 
-            // Map to camelCase
-            const steps = result.rows.map(s => ({
-                id: s.id,
-                taskId: s.task_id,
-                title: s.title,
-                isCompleted: s.is_completed,
-                position: s.position,
-                assignedTo: s.assigned_to,
-                dueDate: s.due_date,
-                duration: s.duration
-            }));
-
-            res.json(steps);
+            res.json(result.rows.map(mapStep));
         } catch (error) {
             console.error('GET /steps Error:', error);
             res.status(500).json({ error: 'Internal Server Error' });
@@ -40,12 +64,13 @@ export const createStepsRouter = (pool) => {
     });
 
     // POST /api/steps
-    router.post('/', async (req, res) => {
-        const { taskId, title, assignedTo, dueDate, duration } = req.body;
-
-        if (!taskId || !title) {
+    router.post('/', (req, res, next) => {
+        if (!req.body.taskId || !req.body.title) {
             return res.status(400).json({ error: 'taskId and title are required' });
         }
+        return requireTaskAccess(pool, 'manageSteps', () => req.body.taskId)(req, res, next);
+    }, async (req, res) => {
+        const { taskId, title, assignedTo, dueDate, duration } = req.body;
 
         try {
             // Get max position for simple append
@@ -60,16 +85,17 @@ export const createStepsRouter = (pool) => {
             );
 
             const s = result.rows[0];
-            res.status(201).json({
-                id: s.id,
-                taskId: s.task_id,
-                title: s.title,
-                isCompleted: s.is_completed,
-                position: s.position,
-                assignedTo: s.assigned_to,
-                dueDate: s.due_date,
-                duration: s.duration
+
+            await recordActivity(pool, {
+                taskId,
+                actorId: req.dbUser.id,
+                action: 'step_added',
+                field: 'steps',
+                newValue: { stepId: s.id, title: s.title }
             });
+            publishStepChange(pool, 'created', { id: s.id, taskId }, { actorId: req.dbUser.id });
+
+            res.status(201).json(mapStep(s));
         } catch (error) {
             console.error('POST /steps Error:', error);
             res.status(500).json({ error: 'Internal Server Error' });
@@ -77,7 +103,9 @@ export const createStepsRouter = (pool) => {
     });
 
     // PATCH /api/steps/:id
-    router.patch('/:id', async (req, res) => {
+    // Conditional on If-Match: "<version>" when sent; a stale version gets 409 { error, current }
+    router.patch('/:id', requireStepAccess('manageSteps'), async (req, res) => {
+        if (!validateIfMatch(req, res)) return;
         const { id } = req.params;
         const updates = req.body;
         const allowedUpdates = ['title', 'isCompleted', 'position', 'assignedTo', 'dueDate', 'duration'];
@@ -101,35 +129,74 @@ export const createStepsRouter = (pool) => {
 
             if (setClauses.length === 0) return res.json({ message: 'No updates provided' });
 
+            // Snapshot for the Audit Log
+            const beforeRes = await pool.query('SELECT * FROM task_steps WHERE id = $1', [id]);
+            const before = beforeRes.rows[0];
+
+            setClauses.push('version = version + 1');
             params.push(id);
-            const queryText = `UPDATE task_steps SET ${setClauses.join(', ')} WHERE id = $${idx} RETURNING *`;
+            let queryText = `UPDATE task_steps SET ${setClauses.join(', ')} WHERE id = $${idx}`;
 
-            const result = await pool.query(queryText, params);
+            // Compare-and-set: only write when the row is still at the version the client saw
+            const expectedVersion = parseIfMatch(req);
+            if (expectedVersion !== null) {
+                params.push(expectedVersion);
+                queryText += ` AND version = $${idx + 1}`;
+            }
+
+            const result = await pool.query(`${queryText} RETURNING *`, params);
 
-            if (result.rows.length === 0) return res.status(404).json({ error: 'Step not found' });
+            if (result.rows.length === 0) {
+                const currentRes = await pool.query('SELECT * FROM task_steps WHERE id = $1', [id]);
+                if (currentRes.rows.length === 0) return res.status(404).json({ error: 'Step not found' });
+
+                const current = currentRes.rows[0];
+                return res.status(409).set('ETag', etagFor(current.version)).json({
+                    error: 'Conflict: this step was changed by someone else',
+                    current: mapStep(current)
+                });
+            }
 
             const s = result.rows[0];
-            res.json({
-                id: s.id,
+
+            const changed = Object.keys(updates).filter(key => allowedUpdates.includes(key));
+            await recordActivity(pool, {
                 taskId: s.task_id,
-                title: s.title,
-                isCompleted: s.is_completed,
-                position: s.position,
-                assignedTo: s.assigned_to,
-                dueDate: s.due_date,
-                duration: s.duration
+                actorId: req.dbUser.id,
+                action: 'step_updated',
+                field: 'steps',
+                oldValue: { stepId: s.id, title: before?.title, isCompleted: before?.is_completed },
+                newValue: { stepId: s.id, title: s.title, isCompleted: s.is_completed, changed }
             });
+            publishStepChange(pool, 'updated', { id: s.id, taskId: s.task_id }, { actorId: req.dbUser.id });
+
+            res.set('ETag', etagFor(s.version)).json(mapStep(s));
         } catch (error) {
             console.error('PATCH /steps/:id Error:', error);
             res.status(500).json({ error: 'Internal Server Error' });
         }
     });
 
-    // DELETE /api/steps/:id
-    router.delete('/:id', async (req, res) => {
+    // DELETE /api/steps/:id (to the trash, see /trash)
+    router.delete('/:id', requireStepAccess('manageSteps'), async (req, res) => {
         const { id } = req.params;
         try {
-            await pool.query('DELETE FROM task_steps WHERE id = $1', [id]);
+            const result = await pool.query(
+                'UPDATE task_steps SET deleted_at = NOW(), deleted_by = $2 WHERE id = $1 AND deleted_at IS NULL RETURNING task_id, title',
+                [id, req.dbUser.id]
+            );
+
+            if (result.rows.length > 0) {
+                await recordActivity(pool, {
+                    taskId: result.rows[0].task_id,
+                    actorId: req.dbUser.id,
+                    action: 'step_deleted',
+                    field: 'steps',
+                    oldValue: { stepId: id, title: result.rows[0].title }
+                });
+                publishStepChange(pool, 'deleted', { id, taskId: result.rows[0].task_id }, { actorId: req.dbUser.id });
+            }
+
             res.json({ message: 'Step deleted' });
         } catch (error) {
             console.error('DELETE /steps/:id Error:', error);
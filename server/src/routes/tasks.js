@@ -1,159 +1,123 @@
 import express from 'express';
+import { recordActivity, recordAssignmentChanges, getTaskActivity } from '../services/activityLog.js';
+import { requireTaskAccess, actionsForTaskUpdate, resolveTaskAccess, canPerform, TASK_DENIED_MESSAGES } from '../middleware/scopedAccessLogic.js';
+import { etagFor, parseIfMatch, validateIfMatch } from '../middleware/ifMatch.js';
+import { createTaskCommentsRouter } from './comments.js';
+import { createTaskFilesRouter } from './files.js';
+import { createTaskDependenciesRouter } from './dependencies.js';
+import { createTaskRecurrenceRouter } from './recurrences.js';
+import {
+    DEFAULT_HORIZON_DAYS, validateRule, toDay, addDays,
+    createSeriesFromTask, truncateSeries
+} from '../services/recurrence.js';
+import { TASK_UPDATE_FIELDS, applyTaskUpdate, shiftDate, softDeleteTask, restoreTasks } from '../services/taskUpdates.js';
+import { getWorkflow, initialStatus, isDoneStatus, checkStatusChange } from '../services/workflows.js';
+import { createStorage } from '../storage/index.js';
+import { mapTaskRow, attachTaskRelations, loadTaskSnapshots } from '../services/taskMapper.js';
+import { parseTaskQuery, buildTaskQuery, paginate } from '../services/taskQuery.js';
+import { getTaskAudience, publishTaskChanges } from '../services/liveEvents.js';
+import { notifyUsers, notifyTaskChange } from '../services/notifications.js';
+import { queueAssignmentEmails } from '../services/emailOutbox.js';
+import { requireActiveOrganization } from '../services/organizations.js';
+import { normalizePriority } from '../../../shared/priorities.js';
+
+const MAX_BULK_TASKS = 500;
+const BULK_OPERATIONS = ['set', 'setEach', 'shiftDueDate', 'move', 'addAssignee', 'removeAssignee', 'delete'];
+const MOVE_MODES = ['reassign', 'add'];
+
+// Validate the fields of a 'set' (or one task's entry of a 'setEach'); returns an error message or null
+const validateBulkFields = (fields = {}) => {
+    const keys = Object.keys(fields);
+    if (keys.length === 0) return 'operation.fields is required';
+    const unknown = keys.filter(key => !TASK_UPDATE_FIELDS.includes(key) && key !== 'assignedTo');
+    if (unknown.length > 0) return `Cannot bulk set: ${unknown.join(', ')}`;
+    if (fields.assignedTo !== undefined && !Array.isArray(fields.assignedTo)) return 'assignedTo must be an array';
+    return null;
+};
+
+// Validate a bulk operation; returns an error message or null
+const validateBulkOperation = (operation) => {
+    if (!operation || !BULK_OPERATIONS.includes(operation.type)) {
+        return `operation.type must be one of: ${BULK_OPERATIONS.join(', ')}`;
+    }
+    switch (operation.type) {
+        case 'set':
+            return validateBulkFields(operation.fields);
+        case 'setEach': {
+            const entries = Object.values(operation.fields || {});
+            if (entries.length === 0) return 'operation.fields is required';
+            return entries.map(validateBulkFields).find(Boolean) || null;
+        }
+        case 'shiftDueDate':
+            return Number.isInteger(operation.days) && operation.days !== 0 ? null : 'operation.days must be a non-zero integer';
+        case 'move': {
+            const { days = 0, toUserId, fromUserId, mode = 'reassign' } = operation;
+            if (!Number.isInteger(days)) return 'operation.days must be an integer';
+            if (days === 0 && !toUserId) return 'operation needs days or toUserId';
+            if (toUserId && !MOVE_MODES.includes(mode)) return `operation.mode must be one of: ${MOVE_MODES.join(', ')}`;
+            if (toUserId && !fromUserId) return 'operation.fromUserId is required with toUserId';
+            return null;
+        }
+        case 'addAssignee':
+        case 'removeAssignee':
+            return operation.userId ? null : 'operation.userId is required';
+        default:
+            return null;
+    }
+};
+
+// Which task actions an operation needs (same matrix as the single-task routes)
+const actionsForBulkOperation = (operation) => {
+    switch (operation.type) {
+        case 'set': return actionsForTaskUpdate(operation.fields);
+        case 'setEach': return [...new Set(Object.values(operation.fields).flatMap(actionsForTaskUpdate))];
+        case 'shiftDueDate': return ['edit'];
+        case 'move': return [...(operation.days ? ['edit'] : []), ...(operation.toUserId ? ['reassign'] : [])];
+        case 'addAssignee':
+        case 'removeAssignee': return ['reassign'];
+        case 'delete': return ['delete'];
+        default: return ['view'];
+    }
+};
 
-export const createTasksRouter = (pool) => {
+export const createTasksRouter = (pool, storage = createStorage()) => {
     const router = express.Router();
 
+    // Discussion thread: /api/tasks/:id/comments
+    router.use('/:id/comments', createTaskCommentsRouter(pool));
+
+    // Attachments: /api/tasks/:id/files
+    router.use('/:id/files', createTaskFilesRouter(pool, storage));
+
+    // Scheduling links (Gantt): /api/tasks/:id/dependencies
+    router.use('/:id/dependencies', createTaskDependenciesRouter(pool));
+
+    // Repeat rules: /api/tasks/:id/recurrence
+    router.use('/:id/recurrence', createTaskRecurrenceRouter(pool));
+
     // GET /api/tasks
-    // Supports query params: ?projectId=... | ?status=...
+    // Filters (see parseTaskQuery): ?projectId= &status= &priority= &assignee= &createdBy= &dueFrom= &dueTo=
+    //   &createdFrom= &createdTo= &q= &hasSteps= &from= &to= (timeline window)
+    // Pagination: ?limit= [&cursor=] -> { tasks, nextCursor }; without limit the response is the plain array
     router.get('/', async (req, res) => {
         try {
             const { role, id: userId } = req.dbUser;
-            const { projectId, status } = req.query;
 
-            let queryText;
-            let params = [userId]; // $1 is userId
+            const parsed = parseTaskQuery(req.query);
+            if (parsed.error) return res.status(400).json({ error: parsed.error });
 
             console.log(`[GET /tasks] Fetching for ${role} (User: ${userId})`);
 
-            if (role === 'god') {
-                // GOD MODE: See all tasks
-                queryText = `
-                    SELECT t.*, 'god' as access_source 
-                    FROM tasks t
-                    WHERE 1=1
-                `;
-            } else {
-                // SCOPED MODE: Memberships + Collaborations
-                queryText = `
-                    WITH user_orgs AS (
-                        SELECT organization_id FROM memberships WHERE user_id = $1
-                        UNION
-                        SELECT organization_id FROM users WHERE id = $1
-                    )
-                    SELECT t.*, 
-                        CASE WHEN t.created_by = $1 THEN 'owner' ELSE 'member' END as access_source
-                    FROM tasks t
-                    LEFT JOIN users creator ON creator.id = t.created_by
-                    WHERE t.organization_id IN (SELECT organization_id FROM user_orgs)
-                    AND (creator.role != 'god' OR creator.role IS NULL) -- HIDE GOD TASKS
-                    
-                    UNION
-                    
-                    SELECT t.*, tc.access_level as access_source
-                    FROM tasks t
-                    JOIN task_collaborators tc ON tc.task_id = t.id
-                    WHERE tc.user_id = $1
-
-                    UNION
-
-                    SELECT t.*, 'assignee' as access_source
-                    FROM tasks t
-                    JOIN task_collaborators ta ON ta.task_id = t.id
-                    WHERE ta.user_id = $1
-
-                    UNION
-
-                    -- ALWAYS SEE MY OWN CREATIONS (Even if Admin hides God, user sees self)
-                    SELECT t.*, 'owner' as access_source
-                    FROM tasks t
-                    WHERE t.created_by = $1
-                `;
-            }
-
-            // Apply Filters (Post-Union Wrapper or Append)
-            // Deduplication Strategy: A task can be returned multiple times with different 'access_source' values
-            // (e.g. 'member' because you're in the org, and 'assignee' because you're assigned).
-            // We use DISTINCT ON (id) to keep only one, prioritizing Owner > Assignee > Member.
-
-            // 1. Define Priority for Access Source
-            // owner = 1, assignee = 2, collaborator = 3, member = 4
-
-            let finalQuery = `
-                SELECT DISTINCT ON (id) * FROM (
-                    ${queryText}
-                ) AS united_tasks
-                ORDER BY id, 
-                CASE access_source 
-                    WHEN 'owner' THEN 1 
-                    WHEN 'god' THEN 1
-                    WHEN 'assignee' THEN 2 
-                    WHEN 'collaborator' THEN 3 
-                    ELSE 4 
-                END ASC
-            `;
-
-            // Note: The outer query needs to handle standard sorting later. 
-            // Postgres requires ORDER BY to match DISTINCT ON first.
-            // So we select from the DISTINCT result to apply final sort.
-
-            finalQuery = `SELECT *, (created_by = $1) as is_owner FROM (${finalQuery}) AS deduped_tasks WHERE 1=1`;
-
-            let paramIdx = params.length + 1;
-
-            if (projectId) {
-                finalQuery += ` AND project_id = $${paramIdx}`;
-                params.push(projectId);
-                paramIdx++;
-            }
-            if (status) {
-                finalQuery += ` AND status = $${paramIdx}`;
-                params.push(status);
-                paramIdx++;
-            }
-
-            finalQuery += ` ORDER BY due_date ASC, 
-                CASE priority 
-                    WHEN 'asap' THEN 1 
-                    WHEN 'high' THEN 1 -- legacy support
-                    WHEN 'sooner' THEN 2 
-                    WHEN 'medium' THEN 2 
-                    WHEN 'whenever' THEN 3 
-                    WHEN 'low' THEN 3 
-                    ELSE 4 
-                END ASC`;
-
-            const result = await pool.query(finalQuery, params);
-            console.log(`[GET /tasks] Query Result: ${result.rows.length} tasks found.`);
+            const { text, params } = buildTaskQuery(req.dbUser, parsed);
+            const result = await pool.query(text, params);
+            const { rows, nextCursor } = paginate(result.rows, parsed.limit);
+            console.log(`[GET /tasks] Query Result: ${rows.length} tasks found.`);
 
             // Enrich and Map to CamelCase
-            const mappedTasks = result.rows.map(t => ({
-                id: t.id,
-                title: t.title,
-                projectId: t.project_id,
-                organizationId: t.organization_id,
-                status: t.status,
-                priority: t.priority,
-                dueDate: t.due_date, // Map snake to camel
-                dueDate: t.due_date, // Map snake to camel
-                createdAt: t.created_at, // Mapping for P1 sorting
-                completedAt: t.completed_at, // History logic
-                description: t.description,
-                accessSource: t.access_source,
-                isOwner: t.is_owner, // Explicit ownership flag
-                createdBy: t.created_by, // Expose creator ID for display
-                assignedTo: [] // Will be populated below
-            }));
-
-            if (mappedTasks.length > 0) {
-                const taskIds = mappedTasks.map(t => t.id);
-
-                const assignmentsRes = await pool.query(
-                    'SELECT task_id, user_id FROM task_collaborators WHERE task_id = ANY($1)',
-                    [taskIds]
-                );
-
-                const assignmentsMap = {};
-                assignmentsRes.rows.forEach(r => {
-                    if (!assignmentsMap[r.task_id]) assignmentsMap[r.task_id] = [];
-                    assignmentsMap[r.task_id].push(r.user_id);
-                });
-
-                mappedTasks.forEach(t => {
-                    t.assignedTo = assignmentsMap[t.id] || [];
-                });
-            }
+            const mappedTasks = await attachTaskRelations(pool, rows.map(mapTaskRow));
 
-            res.json(mappedTasks);
+            // Paged requests get an envelope; unpaged ones keep the plain array existing screens expect
+            res.json(parsed.limit ? { tasks: mappedTasks, nextCursor } : mappedTasks);
         } catch (error) {
             console.error('GET /tasks Error:', error);
             res.status(500).json({ error: 'Internal Server Error' });
@@ -161,20 +125,37 @@ export const createTasksRouter = (pool) => {
     });
 
     // POST /api/tasks
-    router.post('/', async (req, res) => {
+    router.post('/', requireActiveOrganization, async (req, res) => {
         const { role, organization_id } = req.dbUser;
-        const { title, projectId, assignedTo, dueDate, priority, status } = req.body;
+        const { title, projectId, assignedTo, startDate, dueDate, priority, status, statusNote, recurrence } = req.body;
+
+        if (startDate && dueDate && new Date(startDate) > new Date(dueDate)) {
+            return res.status(400).json({ error: 'startDate must be on or before dueDate' });
+        }
+        const normalizedPriority = normalizePriority(priority);
+        if (normalizedPriority === undefined) return res.status(400).json({ error: 'priority must be 1 to 4 or null' });
+        if (recurrence) {
+            const invalid = validateRule(recurrence.rule);
+            if (invalid) return res.status(400).json({ error: invalid });
+        }
 
         try {
+            // New tasks start in the workflow's first status; another one must be enterable as usual
+            const workflow = await getWorkflow(pool, organization_id);
+            const initial = status || initialStatus(workflow);
+            const invalidStatus = checkStatusChange(workflow, null, initial, { statusNote, description: null, dueDate, assignedTo });
+            if (invalidStatus) return res.status(400).json({ error: invalidStatus });
+
             // Transaction for Task + Assignments
             const client = await pool.connect();
             try {
                 await client.query('BEGIN');
 
                 const insertRes = await client.query(
-                    `INSERT INTO tasks (title, project_id, organization_id, status, priority, due_date, created_by)
-                     VALUES ($1, $2, $3, $4, $5, $6, $7) RETURNING *`,
-                    [title, projectId || null, organization_id, status || 'todo', priority || 'whenever', dueDate, req.dbUser.id]
+                    `INSERT INTO tasks (title, project_id, organization_id, status, status_note, completed_at, priority, start_date, due_date, created_by)
+                     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10) RETURNING *`,
+                    [title, projectId || null, organization_id, initial, statusNote || null, isDoneStatus(workflow, initial) ? new Date() : null,
+                        normalizedPriority, startDate || null, dueDate, req.dbUser.id]
                 );
                 const newTask = insertRes.rows[0];
 
@@ -185,7 +166,41 @@ export const createTasksRouter = (pool) => {
                     );
                 }
 
+                // Audit Log
+                await recordActivity(client, {
+                    taskId: newTask.id,
+                    organizationId: newTask.organization_id,
+                    actorId: req.dbUser.id,
+                    action: 'created',
+                    newValue: newTask.title
+                });
+                const assignmentChanges = await recordAssignmentChanges(client, {
+                    taskId: newTask.id,
+                    organizationId: newTask.organization_id,
+                    actorId: req.dbUser.id,
+                    after: assignedTo || []
+                });
+                await queueAssignmentEmails(client, { task: newTask, userIds: assignmentChanges.added, actorId: req.dbUser.id });
+
+                // Repeating task: this becomes the first occurrence of a new series
+                const createdIds = [newTask.id];
+                if (recurrence) {
+                    const series = await createSeriesFromTask(client, {
+                        task: newTask,
+                        assignedTo: assignedTo || [],
+                        rule: recurrence.rule,
+                        horizonDays: recurrence.horizonDays ?? DEFAULT_HORIZON_DAYS,
+                        endsOn: recurrence.endsOn || null
+                    });
+                    newTask.recurrence_id = series.id;
+
+                    const occurrencesRes = await client.query('SELECT id FROM tasks WHERE recurrence_id = $1 AND id <> $2', [series.id, newTask.id]);
+                    createdIds.push(...occurrencesRes.rows.map(r => r.id));
+                }
+
                 await client.query('COMMIT');
+                publishTaskChanges(pool, 'created', createdIds, { actorId: req.dbUser.id });
+                notifyTaskChange(pool, { before: null, after: newTask, assignmentChanges, actorId: req.dbUser.id });
 
                 // Return enriched task
                 newTask.assignedTo = assignedTo || [];
@@ -202,65 +217,282 @@ export const createTasksRouter = (pool) => {
         }
     });
 
-    // PATCH /api/tasks/:id
-    router.patch('/:id', async (req, res) => {
-        const { id } = req.params;
-        const updates = req.body;
-        const allowedUpdates = ['title', 'status', 'priority', 'dueDate', 'description'];
+    // POST /api/tasks/bulk { taskIds, operation, versions? }
+    // operation: { type: 'set', fields } | { type: 'setEach', fields: { [taskId]: fields } }
+    //          | { type: 'shiftDueDate', days, businessDays? }
+    //          | { type: 'move', days?, fromUserId?, toUserId?, mode?: 'reassign' | 'add' } (timeline drag and drop)
+    //          | { type: 'addAssignee' | 'removeAssignee', userId } | { type: 'delete', scope?: 'future' }
+    // versions: optional { [taskId]: version } (same optimistic concurrency as If-Match on PATCH)
+    // All or nothing: every task is checked first; if any is missing, forbidden, stale or invalid, nothing is
+    // applied and the response (404/403/409/400) carries the per-task results. Success: 200 { results }.
+    router.post('/bulk', async (req, res) => {
+        const { taskIds, operation, versions = {} } = req.body;
+        const actorId = req.dbUser.id;
+
+        if (!Array.isArray(taskIds) || taskIds.length === 0) return res.status(400).json({ error: 'taskIds must be a non-empty array' });
+        if (taskIds.length > MAX_BULK_TASKS) return res.status(400).json({ error: `At most ${MAX_BULK_TASKS} tasks per request` });
+        const invalid = validateBulkOperation(operation);
+        if (invalid) return res.status(400).json({ error: invalid });
+
+        const ids = [...new Set(taskIds)];
+        const requiredActions = actionsForBulkOperation(operation);
 
         const client = await pool.connect();
         try {
             await client.query('BEGIN');
 
-            // 1. Update Tasks Table Fields
-            const setClauses = [];
-            const params = [];
-            let idx = 1;
-
-            Object.keys(updates).forEach(key => {
-                if (allowedUpdates.includes(key)) {
-                    const dbKey = key === 'dueDate' ? 'due_date' : key;
-                    setClauses.push(`${dbKey} = $${idx}`);
-                    params.push(updates[key]);
-                    idx++;
-
-                    // Special Handling for Status Change -> Completed At
-                    if (key === 'status') {
-                        if (updates.status === 'done') {
-                            setClauses.push(`completed_at = NOW()`);
-                        } else {
-                            // If moving OUT of done, clear it
-                            setClauses.push(`completed_at = NULL`);
+            // Lock in a stable order so concurrent bulk requests cannot deadlock
+            const lockedRes = await client.query('SELECT * FROM tasks WHERE id = ANY($1) ORDER BY id FOR UPDATE', [ids]);
+            const rowsById = new Map(lockedRes.rows.map(t => [t.id, t]));
+
+            // 1. Check every task before touching any
+            const failures = [];
+            for (const id of ids) {
+                const access = rowsById.has(id) ? await resolveTaskAccess(client, req.dbUser, id) : { task: null };
+                if (!access.task || !canPerform(access.accessLevel, 'view')) {
+                    failures.push({ id, status: 'not_found', error: 'Task not found' });
+                    continue;
+                }
+                const denied = requiredActions.find(action => !canPerform(access.accessLevel, action));
+                if (denied) {
+                    failures.push({ id, status: 'forbidden', error: TASK_DENIED_MESSAGES[denied], action: denied });
+                    continue;
+                }
+                if (versions[id] !== undefined && versions[id] !== rowsById.get(id).version) {
+                    failures.push({ id, status: 'conflict', error: 'Changed by someone else' });
+                }
+            }
+
+            if (failures.length > 0) {
+                await client.query('ROLLBACK');
+                const conflictIds = failures.filter(f => f.status === 'conflict').map(f => f.id);
+                const currents = new Map((await loadTaskSnapshots(pool, conflictIds)).map(t => [t.id, t]));
+                failures.forEach(f => { if (f.status === 'conflict') f.current = currents.get(f.id); });
+
+                const statusCode = failures.some(f => f.status === 'conflict') ? 409
+                    : failures.some(f => f.status === 'forbidden') ? 403 : 404;
+                return res.status(statusCode).json({
+                    error: `No changes applied: ${failures.length} of ${ids.length} task(s) cannot be changed`,
+                    results: failures
+                });
+            }
+
+            // 2. Apply
+            const results = [];
+            const updatedIds = [];
+            const createdIds = [];
+            const deletedIds = [];
+            const audiences = new Map();
+            const changes = []; // For notifications
+
+            for (const id of ids) {
+                const before = rowsById.get(id);
+
+                if (operation.type === 'delete') {
+                    // Already removed with an earlier occurrence of the same series (scope: future)
+                    if (deletedIds.includes(id)) {
+                        results.push({ id, status: 'deleted' });
+                        continue;
+                    }
+                    audiences.set(id, await getTaskAudience(client, id));
+                    await softDeleteTask(client, id, actorId);
+                    deletedIds.push(id);
+
+                    if (operation.scope === 'future' && before.recurrence_id) {
+                        const removed = await truncateSeries(client, before.recurrence_id, addDays(toDay(before.occurrence_date), -1), actorId);
+                        for (const r of removed) {
+                            audiences.set(r.id, audiences.get(id));
+                            await recordActivity(client, { taskId: r.id, organizationId: before.organization_id, actorId, action: 'deleted', oldValue: r.title });
+                            deletedIds.push(r.id);
                         }
                     }
+                    await recordActivity(client, { taskId: id, organizationId: before.organization_id, actorId, action: 'deleted', oldValue: before.title });
+                    results.push({ id, status: 'deleted' });
+                    continue;
                 }
-            });
 
-            let updatedTask;
-            if (setClauses.length > 0) {
-                params.push(id);
-                const queryText = `UPDATE tasks SET ${setClauses.join(', ')} WHERE id = $${idx} RETURNING *`;
-                const result = await client.query(queryText, params);
-                updatedTask = result.rows[0];
-            } else {
-                // If no task fields updated, fetch current state
-                const res = await client.query('SELECT * FROM tasks WHERE id = $1', [id]);
-                updatedTask = res.rows[0];
+                let updates;
+                if (operation.type === 'set') {
+                    updates = operation.fields;
+                } else if (operation.type === 'setEach') {
+                    updates = operation.fields[id];
+                    if (!updates) {
+                        results.push({ id, status: 'skipped', error: 'No fields for this task' });
+                        continue;
+                    }
+                } else if (operation.type === 'move') {
+                    updates = {};
+                    if (operation.days && before.due_date) {
+                        updates.dueDate = shiftDate(before.due_date, operation.days);
+                        if (before.start_date) updates.startDate = shiftDate(before.start_date, operation.days);
+                    }
+                    if (operation.toUserId) {
+                        const assignRes = await client.query('SELECT user_id FROM task_collaborators WHERE task_id = $1', [id]);
+                        const current = assignRes.rows.map(r => r.user_id);
+                        // An unassigned task sits on its creator's row: co-assigning keeps them on it
+                        const kept = operation.mode === 'add'
+                            ? (current.length > 0 ? current : [operation.fromUserId])
+                            : current.filter(uid => uid !== operation.fromUserId);
+                        const next = [...new Set([...kept, operation.toUserId])];
+                        if (next.length !== current.length || next.some(uid => !current.includes(uid))) updates.assignedTo = next;
+                    }
+                    if (Object.keys(updates).length === 0) {
+                        results.push({ id, status: 'skipped', error: 'Nothing to move' });
+                        continue;
+                    }
+                } else if (operation.type === 'shiftDueDate') {
+                    if (!before.due_date) {
+                        results.push({ id, status: 'skipped', error: 'Task has no due date' });
+                        continue;
+                    }
+                    updates = { dueDate: shiftDate(before.due_date, operation.days, operation.businessDays) };
+                    if (before.start_date) updates.startDate = shiftDate(before.start_date, operation.days, operation.businessDays);
+                } else {
+                    const assignRes = await client.query('SELECT user_id FROM task_collaborators WHERE task_id = $1', [id]);
+                    const current = assignRes.rows.map(r => r.user_id);
+                    const next = operation.type === 'addAssignee'
+                        ? [...new Set([...current, operation.userId])]
+                        : current.filter(uid => uid !== operation.userId);
+                    if (next.length === current.length) {
+                        results.push({ id, status: 'skipped', error: operation.type === 'addAssignee' ? 'Already assigned' : 'Not assigned' });
+                        continue;
+                    }
+                    updates = { assignedTo: next };
+                }
+
+                if (updates.assignedTo !== undefined) audiences.set(id, await getTaskAudience(client, id));
+                const outcome = await applyTaskUpdate(client, { before, updates, actorId });
+                if (outcome.error) {
+                    await client.query('ROLLBACK');
+                    return res.status(400).json({
+                        error: `No changes applied: ${outcome.error}`,
+                        results: [{ id, status: 'invalid', error: outcome.error }]
+                    });
+                }
+                updatedIds.push(id);
+                changes.push({ before, after: outcome.task, assignmentChanges: outcome.assignmentChanges, actorId });
+                if (outcome.nextOccurrence) createdIds.push(outcome.nextOccurrence.id);
+                results.push({ id, status: 'updated' });
             }
 
-            // 2. Update Assignments if provided
-            if (updates.assignedTo !== undefined) {
-                // Remove existing assignments
-                await client.query('DELETE FROM task_collaborators WHERE task_id = $1', [id]);
+            await client.query('COMMIT');
+
+            // 3. Notify and respond with fresh list-shaped tasks
+            deletedIds.forEach(id => publishTaskChanges(pool, 'deleted', [id], { actorId, audience: audiences.get(id) }));
+            updatedIds.forEach(id => publishTaskChanges(pool, 'updated', [id], { actorId, previousAudience: audiences.get(id) || null }));
+            publishTaskChanges(pool, 'created', createdIds, { actorId });
+            changes.forEach(change => notifyTaskChange(pool, change));
+
+            const snapshots = new Map((await loadTaskSnapshots(pool, updatedIds)).map(t => [t.id, t]));
+            results.forEach(r => { if (r.status === 'updated') r.task = snapshots.get(r.id); });
+
+            res.json({ results });
+        } catch (error) {
+            await client.query('ROLLBACK');
+            console.error('POST /tasks/bulk Error:', error);
+            res.status(500).json({ error: 'Internal Server Error' });
+        } finally {
+            client.release();
+        }
+    });
+
+    // POST /api/tasks/restore { taskIds } - Undo deletes (creator or god, like deleting)
+    // All or nothing, like /bulk: 404/403 with per-task results when any task cannot be restored. Success: 200 { results }.
+    router.post('/restore', async (req, res) => {
+        const { taskIds } = req.body;
+        const actorId = req.dbUser.id;
 
-                // Insert new assignments
-                if (Array.isArray(updates.assignedTo) && updates.assignedTo.length > 0) {
-                    const values = updates.assignedTo.map(uid => `('${id}', '${uid}', 'collaborator_free')`).join(',');
-                    await client.query(`INSERT INTO task_collaborators (task_id, user_id, access_level) VALUES ${values}`);
+        if (!Array.isArray(taskIds) || taskIds.length === 0) return res.status(400).json({ error: 'taskIds must be a non-empty array' });
+        if (taskIds.length > MAX_BULK_TASKS) return res.status(400).json({ error: `At most ${MAX_BULK_TASKS} tasks per request` });
+        const ids = [...new Set(taskIds)];
+
+        const client = await pool.connect();
+        try {
+            await client.query('BEGIN');
+            const lockedRes = await client.query('SELECT id, deleted_at FROM tasks WHERE id = ANY($1) ORDER BY id FOR UPDATE', [ids]);
+            const rowsById = new Map(lockedRes.rows.map(t => [t.id, t]));
+
+            const failures = [];
+            const results = [];
+            for (const id of ids) {
+                const access = rowsById.has(id) ? await resolveTaskAccess(client, req.dbUser, id, { includeDeleted: true }) : { task: null };
+                if (!access.task || !canPerform(access.accessLevel, 'view')) {
+                    failures.push({ id, status: 'not_found', error: 'Task not found' });
+                } else if (!canPerform(access.accessLevel, 'delete')) {
+                    failures.push({ id, status: 'forbidden', error: TASK_DENIED_MESSAGES.delete, action: 'delete' });
+                } else if (!access.task.deleted_at) {
+                    results.push({ id, status: 'skipped', error: 'Task is not deleted' });
                 }
             }
+            if (failures.length > 0) {
+                await client.query('ROLLBACK');
+                return res.status(failures.some(f => f.status === 'forbidden') ? 403 : 404).json({
+                    error: `Nothing restored: ${failures.length} of ${ids.length} task(s) cannot be restored`,
+                    results: failures
+                });
+            }
+
+            const restoredIds = await restoreTasks(client, ids, actorId);
+            await client.query('COMMIT');
+
+            publishTaskChanges(pool, 'created', restoredIds, { actorId });
+            const snapshots = await loadTaskSnapshots(pool, restoredIds);
+            results.push(...snapshots.map(task => ({ id: task.id, status: 'restored', task })));
+            res.json({ results });
+        } catch (error) {
+            await client.query('ROLLBACK');
+            console.error('POST /tasks/restore Error:', error);
+            res.status(500).json({ error: 'Internal Server Error' });
+        } finally {
+            client.release();
+        }
+    });
+
+    // PATCH /api/tasks/:id
+    // Required actions depend on the body (e.g. priority -> setPriority, assignedTo -> reassign)
+    // Recurring tasks: { scope: 'future' } also applies title/description/priority/assignees to later open occurrences
+    // Conditional on If-Match: "<version>" when sent; a stale version gets 409 { error, current }
+    router.patch('/:id', requireTaskAccess(pool, (req) => actionsForTaskUpdate(req.body)), async (req, res) => {
+        if (!validateIfMatch(req, res)) return;
+        const { id } = req.params;
+        const updates = req.body;
+
+        const client = await pool.connect();
+        try {
+            await client.query('BEGIN');
+
+            // 0. Snapshot current state for the Audit Log (lock row so concurrent edits diff correctly)
+            const beforeRes = await client.query('SELECT * FROM tasks WHERE id = $1 FOR UPDATE', [id]);
+            if (beforeRes.rows.length === 0) {
+                await client.query('ROLLBACK');
+                return res.status(404).json({ error: 'Task not found' });
+            }
+            const beforeTask = beforeRes.rows[0];
+
+            const expectedVersion = parseIfMatch(req);
+            if (expectedVersion !== null && expectedVersion !== beforeTask.version) {
+                await client.query('ROLLBACK');
+                const [current] = await loadTaskSnapshots(pool, [id]);
+                return res.status(409).set('ETag', etagFor(beforeTask.version)).json({
+                    error: 'Conflict: this task was changed by someone else',
+                    current
+                });
+            }
+
+            // Reassignment can hide the task from someone; they still need to hear about it
+            const previousAudience = updates.assignedTo !== undefined ? await getTaskAudience(client, id) : null;
+
+            const outcome = await applyTaskUpdate(client, { before: beforeTask, updates, actorId: req.dbUser.id });
+            if (outcome.error) {
+                await client.query('ROLLBACK');
+                return res.status(400).json({ error: outcome.error });
+            }
+            const { task: updatedTask, futureIds, nextOccurrence, assignmentChanges } = outcome;
 
             await client.query('COMMIT');
+            publishTaskChanges(pool, 'updated', [id, ...futureIds], { actorId: req.dbUser.id, previousAudience });
+            if (nextOccurrence) publishTaskChanges(pool, 'created', [nextOccurrence.id], { actorId: req.dbUser.id });
+            notifyTaskChange(pool, { before: beforeTask, after: updatedTask, assignmentChanges, actorId: req.dbUser.id });
 
             // 3. Return enriched task
             // Fetch fresh assignments to be sure
@@ -274,17 +506,22 @@ export const createTasksRouter = (pool) => {
                 projectId: updatedTask.project_id,
                 organizationId: updatedTask.organization_id,
                 status: updatedTask.status,
+                statusNote: updatedTask.status_note,
                 priority: updatedTask.priority,
                 priority: updatedTask.priority,
+                startDate: updatedTask.start_date,
                 dueDate: updatedTask.due_date,
                 completedAt: updatedTask.completed_at,
                 createdAt: updatedTask.created_at,
                 description: updatedTask.description,
                 accessSource: updatedTask.access_source, // Might be missing if not re-fetched with logic, but ok for now
+                recurrenceId: updatedTask.recurrence_id,
+                occurrenceDate: updatedTask.occurrence_date && toDay(updatedTask.occurrence_date),
+                version: updatedTask.version,
                 assignedTo: finalAssignments
             };
 
-            res.json(finalTask);
+            res.set('ETag', etagFor(updatedTask.version)).json(finalTask);
         } catch (error) {
             await client.query('ROLLBACK');
             console.error('PATCH /tasks/:id Error:', error);
@@ -295,10 +532,11 @@ export const createTasksRouter = (pool) => {
     });
 
     // POST /api/tasks/:id/invite
-    router.post('/:id/invite', async (req, res) => {
+    router.post('/:id/invite', requireTaskAccess(pool, 'invite'), async (req, res) => {
         const { id: taskId } = req.params;
         const { email } = req.body;
-        const { id: requesterId, organization_id } = req.dbUser; // Currently we assume requester is in context org
+        const { id: requesterId } = req.dbUser;
+        const taskOrgId = req.task.organization_id;
 
         if (!email) return res.status(400).json({ error: 'Email is required' });
 
@@ -306,26 +544,11 @@ export const createTasksRouter = (pool) => {
         try {
             await client.query('BEGIN');
 
-            // 1. Verify Requester Access (Must be a Member of the Task's Org)
-            // We fetch the task to get its org_id.
-            const taskRes = await client.query('SELECT organization_id FROM tasks WHERE id = $1', [taskId]);
-            if (taskRes.rows.length === 0) {
-                await client.query('ROLLBACK');
-                return res.status(404).json({ error: 'Task not found' });
-            }
-            const taskOrgId = taskRes.rows[0].organization_id;
-
-            // Strict check: Requester must match the task's organization
-            // In future with multi-org memberships, we'd check if `taskOrgId` is in `req.user.memberships`
-            // For now, `organization_id` on user is the primary one.
-            if (organization_id !== taskOrgId && req.dbUser.role !== 'god') {
-                await client.query('ROLLBACK');
-                return res.status(403).json({ error: 'Only organization members can invite collaborators.' });
-            }
+            // 1. Requester access (org member / owner / god) is enforced by requireTaskAccess('invite')
 
             // 2. Resolve Target User (Ghost or Existing)
             let targetUserId;
-            const userRes = await client.query('SELECT id FROM users WHERE email = $1', [email]);
+            const userRes = await client.query(`SELECT id FROM users WHERE email = $1 ORDER BY (status IS NOT DISTINCT FROM 'pending') ASC LIMIT 1`, [email]);
 
             if (userRes.rows.length > 0) {
                 targetUserId = userRes.rows[0].id;
@@ -349,7 +572,19 @@ export const createTasksRouter = (pool) => {
                 [taskId, targetUserId]
             );
 
+            await recordActivity(client, {
+                taskId,
+                organizationId: taskOrgId,
+                actorId: requesterId,
+                action: 'invited',
+                field: 'assignedTo',
+                newValue: { userId: targetUserId, email }
+            });
+            await queueAssignmentEmails(client, { task: req.task, userIds: [targetUserId], actorId: requesterId });
+
             await client.query('COMMIT');
+            publishTaskChanges(pool, 'updated', [taskId], { actorId: requesterId });
+            notifyUsers(pool, { userIds: [targetUserId], type: 'invited', actorId: requesterId, taskId, data: { taskTitle: req.task.title } });
 
             res.json({ message: `Invited ${email}`, userId: targetUserId });
         } catch (error) {
@@ -361,34 +596,56 @@ export const createTasksRouter = (pool) => {
         }
     });
 
+    // GET /api/tasks/:id/activity
+    router.get('/:id/activity', requireTaskAccess(pool, 'view'), async (req, res) => {
+        const { id } = req.params;
+
+        try {
+            const activity = await getTaskActivity(pool, id);
+            res.json(activity);
+        } catch (error) {
+            console.error('GET /tasks/:id/activity Error:', error);
+            res.status(500).json({ error: 'Internal Server Error' });
+        }
+    });
+
     // DELETE /api/tasks/:id
-    router.delete('/:id', async (req, res) => {
+    // Recurring tasks: ?scope=future also ends the series and trashes later open occurrences (restored with this task)
+    router.delete('/:id', requireTaskAccess(pool, 'delete'), async (req, res) => {
         const { id } = req.params;
-        const { id: userId, role } = req.dbUser;
+        const { id: userId } = req.dbUser;
 
         const client = await pool.connect();
         try {
             await client.query('BEGIN');
 
-            // 1. Fetch task to check ownership
-            const taskRes = await client.query('SELECT created_by FROM tasks WHERE id = $1', [id]);
-            if (taskRes.rows.length === 0) {
-                await client.query('ROLLBACK');
-                return res.status(404).json({ error: 'Task not found' });
-            }
+            // 1. Ownership (creator or god) is enforced by requireTaskAccess('delete')
+            const task = req.task;
 
-            const task = taskRes.rows[0];
+            const audience = await getTaskAudience(client, id);
 
-            // 2. Security Check: Only creator or god can delete
-            if (role !== 'god' && task.created_by !== userId) {
-                await client.query('ROLLBACK');
-                return res.status(403).json({ error: 'Only the task creator can delete this task.' });
+            // 2. Soft delete (collaborators, steps and files stay for a restore; see POST /tasks/restore)
+            await softDeleteTask(client, id, userId);
+
+            let removed = [];
+            if (req.query.scope === 'future' && task.recurrence_id) {
+                removed = await truncateSeries(client, task.recurrence_id, addDays(toDay(task.occurrence_date), -1), userId);
+                for (const r of removed) {
+                    await recordActivity(client, { taskId: r.id, organizationId: task.organization_id, actorId: userId, action: 'deleted', oldValue: r.title });
+                }
             }
 
-            // 3. Delete (Cascading will handle assignments, collaborators, and steps)
-            await client.query('DELETE FROM tasks WHERE id = $1', [id]);
+            // Audit Log survives a later purge too (task_activity.task_id has no FK)
+            await recordActivity(client, {
+                taskId: id,
+                organizationId: task.organization_id,
+                actorId: userId,
+                action: 'deleted',
+                oldValue: task.title
+            });
 
             await client.query('COMMIT');
+            publishTaskChanges(pool, 'deleted', [id, ...removed.map(r => r.id)], { actorId: userId, audience });
             res.json({ message: 'Task deleted successfully' });
         } catch (error) {
             await client.query('ROLLBACK');
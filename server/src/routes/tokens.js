@@ -0,0 +1,63 @@
+import express from 'express';
+import { mapApiToken, validateTokenRequest, createApiToken, revokeApiToken } from '../services/apiTokens.js';
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+// Tokens are managed from a signed-in session only: a leaked token cannot mint or revoke others
+export const requireSession = (req, res, next) => {
+    if (req.apiToken) return res.status(403).json({ error: 'API tokens cannot manage tokens: sign in to do this' });
+    next();
+};
+
+export const createTokensRouter = (pool) => {
+    const router = express.Router();
+
+    router.use(requireSession);
+
+    // GET /api/tokens - My personal access tokens (newest first, revoked ones included)
+    router.get('/', async (req, res) => {
+        try {
+            const result = await pool.query(
+                'SELECT * FROM api_tokens WHERE user_id = $1 ORDER BY revoked_at IS NOT NULL, created_at DESC',
+                [req.dbUser.id]
+            );
+            res.json(result.rows.map(mapApiToken));
+        } catch (error) {
+            console.error('GET /tokens Error:', error);
+            res.status(500).json({ error: 'Internal Server Error' });
+        }
+    });
+
+    // POST /api/tokens - Mint a token ({ name, scopes?: ['read'|'write'], expiresInDays? })
+    // The response carries the token itself; it cannot be shown again
+    router.post('/', async (req, res) => {
+        const { error, ...request } = validateTokenRequest(req.body);
+        if (error) return res.status(400).json({ error });
+
+        try {
+            const created = await createApiToken(pool, { userId: req.dbUser.id, createdBy: req.dbUser.id, ...request });
+            if (created.error) return res.status(created.status).json({ error: created.error });
+
+            console.log(`[Tokens] ${req.dbUser.id} created token ${created.row.id} (${created.row.scopes.join(', ')})`);
+            res.status(201).json({ ...mapApiToken(created.row), token: created.token });
+        } catch (error) {
+            console.error('POST /tokens Error:', error);
+            res.status(500).json({ error: 'Internal Server Error' });
+        }
+    });
+
+    // DELETE /api/tokens/:id - Revoke
+    router.delete('/:id', async (req, res) => {
+        if (!UUID_PATTERN.test(req.params.id)) return res.status(404).json({ error: 'Token not found' });
+        try {
+            const revoked = await revokeApiToken(pool, { tokenId: req.params.id, userId: req.dbUser.id, revokedBy: req.dbUser.id });
+            if (!revoked) return res.status(404).json({ error: 'Token not found or already revoked' });
+            res.json({ message: 'Token revoked' });
+        } catch (error) {
+            console.error('DELETE /tokens/:id Error:', error);
+            res.status(500).json({ error: 'Internal Server Error' });
+        }
+    });
+
+    return router;
+};
@@ -0,0 +1,91 @@
+import express from 'express';
+import { TRASH_KINDS, TRASH_RETENTION_DAYS, listTrash, loadTrashItem, restoreTrashItem, purgeTrash } from '../services/trash.js';
+import { publishTaskChanges, publishStepChange, publishProjectChange } from '../services/liveEvents.js';
+import { createStorage } from '../storage/index.js';
+
+export const createTrashRouter = (pool, storage = createStorage()) => {
+    const router = express.Router();
+
+    const validateKind = (req, res, next) => {
+        if (!TRASH_KINDS.includes(req.params.kind)) {
+            return res.status(400).json({ error: `Invalid kind. Must be one of: ${TRASH_KINDS.join(', ')}` });
+        }
+        next();
+    };
+
+    // GET /api/trash
+    // Deleted items the user may restore: { retentionDays, tasks, steps, projects } (each with deletedAt and purgeAt)
+    router.get('/', async (req, res) => {
+        try {
+            const trash = await listTrash(pool, req.dbUser);
+            res.json({ retentionDays: TRASH_RETENTION_DAYS, ...trash });
+        } catch (error) {
+            console.error('GET /trash Error:', error);
+            res.status(500).json({ error: 'Internal Server Error' });
+        }
+    });
+
+    // POST /api/trash/:kind/:id/restore
+    router.post('/:kind/:id/restore', validateKind, async (req, res) => {
+        const { kind, id } = req.params;
+        const actorId = req.dbUser.id;
+
+        const client = await pool.connect();
+        try {
+            await client.query('BEGIN');
+            const loaded = await loadTrashItem(client, req.dbUser, kind, id);
+            const outcome = loaded.error ? loaded : await restoreTrashItem(client, kind, loaded.item, actorId);
+            if (outcome.error) {
+                await client.query('ROLLBACK');
+                return res.status(outcome.status).json({ error: outcome.error });
+            }
+            await client.query('COMMIT');
+
+            publishTaskChanges(pool, 'created', outcome.taskIds, { actorId });
+            if (kind === 'steps') publishStepChange(pool, 'created', { id, taskId: outcome.item.task_id }, { actorId });
+            if (kind === 'projects') publishProjectChange(pool, 'created', outcome.item, { actorId });
+
+            res.json({ message: 'Restored', kind, id, restoredTaskCount: outcome.taskIds.length });
+        } catch (error) {
+            await client.query('ROLLBACK');
+            console.error('POST /trash/:kind/:id/restore Error:', error);
+            res.status(500).json({ error: 'Internal Server Error' });
+        } finally {
+            client.release();
+        }
+    });
+
+    // DELETE /api/trash/:kind/:id (Purge for good: no undo)
+    router.delete('/:kind/:id', validateKind, async (req, res) => {
+        const { kind, id } = req.params;
+
+        const client = await pool.connect();
+        let purged;
+        try {
+            await client.query('BEGIN');
+            const loaded = await loadTrashItem(client, req.dbUser, kind, id);
+            if (loaded.error) {
+                await client.query('ROLLBACK');
+                return res.status(loaded.status).json({ error: loaded.error });
+            }
+            purged = await purgeTrash(client, {
+                taskIds: kind === 'tasks' ? [id] : [],
+                stepIds: kind === 'steps' ? [id] : [],
+                projectIds: kind === 'projects' ? [id] : []
+            });
+            await client.query('COMMIT');
+        } catch (error) {
+            await client.query('ROLLBACK');
+            console.error('DELETE /trash/:kind/:id Error:', error);
+            return res.status(500).json({ error: 'Internal Server Error' });
+        } finally {
+            client.release();
+        }
+
+        // Rows are gone; a file left behind is only wasted space
+        await Promise.all(purged.storageKeys.map(key => storage.remove(key).catch(err => console.error('[Trash] Failed to remove file:', key, err))));
+        res.json({ message: 'Deleted permanently', kind, id, purgedTaskCount: purged.tasks });
+    });
+
+    return router;
+};
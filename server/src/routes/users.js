@@ -1,4 +1,9 @@
 import express from 'express';
+import { getDirectory } from '../services/directory.js';
+import { queueInvitationEmail } from '../services/emailOutbox.js';
+import { inviteGhost } from '../services/invitations.js';
+import { requireActiveOrganization, removeMember } from '../services/organizations.js';
+import { hasDelegatedScope } from '../services/delegations.js';
 
 export const createUsersRouter = (pool) => {
     const router = express.Router();
@@ -18,15 +23,18 @@ export const createUsersRouter = (pool) => {
                 id: u.id,
                 name: u.display_name,
                 email: u.email,
-                role: req.dbUser.role || u.role, // Use Middleware role (handles delegation)
+                role: req.dbUser.role || u.role, // Use Middleware role (active organization's membership role, delegation)
                 isDelegated: req.dbUser.is_delegated || false,
                 delegationExpiresAt: req.dbUser.delegation_expires_at || null,
+                delegatedScopes: req.dbUser.delegated_scopes || [], // Scoped delegations in effect ({ scope, scopeIds, expiresAt })
                 avatar: u.avatar_url || (u.display_name || u.email).charAt(0).toUpperCase(),
                 company: u.company_label || '',
                 department: u.department || '',
                 position: u.position || '',
                 status: u.status,
-                organizationId: u.organization_id
+                organizationId: req.dbUser.organization_id, // Active organization (X-Organization-Id or default)
+                defaultOrganizationId: u.organization_id,
+                organizations: req.dbUser.organizations || []
             };
 
             res.json(profile);
@@ -39,65 +47,7 @@ export const createUsersRouter = (pool) => {
     // GET /api/users (The Directory)
     router.get('/', async (req, res) => {
         try {
-            const { role, organization_id } = req.dbUser;
-
-            let queryText;
-            let params = [];
-
-            if (role === 'god') {
-                queryText = `
-                    SELECT id, display_name, role, email, avatar_url, company_label, department, position 
-                    FROM users 
-                    ORDER BY display_name ASC
-                `;
-            } else {
-                // Fetch Members AND Guests (Collaborators on Org Projects)
-                // We use distinct on ID to avoid duplicates if someone is both (shouldn't happen but safe)
-                queryText = `
-                    WITH org_members AS (
-                        -- Use Memberships OR Legacy Org ID
-                        SELECT u.id, u.display_name, u.role::text, u.email, u.avatar_url, u.company_label, u.department, u.position, 'member' as source
-                        FROM users u
-                        LEFT JOIN memberships m ON m.user_id = u.id
-                        WHERE (m.organization_id = $1 OR u.organization_id = $1)
-                        AND u.role != 'god' -- HIDE SYSTEM GODS
-                    ),
-                    org_guests AS (
-                        -- External users collaborating on this Org's tasks
-                        SELECT u.id, u.display_name, 'guest' as role, u.email, u.avatar_url, u.company_label, u.department, u.position, 'guest' as source
-                        FROM users u
-                        JOIN task_collaborators tc ON tc.user_id = u.id
-                        JOIN tasks t ON t.id = tc.task_id
-                        WHERE t.organization_id = $1
-                        AND u.id NOT IN (SELECT id FROM org_members) -- Exclude existing members
-                        AND u.role != 'god' -- HIDE SYSTEM GODS
-                    )
-                    SELECT * FROM org_members
-                    UNION ALL
-                    SELECT * FROM org_guests
-                    ORDER BY display_name ASC
-                `;
-                params.push(organization_id);
-            }
-
-            const result = await pool.query(queryText, params);
-
-            // Map result to frontend expected format if needed (it matches already)
-            // Map result to frontend expected format if needed (it matches already)
-            if (result.rows.length > 0) {
-                console.log('[API DEBUG] Row 0:', JSON.stringify(result.rows[0]));
-            }
-            const colleagues = result.rows.map(row => ({
-                id: row.id,
-                name: row.display_name || row.email.split('@')[0],
-                role: row.role, // 'admin', 'user', 'guest', 'god'
-                email: row.email,
-                avatar: row.avatar_url || '👤',
-                company: row.company_label,
-                department: row.department,
-                position: row.position
-            }));
-
+            const colleagues = await getDirectory(pool, req.dbUser);
             res.json(colleagues);
         } catch (error) {
             console.error('GET /users Error:', error);
@@ -105,61 +55,61 @@ export const createUsersRouter = (pool) => {
         }
     });
 
-    // DELETE /api/users/:id
-    router.delete('/:id', async (req, res) => {
-        try {
-            const { role, organization_id } = req.dbUser;
-            const { id } = req.params;
-
-            // RBAC: Only Admin or God can delete users
-            if (role === 'user') {
-                return res.status(403).json({ error: 'Forbidden: Insufficient permissions' });
-            }
-
-            // Ensure tenant isolation (unless God)
-            let queryText = 'DELETE FROM users WHERE id = $1';
-            let params = [id];
-
-            if (role !== 'god') {
-                queryText += ' AND organization_id = $2';
-                params.push(organization_id);
-            }
+    // DELETE /api/users/:id (Remove from the active organization; the account itself is kept)
+    router.delete('/:id', requireActiveOrganization, async (req, res) => {
+        const { role, organization_id } = req.dbUser;
 
-            const result = await pool.query(queryText, params);
+        // RBAC: Only Admin or God can remove users (or a 'users' delegate, the users in their scope)
+        if (role === 'user' && !hasDelegatedScope(req.dbUser, 'users', req.params.id)) {
+            return res.status(403).json({ error: 'Forbidden: Insufficient permissions' });
+        }
 
-            if (result.rowCount === 0) {
-                return res.status(404).json({ error: 'User not found or access denied' });
+        const client = await pool.connect();
+        try {
+            await client.query('BEGIN');
+            const { status, error } = await removeMember(client, { organizationId: organization_id, userId: req.params.id });
+            if (error) {
+                await client.query('ROLLBACK');
+                return res.status(status).json({ error });
             }
+            await client.query('COMMIT');
 
-            res.json({ message: 'User deleted successfully' });
+            res.json({ message: 'User removed from organization' });
         } catch (error) {
+            await client.query('ROLLBACK');
             console.error('DELETE /users/:id Error:', error);
             res.status(500).json({ error: 'Internal Server Error' });
+        } finally {
+            client.release();
         }
     });
 
     // POST /api/users (Add New Directory Entry)
-    router.post('/', async (req, res) => {
-        try {
-            const { role: requesterRole, organization_id } = req.dbUser;
-            const { email, name } = req.body;
+    // One transaction: the entry, its membership, the invitation and its email commit together or not at all
+    router.post('/', requireActiveOrganization, async (req, res) => {
+        const { role: requesterRole, organization_id } = req.dbUser;
+        const { email, name } = req.body;
+
+        // RBAC: Only Admin or God can add users
+        if (requesterRole !== 'admin' && requesterRole !== 'god') {
+            return res.status(403).json({ error: 'Forbidden: Insufficient permissions' });
+        }
 
-            // RBAC: Only Admin or God can add users
-            if (requesterRole !== 'admin' && requesterRole !== 'god') {
-                return res.status(403).json({ error: 'Forbidden: Insufficient permissions' });
-            }
+        if (!email || !name) {
+            return res.status(400).json({ error: 'Email and Name are required' });
+        }
 
-            if (!email || !name) {
-                return res.status(400).json({ error: 'Email and Name are required' });
-            }
+        const client = await pool.connect();
+        try {
+            await client.query('BEGIN');
 
-            // Check if user exists
-            const existingRes = await pool.query('SELECT * FROM users WHERE email = $1', [email]);
+            // Check if user exists (a real account wins over a ghost with the same email)
+            const existingRes = await client.query(`SELECT * FROM users WHERE email = $1 ORDER BY (status IS NOT DISTINCT FROM 'pending') ASC LIMIT 1`, [email]);
             if (existingRes.rows.length > 0) {
                 const existingUser = existingRes.rows[0];
 
                 // If they exist but rely on Memberships (Viral Loop), ensuring they are linked
-                await pool.query(
+                await client.query(
                     `INSERT INTO memberships (user_id, organization_id, role)
                      VALUES ($1, $2, 'user')
                      ON CONFLICT DO NOTHING`,
@@ -168,15 +118,22 @@ export const createUsersRouter = (pool) => {
 
                 // Also update legacy organization_id if null (adoption)
                 if (!existingUser.organization_id) {
-                    await pool.query('UPDATE users SET organization_id = $1 WHERE id = $2', [organization_id, existingUser.id]);
+                    await client.query('UPDATE users SET organization_id = $1 WHERE id = $2', [organization_id, existingUser.id]);
                 }
 
+                // Still a ghost: their invitation now covers this directory too
+                if (existingUser.status === 'pending') {
+                    const invitation = await inviteGhost(client, { ghost: existingUser, organizationId: organization_id, invitedBy: req.dbUser.id, membership: true });
+                    await queueInvitationEmail(client, invitation);
+                }
+
+                await client.query('COMMIT');
                 return res.status(200).json({ message: 'User already exists, added to directory.', user: existingUser });
             }
 
             // Create New "Ghost" User
             // We set them as a member of this Org immediately.
-            const newUserRes = await pool.query(
+            const newUserRes = await client.query(
                 `INSERT INTO users (firebase_uid, email, display_name, role, organization_id, status, avatar_url)
                  VALUES ($1, $2, $3, 'user', $4, 'pending', '')
                  RETURNING *`,
@@ -186,17 +143,25 @@ export const createUsersRouter = (pool) => {
             const newUser = newUserRes.rows[0];
 
             // Ensure Membership Record
-            await pool.query(
+            await client.query(
                 `INSERT INTO memberships (user_id, organization_id, role)
                  VALUES ($1, $2, 'user')`,
                 [newUser.id, organization_id]
             );
 
+            // Invite by email: they accept the signed link to claim this entry
+            const invitation = await inviteGhost(client, { ghost: newUser, organizationId: organization_id, invitedBy: req.dbUser.id, membership: true });
+            await queueInvitationEmail(client, invitation);
+
+            await client.query('COMMIT');
             res.status(201).json(newUser);
 
         } catch (error) {
+            await client.query('ROLLBACK');
             console.error('POST /users Error:', error);
             res.status(500).json({ error: 'Internal Server Error' });
+        } finally {
+            client.release();
         }
     });
 
@@ -0,0 +1,113 @@
+/**
+ * Task Activity Log
+ * Every task mutation is written to `task_activity` with actor, timestamp and before/after values.
+ * Helpers take a `db` argument (pool or transaction client) so entries commit with the change itself.
+ */
+
+// Task fields tracked by PATCH (camelCase API key -> DB column)
+export const TRACKED_TASK_FIELDS = {
+    title: 'title',
+    status: 'status',
+    priority: 'priority',
+    startDate: 'start_date',
+    dueDate: 'due_date',
+    description: 'description',
+    statusNote: 'status_note'
+};
+
+// Normalize values so e.g. Date objects and ISO strings for the same instant compare equal
+const normalize = (value) => {
+    if (value === undefined || value === null || value === '') return null;
+    if (value instanceof Date) return value.toISOString();
+    return value;
+};
+
+const sameValue = (a, b) => {
+    const na = normalize(a);
+    const nb = normalize(b);
+    if (na === nb) return true;
+
+    // Dates may arrive as different string formats for the same instant
+    const isDateString = (v) => typeof v === 'string' && /^\d{4}-\d{2}-\d{2}/.test(v);
+    return isDateString(na) && isDateString(nb) && Date.parse(na) === Date.parse(nb);
+};
+
+/**
+ * Insert a single activity row.
+ * @param {import('pg').Pool | import('pg').PoolClient} db
+ * @param {{ taskId: string, organizationId?: string, actorId?: string, action: string, field?: string, oldValue?: any, newValue?: any }} entry
+ */
+export const recordActivity = async (db, { taskId, organizationId = null, actorId = null, action, field = null, oldValue = null, newValue = null }) => {
+    await db.query(
+        `INSERT INTO task_activity (task_id, organization_id, actor_id, action, field, old_value, new_value)
+         VALUES ($1, COALESCE($2, (SELECT organization_id FROM tasks WHERE id = $1)), $3, $4, $5, $6, $7)`,
+        [taskId, organizationId, actorId, action, field, JSON.stringify(normalize(oldValue)), JSON.stringify(normalize(newValue))]
+    );
+};
+
+/**
+ * Diff a task row before/after an update and record one 'updated' entry per changed field.
+ * @returns {Promise<number>} number of entries written
+ */
+export const recordTaskFieldChanges = async (db, { before, after, actorId }) => {
+    let count = 0;
+    for (const [apiKey, dbKey] of Object.entries(TRACKED_TASK_FIELDS)) {
+        if (!sameValue(before[dbKey], after[dbKey])) {
+            await recordActivity(db, {
+                taskId: after.id,
+                organizationId: after.organization_id,
+                actorId,
+                action: 'updated',
+                field: apiKey,
+                oldValue: before[dbKey],
+                newValue: after[dbKey]
+            });
+            count++;
+        }
+    }
+    return count;
+};
+
+/**
+ * Record 'assigned' / 'unassigned' entries for the difference between two assignee lists.
+ * @returns {Promise<{ added: string[], removed: string[] }>}
+ */
+export const recordAssignmentChanges = async (db, { taskId, organizationId, actorId, before = [], after = [] }) => {
+    const added = after.filter(uid => !before.includes(uid));
+    const removed = before.filter(uid => !after.includes(uid));
+
+    for (const uid of added) {
+        await recordActivity(db, { taskId, organizationId, actorId, action: 'assigned', field: 'assignedTo', newValue: uid });
+    }
+    for (const uid of removed) {
+        await recordActivity(db, { taskId, organizationId, actorId, action: 'unassigned', field: 'assignedTo', oldValue: uid });
+    }
+    return { added, removed };
+};
+
+/**
+ * Fetch the activity timeline for a task, newest first, with actor display info.
+ */
+export const getTaskActivity = async (db, taskId) => {
+    const result = await db.query(
+        `SELECT a.*, u.display_name as actor_name, u.avatar_url as actor_avatar
+         FROM task_activity a
+         LEFT JOIN users u ON u.id = a.actor_id
+         WHERE a.task_id = $1
+         ORDER BY a.created_at DESC`,
+        [taskId]
+    );
+
+    return result.rows.map(a => ({
+        id: a.id,
+        taskId: a.task_id,
+        action: a.action,
+        field: a.field,
+        oldValue: a.old_value,
+        newValue: a.new_value,
+        actorId: a.actor_id,
+        actorName: a.actor_name,
+        actorAvatar: a.actor_avatar,
+        createdAt: a.created_at
+    }));
+};
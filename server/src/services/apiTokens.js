@@ -0,0 +1,171 @@
+import crypto from 'crypto';
+import { addMember } from './organizations.js';
+
+/**
+ * API TOKENS
+ * Personal access tokens let scripts call the API as a user: `Authorization: Bearer alm_...` instead of a
+ * Firebase ID token (createAuthMiddleware tells them apart by the prefix). Only a SHA-256 hash is stored, so a
+ * token is shown once, when minted. Scopes: 'read' allows GET requests, 'write' everything else the user may do;
+ * a token never grants more than its user has.
+ * Service accounts are users without a login, created by an organization's admins for its automation;
+ * they act only through their tokens.
+ */
+
+export const API_TOKEN_PREFIX = 'alm_';
+export const TOKEN_SCOPES = ['read', 'write'];
+export const MAX_TOKEN_DAYS = 365;
+export const MAX_TOKENS_PER_USER = 25;
+
+const READ_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+const LAST_USED_RESOLUTION = '1 minute'; // Don't write on every request of a busy script
+
+export const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+export const isApiToken = (token) => typeof token === 'string' && token.startsWith(API_TOKEN_PREFIX);
+
+// May this token make a request with this HTTP method?
+export const tokenAllows = (apiToken, method) => READ_METHODS.includes(method) || apiToken.scopes.includes('write');
+
+export const mapApiToken = (t) => ({
+    id: t.id,
+    userId: t.user_id,
+    name: t.name,
+    prefix: t.token_prefix,
+    scopes: t.scopes,
+    createdBy: t.created_by,
+    expiresAt: t.expires_at,
+    lastUsedAt: t.last_used_at,
+    lastUsedIp: t.last_used_ip,
+    revokedAt: t.revoked_at,
+    createdAt: t.created_at,
+    status: t.revoked_at ? 'revoked' : t.expires_at && new Date(t.expires_at) <= new Date() ? 'expired' : 'active'
+});
+
+/**
+ * Check a token request body: { name, scopes?, expiresInDays? } (no expiresInDays: valid until revoked).
+ * @returns {{ error: string } | { name: string, scopes: string[], expiresAt: string|null }}
+ */
+export const validateTokenRequest = (body) => {
+    const name = typeof body.name === 'string' ? body.name.trim() : '';
+    if (!name) return { error: 'name is required' };
+    if (name.length > 100) return { error: 'name is limited to 100 characters' };
+
+    const scopes = [...new Set(body.scopes || ['read'])];
+    if (scopes.length === 0 || !scopes.every(s => TOKEN_SCOPES.includes(s))) {
+        return { error: `scopes must be a list of: ${TOKEN_SCOPES.join(', ')}` };
+    }
+
+    let expiresAt = null;
+    if (body.expiresInDays !== undefined && body.expiresInDays !== null) {
+        const days = Number(body.expiresInDays);
+        if (!Number.isInteger(days) || days < 1 || days > MAX_TOKEN_DAYS) {
+            return { error: `expiresInDays must be a whole number from 1 to ${MAX_TOKEN_DAYS}` };
+        }
+        expiresAt = new Date(Date.now() + days * 24 * 60 * 60 * 1000).toISOString();
+    }
+    return { name, scopes, expiresAt };
+};
+
+/**
+ * Mint a token for a user (their own, or a service account's).
+ * @returns {Promise<{ status: number, error: string } | { token: string, row: object }>} token is the only copy of the secret
+ */
+export const createApiToken = async (db, { userId, createdBy, name, scopes, expiresAt }) => {
+    const countRes = await db.query(
+        `SELECT COUNT(*)::int AS count FROM api_tokens
+         WHERE user_id = $1 AND revoked_at IS NULL AND (expires_at IS NULL OR expires_at > NOW())`,
+        [userId]
+    );
+    if (countRes.rows[0].count >= MAX_TOKENS_PER_USER) {
+        return { status: 409, error: `At most ${MAX_TOKENS_PER_USER} active tokens: revoke one first` };
+    }
+
+    const token = `${API_TOKEN_PREFIX}${crypto.randomBytes(32).toString('base64url')}`;
+    const result = await db.query(
+        `INSERT INTO api_tokens (user_id, name, token_hash, token_prefix, scopes, created_by, expires_at)
+         VALUES ($1, $2, $3, $4, $5, $6, $7)
+         RETURNING *`,
+        [userId, name, hashToken(token), token.slice(0, API_TOKEN_PREFIX.length + 6), scopes, createdBy, expiresAt]
+    );
+    return { token, row: result.rows[0] };
+};
+
+/**
+ * The user and token behind a bearer token, or null when it is unknown, revoked or expired.
+ * Records when (and from where) it was last used.
+ */
+export const authenticateApiToken = async (db, token, ip = null) => {
+    const result = await db.query(
+        `SELECT t.id AS token_id, t.scopes, t.last_used_at, u.*
+         FROM api_tokens t
+         JOIN users u ON u.id = t.user_id
+         WHERE t.token_hash = $1
+         AND t.revoked_at IS NULL
+         AND (t.expires_at IS NULL OR t.expires_at > NOW())`,
+        [hashToken(token)]
+    );
+    const row = result.rows[0];
+    if (!row) return null;
+
+    db.query(
+        `UPDATE api_tokens SET last_used_at = NOW(), last_used_ip = $2
+         WHERE id = $1 AND (last_used_at IS NULL OR last_used_at < NOW() - INTERVAL '${LAST_USED_RESOLUTION}')`,
+        [row.token_id, ip]
+    ).catch(err => console.error('[Tokens] Failed to record use:', err));
+
+    const { token_id, scopes, last_used_at, ...user } = row;
+    return { user, apiToken: { id: token_id, scopes } };
+};
+
+/**
+ * Revoke one of a user's tokens.
+ * @returns {Promise<boolean>} false when there is no such active token
+ */
+export const revokeApiToken = async (db, { tokenId, userId, revokedBy }) => {
+    const result = await db.query(
+        `UPDATE api_tokens SET revoked_at = NOW(), revoked_by = $3
+         WHERE id = $1 AND user_id = $2 AND revoked_at IS NULL`,
+        [tokenId, userId, revokedBy]
+    );
+    return result.rowCount > 0;
+};
+
+export const mapServiceAccount = (u) => ({
+    id: u.id,
+    name: u.display_name,
+    role: u.role, // In the owning organization
+    active: u.active, // false once retired
+    createdBy: u.created_by,
+    creatorName: u.creator_name || null,
+    createdAt: u.joined_at,
+    tokens: (u.tokens || []).map(mapApiToken)
+});
+
+/**
+ * A service account for an organization: a login-less user whose only membership is there.
+ * @returns {Promise<object>} the users row
+ */
+export const createServiceAccount = async (db, { organizationId, name, role, createdBy }) => {
+    const handle = `${name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'service'}-${crypto.randomBytes(4).toString('hex')}`;
+    const result = await db.query(
+        `INSERT INTO users (firebase_uid, email, display_name, role, organization_id, status, avatar_url, is_service_account, created_by)
+         VALUES ($1, $2, $3, 'user', $4, 'active', '', TRUE, $5)
+         RETURNING *`,
+        [`service_${handle}`, `${handle}@service-accounts.invalid`, name, organizationId, createdBy]
+    );
+    const account = result.rows[0];
+    await addMember(db, { organizationId, userId: account.id, role });
+    return account;
+};
+
+/**
+ * Retire a service account: every token revoked and its membership removed. The users row stays, so
+ * what it did remains attributed.
+ */
+export const disableServiceAccount = async (db, { userId, revokedBy }) => {
+    await db.query(
+        `UPDATE api_tokens SET revoked_at = NOW(), revoked_by = $2 WHERE user_id = $1 AND revoked_at IS NULL`,
+        [userId, revokedBy]
+    );
+    await db.query('DELETE FROM memberships WHERE user_id = $1', [userId]);
+};
@@ -0,0 +1,143 @@
+/**
+ * DELEGATIONS
+ * Temporary rights one admin hands to a member of the organization, from starts_at (possibly in the future)
+ * until expires_at. The scope says what they cover:
+ *   full      the delegate is an admin of the organization (req.dbUser.role becomes 'admin')
+ *   requests  approve and reject System Requests
+ *   project   manage the projects in scope_ids, as their owner would
+ *   users     remove the members in scope_ids from the organization
+ * Scoped delegations leave the role alone; the auth middleware lists them on req.dbUser.delegated_scopes
+ * and the routes they cover ask hasDelegatedScope.
+ */
+
+export const DELEGATION_SCOPES = ['full', 'requests', 'project', 'users'];
+export const MAX_DELEGATION_DAYS = 90;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+/**
+ * Delegations in effect for a user in one organization right now.
+ * @returns {Promise<object[]>} role_delegations rows, newest first
+ */
+export const getActiveDelegations = async (db, userId, organizationId) => {
+    const result = await db.query(
+        `SELECT * FROM role_delegations
+         WHERE delegate_id = $1
+         AND organization_id = $2
+         AND status = 'active'
+         AND starts_at <= NOW()
+         AND expires_at > NOW()
+         ORDER BY created_at DESC`,
+        [userId, organizationId]
+    );
+    return result.rows;
+};
+
+/**
+ * Does a scoped delegation cover this? (Admins and gods don't need one: check the role first.)
+ * @param {string} [targetId] - the project or user for 'project' / 'users' scopes
+ */
+export const hasDelegatedScope = (dbUser, scope, targetId = null) => (dbUser.delegated_scopes || []).some(d =>
+    d.scope === scope && (!targetId || d.scopeIds.includes(targetId))
+);
+
+/**
+ * Check a delegation request body: { delegateId, scope?, scopeIds?, startsAt?, expiresAt? | days?, reason? }.
+ * Ids in scope must belong to the organization, and so must the delegate.
+ * @returns {Promise<{ status: number, error: string } | { delegation: object }>} delegation is ready for createDelegation
+ */
+export const validateDelegation = async (db, organizationId, body) => {
+    const { delegateId, scope = 'full', reason } = body;
+    const invalid = (error) => ({ status: 400, error });
+
+    if (!delegateId || !UUID_PATTERN.test(delegateId)) return invalid('delegateId is required');
+    if (!DELEGATION_SCOPES.includes(scope)) return invalid(`scope must be one of: ${DELEGATION_SCOPES.join(', ')}`);
+
+    const scopeIds = ['project', 'users'].includes(scope) ? [...new Set(body.scopeIds || [])] : [];
+    if (['project', 'users'].includes(scope)) {
+        if (scopeIds.length === 0 || !scopeIds.every(id => typeof id === 'string' && UUID_PATTERN.test(id))) {
+            return invalid(`scopeIds must list the ${scope === 'project' ? 'projects' : 'users'} the delegation covers`);
+        }
+    }
+
+    const startsAt = body.startsAt ? new Date(body.startsAt) : new Date();
+    if (isNaN(startsAt.getTime())) return invalid('startsAt must be a valid date');
+    if (startsAt.getTime() < Date.now() - 5 * 60 * 1000) return invalid('startsAt cannot be in the past');
+
+    let expiresAt;
+    if (body.expiresAt) {
+        expiresAt = new Date(body.expiresAt);
+        if (isNaN(expiresAt.getTime())) return invalid('expiresAt must be a valid date');
+    } else {
+        const days = Number(body.days);
+        if (!Number.isInteger(days) || days < 1) return invalid('Provide expiresAt or a whole number of days');
+        expiresAt = new Date(startsAt.getTime() + days * DAY_MS);
+    }
+    if (expiresAt <= startsAt) return invalid('expiresAt must be after startsAt');
+    if (expiresAt - startsAt > MAX_DELEGATION_DAYS * DAY_MS) return invalid(`A delegation can last at most ${MAX_DELEGATION_DAYS} days`);
+
+    const delegateRes = await db.query(
+        'SELECT 1 FROM memberships WHERE user_id = $1 AND organization_id = $2',
+        [delegateId, organizationId]
+    );
+    if (delegateRes.rows.length === 0) return invalid('The delegate is not a member of this organization');
+
+    if (scope === 'project') {
+        const projectsRes = await db.query(
+            'SELECT COUNT(*)::int AS count FROM projects WHERE id = ANY($1::uuid[]) AND organization_id = $2 AND deleted_at IS NULL',
+            [scopeIds, organizationId]
+        );
+        if (projectsRes.rows[0].count !== scopeIds.length) return invalid('Every project in scope must belong to this organization');
+    }
+    if (scope === 'users') {
+        if (scopeIds.includes(delegateId)) return invalid('A delegate cannot manage themselves');
+        const membersRes = await db.query(
+            'SELECT COUNT(*)::int AS count FROM memberships WHERE user_id = ANY($1::uuid[]) AND organization_id = $2',
+            [scopeIds, organizationId]
+        );
+        if (membersRes.rows[0].count !== scopeIds.length) return invalid('Every user in scope must be a member of this organization');
+    }
+
+    return {
+        delegation: {
+            delegateId,
+            scope,
+            scopeIds,
+            startsAt: startsAt.toISOString(),
+            expiresAt: expiresAt.toISOString(),
+            reason: typeof reason === 'string' && reason.trim() ? reason.trim().slice(0, 500) : null
+        }
+    };
+};
+
+/**
+ * Insert a validated delegation (role stays 'admin': the scope narrows what of it is delegated).
+ * @returns {Promise<object>} the role_delegations row
+ */
+export const createDelegation = async (db, { organizationId, delegatorId, delegation }) => {
+    const { delegateId, scope, scopeIds, startsAt, expiresAt, reason } = delegation;
+    const result = await db.query(
+        `INSERT INTO role_delegations
+         (delegator_id, delegate_id, organization_id, role, scope, scope_ids, starts_at, expires_at, reason, status)
+         VALUES ($1, $2, $3, 'admin', $4, $5, $6, $7, $8, 'active')
+         RETURNING *`,
+        [delegatorId, delegateId, organizationId, scope, scopeIds, startsAt, expiresAt, reason]
+    );
+    return result.rows[0];
+};
+
+/**
+ * Mark delegations past expires_at as expired. Run from the scheduled sweep.
+ * @returns {Promise<object[]>} the rows that expired
+ */
+export const expireDelegations = async (db) => {
+    const result = await db.query(
+        `UPDATE role_delegations
+         SET status = 'expired', ended_at = expires_at
+         WHERE status = 'active' AND expires_at <= NOW()
+         RETURNING *`
+    );
+    return result.rows;
+};
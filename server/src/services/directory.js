@@ -0,0 +1,98 @@
+/**
+ * Directory ("/colleagues") lookup shared by the users router and anything that
+ * needs to resolve people the requester can see (e.g. @mentions in comments).
+ */
+
+const mapColleague = (row) => ({
+    id: row.id,
+    name: row.display_name || row.email.split('@')[0],
+    role: row.role, // 'admin', 'user', 'guest', 'god'
+    email: row.email,
+    avatar: row.avatar_url || '👤',
+    company: row.company_label,
+    department: row.department,
+    position: row.position
+});
+
+// Directory rows visible to `dbUser` (unordered); organization_id is bound to $1 for non-gods
+const directoryQuery = (dbUser) => {
+    const { role, organization_id } = dbUser;
+
+    let queryText;
+    const params = [];
+
+    if (role === 'god') {
+        queryText = `
+            SELECT id, display_name, role, email, avatar_url, company_label, department, position
+            FROM users
+            WHERE NOT is_service_account
+        `;
+    } else {
+        // Fetch Members AND Guests (Collaborators on Org Projects)
+        queryText = `
+            WITH org_members AS (
+                -- Role in this organization comes from the membership
+                SELECT u.id, u.display_name, m.role::text, u.email, u.avatar_url, u.company_label, u.department, u.position, 'member' as source
+                FROM memberships m
+                JOIN users u ON u.id = m.user_id
+                WHERE m.organization_id = $1
+                AND u.role != 'god' -- HIDE SYSTEM GODS
+                AND NOT u.is_service_account -- Scripts, not people (Admin Dashboard lists them)
+            ),
+            org_guests AS (
+                -- External users collaborating on this Org's tasks (once each, however many tasks)
+                SELECT DISTINCT u.id, u.display_name, 'guest' as role, u.email, u.avatar_url, u.company_label, u.department, u.position, 'guest' as source
+                FROM users u
+                JOIN task_collaborators tc ON tc.user_id = u.id
+                JOIN tasks t ON t.id = tc.task_id
+                WHERE t.organization_id = $1
+                AND t.deleted_at IS NULL
+                AND u.id NOT IN (SELECT id FROM org_members) -- Exclude existing members
+                AND u.role != 'god' -- HIDE SYSTEM GODS
+            )
+            SELECT * FROM org_members
+            UNION ALL
+            SELECT * FROM org_guests
+        `;
+        params.push(organization_id);
+    }
+
+    return { text: queryText, params };
+};
+
+/**
+ * Returns the directory visible to `dbUser`: everyone for gods, otherwise
+ * org members plus external guests collaborating on the org's tasks.
+ */
+export const getDirectory = async (db, dbUser) => {
+    const { text, params } = directoryQuery(dbUser);
+    const result = await db.query(`${text} ORDER BY display_name ASC`, params);
+    return result.rows.map(mapColleague);
+};
+
+// Must match the expression indexed by idx_users_search (DDL_search.sql)
+const USER_SEARCH_DOC = `to_tsvector('simple', coalesce(u.display_name, '') || ' ' || coalesce(u.email, '') || ' ' || coalesce(u.department, ''))`;
+
+/**
+ * Full-text search over the visible directory (name, email, department), best matches first.
+ * @param {string} tsQuery - a to_tsquery('simple', ...) expression (see services/search.js)
+ */
+export const searchDirectory = async (db, dbUser, tsQuery, limit) => {
+    const { text, params } = directoryQuery(dbUser);
+    const queryParam = `$${params.length + 1}`;
+    const limitParam = `$${params.length + 2}`;
+    const result = await db.query(
+        `WITH directory AS (${text})
+         SELECT * FROM (
+             SELECT DISTINCT ON (d.id) d.*, ts_rank(${USER_SEARCH_DOC}, to_tsquery('simple', ${queryParam})) AS rank
+             FROM directory d
+             JOIN users u ON u.id = d.id
+             WHERE ${USER_SEARCH_DOC} @@ to_tsquery('simple', ${queryParam})
+             ORDER BY d.id
+         ) matches
+         ORDER BY rank DESC, display_name ASC
+         LIMIT ${limitParam}`,
+        [...params, tsQuery, limit]
+    );
+    return result.rows.map(mapColleague);
+};
@@ -0,0 +1,207 @@
+import { renderEmail } from '../mail/templates.js';
+import { MAIL_FROM, APP_URL } from '../mail/index.js';
+import { inviteGhost, getInvitation, signInvitationToken } from './invitations.js';
+
+/**
+ * EMAIL OUTBOX
+ * Transactional outbox for templated email. Unlike notifications, queueing happens inside the write's
+ * transaction (pass the client), so an email exists exactly when the change it describes committed.
+ * The mail sweep delivers pending rows through the configured transport, retrying with exponential backoff.
+ */
+
+export const MAX_ATTEMPTS = 6;
+const BACKOFF_BASE_SECONDS = 60; // 1, 2, 4, 8, 16 minutes between attempts
+const BACKOFF_MAX_SECONDS = 6 * 60 * 60;
+const STALE_LOCK_MINUTES = 10; // A 'sending' row this old belongs to a worker that died
+const DELIVERY_BATCH_SIZE = 50;
+
+export const EMAIL_STATUSES = ['pending', 'sending', 'sent', 'failed'];
+
+export const mapEmail = (e) => ({
+    id: e.id,
+    organizationId: e.organization_id,
+    userId: e.user_id,
+    toEmail: e.to_email,
+    template: e.template,
+    subject: e.subject,
+    status: e.status,
+    attempts: e.attempts,
+    nextAttemptAt: e.next_attempt_at,
+    lastError: e.last_error,
+    sentAt: e.sent_at,
+    createdAt: e.created_at
+});
+
+/**
+ * Render a template and queue it for delivery.
+ * A dedupeKey that was already queued is ignored (returns null).
+ * @param {object} db - transaction client (or pool when there is no transaction)
+ * @param {{ template: string, to: string, userId?: string, organizationId?: string, data: object, dedupeKey?: string }} email
+ */
+export const queueEmail = async (db, { template, to, userId = null, organizationId = null, data, dedupeKey = null }) => {
+    const { subject, text, html } = renderEmail(template, data);
+    const result = await db.query(
+        `INSERT INTO email_outbox (organization_id, user_id, to_email, template, subject, body_text, body_html, data, dedupe_key)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+         ON CONFLICT (dedupe_key) DO NOTHING
+         RETURNING *`,
+        [organizationId, userId, to, template, subject, text, html, data, dedupeKey]
+    );
+    return result.rows[0] || null;
+};
+
+/**
+ * Email an invitation's signed accept link (call again after renewInvitation to send a fresh one).
+ * @param {{ taskTitle?: string }} context - the task the ghost was just added to, if any
+ */
+export const queueInvitationEmail = async (db, invitation, { taskTitle = null } = {}) => {
+    const details = await getInvitation(db, invitation.id);
+    await queueEmail(db, {
+        template: 'invitation',
+        to: invitation.email,
+        userId: invitation.ghost_user_id,
+        organizationId: invitation.organization_id,
+        data: {
+            inviterName: details.inviter_name || 'A teammate',
+            organizationName: details.organization_name || 'their team',
+            taskTitle,
+            acceptUrl: `${APP_URL}/invite/${signInvitationToken(invitation)}`,
+            expiresAt: invitation.expires_at
+        }
+    });
+};
+
+/**
+ * Tell users they were put on a task: an assignment notice, or for ghost users (never signed in)
+ * an invitation covering the task. The actor is skipped, like notifications.
+ * @param {{ task: object, userIds: string[], actorId: string }} args - task is a task row
+ */
+export const queueAssignmentEmails = async (db, { task, userIds, actorId }) => {
+    const recipients = [...new Set(userIds)].filter(id => id && id !== actorId);
+    if (recipients.length === 0) return;
+
+    const usersRes = await db.query(
+        `SELECT id, email, status, (id = $2) AS is_actor, display_name
+         FROM users WHERE id = ANY($1::uuid[]) OR id = $2`,
+        [recipients, actorId]
+    );
+    const actorName = usersRes.rows.find(u => u.is_actor)?.display_name || 'Someone';
+
+    for (const user of usersRes.rows) {
+        if (user.is_actor || !user.email) continue;
+        if (user.status === 'pending') {
+            const invitation = await inviteGhost(db, { ghost: user, organizationId: task.organization_id, invitedBy: actorId, taskId: task.id });
+            await queueInvitationEmail(db, invitation, { taskTitle: task.title });
+            continue;
+        }
+        await queueEmail(db, {
+            template: 'assigned',
+            to: user.email,
+            userId: user.id,
+            organizationId: task.organization_id,
+            data: { actorName, taskId: task.id, taskTitle: task.title, dueDate: task.due_date }
+        });
+    }
+};
+
+/**
+ * Queue today's digest for every signed-in user with open assigned tasks overdue or due today, or unread notifications.
+ * Safe to run more than once a day: the dedupe key allows one digest per user per (UTC) day.
+ * @returns {Promise<number>} digests queued
+ */
+export const queueDailyDigests = async (db) => {
+    const today = new Date().toISOString().slice(0, 10);
+
+    const tasksRes = await db.query(
+        `SELECT c.user_id, t.id, t.title, t.due_date, (t.due_date < $1::date) AS is_overdue
+         FROM task_collaborators c
+         JOIN tasks t ON t.id = c.task_id
+         WHERE t.completed_at IS NULL
+         AND t.deleted_at IS NULL
+         AND t.due_date < $1::date + 1
+         ORDER BY t.due_date ASC`,
+        [today]
+    );
+    const unreadRes = await db.query(
+        `SELECT user_id, COUNT(*)::int AS count FROM notifications WHERE read_at IS NULL GROUP BY user_id`
+    );
+
+    const digests = new Map();
+    const digestFor = (userId) => {
+        if (!digests.has(userId)) digests.set(userId, { overdue: [], dueToday: [], unreadCount: 0 });
+        return digests.get(userId);
+    };
+    tasksRes.rows.forEach(t => {
+        digestFor(t.user_id)[t.is_overdue ? 'overdue' : 'dueToday'].push({ id: t.id, title: t.title, dueDate: t.due_date });
+    });
+    unreadRes.rows.forEach(r => { digestFor(r.user_id).unreadCount = r.count; });
+    if (digests.size === 0) return 0;
+
+    const usersRes = await db.query(
+        `SELECT id, email, display_name, organization_id FROM users
+         WHERE id = ANY($1::uuid[]) AND email IS NOT NULL AND status IS DISTINCT FROM 'pending'`,
+        [[...digests.keys()]]
+    );
+
+    let queued = 0;
+    for (const user of usersRes.rows) {
+        const email = await queueEmail(db, {
+            template: 'daily_digest',
+            to: user.email,
+            userId: user.id,
+            organizationId: user.organization_id,
+            data: { name: user.display_name || user.email.split('@')[0], ...digests.get(user.id) },
+            dedupeKey: `daily_digest:${user.id}:${today}`
+        });
+        if (email) queued++;
+    }
+    return queued;
+};
+
+const backoffSeconds = (attempts) => Math.min(BACKOFF_BASE_SECONDS * 2 ** (attempts - 1), BACKOFF_MAX_SECONDS);
+
+/**
+ * Deliver due emails through a transport. Rows are claimed with SKIP LOCKED, so concurrent sweeps never send twice.
+ * A failed attempt is retried after backoffSeconds; after MAX_ATTEMPTS the email is marked 'failed'.
+ * @param {object} db - pool
+ * @param {{ send: Function }} transport - see src/mail/index.js
+ * @returns {Promise<{ sent: number, retrying: number, failed: number }>}
+ */
+export const deliverPendingEmails = async (db, transport) => {
+    const claimed = await db.query(
+        `UPDATE email_outbox
+         SET status = 'sending', locked_at = NOW(), attempts = attempts + 1
+         WHERE id IN (
+             SELECT id FROM email_outbox
+             WHERE (status = 'pending' AND next_attempt_at <= NOW())
+             OR (status = 'sending' AND locked_at < NOW() - make_interval(mins => $2))
+             ORDER BY next_attempt_at ASC
+             LIMIT $1
+             FOR UPDATE SKIP LOCKED
+         )
+         RETURNING *`,
+        [DELIVERY_BATCH_SIZE, STALE_LOCK_MINUTES]
+    );
+
+    const counts = { sent: 0, retrying: 0, failed: 0 };
+    for (const email of claimed.rows) {
+        try {
+            await transport.send({ from: MAIL_FROM, to: email.to_email, subject: email.subject, text: email.body_text, html: email.body_html || undefined });
+            await db.query(
+                `UPDATE email_outbox SET status = 'sent', sent_at = NOW(), locked_at = NULL, last_error = NULL WHERE id = $1`,
+                [email.id]
+            );
+            counts.sent++;
+        } catch (err) {
+            const giveUp = email.attempts >= MAX_ATTEMPTS;
+            await db.query(
+                `UPDATE email_outbox
+                 SET status = $2, locked_at = NULL, last_error = $3, next_attempt_at = NOW() + make_interval(secs => $4)
+                 WHERE id = $1`,
+                [email.id, giveUp ? 'failed' : 'pending', err.message || String(err), backoffSeconds(email.attempts)]
+            );
+            counts[giveUp ? 'failed' : 'retrying']++;
+        }
+    }
+    return counts;
+};
@@ -0,0 +1,225 @@
+import crypto from 'crypto';
+import { recordActivity } from './activityLog.js';
+
+/**
+ * INVITATIONS
+ * Ghost users (status 'pending') are placeholders for people invited by email. Each ghost has one open invitation
+ * per organization listing what it was given (tasks, directory membership). The emailed link carries a signed token;
+ * the invitee accepts it while signed in, which moves the ghost's access to their own account, or declines it.
+ * Nothing is claimed implicitly by signing in with the same email.
+ */
+
+export const INVITATION_TTL_DAYS = 14;
+
+const DEV_SECRET = 'alimanager-dev-invitation-secret';
+
+const secret = () => {
+    if (process.env.INVITATION_SECRET) return process.env.INVITATION_SECRET;
+    if (process.env.NODE_ENV === 'production') throw new Error('INVITATION_SECRET is not set');
+    return DEV_SECRET;
+};
+
+// The signature covers the expiry, so re-sending (which extends it) retires older links
+const signature = (invitation) => crypto
+    .createHmac('sha256', secret())
+    .update(`${invitation.id}:${new Date(invitation.expires_at).getTime()}`)
+    .digest('base64url');
+
+// Token: "<invitationId>.<signature>"
+export const signInvitationToken = (invitation) => `${invitation.id}.${signature(invitation)}`;
+
+// The invitation id in a token, or null when it is malformed (check the signature with verifyInvitationToken)
+export const parseInvitationToken = (token) => {
+    const [id, sig] = String(token || '').split('.');
+    return /^[0-9a-f-]{36}$/i.test(id) && sig ? id : null;
+};
+
+export const verifyInvitationToken = (invitation, token) => {
+    const expected = Buffer.from(signInvitationToken(invitation));
+    const given = Buffer.from(String(token));
+    return expected.length === given.length && crypto.timingSafeEqual(expected, given);
+};
+
+export const isExpired = (invitation) => new Date(invitation.expires_at) <= new Date();
+
+export const mapInvitation = (i) => ({
+    id: i.id,
+    organizationId: i.organization_id,
+    organizationName: i.organization_name,
+    email: i.email,
+    ghostUserId: i.ghost_user_id,
+    invitedBy: i.invited_by,
+    inviterName: i.inviter_name,
+    taskIds: i.task_ids,
+    membership: i.membership,
+    status: i.status === 'pending' && isExpired(i) ? 'expired' : i.status,
+    expiresAt: i.expires_at,
+    sendCount: i.send_count,
+    lastSentAt: i.last_sent_at,
+    respondedBy: i.responded_by,
+    respondedAt: i.responded_at,
+    createdAt: i.created_at
+});
+
+// Invitation row with display names
+export const getInvitation = async (db, id) => {
+    const result = await db.query(
+        `SELECT i.*, o.name AS organization_name, u.display_name AS inviter_name
+         FROM invitations i
+         LEFT JOIN organizations o ON o.id = i.organization_id
+         LEFT JOIN users u ON u.id = i.invited_by
+         WHERE i.id = $1`,
+        [id]
+    );
+    return result.rows[0] || null;
+};
+
+/**
+ * Open (or add to) the ghost's invitation for an organization. Adding a task or membership to an open
+ * invitation keeps its expiry, so links already sent stay valid.
+ * @param {{ ghost: object, organizationId: string, invitedBy: string, taskId?: string, membership?: boolean }} args - ghost is a users row
+ * @returns {Promise<object>} the invitation row
+ */
+export const inviteGhost = async (db, { ghost, organizationId, invitedBy, taskId = null, membership = false }) => {
+    const result = await db.query(
+        `INSERT INTO invitations (organization_id, email, ghost_user_id, invited_by, task_ids, membership, expires_at)
+         VALUES ($1, $2, $3, $4, $5::uuid[], $6, NOW() + make_interval(days => $7))
+         ON CONFLICT (ghost_user_id, organization_id) WHERE status = 'pending'
+         DO UPDATE SET
+             task_ids = ARRAY(SELECT DISTINCT unnest(invitations.task_ids || EXCLUDED.task_ids)),
+             membership = invitations.membership OR EXCLUDED.membership
+         RETURNING *`,
+        [organizationId, ghost.email, ghost.id, invitedBy, taskId ? [taskId] : [], membership, INVITATION_TTL_DAYS]
+    );
+    return result.rows[0];
+};
+
+/**
+ * Re-sign an open invitation with a fresh expiry (older links stop working).
+ * @returns {Promise<object|null>} the invitation row, or null if it is no longer pending
+ */
+export const renewInvitation = async (db, id) => {
+    const result = await db.query(
+        `UPDATE invitations
+         SET expires_at = NOW() + make_interval(days => $2), send_count = send_count + 1, last_sent_at = NOW()
+         WHERE id = $1 AND status = 'pending'
+         RETURNING *`,
+        [id, INVITATION_TTL_DAYS]
+    );
+    return result.rows[0] || null;
+};
+
+// Delete the ghost once no open invitation or access refers to it
+const removeGhostIfUnused = async (db, ghostUserId) => {
+    await db.query(
+        `DELETE FROM users u
+         WHERE u.id = $1 AND u.status = 'pending'
+         AND NOT EXISTS (SELECT 1 FROM invitations i WHERE i.ghost_user_id = u.id AND i.status = 'pending')
+         AND NOT EXISTS (SELECT 1 FROM task_collaborators c WHERE c.user_id = u.id)
+         AND NOT EXISTS (SELECT 1 FROM memberships m WHERE m.user_id = u.id)
+         AND NOT EXISTS (SELECT 1 FROM role_delegations d WHERE d.delegate_id = u.id OR d.delegator_id = u.id)`,
+        [ghostUserId]
+    );
+};
+
+// The ghost's tasks in the invitation's organization (listed ones included, even if moved since)
+const ghostTaskIds = async (db, invitation) => {
+    const result = await db.query(
+        `SELECT c.task_id FROM task_collaborators c
+         JOIN tasks t ON t.id = c.task_id
+         WHERE c.user_id = $1 AND (t.organization_id = $2 OR t.id = ANY($3::uuid[]))`,
+        [invitation.ghost_user_id, invitation.organization_id, invitation.task_ids]
+    );
+    return result.rows.map(r => r.task_id);
+};
+
+/**
+ * Accept a pending invitation for `user` inside the caller's transaction (lock the invitation first).
+ * The ghost's tasks, recurring-series assignments and membership in the organization move to the user,
+ * each task gets an 'invite_accepted' audit entry, and the ghost is deleted when nothing else refers to it.
+ * @returns {Promise<string[]>} ids of the tasks that changed hands
+ */
+export const acceptInvitation = async (db, invitation, user) => {
+    const ghostId = invitation.ghost_user_id;
+    const taskIds = user.id === ghostId ? [] : await ghostTaskIds(db, invitation);
+
+    if (user.id === ghostId) {
+        // Signed in as the ghost itself (dev user switching): nothing to merge
+        await db.query(`UPDATE users SET status = 'active' WHERE id = $1`, [ghostId]);
+    } else {
+        await db.query(
+            `INSERT INTO task_collaborators (task_id, user_id, access_level)
+             SELECT task_id, $2, access_level FROM task_collaborators WHERE user_id = $1 AND task_id = ANY($3::uuid[])
+             ON CONFLICT (task_id, user_id) DO NOTHING`,
+            [ghostId, user.id, taskIds]
+        );
+        await db.query('DELETE FROM task_collaborators WHERE user_id = $1 AND task_id = ANY($2::uuid[])', [ghostId, taskIds]);
+        await db.query(
+            `UPDATE task_recurrences
+             SET assigned_to = CASE WHEN $2 = ANY(assigned_to) THEN array_remove(assigned_to, $1) ELSE array_replace(assigned_to, $1, $2) END
+             WHERE organization_id = $3 AND $1 = ANY(assigned_to)`,
+            [ghostId, user.id, invitation.organization_id]
+        );
+        if (invitation.membership) {
+            await db.query(
+                `INSERT INTO memberships (user_id, organization_id, role)
+                 VALUES ($1, $2, 'user')
+                 ON CONFLICT DO NOTHING`,
+                [user.id, invitation.organization_id]
+            );
+            await db.query('DELETE FROM memberships WHERE user_id = $1 AND organization_id = $2', [ghostId, invitation.organization_id]);
+        }
+    }
+
+    await db.query(
+        `UPDATE invitations SET status = 'accepted', responded_by = $2, responded_at = NOW() WHERE id = $1`,
+        [invitation.id, user.id]
+    );
+    for (const taskId of taskIds) {
+        await recordActivity(db, {
+            taskId,
+            actorId: user.id,
+            action: 'invite_accepted',
+            field: 'assignedTo',
+            oldValue: { userId: ghostId, email: invitation.email },
+            newValue: user.id
+        });
+    }
+    if (user.id !== ghostId) await removeGhostIfUnused(db, ghostId);
+    return taskIds;
+};
+
+/**
+ * Close a pending invitation without claiming it (status 'declined' by the invitee or 'revoked' by an admin),
+ * inside the caller's transaction. The ghost loses what the invitation gave it and is deleted when unused.
+ * @returns {Promise<string[]>} ids of the tasks the ghost was removed from
+ */
+export const closeInvitation = async (db, invitation, { status, actorId }) => {
+    const ghostId = invitation.ghost_user_id;
+    const taskIds = await ghostTaskIds(db, invitation);
+
+    await db.query('DELETE FROM task_collaborators WHERE user_id = $1 AND task_id = ANY($2::uuid[])', [ghostId, taskIds]);
+    await db.query(
+        'UPDATE task_recurrences SET assigned_to = array_remove(assigned_to, $1) WHERE organization_id = $2 AND $1 = ANY(assigned_to)',
+        [ghostId, invitation.organization_id]
+    );
+    if (invitation.membership) {
+        await db.query('DELETE FROM memberships WHERE user_id = $1 AND organization_id = $2', [ghostId, invitation.organization_id]);
+    }
+
+    await db.query(
+        'UPDATE invitations SET status = $2, responded_by = $3, responded_at = NOW() WHERE id = $1',
+        [invitation.id, status, actorId]
+    );
+    for (const taskId of taskIds) {
+        await recordActivity(db, {
+            taskId,
+            actorId,
+            action: status === 'revoked' ? 'invite_revoked' : 'invite_declined',
+            field: 'assignedTo',
+            oldValue: { userId: ghostId, email: invitation.email }
+        });
+    }
+    await removeGhostIfUnused(db, ghostId);
+    return taskIds;
+};
@@ -0,0 +1,178 @@
+import { loadTaskSnapshots } from './taskMapper.js';
+import { hasDelegatedScope } from './delegations.js';
+
+/**
+ * LIVE EVENTS
+ * Fan-out of change notifications to connected SSE clients (GET /api/events).
+ * Every event is delivered only to subscribers allowed to see the changed record.
+ *
+ * Event shape: { entity: 'task'|'step'|'project'|'request'|'notification', action: 'created'|'updated'|'deleted', id, ... }
+ *
+ * Subscribers live in this process's memory: with several API instances, a client only
+ * hears about writes handled by the instance it is connected to.
+ */
+
+const subscribers = new Set();
+
+/**
+ * Register a connected client.
+ * @param {object} dbUser - req.dbUser of the stream request (id, role, organization_id). Frozen at connect time:
+ *   only id, god role and the streamed organization are trusted later; access is re-read when publishing.
+ * @param {(event: object) => void} send
+ * @returns {() => void} unsubscribe
+ */
+export const subscribe = (dbUser, send) => {
+    const subscriber = { user: dbUser, send };
+    subscribers.add(subscriber);
+    return () => subscribers.delete(subscriber);
+};
+
+/** Deliver an event (or a per-user variant of it) to every subscriber `canReceive` accepts. */
+const publish = (canReceive, eventFor) => {
+    subscribers.forEach(({ user, send }) => {
+        if (!canReceive(user)) return;
+        const event = eventFor(user);
+        if (!event) return;
+        try {
+            send(event);
+        } catch (err) {
+            console.error('[Live] Failed to send event:', err);
+        }
+    });
+};
+
+/**
+ * User ids that can see a task (mirrors the GET /tasks scoping; gods see everything and are not listed).
+ * Capture this BEFORE deleting a task or removing assignees, so the people losing it still hear about it.
+ * @returns {Promise<Set<string>>}
+ */
+export const getTaskAudience = async (db, taskId) => {
+    const result = await db.query(
+        `WITH t AS (
+            SELECT t.id, t.created_by, t.organization_id, creator.role AS creator_role
+            FROM tasks t
+            LEFT JOIN users creator ON creator.id = t.created_by
+            WHERE t.id = $1
+        )
+        SELECT created_by AS user_id FROM t WHERE created_by IS NOT NULL
+        UNION
+        SELECT user_id FROM task_collaborators WHERE task_id = $1
+        UNION
+        SELECT m.user_id FROM memberships m JOIN t ON m.organization_id = t.organization_id
+        WHERE t.creator_role IS DISTINCT FROM 'god'`,
+        [taskId]
+    );
+    return new Set(result.rows.map(r => r.user_id));
+};
+
+const inAudience = (audience) => (user) => user.role === 'god' || audience.has(user.id);
+
+/**
+ * Broadcast task changes. Never throws (live updates are best effort; the write already committed).
+ * created/updated events carry the task snapshot; users who could see the task before but not any more
+ * (`previousAudience`) receive a 'deleted' instead. 'deleted' requires `audience` captured before the delete.
+ *
+ * @param {object} db - pool (call after COMMIT)
+ * @param {'created'|'updated'|'deleted'} action
+ * @param {string[]} taskIds
+ * @param {{ actorId?: string, audience?: Set<string>, previousAudience?: Set<string> }} [options]
+ */
+export const publishTaskChanges = async (db, action, taskIds, { actorId = null, audience = null, previousAudience = null } = {}) => {
+    if (subscribers.size === 0 || taskIds.length === 0) return;
+    try {
+        if (action === 'deleted') {
+            if (!audience) return;
+            taskIds.forEach(id => publish(inAudience(audience), () => ({ entity: 'task', action, id, actorId })));
+            return;
+        }
+
+        const snapshots = await loadTaskSnapshots(db, taskIds);
+        for (const task of snapshots) {
+            const current = await getTaskAudience(db, task.id);
+            const canSeeNow = inAudience(current);
+            const receivers = previousAudience
+                ? (user) => canSeeNow(user) || previousAudience.has(user.id)
+                : canSeeNow;
+
+            publish(receivers, (user) => canSeeNow(user)
+                ? { entity: 'task', action, id: task.id, task, actorId }
+                : { entity: 'task', action: 'deleted', id: task.id, actorId });
+        }
+    } catch (err) {
+        console.error('[Live] Failed to publish task changes:', err);
+    }
+};
+
+/** Checklist steps share their task's audience. */
+export const publishStepChange = async (db, action, { id, taskId }, { actorId = null } = {}) => {
+    if (subscribers.size === 0) return;
+    try {
+        const audience = await getTaskAudience(db, taskId);
+        publish(inAudience(audience), () => ({ entity: 'step', action, id, taskId, actorId }));
+    } catch (err) {
+        console.error('[Live] Failed to publish step change:', err);
+    }
+};
+
+/**
+ * Who in an organization can see what right now: memberships and delegations in effect, as the auth middleware
+ * resolves them. Read when publishing, not from the dbUser captured when a stream connected, so removed members
+ * and ended delegations stop receiving the organization's events at once.
+ * @returns {Promise<Map<string, { role: string, delegated_scopes: object[] }>>} by user id
+ */
+const getOrganizationAccess = async (db, organizationId) => {
+    const membersRes = await db.query('SELECT user_id, role FROM memberships WHERE organization_id = $1', [organizationId]);
+    const delegationsRes = await db.query(
+        `SELECT delegate_id, scope, scope_ids, expires_at FROM role_delegations
+         WHERE organization_id = $1 AND status = 'active' AND starts_at <= NOW() AND expires_at > NOW()`,
+        [organizationId]
+    );
+
+    const access = new Map(membersRes.rows.map(m => [m.user_id, { role: m.role, delegated_scopes: [] }]));
+    delegationsRes.rows.forEach(d => {
+        const member = access.get(d.delegate_id);
+        if (!member) return;
+        if (d.scope === 'full') member.role = 'admin';
+        else member.delegated_scopes.push({ scope: d.scope, scopeIds: d.scope_ids || [], expiresAt: d.expires_at });
+    });
+    return access;
+};
+
+/** Projects are visible org-wide (gods see all) to subscribers streaming that organization. */
+export const publishProjectChange = async (db, action, project, { actorId = null } = {}) => {
+    if (subscribers.size === 0) return;
+    try {
+        const access = await getOrganizationAccess(db, project.organization_id);
+        publish(
+            (user) => user.role === 'god' || (user.organization_id === project.organization_id && access.has(user.id)),
+            () => ({ entity: 'project', action, id: project.id, actorId })
+        );
+    } catch (err) {
+        console.error('[Live] Failed to publish project change:', err);
+    }
+};
+
+/** Requests are listed to admins of the org (and gods); the requester hears about their own. */
+export const publishRequestChange = async (db, action, request, { actorId = null } = {}) => {
+    if (subscribers.size === 0) return;
+    try {
+        const access = await getOrganizationAccess(db, request.organization_id);
+        const canReview = (member) => !!member && (member.role === 'admin' || hasDelegatedScope(member, 'requests'));
+        publish(
+            (user) => user.role === 'god'
+                || user.id === request.requester_id
+                || (user.organization_id === request.organization_id && canReview(access.get(user.id))),
+            () => ({ entity: 'request', action, id: request.id, status: request.status, actorId })
+        );
+    } catch (err) {
+        console.error('[Live] Failed to publish request change:', err);
+    }
+};
+
+/** Notifications go to their recipient only: entries are { userId, notification }. */
+export const publishNotifications = (entries) => {
+    entries.forEach(({ userId, notification }) => publish(
+        (user) => user.id === userId,
+        () => ({ entity: 'notification', action: 'created', id: notification.id, notification })
+    ));
+};
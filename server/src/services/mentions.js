@@ -0,0 +1,50 @@
+/**
+ * @mention resolution for comments.
+ * Mentions are matched against the requester's directory (same list as GET /colleagues):
+ * `@Jenna Staff` matches the full display name, `@Jenna` matches a first name when it is unambiguous.
+ */
+
+const isWordChar = (ch) => !!ch && /[\p{L}\p{N}_]/u.test(ch);
+
+/**
+ * @param {string} body comment text
+ * @param {Array<{ id: string, name: string }>} colleagues
+ * @returns {string[]} unique user ids mentioned in the body
+ */
+export const resolveMentions = (body, colleagues) => {
+    if (!body || !body.includes('@')) return [];
+
+    // Build match candidates (lowercased), longest first so "@Jenna Staff" beats "@Jenna"
+    const firstNameCounts = {};
+    colleagues.forEach(c => {
+        const first = (c.name || '').trim().split(/\s+/)[0].toLowerCase();
+        if (first) firstNameCounts[first] = (firstNameCounts[first] || 0) + 1;
+    });
+
+    const candidates = [];
+    colleagues.forEach(c => {
+        const full = (c.name || '').trim().toLowerCase();
+        if (!full) return;
+        candidates.push({ text: full, id: c.id });
+
+        const first = full.split(/\s+/)[0];
+        if (first !== full && firstNameCounts[first] === 1) {
+            candidates.push({ text: first, id: c.id });
+        }
+    });
+    candidates.sort((a, b) => b.text.length - a.text.length);
+
+    const lower = body.toLowerCase();
+    const mentioned = new Set();
+
+    for (let i = lower.indexOf('@'); i !== -1; i = lower.indexOf('@', i + 1)) {
+        // Ignore emails like "jenna@example.com"
+        if (isWordChar(lower[i - 1])) continue;
+
+        const rest = lower.slice(i + 1);
+        const match = candidates.find(c => rest.startsWith(c.text) && !isWordChar(rest[c.text.length]));
+        if (match) mentioned.add(match.id);
+    }
+
+    return [...mentioned];
+};
@@ -0,0 +1,92 @@
+import { publishNotifications } from './liveEvents.js';
+
+/**
+ * NOTIFICATIONS
+ * In-app notifications behind the header bell. Like live events they are a side effect of a write that
+ * already committed: helpers take the pool, run after COMMIT and never throw.
+ * The actor is never notified about their own action.
+ */
+
+export const EXPIRY_NOTICE_HOURS = 24;
+
+export const mapNotification = (n) => ({
+    id: n.id,
+    type: n.type,
+    actorId: n.actor_id,
+    actorName: n.actor_name,
+    taskId: n.task_id,
+    data: n.data,
+    readAt: n.read_at,
+    createdAt: n.created_at
+});
+
+/**
+ * Insert one notification per recipient and push them to connected clients.
+ * @param {object} db - pool
+ * @param {{ userIds: string[], type: string, actorId?: string, taskId?: string, data?: object }} notification
+ */
+export const notifyUsers = async (db, { userIds, type, actorId = null, taskId = null, data = {} }) => {
+    const recipients = [...new Set(userIds)].filter(id => id && id !== actorId);
+    if (recipients.length === 0) return;
+    try {
+        const result = await db.query(
+            `INSERT INTO notifications (user_id, type, actor_id, task_id, data)
+             SELECT unnest($1::uuid[]), $2, $3, $4, $5
+             RETURNING *`,
+            [recipients, type, actorId, taskId, data]
+        );
+        publishNotifications(result.rows.map(row => ({ userId: row.user_id, notification: mapNotification(row) })));
+    } catch (err) {
+        console.error(`[Notifications] Failed to send '${type}':`, err);
+    }
+};
+
+/**
+ * Notifications for one task write: assignees added / removed, and the owner when the status changed.
+ * @param {{ before: object, after: object, assignmentChanges?: { added: string[], removed: string[] }, actorId: string }} change
+ *   before / after are task rows (before may be null for a new task)
+ */
+export const notifyTaskChange = async (db, { before, after, assignmentChanges, actorId }) => {
+    const data = { taskTitle: after.title };
+    if (assignmentChanges?.added.length > 0) {
+        await notifyUsers(db, { userIds: assignmentChanges.added, type: 'assigned', actorId, taskId: after.id, data });
+    }
+    if (assignmentChanges?.removed.length > 0) {
+        await notifyUsers(db, { userIds: assignmentChanges.removed, type: 'unassigned', actorId, taskId: after.id, data });
+    }
+    if (before && before.status !== after.status && after.created_by) {
+        await notifyUsers(db, {
+            userIds: [after.created_by],
+            type: 'status_changed',
+            actorId,
+            taskId: after.id,
+            data: { ...data, from: before.status, to: after.status }
+        });
+    }
+};
+
+/**
+ * Remind delegates whose admin delegation ends within EXPIRY_NOTICE_HOURS (once per delegation).
+ * Run from the scheduled sweep.
+ * @returns {Promise<number>} reminders sent
+ */
+export const notifyExpiringDelegations = async (db) => {
+    const result = await db.query(
+        `UPDATE role_delegations
+         SET expiry_notified_at = NOW()
+         WHERE status = 'active'
+         AND expiry_notified_at IS NULL
+         AND expires_at > NOW()
+         AND expires_at <= NOW() + make_interval(hours => $1)
+         RETURNING *`,
+        [EXPIRY_NOTICE_HOURS]
+    );
+    for (const d of result.rows) {
+        await notifyUsers(db, {
+            userIds: [d.delegate_id],
+            type: 'delegation_expiring',
+            data: { role: d.role, scope: d.scope, expiresAt: d.expires_at }
+        });
+    }
+    return result.rows.length;
+};
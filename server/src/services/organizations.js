@@ -0,0 +1,198 @@
+/**
+ * ORGANIZATIONS
+ * A user belongs to organizations through `memberships` (role per organization). Each request runs in one
+ * active organization, chosen by the X-Organization-Id header and validated here. The auth middleware puts it
+ * on req.dbUser.organization_id, so routers that scope by that field scope by the active organization.
+ * users.organization_id is only the default when no header is sent.
+ */
+
+export const ORGANIZATION_HEADER = 'x-organization-id';
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+/**
+ * Organizations a user can switch to: their memberships, or every organization for gods.
+ * @returns {Promise<Array<{ id: string, name: string, role: string }>>}
+ */
+export const getUserOrganizations = async (db, user) => {
+    const result = user.role === 'god'
+        ? await db.query(`SELECT o.id, o.name, 'god' AS role FROM organizations o ORDER BY o.name ASC`)
+        : await db.query(
+            `SELECT o.id, o.name, m.role
+             FROM memberships m
+             JOIN organizations o ON o.id = m.organization_id
+             WHERE m.user_id = $1
+             ORDER BY o.name ASC`,
+            [user.id]
+        );
+    return result.rows;
+};
+
+/**
+ * Pick the request's organization: the requested one if the user may use it, otherwise their default
+ * (users.organization_id when still a member, else the first membership).
+ * @param {object} user - users row (id, role, organization_id)
+ * @param {string|undefined} requestedId - X-Organization-Id header
+ * @returns {Promise<{ error: string } | { organization: object|null, organizations: object[] }>}
+ *   organization is null for users without any membership (guests on other organizations' tasks)
+ */
+export const resolveActiveOrganization = async (db, user, requestedId) => {
+    const organizations = await getUserOrganizations(db, user);
+
+    if (requestedId) {
+        const organization = UUID_PATTERN.test(requestedId) && organizations.find(o => o.id === requestedId);
+        if (!organization) return { error: 'You are not a member of this organization' };
+        return { organization, organizations };
+    }
+
+    const organization = organizations.find(o => o.id === user.organization_id) || organizations[0] || null;
+    return { organization, organizations };
+};
+
+export const ORGANIZATION_ROLES = ['user', 'admin'];
+export const PLAN_TIERS = ['free', 'pro', 'enterprise'];
+
+const DOMAIN_PATTERN = /^(?=.{1,253}$)([a-z0-9]([a-z0-9-]{0,61}[a-z0-9])?\.)+[a-z]{2,63}$/;
+
+export const mapOrganization = (o) => ({
+    id: o.id,
+    name: o.name,
+    planTier: o.plan_tier,
+    memberCount: o.member_count !== undefined ? Number(o.member_count) : undefined,
+    createdAt: o.created_at
+});
+
+export const mapMember = (m) => ({
+    id: m.id,
+    name: m.display_name || m.email.split('@')[0],
+    email: m.email,
+    avatar: m.avatar_url || '👤',
+    role: m.role,
+    status: m.status,
+    joinedAt: m.joined_at
+});
+
+export const mapDomainRule = (d) => ({
+    id: d.id,
+    organizationId: d.organization_id,
+    domain: d.domain,
+    role: d.role,
+    createdAt: d.created_at
+});
+
+/**
+ * Lowercase a domain ("@Example.com" -> "example.com").
+ * @returns {string|null} null when it is not a valid domain name
+ */
+export const normalizeDomain = (value) => {
+    const domain = String(value || '').trim().toLowerCase().replace(/^@/, '');
+    return DOMAIN_PATTERN.test(domain) ? domain : null;
+};
+
+/**
+ * Create an organization with no members yet (see addMember).
+ * @returns {Promise<object>} organizations row
+ */
+export const createOrganization = async (db, { name, planTier = 'free' }) => {
+    const orgRes = await db.query('INSERT INTO organizations (name, plan_tier) VALUES ($1, $2) RETURNING *', [name, planTier]);
+    return orgRes.rows[0];
+};
+
+/**
+ * Add a user to an organization (an existing membership keeps its role).
+ */
+export const addMember = async (db, { organizationId, userId, role = 'user' }) => {
+    await db.query(
+        `INSERT INTO memberships (user_id, organization_id, role) VALUES ($1, $2, $3)
+         ON CONFLICT (user_id, organization_id) DO NOTHING`,
+        [userId, organizationId, role]
+    );
+};
+
+/**
+ * The auto-join rule for an email's domain, if an organization claimed it.
+ * @returns {Promise<object|null>} organization_domains row
+ */
+export const findAutoJoinRule = async (db, email) => {
+    const domain = normalizeDomain(String(email || '').split('@')[1]);
+    if (!domain) return null;
+    const result = await db.query('SELECT * FROM organization_domains WHERE domain = $1', [domain]);
+    return result.rows[0] || null;
+};
+
+const otherAdminCount = async (db, organizationId, userId) => {
+    const result = await db.query(
+        `SELECT COUNT(*)::int AS count FROM memberships m
+         JOIN users u ON u.id = m.user_id
+         WHERE m.organization_id = $1 AND m.role = 'admin' AND m.user_id <> $2
+         AND NOT u.is_service_account -- Someone has to be able to sign in`,
+        [organizationId, userId]
+    );
+    return result.rows[0].count;
+};
+
+/**
+ * Change a member's role in one organization. An organization always keeps at least one admin.
+ * @returns {Promise<{ error: string, status: number } | { member: object }>} member is the memberships row
+ */
+export const setMemberRole = async (db, { organizationId, userId, role }) => {
+    const current = await db.query(
+        'SELECT * FROM memberships WHERE organization_id = $1 AND user_id = $2 FOR UPDATE',
+        [organizationId, userId]
+    );
+    if (current.rows.length === 0) return { status: 404, error: 'Member not found' };
+    if (current.rows[0].role === 'admin' && role !== 'admin' && await otherAdminCount(db, organizationId, userId) === 0) {
+        return { status: 409, error: 'An organization needs at least one admin' };
+    }
+
+    const result = await db.query(
+        'UPDATE memberships SET role = $3 WHERE organization_id = $1 AND user_id = $2 RETURNING *',
+        [organizationId, userId, role]
+    );
+    return { member: result.rows[0] };
+};
+
+/**
+ * Take a user out of one organization: their membership and any admin delegation there end.
+ * The account itself stays (other organizations, and tasks they are assigned to as a guest).
+ * Call inside a transaction.
+ * @returns {Promise<{ error: string, status: number } | { removed: true }>}
+ */
+export const removeMember = async (db, { organizationId, userId }) => {
+    const current = await db.query(
+        'SELECT * FROM memberships WHERE organization_id = $1 AND user_id = $2 FOR UPDATE',
+        [organizationId, userId]
+    );
+    if (current.rows.length === 0) return { status: 404, error: 'Member not found' };
+    if (current.rows[0].role === 'admin' && await otherAdminCount(db, organizationId, userId) === 0) {
+        return { status: 409, error: 'An organization needs at least one admin' };
+    }
+
+    await db.query('DELETE FROM memberships WHERE organization_id = $1 AND user_id = $2', [organizationId, userId]);
+    await db.query(
+        `UPDATE role_delegations SET status = 'cancelled'
+         WHERE organization_id = $1 AND delegate_id = $2 AND status = 'active'`,
+        [organizationId, userId]
+    );
+    // Default organization moves to one they still belong to, or is cleared when there is none
+    // (service accounts keep the organization that owns them; see DDL_user_default_org.sql)
+    await db.query(
+        `UPDATE users SET organization_id = (
+             SELECT organization_id FROM memberships WHERE user_id = $2 ORDER BY created_at ASC LIMIT 1
+         )
+         WHERE id = $2 AND organization_id = $1 AND NOT is_service_account`,
+        [organizationId, userId]
+    );
+    return { removed: true };
+};
+
+/**
+ * Route middleware for writes that create organization-owned rows (tasks, projects, requests, delegations):
+ * users with no membership have no active organization to create them in.
+ */
+export const requireActiveOrganization = (req, res, next) => {
+    if (!req.dbUser.organization_id) {
+        return res.status(403).json({ error: 'Join or create an organization first' });
+    }
+    next();
+};
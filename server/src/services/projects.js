@@ -0,0 +1,42 @@
+import { hasDelegatedScope } from './delegations.js';
+
+/**
+ * PROJECTS
+ * Project writes shared by POST /projects and approved CREATE_PROJECT requests, and who may manage a project.
+ */
+
+export const PROJECT_STATUSES = ['planning', 'active', 'on_hold', 'completed', 'archived'];
+
+/**
+ * Insert a project with `userId` as its creator and first owner. Call inside a transaction.
+ * @returns {Promise<object>} projects row
+ */
+export const createProject = async (db, { organizationId, userId, title, description = null, status = 'planning', client = null, startDate = null, endDate = null, metadata = {} }) => {
+    const result = await db.query(
+        `INSERT INTO projects (organization_id, title, description, status, client, start_date, end_date, metadata, created_by)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9) RETURNING *`,
+        [organizationId, title.trim(), description, status, client, startDate, endDate, metadata, userId]
+    );
+    const project = result.rows[0];
+
+    // Creator is the first owner
+    await db.query(
+        `INSERT INTO project_members (project_id, user_id, role, added_by) VALUES ($1, $2, 'owner', $2)`,
+        [project.id, userId]
+    );
+    return project;
+};
+
+/**
+ * Admins/Gods manage every project in scope; project owners (and 'project' delegates) manage their own.
+ * @returns {Promise<boolean>}
+ */
+export const canManageProject = async (db, dbUser, project) => {
+    if (dbUser.role === 'god' || dbUser.role === 'admin') return true;
+    if (hasDelegatedScope(dbUser, 'project', project.id)) return true;
+    const memberRes = await db.query(
+        `SELECT 1 FROM project_members WHERE project_id = $1 AND user_id = $2 AND role = 'owner'`,
+        [project.id, dbUser.id]
+    );
+    return memberRes.rows.length > 0;
+};
@@ -0,0 +1,379 @@
+/**
+ * Recurring Tasks
+ * A series (`task_recurrences`) holds a rule plus a task template; occurrences are ordinary `tasks`
+ * rows tagged with recurrence_id + occurrence_date. `generated_through` is the high-water mark, so
+ * deleting a single occurrence never brings it back.
+ *
+ * Rule shapes (JSON):
+ *   { freq: 'daily', interval }
+ *   { freq: 'weekly', interval, weekdays: [0-6] }              0 = Sunday
+ *   { freq: 'monthly', interval, monthDay: 1-31 }              clamped to short months
+ *   { freq: 'monthly', interval, nthWeekday: { n, weekday } }  n = 1..4, or -1 for the last
+ *   { freq: 'business_days', interval }                        every N Mon-Fri days
+ */
+
+import { recordTaskFieldChanges, recordAssignmentChanges } from './activityLog.js';
+
+export const RECURRENCE_FREQUENCIES = ['daily', 'weekly', 'monthly', 'business_days'];
+export const DEFAULT_HORIZON_DAYS = parseInt(process.env.RECURRENCE_HORIZON_DAYS || '14', 10);
+export const MAX_HORIZON_DAYS = 365;
+
+const ONE_DAY_MS = 86400000;
+const MAX_SCAN_DAYS = 3 * 366;
+
+// --- Date helpers (UTC, 'YYYY-MM-DD') ---
+
+// node-pg hands DATE columns back as local-midnight Date objects
+const parseDay = (value) => {
+    if (value instanceof Date) return Date.UTC(value.getFullYear(), value.getMonth(), value.getDate());
+    const [y, m, d] = String(value).substring(0, 10).split('-').map(Number);
+    return Date.UTC(y, m - 1, d);
+};
+export const formatDay = (ms) => new Date(ms).toISOString().substring(0, 10);
+export const toDay = (value) => formatDay(parseDay(value));
+export const addDays = (day, n) => formatDay(parseDay(day) + n * ONE_DAY_MS);
+
+const weekdayOf = (ms) => new Date(ms).getUTCDay();
+const isBusinessDay = (ms) => ![0, 6].includes(weekdayOf(ms));
+
+// Business days since a fixed Monday (1970-01-05); differences count Mon-Fri days between dates
+const businessDayIndex = (ms) => {
+    const days = Math.floor((ms - Date.UTC(1970, 0, 5)) / ONE_DAY_MS);
+    return Math.floor(days / 7) * 5 + Math.min(days % 7, 5);
+};
+
+const mondayOf = (ms) => ms - ((weekdayOf(ms) + 6) % 7) * ONE_DAY_MS;
+
+const nthWeekdayOfMonth = (year, month, n, weekday) => {
+    if (n === -1) {
+        const last = Date.UTC(year, month + 1, 0);
+        return last - ((weekdayOf(last) - weekday + 7) % 7) * ONE_DAY_MS;
+    }
+    const first = Date.UTC(year, month, 1);
+    const firstMatch = first + ((weekday - weekdayOf(first) + 7) % 7) * ONE_DAY_MS;
+    const result = firstMatch + (n - 1) * 7 * ONE_DAY_MS;
+    return new Date(result).getUTCMonth() === month ? result : null;
+};
+
+/**
+ * Validate a rule object.
+ * @returns {string|null} error message, or null when valid
+ */
+export const validateRule = (rule) => {
+    if (!rule || typeof rule !== 'object') return 'Recurrence rule is required';
+    if (!RECURRENCE_FREQUENCIES.includes(rule.freq)) {
+        return `Invalid frequency. Must be one of: ${RECURRENCE_FREQUENCIES.join(', ')}`;
+    }
+    const interval = rule.interval ?? 1;
+    if (!Number.isInteger(interval) || interval < 1 || interval > 365) return 'interval must be an integer between 1 and 365';
+
+    if (rule.freq === 'weekly') {
+        if (!Array.isArray(rule.weekdays) || rule.weekdays.length === 0) return 'weekly rules need at least one weekday';
+        if (!rule.weekdays.every(d => Number.isInteger(d) && d >= 0 && d <= 6)) return 'weekdays must be integers 0 (Sunday) to 6';
+    }
+    if (rule.freq === 'monthly') {
+        const { monthDay, nthWeekday } = rule;
+        if (monthDay === undefined && !nthWeekday) return 'monthly rules need monthDay or nthWeekday';
+        if (monthDay !== undefined && (!Number.isInteger(monthDay) || monthDay < 1 || monthDay > 31)) return 'monthDay must be 1 to 31';
+        if (nthWeekday) {
+            const { n, weekday } = nthWeekday;
+            if (![1, 2, 3, 4, -1].includes(n)) return 'nthWeekday.n must be 1-4 or -1 (last)';
+            if (!Number.isInteger(weekday) || weekday < 0 || weekday > 6) return 'nthWeekday.weekday must be 0 (Sunday) to 6';
+        }
+    }
+    return null;
+};
+
+/** Keep only the keys that matter for a frequency (clients may send extras). */
+export const normalizeRule = (rule) => {
+    const base = { freq: rule.freq, interval: rule.interval ?? 1 };
+    if (rule.freq === 'weekly') return { ...base, weekdays: [...new Set(rule.weekdays)].sort() };
+    if (rule.freq === 'monthly') {
+        return rule.nthWeekday
+            ? { ...base, nthWeekday: { n: rule.nthWeekday.n, weekday: rule.nthWeekday.weekday } }
+            : { ...base, monthDay: rule.monthDay };
+    }
+    return base;
+};
+
+const matchesRule = (rule, startsOnMs, ms) => {
+    const interval = rule.interval ?? 1;
+    const date = new Date(ms);
+
+    switch (rule.freq) {
+        case 'daily':
+            return Math.round((ms - startsOnMs) / ONE_DAY_MS) % interval === 0;
+        case 'weekly': {
+            const weeks = Math.round((mondayOf(ms) - mondayOf(startsOnMs)) / (7 * ONE_DAY_MS));
+            return weeks % interval === 0 && rule.weekdays.includes(weekdayOf(ms));
+        }
+        case 'monthly': {
+            const start = new Date(startsOnMs);
+            const months = (date.getUTCFullYear() - start.getUTCFullYear()) * 12 + date.getUTCMonth() - start.getUTCMonth();
+            if (months % interval !== 0) return false;
+            if (rule.nthWeekday) {
+                return nthWeekdayOfMonth(date.getUTCFullYear(), date.getUTCMonth(), rule.nthWeekday.n, rule.nthWeekday.weekday) === ms;
+            }
+            const lastDay = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + 1, 0)).getUTCDate();
+            return date.getUTCDate() === Math.min(rule.monthDay, lastDay);
+        }
+        case 'business_days': {
+            if (!isBusinessDay(ms)) return false;
+            let first = startsOnMs;
+            while (!isBusinessDay(first)) first += ONE_DAY_MS;
+            return (businessDayIndex(ms) - businessDayIndex(first)) % interval === 0;
+        }
+        default:
+            return false;
+    }
+};
+
+/**
+ * Occurrence dates of a series in (after, until], in order.
+ * @param {{ rule: object, startsOn: string, endsOn?: string|null }} series
+ * @param {string|null} after - exclusive lower bound (null = from startsOn inclusive)
+ * @param {string} until - inclusive upper bound
+ * @param {number} [limit]
+ * @returns {string[]} 'YYYY-MM-DD' dates
+ */
+export const occurrencesBetween = ({ rule, startsOn, endsOn = null }, after, until, limit = Infinity) => {
+    const startsOnMs = parseDay(startsOn);
+    let cursor = after ? Math.max(parseDay(after) + ONE_DAY_MS, startsOnMs) : startsOnMs;
+    let end = parseDay(until);
+    if (endsOn) end = Math.min(end, parseDay(endsOn));
+    end = Math.min(end, cursor + MAX_SCAN_DAYS * ONE_DAY_MS);
+
+    const result = [];
+    for (; cursor <= end && result.length < limit; cursor += ONE_DAY_MS) {
+        if (matchesRule(rule, startsOnMs, cursor)) result.push(formatDay(cursor));
+    }
+    return result;
+};
+
+/** The first occurrence strictly after `after` (or null when the series has ended). */
+export const nextOccurrence = (series, after) =>
+    occurrencesBetween(series, after, addDays(after, MAX_SCAN_DAYS), 1)[0] || null;
+
+export const todayDay = () => formatDay(Date.now());
+
+// --- Persistence ---
+
+export const mapSeries = (s) => ({
+    id: s.id,
+    rule: s.rule,
+    startsOn: formatDay(parseDay(s.starts_on)),
+    endsOn: s.ends_on ? formatDay(parseDay(s.ends_on)) : null,
+    horizonDays: s.horizon_days,
+    generatedThrough: s.generated_through ? formatDay(parseDay(s.generated_through)) : null,
+    title: s.title,
+    priority: s.priority,
+    projectId: s.project_id,
+    assignedTo: s.assigned_to || [],
+    createdBy: s.created_by
+});
+
+const seriesFromRow = (row) => ({
+    rule: row.rule,
+    startsOn: row.starts_on,
+    endsOn: row.ends_on
+});
+
+/**
+ * Insert one occurrence task from the series template. Idempotent per (series, date).
+ * @returns {Promise<object|null>} the new task row, or null if it already existed
+ */
+const insertOccurrence = async (db, series, occurrenceDate) => {
+    const insertRes = await db.query(
+        `INSERT INTO tasks (title, description, project_id, organization_id, status, priority, due_date, created_by, recurrence_id, occurrence_date)
+         VALUES ($1, $2, $3, $4,
+                 COALESCE((SELECT workflow->'statuses'->0->>'key' FROM organizations WHERE id = $4), 'todo'), -- workflow's first status
+                 $5, ($6::date + $7::time) AT TIME ZONE 'UTC', $8, $9, $6::date)
+         ON CONFLICT (recurrence_id, occurrence_date) WHERE recurrence_id IS NOT NULL DO NOTHING
+         RETURNING *`,
+        [series.title, series.description, series.project_id, series.organization_id, series.priority,
+            occurrenceDate, series.due_time, series.created_by, series.id]
+    );
+    const task = insertRes.rows[0];
+    if (!task) return null;
+
+    if (series.assigned_to?.length > 0) {
+        await db.query(
+            `INSERT INTO task_collaborators (task_id, user_id, access_level)
+             SELECT $1, unnest($2::uuid[]), 'collaborator_free'
+             ON CONFLICT (task_id, user_id) DO NOTHING`,
+            [task.id, series.assigned_to]
+        );
+    }
+    return task;
+};
+
+const advanceWatermark = (db, seriesId, through) => db.query(
+    `UPDATE task_recurrences SET generated_through = GREATEST(COALESCE(generated_through, $2::date), $2::date), updated_at = NOW()
+     WHERE id = $1`,
+    [seriesId, through]
+);
+
+/**
+ * Create every occurrence up to the series' horizon (today + horizon_days) that has not been generated yet.
+ * @returns {Promise<object[]>} created task rows
+ */
+export const generateWithinHorizon = async (db, series) => {
+    if (series.horizon_days <= 0) return [];
+    const until = addDays(todayDay(), series.horizon_days);
+    const after = series.generated_through ? formatDay(parseDay(series.generated_through)) : null;
+    const dates = occurrencesBetween(seriesFromRow(series), after, until);
+
+    const created = [];
+    for (const date of dates) {
+        const task = await insertOccurrence(db, series, date);
+        if (task) created.push(task);
+    }
+    if (dates.length > 0) await advanceWatermark(db, series.id, dates[dates.length - 1]);
+    return created;
+};
+
+/**
+ * Completion trigger: make sure the occurrence after `afterDate` exists.
+ * @returns {Promise<object|null>} the created task, or null (already generated / series ended)
+ */
+export const generateNextOccurrence = async (db, series, afterDate) => {
+    const completed = formatDay(parseDay(afterDate));
+    const watermark = series.generated_through ? formatDay(parseDay(series.generated_through)) : null;
+
+    // The horizon already produced something later than the completed occurrence
+    if (watermark && watermark > completed) return null;
+
+    const next = nextOccurrence(seriesFromRow(series), completed);
+    if (!next) return null;
+
+    const task = await insertOccurrence(db, series, next);
+    await advanceWatermark(db, series.id, next);
+    return task;
+};
+
+/**
+ * Create a series from an existing task; the task becomes its first occurrence.
+ * @returns {Promise<object>} the series row
+ */
+export const createSeriesFromTask = async (db, { task, assignedTo = [], rule, horizonDays = DEFAULT_HORIZON_DAYS, endsOn = null }) => {
+    const occurrenceDate = task.due_date ? new Date(task.due_date).toISOString().substring(0, 10) : todayDay();
+    const dueTime = task.due_date ? new Date(task.due_date).toISOString().substring(11, 19) : '17:00:00';
+
+    const seriesRes = await db.query(
+        `INSERT INTO task_recurrences (organization_id, created_by, rule, starts_on, ends_on, horizon_days, generated_through,
+                                       title, description, priority, project_id, assigned_to, due_time)
+         VALUES ($1, $2, $3, $4, $5, $6, $4, $7, $8, $9, $10, $11, $12)
+         RETURNING *`,
+        [task.organization_id, task.created_by, JSON.stringify(normalizeRule(rule)), occurrenceDate, endsOn, horizonDays,
+            task.title, task.description, task.priority, task.project_id, assignedTo, dueTime]
+    );
+    const series = seriesRes.rows[0];
+
+    await db.query(
+        'UPDATE tasks SET recurrence_id = $1, occurrence_date = $2 WHERE id = $3',
+        [series.id, occurrenceDate, task.id]
+    );
+    await generateWithinHorizon(db, series);
+    return series;
+};
+
+/**
+ * End a series after `lastDate` and move open occurrences scheduled later to the trash.
+ * Completed occurrences are history and are kept.
+ * Restoring any of the removed occurrences (or a task deleted in the same transaction) brings back the others
+ * and the previous end (see restoreTasks), unless `reversible` is false: a schedule change replaces the series.
+ * @returns {Promise<Array<{ id: string, title: string }>>} removed tasks
+ */
+export const truncateSeries = async (db, seriesId, lastDate, actorId, { reversible = true } = {}) => {
+    // Truncated again in the same transaction (bulk delete of several occurrences): keep the end from before the first
+    await db.query(
+        `UPDATE task_recurrences SET ends_on = LEAST(ends_on, $2), updated_at = NOW(),
+                ends_on_before_truncate = CASE WHEN NOT $3 THEN NULL WHEN truncated_at = NOW() THEN ends_on_before_truncate ELSE ends_on END,
+                truncated_at = CASE WHEN $3 THEN NOW() END
+         WHERE id = $1`,
+        [seriesId, lastDate, reversible]
+    );
+    const removed = await db.query(
+        `UPDATE tasks SET deleted_at = NOW(), deleted_by = $3
+         WHERE recurrence_id = $1 AND occurrence_date > $2 AND completed_at IS NULL AND deleted_at IS NULL
+         RETURNING id, title`,
+        [seriesId, lastDate, actorId]
+    );
+    return removed.rows;
+};
+
+// Template fields that "all future occurrences" edits carry forward (dates are per-occurrence)
+export const SERIES_TEMPLATE_FIELDS = ['title', 'description', 'priority'];
+
+/**
+ * "All future" edit: update the series template and every open occurrence after `fromDate`.
+ * Each touched task gets its own audit entries.
+ * @returns {Promise<string[]>} ids of updated tasks
+ */
+export const applyToFutureOccurrences = async (db, { series, fromDate, updates, actorId }) => {
+    const fields = SERIES_TEMPLATE_FIELDS.filter(key => updates[key] !== undefined);
+    const hasAssignees = Array.isArray(updates.assignedTo);
+    if (fields.length === 0 && !hasAssignees) return [];
+
+    const setClauses = fields.map((key, i) => `${key} = $${i + 2}`);
+    const params = [series.id, ...fields.map(key => updates[key])];
+    if (hasAssignees) {
+        setClauses.push(`assigned_to = $${params.length + 1}`);
+        params.push(updates.assignedTo);
+    }
+    await db.query(`UPDATE task_recurrences SET ${setClauses.join(', ')}, updated_at = NOW() WHERE id = $1`, params);
+
+    const futureRes = await db.query(
+        `SELECT * FROM tasks WHERE recurrence_id = $1 AND occurrence_date > $2 AND completed_at IS NULL AND deleted_at IS NULL FOR UPDATE`,
+        [series.id, fromDate]
+    );
+
+    for (const before of futureRes.rows) {
+        const taskRes = await db.query(
+            `UPDATE tasks SET ${[...fields.map((key, i) => `${key} = $${i + 2}`), 'version = version + 1'].join(', ')} WHERE id = $1 RETURNING *`,
+            [before.id, ...fields.map(key => updates[key])]
+        );
+        await recordTaskFieldChanges(db, { before, after: taskRes.rows[0], actorId });
+
+        if (hasAssignees) {
+            const assignRes = await db.query('SELECT user_id FROM task_collaborators WHERE task_id = $1', [before.id]);
+            await db.query('DELETE FROM task_collaborators WHERE task_id = $1', [before.id]);
+            if (updates.assignedTo.length > 0) {
+                await db.query(
+                    `INSERT INTO task_collaborators (task_id, user_id, access_level)
+                     SELECT $1, unnest($2::uuid[]), 'collaborator_free'`,
+                    [before.id, updates.assignedTo]
+                );
+            }
+            await recordAssignmentChanges(db, {
+                taskId: before.id,
+                organizationId: before.organization_id,
+                actorId,
+                before: assignRes.rows.map(r => r.user_id),
+                after: updates.assignedTo
+            });
+        }
+    }
+    return futureRes.rows.map(t => t.id);
+};
+
+/**
+ * Sweep every open-ended or still-running series and fill its horizon.
+ * Called on a schedule (see index.js); safe to run concurrently thanks to the unique occurrence index.
+ * @returns {Promise<object[]>} created task rows
+ */
+export const generateUpcomingOccurrences = async (pool) => {
+    const seriesRes = await pool.query(
+        `SELECT * FROM task_recurrences
+         WHERE horizon_days > 0 AND (ends_on IS NULL OR ends_on > COALESCE(generated_through, starts_on))`
+    );
+    const created = [];
+    for (const series of seriesRes.rows) {
+        try {
+            created.push(...await generateWithinHorizon(pool, series));
+        } catch (err) {
+            console.error(`[Recurrence] Failed to generate for series ${series.id}:`, err);
+        }
+    }
+    return created;
+};
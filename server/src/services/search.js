@@ -0,0 +1,106 @@
+import { taskVisibility } from './taskQuery.js';
+import { searchDirectory } from './directory.js';
+
+/**
+ * GLOBAL SEARCH
+ * Postgres full-text search behind GET /search. Each tsvector expression below matches an index
+ * in DDL_search.sql; keep them in sync or the planner falls back to sequential scans.
+ * Scoping is the same as the list endpoints: tasks (and their steps) via taskVisibility,
+ * projects by organization (non-archived, like GET /projects), people via the directory.
+ */
+
+const TASK_DOC = `to_tsvector('english', coalesce(t.title, '') || ' ' || coalesce(t.description, ''))`;
+const STEP_DOC = `to_tsvector('english', coalesce(s.title, ''))`;
+const PROJECT_DOC = `to_tsvector('english', coalesce(p.title, '') || ' ' || coalesce(p.description, ''))`;
+
+export const MAX_RESULTS_PER_GROUP = 20;
+
+/**
+ * Turn free text into a prefix tsquery ("desi rev" -> "desi:* & rev:*") so results update as the user types.
+ * Only letters, digits and in-word characters (@ . _ -) survive, so tsquery operators in the input cannot break the query.
+ * @returns {string|null} null when nothing searchable is left
+ */
+export const toPrefixQuery = (text) => {
+    const terms = String(text || '')
+        .toLowerCase()
+        .split(/[^\p{L}\p{N}@._-]+/u)
+        .map(term => term.replace(/^[@._-]+|[@._-]+$/g, ''))
+        .filter(Boolean)
+        .slice(0, 8);
+    return terms.length > 0 ? terms.map(term => `${term}:*`).join(' & ') : null;
+};
+
+// taskVisibility's organization placeholder ($4) is only bound when it is used
+const withOrganization = (dbUser, params) => dbUser.role === 'god' ? params : [...params, dbUser.organization_id];
+
+const searchTasks = async (db, dbUser, tsQuery, limit) => {
+    const visibility = taskVisibility(dbUser, '$4');
+    const result = await db.query(
+        `SELECT t.id, t.title, t.status, t.due_date, t.project_id,
+                ts_rank(${TASK_DOC}, to_tsquery('english', $2)) AS rank
+         FROM tasks t
+         ${visibility.join}
+         WHERE ${TASK_DOC} @@ to_tsquery('english', $2)
+         ${visibility.where ? `AND ${visibility.where}` : ''}
+         ORDER BY rank DESC, t.due_date ASC NULLS LAST
+         LIMIT $3`,
+        withOrganization(dbUser, [dbUser.id, tsQuery, limit])
+    );
+    return result.rows.map(t => ({ id: t.id, title: t.title, status: t.status, dueDate: t.due_date, projectId: t.project_id }));
+};
+
+const searchSteps = async (db, dbUser, tsQuery, limit) => {
+    const visibility = taskVisibility(dbUser, '$4');
+    const result = await db.query(
+        `SELECT s.id, s.title, s.is_completed, t.id AS task_id, t.title AS task_title,
+                ts_rank(${STEP_DOC}, to_tsquery('english', $2)) AS rank
+         FROM task_steps s
+         JOIN tasks t ON t.id = s.task_id
+         ${visibility.join}
+         WHERE ${STEP_DOC} @@ to_tsquery('english', $2)
+         AND s.deleted_at IS NULL
+         ${visibility.where ? `AND ${visibility.where}` : ''}
+         ORDER BY rank DESC
+         LIMIT $3`,
+        withOrganization(dbUser, [dbUser.id, tsQuery, limit])
+    );
+    return result.rows.map(s => ({ id: s.id, title: s.title, isCompleted: s.is_completed, taskId: s.task_id, taskTitle: s.task_title }));
+};
+
+const searchProjects = async (db, dbUser, tsQuery, limit) => {
+    const params = [tsQuery, limit];
+    let scope = '';
+    if (dbUser.role !== 'god') {
+        params.push(dbUser.organization_id);
+        scope = 'AND p.organization_id = $3';
+    }
+    const result = await db.query(
+        `SELECT p.id, p.title, p.client, p.status,
+                ts_rank(${PROJECT_DOC}, to_tsquery('english', $1)) AS rank
+         FROM projects p
+         WHERE ${PROJECT_DOC} @@ to_tsquery('english', $1)
+         AND p.archived_at IS NULL AND p.deleted_at IS NULL
+         ${scope}
+         ORDER BY rank DESC
+         LIMIT $2`,
+        params
+    );
+    return result.rows.map(p => ({ id: p.id, title: p.title, client: p.client, status: p.status }));
+};
+
+/**
+ * Search everything the user can see. Groups run in parallel on the pool.
+ * @returns {Promise<{ tasks: object[], steps: object[], projects: object[], people: object[] }>}
+ */
+export const searchAll = async (db, dbUser, text, { limit = 5 } = {}) => {
+    const tsQuery = toPrefixQuery(text);
+    if (!tsQuery) return { tasks: [], steps: [], projects: [], people: [] };
+
+    const [tasks, steps, projects, people] = await Promise.all([
+        searchTasks(db, dbUser, tsQuery, limit),
+        searchSteps(db, dbUser, tsQuery, limit),
+        searchProjects(db, dbUser, tsQuery, limit),
+        searchDirectory(db, dbUser, tsQuery, limit)
+    ]);
+    return { tasks, steps, projects, people };
+};
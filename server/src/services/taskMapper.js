@@ -0,0 +1,98 @@
+import { toDay } from './recurrence.js';
+
+/**
+ * TASK MAPPER
+ * Shapes task rows the way the client's task lists expect them (camelCase + assignees, files, dependencies).
+ */
+
+export const mapTaskRow = (t) => ({
+    id: t.id,
+    title: t.title,
+    projectId: t.project_id,
+    organizationId: t.organization_id,
+    status: t.status,
+    statusNote: t.status_note, // Reason given on entering the status (e.g. what blocks it)
+    priority: t.priority,
+    startDate: t.start_date,
+    dueDate: t.due_date, // Map snake to camel
+    createdAt: t.created_at, // Mapping for P1 sorting
+    completedAt: t.completed_at, // History logic
+    description: t.description,
+    accessSource: t.access_source,
+    isOwner: t.is_owner, // Explicit ownership flag
+    createdBy: t.created_by, // Expose creator ID for display
+    recurrenceId: t.recurrence_id,
+    occurrenceDate: t.occurrence_date && toDay(t.occurrence_date),
+    version: t.version, // Send back as If-Match when editing
+    assignedTo: [], // Populated by attachTaskRelations
+    files: [],
+    dependencies: [], // Predecessor links (this task is the successor)
+    hasSteps: false
+});
+
+export const mapDependency = (d) => ({
+    id: d.id,
+    predecessorId: d.predecessor_id,
+    successorId: d.successor_id,
+    type: d.type,
+    lagDays: d.lag_days
+});
+
+/** Fill assignedTo / files / dependencies / hasSteps on mapped tasks (4 queries regardless of count). */
+export const attachTaskRelations = async (db, mappedTasks) => {
+    if (mappedTasks.length === 0) return mappedTasks;
+    const taskIds = mappedTasks.map(t => t.id);
+
+    const assignmentsRes = await db.query(
+        'SELECT task_id, user_id FROM task_collaborators WHERE task_id = ANY($1)',
+        [taskIds]
+    );
+    const assignmentsMap = {};
+    assignmentsRes.rows.forEach(r => {
+        if (!assignmentsMap[r.task_id]) assignmentsMap[r.task_id] = [];
+        assignmentsMap[r.task_id].push(r.user_id);
+    });
+
+    // Attachments (lightweight: enough for the "Has Files" filter and badges)
+    const filesRes = await db.query(
+        'SELECT id, task_id, original_name FROM task_files WHERE task_id = ANY($1) ORDER BY created_at ASC',
+        [taskIds]
+    );
+    const filesMap = {};
+    filesRes.rows.forEach(f => {
+        if (!filesMap[f.task_id]) filesMap[f.task_id] = [];
+        filesMap[f.task_id].push({ id: f.id, name: f.original_name });
+    });
+
+    const depsRes = await db.query(
+        'SELECT * FROM task_dependencies WHERE successor_id = ANY($1) ORDER BY created_at ASC',
+        [taskIds]
+    );
+    const depsMap = {};
+    depsRes.rows.forEach(d => {
+        if (!depsMap[d.successor_id]) depsMap[d.successor_id] = [];
+        depsMap[d.successor_id].push(mapDependency(d));
+    });
+
+    const stepsRes = await db.query('SELECT DISTINCT task_id FROM task_steps WHERE task_id = ANY($1) AND deleted_at IS NULL', [taskIds]);
+    const withSteps = new Set(stepsRes.rows.map(r => r.task_id));
+
+    mappedTasks.forEach(t => {
+        t.hasSteps = withSteps.has(t.id);
+        t.assignedTo = assignmentsMap[t.id] || [];
+        t.files = filesMap[t.id] || [];
+        t.dependencies = depsMap[t.id] || [];
+    });
+    return mappedTasks;
+};
+
+/** Load tasks by id in list shape (without the per-viewer accessSource / isOwner fields). */
+export const loadTaskSnapshots = async (db, taskIds) => {
+    if (taskIds.length === 0) return [];
+    const result = await db.query('SELECT * FROM tasks WHERE id = ANY($1)', [taskIds]);
+    const tasks = result.rows.map(row => {
+        const { accessSource, isOwner, ...task } = mapTaskRow(row);
+        return task;
+    });
+    return attachTaskRelations(db, tasks);
+};
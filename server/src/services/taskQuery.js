@@ -0,0 +1,207 @@
+import { normalizePriority, prioritySortSql } from '../../../shared/priorities.js';
+
+/**
+ * TASK QUERY
+ * Builds the visible-tasks query behind GET /tasks: visibility, toolbar filters, timeline window and keyset pagination.
+ */
+
+export const MAX_PAGE_SIZE = 500;
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+// Same ordering the list has always used: due date (undated last), then priority
+const SORT_DUE = `COALESCE(t.due_date, 'infinity'::timestamptz)`;
+const SORT_PRIORITY = prioritySortSql('t.priority');
+
+// "a,b" or repeated ?key=a&key=b
+const listParam = (value) => {
+    if (value === undefined || value === '') return null;
+    const list = (Array.isArray(value) ? value : [value]).flatMap(v => String(v).split(',')).map(v => v.trim()).filter(Boolean);
+    return list.length > 0 ? list : null;
+};
+
+const dateParam = (value) => {
+    if (value === undefined || value === '') return null;
+    const date = new Date(value);
+    return isNaN(date.getTime()) ? undefined : date;
+};
+
+const encodeCursor = (row) => Buffer.from(JSON.stringify([
+    row.due_date ? new Date(row.due_date).toISOString() : 'infinity',
+    row.sort_priority,
+    row.id
+])).toString('base64url');
+
+const decodeCursor = (cursor) => {
+    try {
+        const [due, priority, id] = JSON.parse(Buffer.from(cursor, 'base64url').toString());
+        if (typeof due !== 'string' || !Number.isInteger(priority) || !UUID_PATTERN.test(id)) return null;
+        return { due, priority, id };
+    } catch {
+        return null;
+    }
+};
+
+/**
+ * Read GET /tasks query parameters. All filters are optional and combine with AND; lists match any value.
+ *   projectId, status, priority, assignee, createdBy (lists)
+ *   dueFrom / dueTo, createdFrom / createdTo: [from, to) on due_date / created_at
+ *   q: text in title or description
+ *   hasSteps: 'true' | 'false'
+ *   from / to: timeline window [from, to). Matches tasks drawn in it: done tasks by completion date,
+ *              others whose start..due span overlaps it (undated tasks are never drawn, so never match)
+ *   limit, cursor: keyset pagination (cursor is the nextCursor of the previous page)
+ *
+ * @returns {{ error: string } | { filters: object, limit: number|null, cursor: object|null }}
+ */
+export const parseTaskQuery = (query) => {
+    const filters = {
+        projectIds: listParam(query.projectId),
+        statuses: listParam(query.status),
+        priorities: listParam(query.priority),
+        assigneeIds: listParam(query.assignee),
+        creatorIds: listParam(query.createdBy),
+        search: query.q ? String(query.q).trim() : null
+    };
+
+    for (const key of ['projectIds', 'assigneeIds', 'creatorIds']) {
+        if (filters[key]?.some(id => !UUID_PATTERN.test(id))) return { error: `Invalid ${key.replace('Ids', '')} id` };
+    }
+
+    // Any spelling of a level (legacy words included) filters on its canonical value
+    if (filters.priorities) {
+        filters.priorities = filters.priorities.map(normalizePriority);
+        if (filters.priorities.some(p => !p)) return { error: 'priority must be levels 1 to 4' };
+    }
+
+    for (const key of ['dueFrom', 'dueTo', 'createdFrom', 'createdTo', 'from', 'to']) {
+        const date = dateParam(query[key]);
+        if (date === undefined) return { error: `${key} must be a date` };
+        filters[key] = date;
+    }
+    if ((filters.from === null) !== (filters.to === null)) return { error: 'from and to must be given together' };
+
+    if (query.hasSteps !== undefined) {
+        if (!['true', 'false'].includes(query.hasSteps)) return { error: 'hasSteps must be true or false' };
+        filters.hasSteps = query.hasSteps === 'true';
+    }
+
+    let limit = null;
+    if (query.limit !== undefined) {
+        limit = Number(query.limit);
+        if (!Number.isInteger(limit) || limit < 1 || limit > MAX_PAGE_SIZE) return { error: `limit must be between 1 and ${MAX_PAGE_SIZE}` };
+    }
+
+    let cursor = null;
+    if (query.cursor) {
+        if (limit === null) return { error: 'cursor requires limit' };
+        cursor = decodeCursor(query.cursor);
+        if (!cursor) return { error: 'Invalid cursor' };
+    }
+
+    return { filters, limit, cursor };
+};
+
+/**
+ * Task visibility for a user, as SQL over `tasks t` with the user id bound to $1 and the active
+ * organization (req.dbUser.organization_id) bound to `orgParam`.
+ * One pass over tasks (no UNION / DISTINCT ON), deleted tasks left out: god users see everything; others see the active organization's
+ * tasks (their own, ones they collaborate on, and ones whose creator is not a god user), plus tasks they were
+ * added to as a guest in organizations they are not a member of (those would otherwise be unreachable).
+ * access_source keeps its old precedence: owner > assignee > member.
+ *
+ * @param {string} orgParam - placeholder the caller binds dbUser.organization_id to, e.g. '$2'
+ * @returns {{ accessSource: string, join: string, where: string|null }}
+ */
+export const taskVisibility = (dbUser, orgParam) => {
+    if (dbUser.role === 'god') return { accessSource: `'god'`, join: '', where: 't.deleted_at IS NULL' };
+    return {
+        accessSource: `CASE WHEN t.created_by = $1 THEN 'owner' WHEN mine.user_id IS NOT NULL THEN 'assignee' ELSE 'member' END`,
+        join: 'LEFT JOIN task_collaborators mine ON mine.task_id = t.id AND mine.user_id = $1',
+        where: `t.deleted_at IS NULL AND (
+            (
+                t.organization_id = ${orgParam}::uuid
+                AND (
+                    t.created_by = $1
+                    OR mine.user_id IS NOT NULL
+                    OR NOT EXISTS (SELECT 1 FROM users creator WHERE creator.id = t.created_by AND creator.role = 'god') -- HIDE GOD TASKS
+                )
+            )
+            OR (
+                (t.created_by = $1 OR mine.user_id IS NOT NULL)
+                AND t.organization_id IS DISTINCT FROM ${orgParam}::uuid
+                AND NOT EXISTS (SELECT 1 FROM memberships m WHERE m.user_id = $1 AND m.organization_id = t.organization_id)
+            )
+        )`
+    };
+};
+
+/**
+ * Build the tasks query for a user (visibility from taskVisibility, then filters, window and page).
+ * @returns {{ text: string, params: any[] }}
+ */
+export const buildTaskQuery = (dbUser, { filters, limit, cursor }) => {
+    const params = dbUser.role === 'god' ? [dbUser.id] : [dbUser.id, dbUser.organization_id];
+    const visibility = taskVisibility(dbUser, '$2');
+    const where = visibility.where ? [visibility.where] : [];
+    const param = (value) => {
+        params.push(value);
+        return `$${params.length}`;
+    };
+
+    const select = `SELECT t.*,
+                ${visibility.accessSource} AS access_source,
+                (t.created_by = $1) AS is_owner,
+                ${SORT_PRIORITY} AS sort_priority
+            FROM tasks t
+            ${visibility.join}`;
+
+    if (filters.projectIds) where.push(`t.project_id = ANY(${param(filters.projectIds)}::uuid[])`);
+    if (filters.statuses) where.push(`t.status = ANY(${param(filters.statuses)})`);
+    if (filters.priorities) where.push(`t.priority = ANY(${param(filters.priorities)})`);
+    if (filters.creatorIds) where.push(`t.created_by = ANY(${param(filters.creatorIds)}::uuid[])`);
+    if (filters.assigneeIds) {
+        where.push(`EXISTS (SELECT 1 FROM task_collaborators a WHERE a.task_id = t.id AND a.user_id = ANY(${param(filters.assigneeIds)}::uuid[]))`);
+    }
+    if (filters.dueFrom) where.push(`t.due_date >= ${param(filters.dueFrom)}`);
+    if (filters.dueTo) where.push(`t.due_date < ${param(filters.dueTo)}`);
+    if (filters.createdFrom) where.push(`t.created_at >= ${param(filters.createdFrom)}`);
+    if (filters.createdTo) where.push(`t.created_at < ${param(filters.createdTo)}`);
+    if (filters.search) {
+        const pattern = param(`%${filters.search.replace(/[\\%_]/g, ch => `\\${ch}`)}%`);
+        where.push(`(t.title ILIKE ${pattern} OR t.description ILIKE ${pattern})`);
+    }
+    if (filters.hasSteps !== undefined) {
+        where.push(`${filters.hasSteps ? '' : 'NOT '}EXISTS (SELECT 1 FROM task_steps s WHERE s.task_id = t.id AND s.deleted_at IS NULL)`);
+    }
+    if (filters.from) {
+        const from = param(filters.from);
+        const to = param(filters.to);
+        where.push(`(
+            (t.completed_at IS NOT NULL AND t.completed_at >= ${from} AND t.completed_at < ${to})
+            OR (t.completed_at IS NULL AND t.due_date >= ${from} AND COALESCE(t.start_date, t.due_date) < ${to})
+        )`);
+    }
+
+    if (cursor) {
+        where.push(`(${SORT_DUE}, ${SORT_PRIORITY}, t.id) > (${param(cursor.due)}::timestamptz, ${param(cursor.priority)}::int, ${param(cursor.id)}::uuid)`);
+    }
+
+    let text = `${select}
+        ${where.length > 0 ? `WHERE ${where.join('\n        AND ')}` : ''}
+        ORDER BY ${SORT_DUE} ASC, sort_priority ASC, t.id ASC`;
+    // One extra row tells whether there is a next page
+    if (limit) text += ` LIMIT ${param(limit + 1)}`;
+
+    return { text, params };
+};
+
+/**
+ * Split a fetched page (limit + 1 rows) into the rows to return and the cursor for the next page.
+ * @returns {{ rows: object[], nextCursor: string|null }}
+ */
+export const paginate = (rows, limit) => {
+    if (!limit || rows.length <= limit) return { rows, nextCursor: null };
+    const page = rows.slice(0, limit);
+    return { rows: page, nextCursor: encodeCursor(page[page.length - 1]) };
+};
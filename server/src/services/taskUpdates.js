@@ -0,0 +1,200 @@
+import { TRACKED_TASK_FIELDS, recordActivity, recordTaskFieldChanges, recordAssignmentChanges } from './activityLog.js';
+import { queueAssignmentEmails } from './emailOutbox.js';
+import { applyToFutureOccurrences, generateNextOccurrence, toDay } from './recurrence.js';
+import { getWorkflow, findStatus, isDoneStatus, checkStatusChange } from './workflows.js';
+import { normalizePriority } from '../../../shared/priorities.js';
+
+/**
+ * TASK UPDATES
+ * The write path shared by PATCH /tasks/:id and POST /tasks/bulk.
+ */
+
+export const TASK_UPDATE_FIELDS = ['title', 'status', 'statusNote', 'priority', 'startDate', 'dueDate', 'description'];
+
+/**
+ * Apply an update to one task inside the caller's transaction (lock the row first):
+ * workflow check, field writes (+ completed_at), version bump, assignee replacement (+ emails), audit log and recurrence side effects.
+ * Recurring tasks: updates.scope === 'future' carries template edits to later open occurrences.
+ *
+ * @param {object} db - transaction client
+ * @param {{ before: object, updates: object, actorId: string }} args - before is the locked task row
+ * @returns {Promise<{ error: string } | { task: object, futureIds: string[], nextOccurrence: object|null, assignmentChanges: object|null }>}
+ *   error means the update is invalid and the caller must roll back
+ */
+export const applyTaskUpdate = async (db, { before, updates, actorId }) => {
+    // Priorities are stored on the one scale, whatever spelling the client sent
+    if (updates.priority !== undefined) {
+        const priority = normalizePriority(updates.priority);
+        if (priority === undefined) return { error: 'priority must be 1 to 4 or null' };
+        updates = { ...updates, priority };
+    }
+
+    const setClauses = [];
+    const params = [];
+    let idx = 1;
+
+    // Status changes follow the organization's workflow; completed_at marks the done category
+    const statusChanged = updates.status !== undefined && updates.status !== before.status;
+    let completes = false;
+    if (statusChanged) {
+        const workflow = await getWorkflow(db, before.organization_id);
+        const needsAssignees = findStatus(workflow, updates.status)?.requiredFields?.includes('assignedTo') && updates.assignedTo === undefined;
+        const assignedTo = needsAssignees
+            ? (await db.query('SELECT user_id FROM task_collaborators WHERE task_id = $1', [before.id])).rows.map(r => r.user_id)
+            : updates.assignedTo;
+        const error = checkStatusChange(workflow, before.status, updates.status, {
+            statusNote: updates.statusNote, // A note belongs to the status it was given for
+            description: updates.description !== undefined ? updates.description : before.description,
+            dueDate: updates.dueDate !== undefined ? updates.dueDate : before.due_date,
+            assignedTo
+        });
+        if (error) return { error };
+
+        const done = isDoneStatus(workflow, updates.status);
+        completes = done && !before.completed_at;
+        if (completes) setClauses.push('completed_at = NOW()');
+        if (!done && before.completed_at) setClauses.push('completed_at = NULL');
+        if (updates.statusNote === undefined) setClauses.push('status_note = NULL');
+    }
+
+    Object.keys(updates).forEach(key => {
+        if (TASK_UPDATE_FIELDS.includes(key)) {
+            setClauses.push(`${TRACKED_TASK_FIELDS[key]} = $${idx}`);
+            params.push(updates[key]);
+            idx++;
+        }
+    });
+
+    // Every write bumps the version (assignee-only changes included)
+    setClauses.push('version = version + 1');
+    params.push(before.id);
+    const result = await db.query(`UPDATE tasks SET ${setClauses.join(', ')} WHERE id = $${idx} RETURNING *`, params);
+    const task = result.rows[0];
+
+    if (task.start_date && task.due_date && new Date(task.start_date) > new Date(task.due_date)) {
+        return { error: 'startDate must be on or before dueDate' };
+    }
+
+    let assignmentChanges = null;
+    if (updates.assignedTo !== undefined) {
+        const beforeAssignRes = await db.query('SELECT user_id FROM task_collaborators WHERE task_id = $1', [before.id]);
+        const assignedTo = Array.isArray(updates.assignedTo) ? updates.assignedTo : [];
+
+        await db.query('DELETE FROM task_collaborators WHERE task_id = $1', [before.id]);
+        if (assignedTo.length > 0) {
+            await db.query(
+                `INSERT INTO task_collaborators (task_id, user_id, access_level)
+                 SELECT $1, unnest($2::uuid[]), 'collaborator_free'`,
+                [before.id, assignedTo]
+            );
+        }
+
+        assignmentChanges = await recordAssignmentChanges(db, {
+            taskId: before.id,
+            organizationId: before.organization_id,
+            actorId,
+            before: beforeAssignRes.rows.map(r => r.user_id),
+            after: assignedTo
+        });
+        await queueAssignmentEmails(db, { task, userIds: assignmentChanges.added, actorId });
+    }
+
+    // Audit Log: one entry per changed field
+    await recordTaskFieldChanges(db, { before, after: task, actorId });
+
+    // Recurrence: carry template edits forward, and roll the series on completion
+    let futureIds = [];
+    let nextOccurrence = null;
+    if (before.recurrence_id) {
+        const seriesRes = await db.query('SELECT * FROM task_recurrences WHERE id = $1 FOR UPDATE', [before.recurrence_id]);
+        const series = seriesRes.rows[0];
+
+        if (series && updates.scope === 'future') {
+            futureIds = await applyToFutureOccurrences(db, {
+                series,
+                fromDate: toDay(before.occurrence_date),
+                updates,
+                actorId
+            });
+        }
+        if (series && completes) {
+            nextOccurrence = await generateNextOccurrence(db, series, toDay(before.occurrence_date));
+        }
+    }
+
+    return { task, futureIds, nextOccurrence, assignmentChanges };
+};
+
+/**
+ * Soft delete: the row stays, with its collaborators, steps and files, and drops out of every list until restored.
+ */
+export const softDeleteTask = (db, taskId, actorId) => db.query(
+    'UPDATE tasks SET deleted_at = NOW(), deleted_by = $2 WHERE id = $1',
+    [taskId, actorId]
+);
+
+/**
+ * Undo soft deletes inside the caller's transaction: clear deleted_at, bump the version, record 'restored'.
+ * A task whose project is still in the trash comes back as a Lone Task. Tasks that are not deleted are left alone.
+ * Occurrences trashed by ending their series (truncateSeries) come back together, and the series gets its end back.
+ * @returns {Promise<string[]>} ids of restored tasks (those brought back with them included)
+ */
+export const restoreTasks = async (db, taskIds, actorId) => {
+    // Compared in SQL: deleted_at and truncated_at are the same NOW(), which JS Dates would round
+    const truncatedRes = await db.query(
+        `SELECT DISTINCT sibling.id, r.id AS recurrence_id
+         FROM tasks t
+         JOIN task_recurrences r ON r.id = t.recurrence_id AND r.truncated_at = t.deleted_at
+         JOIN tasks sibling ON sibling.recurrence_id = r.id AND sibling.deleted_at = r.truncated_at
+         WHERE t.id = ANY($1)`,
+        [taskIds]
+    );
+    if (truncatedRes.rows.length > 0) {
+        await db.query(
+            `UPDATE task_recurrences SET ends_on = ends_on_before_truncate, ends_on_before_truncate = NULL,
+                    truncated_at = NULL, updated_at = NOW()
+             WHERE id = ANY($1)`,
+            [[...new Set(truncatedRes.rows.map(t => t.recurrence_id))]]
+        );
+        taskIds = [...new Set([...taskIds, ...truncatedRes.rows.map(t => t.id)])];
+    }
+
+    const result = await db.query(
+        `UPDATE tasks t SET deleted_at = NULL, deleted_by = NULL, version = t.version + 1,
+                project_id = CASE WHEN EXISTS (SELECT 1 FROM projects p WHERE p.id = t.project_id AND p.deleted_at IS NOT NULL)
+                                  THEN NULL ELSE t.project_id END
+         WHERE t.id = ANY($1) AND t.deleted_at IS NOT NULL
+         RETURNING t.id, t.title, t.organization_id`,
+        [taskIds]
+    );
+    for (const t of result.rows) {
+        await recordActivity(db, { taskId: t.id, organizationId: t.organization_id, actorId, action: 'restored', newValue: t.title });
+    }
+    return result.rows.map(t => t.id);
+};
+
+const isWeekend = (date) => date.getUTCDay() === 0 || date.getUTCDay() === 6;
+
+/**
+ * Shift a timestamp by whole days, keeping its time of day.
+ * With businessDays, Saturdays and Sundays (UTC) are skipped and never landed on.
+ * @returns {Date|null}
+ */
+export const shiftDate = (value, days, businessDays = false) => {
+    if (!value) return null;
+    const date = new Date(value);
+    if (!businessDays) {
+        date.setUTCDate(date.getUTCDate() + days);
+        return date;
+    }
+
+    const step = days < 0 ? -1 : 1;
+    let remaining = Math.abs(days);
+    while (remaining > 0) {
+        date.setUTCDate(date.getUTCDate() + step);
+        if (!isWeekend(date)) remaining--;
+    }
+    // A zero shift from a weekend still lands on a business day
+    while (isWeekend(date)) date.setUTCDate(date.getUTCDate() + step);
+    return date;
+};
@@ -0,0 +1,239 @@
+import { resolveTaskAccess, canPerform, TASK_DENIED_MESSAGES } from '../middleware/scopedAccessLogic.js';
+import { recordActivity } from './activityLog.js';
+import { canManageProject } from './projects.js';
+import { taskVisibility } from './taskQuery.js';
+import { restoreTasks } from './taskUpdates.js';
+
+/**
+ * TRASH
+ * Deleted tasks, steps and projects keep their rows (deleted_at / deleted_by) and drop out of every list.
+ * From /trash they can be restored or purged for good; the retention sweep purges whatever has been
+ * in the trash longer than TRASH_RETENTION_DAYS. Who sees an item there is who may restore it:
+ *   tasks     the creator (or a god), as for deleting them
+ *   steps     whoever can manage the steps of their task
+ *   projects  whoever manages the project; restoring it brings back the tasks deleted with it
+ */
+
+export const TRASH_KINDS = ['tasks', 'steps', 'projects'];
+const DEFAULT_RETENTION_DAYS = 30;
+
+// A whole number of days above zero: anything else would break the sweep (NaN) or purge on delete (<= 0)
+const parseRetentionDays = (value) => {
+    if (value === undefined || value === '') return DEFAULT_RETENTION_DAYS;
+    const days = Number(value);
+    if (Number.isInteger(days) && days > 0) return days;
+    console.warn(`[Trash] Ignoring TRASH_RETENTION_DAYS=${value} (not a positive whole number of days); using ${DEFAULT_RETENTION_DAYS}`);
+    return DEFAULT_RETENTION_DAYS;
+};
+
+export const TRASH_RETENTION_DAYS = parseRetentionDays(process.env.TRASH_RETENTION_DAYS);
+
+const MAX_TRASH_ITEMS = 200; // Per kind, newest first
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const purgeAt = (deletedAt) => new Date(new Date(deletedAt).getTime() + TRASH_RETENTION_DAYS * DAY_MS);
+
+const mapDeletion = (row) => ({
+    deletedAt: row.deleted_at,
+    deletedByName: row.deleted_by_name || null,
+    purgeAt: purgeAt(row.deleted_at)
+});
+
+/**
+ * What a user can restore, per kind.
+ * @returns {Promise<{ tasks: object[], steps: object[], projects: object[] }>}
+ */
+export const listTrash = async (db, dbUser) => {
+    const isGod = dbUser.role === 'god';
+
+    const tasksRes = await db.query(
+        `SELECT t.id, t.title, t.project_id, p.title AS project_title, t.deleted_at, d.display_name AS deleted_by_name
+         FROM tasks t
+         LEFT JOIN projects p ON p.id = t.project_id
+         LEFT JOIN users d ON d.id = t.deleted_by
+         WHERE t.deleted_at IS NOT NULL
+         ${isGod ? '' : 'AND t.created_by = $1'}
+         ORDER BY t.deleted_at DESC
+         LIMIT ${MAX_TRASH_ITEMS}`,
+        isGod ? [] : [dbUser.id]
+    );
+
+    // Steps of live tasks only: a deleted task comes back with its steps
+    const visibility = taskVisibility(dbUser, '$2');
+    const stepsRes = await db.query(
+        `SELECT s.id, s.title, s.task_id, t.title AS task_title, s.deleted_at, d.display_name AS deleted_by_name
+         FROM task_steps s
+         JOIN tasks t ON t.id = s.task_id
+         ${visibility.join}
+         LEFT JOIN users d ON d.id = s.deleted_by
+         WHERE s.deleted_at IS NOT NULL AND ${visibility.where}
+         ORDER BY s.deleted_at DESC
+         LIMIT ${MAX_TRASH_ITEMS}`,
+        isGod ? [] : [dbUser.id, dbUser.organization_id]
+    );
+
+    const projectsRes = await db.query(
+        `SELECT p.*, d.display_name AS deleted_by_name,
+                (SELECT COUNT(*)::int FROM tasks t WHERE t.project_id = p.id AND t.deleted_at = p.deleted_at) AS task_count
+         FROM projects p
+         LEFT JOIN users d ON d.id = p.deleted_by
+         WHERE p.deleted_at IS NOT NULL
+         ${isGod ? '' : 'AND p.organization_id = $1'}
+         ORDER BY p.deleted_at DESC
+         LIMIT ${MAX_TRASH_ITEMS}`,
+        isGod ? [] : [dbUser.organization_id]
+    );
+    const projects = [];
+    for (const p of projectsRes.rows) {
+        if (await canManageProject(db, dbUser, p)) projects.push(p);
+    }
+
+    return {
+        tasks: tasksRes.rows.map(t => ({ id: t.id, title: t.title, projectId: t.project_id, projectTitle: t.project_title, ...mapDeletion(t) })),
+        steps: stepsRes.rows.map(s => ({ id: s.id, title: s.title, taskId: s.task_id, taskTitle: s.task_title, ...mapDeletion(s) })),
+        projects: projects.map(p => ({ id: p.id, title: p.title, client: p.client, taskCount: p.task_count, ...mapDeletion(p) }))
+    };
+};
+
+/**
+ * Lock one deleted item and check the user may restore or purge it. Call inside a transaction.
+ * Items that are not in the trash, or that the user cannot see, are 404.
+ * @returns {Promise<{ status: number, error: string } | { item: object }>} item is the locked row
+ */
+export const loadTrashItem = async (db, dbUser, kind, id) => {
+    const notFound = { status: 404, error: 'Not found in the trash' };
+
+    if (kind === 'tasks') {
+        const itemRes = await db.query('SELECT * FROM tasks WHERE id = $1 AND deleted_at IS NOT NULL FOR UPDATE', [id]);
+        if (itemRes.rows.length === 0) return notFound;
+        const { accessLevel } = await resolveTaskAccess(db, dbUser, id, { includeDeleted: true });
+        if (!canPerform(accessLevel, 'view')) return notFound;
+        if (!canPerform(accessLevel, 'delete')) return { status: 403, error: TASK_DENIED_MESSAGES.delete };
+        return { item: itemRes.rows[0] };
+    }
+
+    if (kind === 'steps') {
+        const itemRes = await db.query('SELECT * FROM task_steps WHERE id = $1 AND deleted_at IS NOT NULL FOR UPDATE', [id]);
+        if (itemRes.rows.length === 0) return notFound;
+        const { accessLevel } = await resolveTaskAccess(db, dbUser, itemRes.rows[0].task_id, { includeDeleted: true });
+        if (!canPerform(accessLevel, 'view')) return notFound;
+        if (!canPerform(accessLevel, 'manageSteps')) return { status: 403, error: TASK_DENIED_MESSAGES.manageSteps };
+        return { item: itemRes.rows[0] };
+    }
+
+    const itemRes = await db.query('SELECT * FROM projects WHERE id = $1 AND deleted_at IS NOT NULL FOR UPDATE', [id]);
+    const project = itemRes.rows[0];
+    if (!project || (dbUser.role !== 'god' && project.organization_id !== dbUser.organization_id)) return notFound;
+    if (!(await canManageProject(db, dbUser, project))) {
+        return { status: 403, error: 'Forbidden: Only project owners or admins can manage this project' };
+    }
+    return { item: project };
+};
+
+/**
+ * Restore an item from loadTrashItem. Call inside the same transaction.
+ * @returns {Promise<{ status: number, error: string } | { item: object, taskIds: string[] }>}
+ *   item is the restored row, taskIds the tasks that came back (a project's, or the task itself)
+ */
+export const restoreTrashItem = async (db, kind, item, actorId) => {
+    if (kind === 'tasks') {
+        return { item, taskIds: await restoreTasks(db, [item.id], actorId) };
+    }
+
+    if (kind === 'steps') {
+        const taskRes = await db.query('SELECT deleted_at FROM tasks WHERE id = $1', [item.task_id]);
+        if (taskRes.rows[0]?.deleted_at) return { status: 409, error: 'Its task is in the trash: restore the task first' };
+
+        const restoredRes = await db.query(
+            'UPDATE task_steps SET deleted_at = NULL, deleted_by = NULL, version = version + 1 WHERE id = $1 RETURNING *',
+            [item.id]
+        );
+        await recordActivity(db, {
+            taskId: item.task_id,
+            actorId,
+            action: 'step_restored',
+            field: 'steps',
+            newValue: { stepId: item.id, title: item.title }
+        });
+        return { item: restoredRes.rows[0], taskIds: [] };
+    }
+
+    const restoredRes = await db.query(
+        'UPDATE projects SET deleted_at = NULL, deleted_by = NULL WHERE id = $1 RETURNING *',
+        [item.id]
+    );
+    // Tasks deleted with the project share its deleted_at (DELETE /projects/:id?tasks=cascade)
+    const tasksRes = await db.query('SELECT id FROM tasks WHERE project_id = $1 AND deleted_at = $2', [item.id, item.deleted_at]);
+    const taskIds = await restoreTasks(db, tasksRes.rows.map(t => t.id), actorId);
+    return { item: restoredRes.rows[0], taskIds };
+};
+
+/**
+ * Delete trashed rows for good. Call inside a transaction. A purged project takes the tasks deleted with it;
+ * its other tasks (restored or trashed on their own) become Lone Tasks. Rows no longer in the trash are skipped.
+ * @returns {Promise<{ tasks: number, steps: number, projects: number, storageKeys: string[] }>}
+ *   storageKeys: attachments to remove from the storage driver once the transaction commits
+ */
+export const purgeTrash = async (db, { taskIds = [], stepIds = [], projectIds = [] }) => {
+    const projectTasksRes = await db.query(
+        `SELECT t.id FROM tasks t JOIN projects p ON p.id = t.project_id
+         WHERE p.id = ANY($1) AND p.deleted_at IS NOT NULL AND t.deleted_at = p.deleted_at`,
+        [projectIds]
+    );
+    const allTaskIds = [...new Set([...taskIds, ...projectTasksRes.rows.map(t => t.id)])];
+
+    const filesRes = await db.query(
+        `SELECT f.storage_key FROM task_files f JOIN tasks t ON t.id = f.task_id
+         WHERE t.id = ANY($1) AND t.deleted_at IS NOT NULL`,
+        [allTaskIds]
+    );
+    const tasksRes = await db.query('DELETE FROM tasks WHERE id = ANY($1) AND deleted_at IS NOT NULL', [allTaskIds]);
+    const stepsRes = await db.query('DELETE FROM task_steps WHERE id = ANY($1) AND deleted_at IS NOT NULL', [stepIds]);
+
+    await db.query(
+        `UPDATE tasks SET project_id = NULL
+         WHERE project_id IN (SELECT id FROM projects WHERE id = ANY($1) AND deleted_at IS NOT NULL)`,
+        [projectIds]
+    );
+    const projectsRes = await db.query('DELETE FROM projects WHERE id = ANY($1) AND deleted_at IS NOT NULL', [projectIds]);
+
+    return {
+        tasks: tasksRes.rowCount,
+        steps: stepsRes.rowCount,
+        projects: projectsRes.rowCount,
+        storageKeys: filesRes.rows.map(f => f.storage_key)
+    };
+};
+
+/**
+ * Retention: purge everything deleted more than `days` ago, then remove its attachments from storage.
+ * Run from the scheduled sweep.
+ * @returns {Promise<{ tasks: number, steps: number, projects: number }>}
+ */
+export const purgeExpiredTrash = async (pool, storage, days = TRASH_RETENTION_DAYS) => {
+    const expired = (table) => pool.query(
+        `SELECT id FROM ${table} WHERE deleted_at < NOW() - make_interval(days => $1)`,
+        [days]
+    ).then(result => result.rows.map(r => r.id));
+
+    const client = await pool.connect();
+    let purged;
+    try {
+        await client.query('BEGIN');
+        purged = await purgeTrash(client, {
+            taskIds: await expired('tasks'),
+            stepIds: await expired('task_steps'),
+            projectIds: await expired('projects')
+        });
+        await client.query('COMMIT');
+    } catch (error) {
+        await client.query('ROLLBACK');
+        throw error;
+    } finally {
+        client.release();
+    }
+
+    await Promise.all(purged.storageKeys.map(key => storage.remove(key).catch(err => console.error('[Trash] Failed to remove file:', key, err))));
+    return { tasks: purged.tasks, steps: purged.steps, projects: purged.projects };
+};
@@ -0,0 +1,110 @@
+/**
+ * WORKFLOWS
+ * Each organization's task statuses: an ordered list (organizations.workflow, NULL = DEFAULT_WORKFLOW).
+ * A status is { key, label, category, color, transitions?, requiredFields? }:
+ *   category        not_started | active | blocked | done. Entering a done status completes the task
+ *                   (completed_at, next occurrence of a series); leaving the done category reopens it
+ *   transitions     keys this status may move to (omitted: any)
+ *   requiredFields  task fields that must be filled to enter it (e.g. statusNote, the blocker reason)
+ * New tasks start in the first status, which must be not_started. Tasks in a status the workflow
+ * no longer lists (legacy values) may move anywhere.
+ */
+
+export const STATUS_CATEGORIES = ['not_started', 'active', 'blocked', 'done'];
+export const STATUS_COLORS = ['slate', 'blue', 'amber', 'red', 'violet', 'teal'];
+export const WORKFLOW_REQUIRED_FIELDS = ['statusNote', 'description', 'dueDate', 'assignedTo'];
+
+const MAX_STATUSES = 12;
+const KEY_PATTERN = /^[a-z][a-z0-9_]{0,31}$/;
+
+export const DEFAULT_WORKFLOW = {
+    statuses: [
+        { key: 'todo', label: 'To Do', category: 'not_started', color: 'slate' },
+        { key: 'doing', label: 'In Progress', category: 'active', color: 'blue' },
+        { key: 'paused', label: 'Paused', category: 'blocked', color: 'amber' },
+        { key: 'blocked', label: 'Blocked', category: 'blocked', color: 'red', requiredFields: ['statusNote'] },
+        { key: 'done', label: 'Done', category: 'done', color: 'teal' }
+    ]
+};
+
+const FIELD_LABELS = { statusNote: 'a status note', description: 'a description', dueDate: 'a due date', assignedTo: 'an assignee' };
+
+/**
+ * Validate a workflow definition from PUT /organizations/:id/workflow.
+ * @returns {{ error: string } | { workflow: object }} workflow is the normalized definition to store
+ */
+export const validateWorkflow = (input) => {
+    const statuses = input?.statuses;
+    if (!Array.isArray(statuses) || statuses.length === 0) return { error: 'statuses must be a non-empty array' };
+    if (statuses.length > MAX_STATUSES) return { error: `At most ${MAX_STATUSES} statuses` };
+
+    const keys = statuses.map(s => s?.key);
+    for (const key of keys) {
+        if (typeof key !== 'string' || !KEY_PATTERN.test(key)) return { error: `Invalid status key: ${key} (lowercase letters, digits and _)` };
+    }
+    if (new Set(keys).size !== keys.length) return { error: 'Status keys must be unique' };
+
+    const normalized = [];
+    for (const s of statuses) {
+        if (typeof s.label !== 'string' || !s.label.trim()) return { error: `Status ${s.key} needs a label` };
+        if (!STATUS_CATEGORIES.includes(s.category)) return { error: `Status ${s.key}: category must be one of: ${STATUS_CATEGORIES.join(', ')}` };
+        if (s.color !== undefined && !STATUS_COLORS.includes(s.color)) return { error: `Status ${s.key}: color must be one of: ${STATUS_COLORS.join(', ')}` };
+        if (s.transitions !== undefined && (!Array.isArray(s.transitions) || s.transitions.some(k => !keys.includes(k)))) {
+            return { error: `Status ${s.key}: transitions must list keys of this workflow` };
+        }
+        if (s.requiredFields !== undefined && (!Array.isArray(s.requiredFields) || s.requiredFields.some(f => !WORKFLOW_REQUIRED_FIELDS.includes(f)))) {
+            return { error: `Status ${s.key}: requiredFields must be some of: ${WORKFLOW_REQUIRED_FIELDS.join(', ')}` };
+        }
+        normalized.push({
+            key: s.key,
+            label: s.label.trim(),
+            category: s.category,
+            color: s.color || 'slate',
+            ...(s.transitions !== undefined ? { transitions: [...new Set(s.transitions.filter(k => k !== s.key))] } : {}),
+            ...(s.requiredFields?.length ? { requiredFields: [...new Set(s.requiredFields)] } : {})
+        });
+    }
+
+    if (normalized[0].category !== 'not_started') return { error: 'The first status is where new tasks start: it must be not_started' };
+    if (!normalized.some(s => s.category === 'done')) return { error: 'A workflow needs at least one done status' };
+    return { workflow: { statuses: normalized } };
+};
+
+/**
+ * The workflow in effect for an organization (the default when it has none, or for tasks without one).
+ * @returns {Promise<{ statuses: object[] }>}
+ */
+export const getWorkflow = async (db, organizationId) => {
+    if (!organizationId) return DEFAULT_WORKFLOW;
+    const result = await db.query('SELECT workflow FROM organizations WHERE id = $1', [organizationId]);
+    return result.rows[0]?.workflow || DEFAULT_WORKFLOW;
+};
+
+export const findStatus = (workflow, key) => workflow.statuses.find(s => s.key === key) || null;
+
+export const isDoneStatus = (workflow, key) => findStatus(workflow, key)?.category === 'done';
+
+export const initialStatus = (workflow) => workflow.statuses[0].key;
+
+const isFilled = (value) => (Array.isArray(value) ? value.length > 0 : value !== undefined && value !== null && String(value).trim() !== '');
+
+/**
+ * Can a task move from `from` (null for a new task) to `to`, with `fields` being the task's values after the write
+ * ({ statusNote, description, dueDate, assignedTo })?
+ * @returns {string|null} error message, or null when allowed
+ */
+export const checkStatusChange = (workflow, from, to, fields) => {
+    const target = findStatus(workflow, to);
+    if (!target) return `Unknown status: ${to}. Must be one of: ${workflow.statuses.map(s => s.key).join(', ')}`;
+
+    const source = from ? findStatus(workflow, from) : null;
+    if (source?.transitions && !source.transitions.includes(to)) {
+        return `A task cannot move from ${source.label} to ${target.label}`;
+    }
+
+    const missing = (target.requiredFields || []).filter(field => !isFilled(fields[field]));
+    if (missing.length > 0) {
+        return `Moving to ${target.label} requires ${missing.map(f => FIELD_LABELS[f]).join(' and ')}`;
+    }
+    return null;
+};
@@ -0,0 +1,40 @@
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { createLocalDiskStorage } from './localDiskStorage.js';
+
+/**
+ * Pluggable File Storage
+ * A driver implements: { name, save(key, readable), createReadStream(key), remove(key) }.
+ * Select with FILE_STORAGE_DRIVER (default 'local'). Register new drivers in DRIVERS.
+ */
+
+const serverRoot = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..', '..');
+
+const DRIVERS = {
+    local: () => createLocalDiskStorage({
+        rootDir: process.env.FILE_STORAGE_DIR || path.join(serverRoot, 'uploads')
+    })
+};
+
+export const createStorage = (driverName = process.env.FILE_STORAGE_DRIVER || 'local') => {
+    const factory = DRIVERS[driverName];
+    if (!factory) throw new Error(`Unknown file storage driver: ${driverName}`);
+    return factory();
+};
+
+// Upload Limits (override via env)
+export const MAX_UPLOAD_BYTES = process.env.MAX_UPLOAD_BYTES ? parseInt(process.env.MAX_UPLOAD_BYTES) : 25 * 1024 * 1024; // 25 MB
+export const MAX_FILES_PER_UPLOAD = 10;
+
+export const ALLOWED_MIME_TYPES = [
+    'image/png', 'image/jpeg', 'image/gif', 'image/webp', // no SVG: it can carry script when previewed inline
+    'application/pdf',
+    'text/plain', 'text/csv',
+    'application/zip',
+    'application/msword',
+    'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+    'application/vnd.ms-excel',
+    'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+    'application/vnd.ms-powerpoint',
+    'application/vnd.openxmlformats-officedocument.presentationml.presentation'
+];
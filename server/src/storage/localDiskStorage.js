@@ -0,0 +1,37 @@
+import fs from 'fs';
+import path from 'path';
+import { pipeline } from 'stream/promises';
+
+/**
+ * Local filesystem storage driver (default).
+ * Keys are relative paths like "<taskId>/<fileId>" under `rootDir`.
+ */
+export const createLocalDiskStorage = ({ rootDir }) => {
+    const resolveKey = (key) => {
+        const fullPath = path.resolve(rootDir, key);
+        // Never allow a key to escape the storage root
+        if (!fullPath.startsWith(path.resolve(rootDir) + path.sep)) {
+            throw new Error(`Invalid storage key: ${key}`);
+        }
+        return fullPath;
+    };
+
+    return {
+        name: 'local',
+
+        // Write a readable stream to `key`. Resolves once fully flushed.
+        async save(key, readable) {
+            const fullPath = resolveKey(key);
+            await fs.promises.mkdir(path.dirname(fullPath), { recursive: true });
+            await pipeline(readable, fs.createWriteStream(fullPath));
+        },
+
+        createReadStream(key) {
+            return fs.createReadStream(resolveKey(key));
+        },
+
+        async remove(key) {
+            await fs.promises.rm(resolveKey(key), { force: true });
+        }
+    };
+};
@@ -0,0 +1,71 @@
+/**
+ * PRIORITIES
+ * The one priority scale, shared by the API (validation, list order) and the client (labels, colors, sorting, filters):
+ * keep this module free of Node and browser dependencies.
+ *
+ * tasks.priority (and task_recurrences.priority) is '1' (most urgent) to '4', or NULL for none; DDL_priorities.sql
+ * converted the legacy values and enforces the scale. Organizations may relabel and recolor the levels
+ * (organizations.priority_levels, NULL = DEFAULT_PRIORITY_LEVELS) but not add or remove any.
+ */
+
+export const PRIORITY_VALUES = ['1', '2', '3', '4'];
+export const PRIORITY_COLORS = ['red', 'orange', 'amber', 'blue', 'violet', 'teal', 'slate'];
+
+export const DEFAULT_PRIORITY_LEVELS = [
+    { value: '1', label: 'Now', color: 'red' },
+    { value: '2', label: 'ASAP', color: 'orange' },
+    { value: '3', label: 'Soon', color: 'amber' },
+    { value: '4', label: 'Later', color: 'slate' }
+];
+
+// Earlier vocabularies (the old POST /tasks default and the high/medium/low seed data), oldest sort order kept
+export const LEGACY_PRIORITIES = { asap: '2', high: '2', sooner: '3', medium: '3', whenever: '4', low: '4' };
+
+const MAX_LABEL_LENGTH = 24;
+
+/**
+ * The canonical value for any accepted spelling: '1'..'4', 1..4, 'P2', 'Priority 2', or a legacy word.
+ * @returns {string|null|undefined} null for none, undefined when the value is not a priority
+ */
+export const normalizePriority = (value) => {
+    if (value === null || value === undefined || value === '') return null;
+    const text = String(value).trim().toLowerCase().replace(/^(priority\s*|p)(?=\d)/, '');
+    if (PRIORITY_VALUES.includes(text)) return text;
+    return LEGACY_PRIORITIES[text];
+};
+
+/** Sort position: 1 is most urgent; none (and anything unrecognized) sorts after every level. */
+export const priorityRank = (value) => {
+    const priority = normalizePriority(value);
+    return priority ? PRIORITY_VALUES.indexOf(priority) + 1 : PRIORITY_VALUES.length + 1;
+};
+
+/** priorityRank as SQL, for ORDER BY and keyset cursors over a column holding canonical values. */
+export const prioritySortSql = (column) => `CASE ${column} ${PRIORITY_VALUES.map(value => `WHEN '${value}' THEN ${priorityRank(value)}`).join(' ')} ELSE ${PRIORITY_VALUES.length + 1} END`;
+
+/**
+ * Validate an organization's labels and colors (PUT /organizations/:id/priorities): one entry per level, in order.
+ * @returns {{ error: string } | { levels: object[] }}
+ */
+export const validatePriorityLevels = (input) => {
+    const levels = input?.levels;
+    if (!Array.isArray(levels) || levels.length !== PRIORITY_VALUES.length) {
+        return { error: `levels must list the ${PRIORITY_VALUES.length} priority levels` };
+    }
+    const normalized = [];
+    for (const [index, level] of levels.entries()) {
+        const value = PRIORITY_VALUES[index];
+        if (String(level?.value) !== value) return { error: `Level ${index + 1} must have value ${value}` };
+        const label = typeof level.label === 'string' ? level.label.trim() : '';
+        if (!label || label.length > MAX_LABEL_LENGTH) return { error: `Priority ${value} needs a label of at most ${MAX_LABEL_LENGTH} characters` };
+        if (!PRIORITY_COLORS.includes(level.color)) return { error: `Priority ${value}: color must be one of: ${PRIORITY_COLORS.join(', ')}` };
+        normalized.push({ value, label, color: level.color });
+    }
+    return { levels: normalized };
+};
+
+/** The level for a task's priority in the given scale, or null for none. */
+export const findPriorityLevel = (levels, value) => {
+    const priority = normalizePriority(value);
+    return priority ? levels.find(level => level.value === priority) || null : null;
+};
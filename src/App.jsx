@@ -18,6 +18,11 @@ const ProjectList = React.lazy(() => import('./components/ProjectList'));
 const LoneTasks = React.lazy(() => import('./components/LoneTasks'));
 const Directory = React.lazy(() => import('./components/Directory'));
 const TaskDetailView = React.lazy(() => import('./components/TaskDetailView'));
+const ProjectDetailView = React.lazy(() => import('./components/ProjectDetailView'));
+const AcceptInvite = React.lazy(() => import('./pages/AcceptInvite'));
+const MyRequests = React.lazy(() => import('./pages/MyRequests'));
+const Settings = React.lazy(() => import('./pages/Settings'));
+const Trash = React.lazy(() => import('./pages/Trash'));
 
 // Wrapper to inject Navigation Props into Shell
 const AppShell = () => {
@@ -34,7 +39,12 @@ const AppShell = () => {
                     <Route path="/projects" element={<ProjectList />} />
                     <Route path="/lone-tasks" element={<LoneTasks />} />
                     <Route path="/team" element={<Directory />} />
+                    <Route path="/my-requests" element={<MyRequests />} />
+                    <Route path="/settings" element={<Settings />} />
+                    <Route path="/trash" element={<Trash />} />
                     <Route path="/task/:taskId" element={<TaskDetailPage />} />
+                    <Route path="/project/:projectId" element={<ProjectDetailPage />} />
+                    <Route path="/invite/:token" element={<AcceptInvite />} />
                 </Routes>
             </Suspense>
         </Shell>
@@ -54,6 +64,18 @@ const TaskDetailPage = () => {
     );
 };
 
+const ProjectDetailPage = () => {
+    const navigate = useNavigate();
+    const { projectId } = useParams();
+
+    return (
+        <ProjectDetailView
+            projectId={projectId}
+            onBack={() => navigate(-1)}
+        />
+    );
+};
+
 function App() {
     return (
         <ErrorBoundary>
@@ -14,22 +14,41 @@ const BASE_URL = import.meta.env.DEV
     ? 'http://127.0.0.1:5001/api'
     : '/api';
 
+// Active organization for multi-org users (sent as X-Organization-Id; the server falls back to their default)
+export const ACTIVE_ORG_STORAGE_KEY = 'activeOrgId';
+
+const buildHeaders = async (extraHeaders = {}, { json = true } = {}) => {
+    let token = null;
+    // In PROD: Get real token. In DEV: Skip to rely on x-god-mode-bypass header.
+    if (!import.meta.env.DEV && auth?.currentUser) {
+        token = await auth.currentUser.getIdToken();
+    }
+
+    return {
+        ...(json ? { 'Content-Type': 'application/json' } : {}),
+        ...(token ? { 'Authorization': `Bearer ${token}` } : {}),
+        // FORCE BYPASS for debugging
+        'x-god-mode-bypass': 'true',
+        'x-mock-user-id': localStorage.getItem('mockUserId') || undefined,
+        ...(localStorage.getItem(ACTIVE_ORG_STORAGE_KEY) ? { 'x-organization-id': localStorage.getItem(ACTIVE_ORG_STORAGE_KEY) } : {}),
+        ...extraHeaders,
+    };
+};
+
+// Errors carry the HTTP status and parsed body (e.g. 409 conflicts include the current server state)
+const throwIfNotOk = async (response) => {
+    if (!response.ok) {
+        const errorBody = await response.json().catch(() => ({}));
+        const error = new Error(errorBody.error || `Request failed with status ${response.status}`);
+        error.status = response.status;
+        error.body = errorBody;
+        throw error;
+    }
+};
+
 export const apiClient = {
     async request(endpoint, options = {}) {
-        let token = null;
-        // In PROD: Get real token. In DEV: Skip to rely on x-god-mode-bypass header.
-        if (!import.meta.env.DEV && auth?.currentUser) {
-            token = await auth.currentUser.getIdToken();
-        }
-
-        const headers = {
-            'Content-Type': 'application/json',
-            ...(token ? { 'Authorization': `Bearer ${token}` } : {}),
-            // FORCE BYPASS for debugging
-            'x-god-mode-bypass': 'true',
-            'x-mock-user-id': localStorage.getItem('mockUserId') || undefined,
-            ...options.headers,
-        };
+        const headers = await buildHeaders(options.headers);
 
         console.log('[API CLIENT] Headers:', headers);
 
@@ -39,11 +58,7 @@ export const apiClient = {
         };
 
         const response = await fetch(`${BASE_URL}${endpoint}`, config);
-
-        if (!response.ok) {
-            const errorBody = await response.json().catch(() => ({}));
-            throw new Error(errorBody.error || `Request failed with status ${response.status}`);
-        }
+        await throwIfNotOk(response);
 
         return response.json();
     },
@@ -59,14 +74,70 @@ export const apiClient = {
         });
     },
 
-    patch(endpoint, body) {
+    patch(endpoint, body, headers) {
         return this.request(endpoint, {
             method: 'PATCH',
+            body: JSON.stringify(body),
+            headers
+        });
+    },
+
+    put(endpoint, body) {
+        return this.request(endpoint, {
+            method: 'PUT',
             body: JSON.stringify(body)
         });
     },
 
     delete(endpoint) {
         return this.request(endpoint, { method: 'DELETE' });
+    },
+
+    // Multipart upload: the browser sets the multipart Content-Type + boundary itself
+    async upload(endpoint, formData) {
+        const headers = await buildHeaders({}, { json: false });
+        const response = await fetch(`${BASE_URL}${endpoint}`, { method: 'POST', headers, body: formData });
+        await throwIfNotOk(response);
+        return response.json();
+    },
+
+    // Server-Sent Events over fetch (EventSource cannot send our auth headers).
+    // Calls onEvent(type, data) per event; resolves when the server closes the stream.
+    async stream(endpoint, { onEvent, signal }) {
+        const headers = await buildHeaders({ Accept: 'text/event-stream' }, { json: false });
+        const response = await fetch(`${BASE_URL}${endpoint}`, { method: 'GET', headers, signal });
+        await throwIfNotOk(response);
+
+        const reader = response.body.getReader();
+        const decoder = new TextDecoder();
+        let buffer = '';
+
+        while (true) {
+            const { value, done } = await reader.read();
+            if (done) return;
+            buffer += decoder.decode(value, { stream: true });
+
+            let boundary;
+            while ((boundary = buffer.indexOf('\n\n')) !== -1) {
+                const frame = buffer.slice(0, boundary);
+                buffer = buffer.slice(boundary + 2);
+
+                let type = 'message';
+                const dataLines = [];
+                frame.split('\n').forEach(line => {
+                    if (line.startsWith('event:')) type = line.slice(6).trim();
+                    else if (line.startsWith('data:')) dataLines.push(line.slice(5).trim());
+                });
+                if (dataLines.length > 0) onEvent(type, JSON.parse(dataLines.join('\n')));
+            }
+        }
+    },
+
+    // Authenticated binary download (for previews / saving attachments)
+    async getBlob(endpoint) {
+        const headers = await buildHeaders({}, { json: false });
+        const response = await fetch(`${BASE_URL}${endpoint}`, { method: 'GET', headers });
+        await throwIfNotOk(response);
+        return response.blob();
     }
 };
@@ -1,29 +1,83 @@
 import React, { useState } from 'react';
 import { createPortal } from 'react-dom';
-import { motion, AnimatePresence } from 'framer-motion';
-import { X, Shield, Clock, AlertTriangle } from 'lucide-react';
+import { motion } from 'framer-motion';
+import { X, Shield, AlertTriangle } from 'lucide-react';
 import { apiClient } from '../api/client';
+import { useApiData } from '../hooks/useApiData';
 import { useToast } from '../context/ToastContext';
 
+const MAX_DAYS = 90;
+
+export const DELEGATION_SCOPES = [
+    { value: 'full', label: 'Full admin', hint: 'access to all organization settings and dashboards' },
+    { value: 'requests', label: 'Approve requests', hint: 'approving and rejecting System Requests' },
+    { value: 'project', label: 'Manage projects', hint: 'managing the selected projects as their owner' },
+    { value: 'users', label: 'Manage users', hint: 'removing the selected people from the organization' }
+];
+
+// yyyy-mm-dd in local time (what <input type="date"> uses)
+const toDateInput = (date) => {
+    const pad = (n) => String(n).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+};
+
+const addDays = (date, days) => {
+    const next = new Date(date);
+    next.setDate(next.getDate() + days);
+    return next;
+};
+
 const DelegationModal = ({ isOpen, onClose, colleague, onSuccess }) => {
     const { showToast } = useToast();
-    const [days, setDays] = useState(7);
+    const today = toDateInput(new Date());
+    const [startDate, setStartDate] = useState(today);
+    const [endDate, setEndDate] = useState(toDateInput(addDays(new Date(), 7)));
+    const [scope, setScope] = useState('full');
+    const [scopeIds, setScopeIds] = useState([]);
+    const [reason, setReason] = useState('');
     const [loading, setLoading] = useState(false);
 
+    const { data: projects } = useApiData(isOpen && scope === 'project' ? '/projects' : null);
+    const { data: colleagues } = useApiData(isOpen && scope === 'users' ? '/colleagues' : null);
+
     if (!isOpen || !colleague) return null;
 
+    const scopeInfo = DELEGATION_SCOPES.find(s => s.value === scope);
+    const needsTargets = scope === 'project' || scope === 'users';
+    const targets = scope === 'project'
+        ? projects.map(p => ({ id: p.id, label: p.title }))
+        : colleagues.filter(c => c.id !== colleague.id).map(c => ({ id: c.id, label: c.name }));
+
+    // Starts now when today is picked, else at the start of that day; runs through the end date
+    const startsAt = startDate === today ? new Date() : new Date(`${startDate}T00:00`);
+    const expiresAt = addDays(new Date(`${endDate}T00:00`), 1);
+    const rangeError = !startDate || !endDate ? 'Pick both dates'
+        : expiresAt <= startsAt ? 'The end date must be on or after the start date'
+            : expiresAt - startsAt > MAX_DAYS * 24 * 60 * 60 * 1000 ? `A delegation can last at most ${MAX_DAYS} days` : null;
+
+    const toggleTarget = (id) => setScopeIds(ids => (ids.includes(id) ? ids.filter(x => x !== id) : [...ids, id]));
+
+    const handleScopeChange = (value) => {
+        setScope(value);
+        setScopeIds([]);
+    };
+
     const handleGrant = async () => {
         setLoading(true);
         try {
             await apiClient.post('/delegations', {
                 delegateId: colleague.id,
-                days: parseInt(days)
+                scope,
+                scopeIds: needsTargets ? scopeIds : [],
+                startsAt: startDate === today ? undefined : startsAt.toISOString(),
+                expiresAt: expiresAt.toISOString(),
+                reason: reason.trim() || undefined
             });
             onSuccess();
             onClose();
         } catch (err) {
             console.error('Delegation failed:', err);
-            showToast('Failed to grant delegation. See console.', 'error');
+            showToast(err.message || 'Failed to grant delegation.', 'error');
         } finally {
             setLoading(false);
         }
@@ -49,28 +103,82 @@ const DelegationModal = ({ isOpen, onClose, colleague, onSuccess }) => {
                     </button>
                 </div>
 
-                <div className="p-6 space-y-6">
+                <div className="p-6 space-y-6 max-h-[80vh] overflow-y-auto custom-scrollbar">
                     <div className="flex items-start gap-4 p-4 bg-amber-50 rounded-xl border border-amber-100">
                         <AlertTriangle className="text-amber-600 shrink-0 mt-0.5" size={20} />
                         <div className="text-sm text-amber-900">
-                            You are about to grant <span className="font-bold">{colleague.name}</span> full Admin privileges.
-                            They will have access to all organization settings and dashboards.
+                            You are about to give <span className="font-bold">{colleague.name}</span>{' '}
+                            {scope === 'full' ? 'full Admin privileges' : 'limited admin rights'}: {scopeInfo.hint}.
                         </div>
                     </div>
 
                     <div>
-                        <label className="block text-xs font-bold text-slate-500 uppercase tracking-wider mb-2">Duration (Days)</label>
-                        <div className="flex items-center gap-3">
+                        <label className="block text-xs font-bold text-slate-500 uppercase tracking-wider mb-2">Scope</label>
+                        <div className="grid grid-cols-2 gap-2">
+                            {DELEGATION_SCOPES.map(s => (
+                                <button
+                                    key={s.value}
+                                    type="button"
+                                    onClick={() => handleScopeChange(s.value)}
+                                    className={`px-3 py-2 rounded-xl text-sm font-bold border transition-all ${scope === s.value ? 'bg-slate-900 text-white border-slate-900' : 'bg-white text-slate-600 border-slate-200 hover:bg-slate-50'}`}
+                                >
+                                    {s.label}
+                                </button>
+                            ))}
+                        </div>
+                    </div>
+
+                    {needsTargets && (
+                        <div>
+                            <label className="block text-xs font-bold text-slate-500 uppercase tracking-wider mb-2">
+                                {scope === 'project' ? 'Projects' : 'People'}
+                            </label>
+                            <div className="max-h-40 overflow-y-auto custom-scrollbar border border-slate-200 rounded-xl divide-y divide-slate-100">
+                                {targets.length === 0 ? (
+                                    <p className="p-3 text-sm text-slate-400">Nothing to choose from.</p>
+                                ) : targets.map(t => (
+                                    <label key={t.id} className="flex items-center gap-3 px-3 py-2 text-sm text-slate-700 cursor-pointer hover:bg-slate-50">
+                                        <input type="checkbox" checked={scopeIds.includes(t.id)} onChange={() => toggleTarget(t.id)} className="accent-amber-600" />
+                                        <span className="truncate">{t.label}</span>
+                                    </label>
+                                ))}
+                            </div>
+                        </div>
+                    )}
+
+                    <div className="grid grid-cols-2 gap-3">
+                        <div>
+                            <label className="block text-xs font-bold text-slate-500 uppercase tracking-wider mb-2">Starts</label>
                             <input
-                                type="number"
-                                min="1"
-                                max="365"
-                                value={days}
-                                onChange={e => setDays(e.target.value)}
-                                className="flex-1 px-4 py-3 bg-white border border-slate-200 rounded-xl text-lg font-bold text-slate-900 focus:outline-none focus:ring-2 focus:ring-amber-500/20 focus:border-amber-500 transition-all"
+                                type="date"
+                                min={today}
+                                value={startDate}
+                                onChange={e => setStartDate(e.target.value)}
+                                className="w-full px-3 py-2.5 bg-white border border-slate-200 rounded-xl text-sm font-bold text-slate-900 focus:outline-none focus:ring-2 focus:ring-amber-500/20 focus:border-amber-500 transition-all"
                             />
-                            <div className="text-sm font-bold text-slate-400">Days</div>
                         </div>
+                        <div>
+                            <label className="block text-xs font-bold text-slate-500 uppercase tracking-wider mb-2">Ends (inclusive)</label>
+                            <input
+                                type="date"
+                                min={startDate || today}
+                                value={endDate}
+                                onChange={e => setEndDate(e.target.value)}
+                                className="w-full px-3 py-2.5 bg-white border border-slate-200 rounded-xl text-sm font-bold text-slate-900 focus:outline-none focus:ring-2 focus:ring-amber-500/20 focus:border-amber-500 transition-all"
+                            />
+                        </div>
+                    </div>
+                    {rangeError && <p className="-mt-4 text-xs font-medium text-red-500">{rangeError}</p>}
+
+                    <div>
+                        <label className="block text-xs font-bold text-slate-500 uppercase tracking-wider mb-2">Reason (optional)</label>
+                        <input
+                            value={reason}
+                            onChange={e => setReason(e.target.value)}
+                            maxLength={500}
+                            placeholder="e.g. Covering while I'm on leave"
+                            className="w-full px-3 py-2.5 bg-white border border-slate-200 rounded-xl text-sm text-slate-900 focus:outline-none focus:ring-2 focus:ring-amber-500/20 focus:border-amber-500 transition-all"
+                        />
                     </div>
 
                     <div className="flex gap-3 pt-2">
@@ -82,10 +190,10 @@ const DelegationModal = ({ isOpen, onClose, colleague, onSuccess }) => {
                         </button>
                         <button
                             onClick={handleGrant}
-                            disabled={loading}
+                            disabled={loading || !!rangeError || (needsTargets && scopeIds.length === 0)}
                             className="flex-1 py-3 bg-slate-900 text-white rounded-xl text-sm font-bold hover:bg-slate-800 transition-all shadow-lg active:scale-95 disabled:opacity-50 disabled:cursor-not-allowed flex items-center justify-center gap-2"
                         >
-                            {loading ? 'Granting...' : 'Grant Access'}
+                            {loading ? 'Granting...' : startDate === today ? 'Grant Access' : 'Schedule Access'}
                         </button>
                     </div>
                 </div>
@@ -36,7 +36,7 @@ const DeleteTaskModal = ({ isOpen, onClose, onConfirm, taskCount = 1 }) => {
 
                         <h3 className="text-2xl font-bold text-slate-900 mb-2">Delete Task{taskCount > 1 ? 's' : ''}?</h3>
                         <p className="text-slate-500 font-medium mb-8">
-                            Are you sure you want to delete <strong className="text-slate-900">{taskCount} {taskCount > 1 ? 'items' : 'item'}</strong>? This action cannot be undone.
+                            Are you sure you want to delete <strong className="text-slate-900">{taskCount} {taskCount > 1 ? 'items' : 'item'}</strong>? Deleted tasks stay in the Trash for a while and can be restored from there.
                         </p>
 
                         <div className="grid grid-cols-2 gap-4">
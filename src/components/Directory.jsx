@@ -1,4 +1,5 @@
-import React, { useState } from 'react';
+import React, { useEffect, useState } from 'react';
+import { useSearchParams } from 'react-router-dom';
 import PageLayout from './layout/PageLayout';
 import { motion } from 'framer-motion';
 import { useApiData } from '../hooks/useApiData';
@@ -7,6 +8,7 @@ import { apiClient } from '../api/client';
 import { Users, Mail, Phone, MoreHorizontal, ShieldCheck, Trash2 } from 'lucide-react';
 import RequestModal from './RequestModal';
 import AddUserModal from './AddUserModal';
+import { isTaskDone } from '../utils/workflow';
 
 const Directory = () => {
     const { data: colleagues, loading, refetch } = useApiData('/colleagues');
@@ -16,22 +18,32 @@ const Directory = () => {
     const [requestModal, setRequestModal] = useState({ isOpen: false, type: null, payload: null, title: '' });
     const [showAddModal, setShowAddModal] = useState(false);
 
+    // ?person=<id> (e.g. from the header search) scrolls to and highlights that card
+    const [searchParams] = useSearchParams();
+    const focusedPersonId = searchParams.get('person');
+    useEffect(() => {
+        if (!focusedPersonId || loading) return;
+        document.getElementById(`person-${focusedPersonId}`)?.scrollIntoView({ behavior: 'smooth', block: 'center' });
+    }, [focusedPersonId, loading]);
+
     // Role Check
     const currentUserProfile = colleagues.find(c => c.id === user?.uid);
     const isAdmin = currentUserProfile?.role === 'god' || currentUserProfile?.role === 'admin';
+    // 'users' delegates remove the people in their scope directly
+    const canRemove = (personId) => isAdmin || (user?.delegatedScopes || []).some(d => d.scope === 'users' && d.scopeIds.includes(personId));
 
     const handleDeleteClick = async (personId, personName) => {
-        if (isAdmin) {
+        if (canRemove(personId)) {
             // Admin Action: Immediate Delete
-            if (!window.confirm(`Permanently delete ${personName}?\n\nThis action cannot be undone and will remove them from all tasks.`)) {
+            if (!window.confirm(`Remove ${personName} from this organization?\n\nTheir account is kept; they stay on tasks they are assigned to as a guest.`)) {
                 return;
             }
             try {
                 await apiClient.delete(`/users/${personId}`);
                 refetch();
             } catch (error) {
-                console.error('Failed to delete user:', error);
-                alert('Failed to delete user.');
+                console.error('Failed to remove user:', error);
+                alert(error.message || 'Failed to remove user.');
             }
         } else {
             // User Action: Request Access
@@ -69,21 +81,22 @@ const Directory = () => {
                     [1, 2, 3, 4].map(i => <div key={i} className="h-80 bg-white rounded-3xl animate-pulse"></div>)
                 ) : (
                     colleagues.map(person => {
-                        const activeTasks = tasks.filter(t => t.assignedTo?.includes(person.id) && t.status !== 'done').length;
+                        const activeTasks = tasks.filter(t => t.assignedTo?.includes(person.id) && !isTaskDone(t)).length;
                         const isSelf = person.id === user?.uid;
 
                         return (
                             <motion.div
                                 key={person.id}
+                                id={`person-${person.id}`}
                                 whileHover={{ y: -4 }}
-                                className="bg-white p-8 rounded-3xl border border-slate-200 shadow-sm hover:shadow-xl transition-all text-center flex flex-col items-center relative group"
+                                className={`bg-white p-8 rounded-3xl border shadow-sm hover:shadow-xl transition-all text-center flex flex-col items-center relative group ${person.id === focusedPersonId ? 'border-teal-500 ring-4 ring-teal-500/20' : 'border-slate-200'}`}
                             >
                                 {/* Delete Button - Visible to everyone (except self), handles permissions on click */}
                                 {!isSelf && (
                                     <button
                                         onClick={(e) => { e.stopPropagation(); handleDeleteClick(person.id, person.name); }}
                                         className="absolute top-4 right-4 p-2 text-slate-300 hover:text-red-500 hover:bg-red-50 rounded-xl transition-all opacity-0 group-hover:opacity-100"
-                                        title={isAdmin ? "Delete User" : "Request Delete"}
+                                        title={canRemove(person.id) ? "Delete User" : "Request Delete"}
                                     >
                                         <Trash2 size={18} />
                                     </button>
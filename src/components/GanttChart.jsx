@@ -1,24 +1,174 @@
-import React from 'react';
+import React, { useMemo, useState } from 'react';
+import { useNavigate } from 'react-router-dom';
 import PageLayout from './layout/PageLayout';
-import { motion } from 'framer-motion';
-import { useCollection } from '../hooks/useCollection';
-import { BarChart3, Clock, ChevronLeft, ChevronRight } from 'lucide-react';
+import { useApiData } from '../hooks/useApiData';
+import { useVersionedPatch } from '../hooks/useVersionedPatch';
+import { useToast } from '../context/ToastContext';
+import { ChevronLeft, ChevronRight, Route } from 'lucide-react';
+import { getPixelOffsetFromStart, getDateFromPixelOffset, getDayWidth } from '../utils/timelineMath';
+import { startOfDay, addDays, diffDays, getTaskSpan, computeCriticalPath } from '../utils/ganttMath';
+import GanttBar from './gantt/GanttBar';
+import GanttDependencyArrows from './gantt/GanttDependencyArrows';
+
+// scale = pixels per weekday (weekends render at half width, see timelineMath)
+const ZOOM_LEVELS = {
+    week: { label: 'Week', scale: 96, days: 28, step: 7 },
+    month: { label: 'Month', scale: 36, days: 70, step: 28 },
+    quarter: { label: 'Quarter', scale: 12, days: 182, step: 91 }
+};
+
+const LABEL_WIDTH = 256;
+const ROW_HEIGHT = 44;
+const GROUP_HEIGHT = 48;
+
+const startOfWeek = (date) => {
+    const d = startOfDay(date);
+    d.setDate(d.getDate() - ((d.getDay() + 6) % 7)); // Monday
+    return d;
+};
 
 const GanttChart = () => {
-    const { data: tasks, loading: tasksLoading } = useCollection('tasks', 'dueDate');
-    const { data: projects } = useCollection('projects');
-
-    // Simple Gantt Logic: Map tasks over 30 days
-    const days = Array.from({ length: 30 }, (_, i) => {
-        const date = new Date();
-        date.setDate(date.getDate() - 5 + i); // Start from 5 days ago
-        return date;
-    });
-
-    const getTaskSpan = (task) => {
-        const start = new Date(task.dueDate);
-        start.setDate(start.getDate() - 3); // Assume 3 days duration for visualization
-        return { start, end: new Date(task.dueDate) };
+    const navigate = useNavigate();
+    const { showToast } = useToast();
+    const patchVersioned = useVersionedPatch();
+    const { data: tasks, loading: tasksLoading, setData: setTasks, refetch } = useApiData('/tasks');
+    const { data: projects } = useApiData('/projects');
+
+    const [zoom, setZoom] = useState('month');
+    const [viewStart, setViewStart] = useState(() => addDays(startOfWeek(new Date()), -7));
+    const [showCritical, setShowCritical] = useState(true);
+    const [drag, setDrag] = useState(null); // { taskId, mode, originX, span, deltaDays }
+
+    const { scale, days: rangeDays, step } = ZOOM_LEVELS[zoom];
+    const dayX = (date) => getPixelOffsetFromStart(date, viewStart, scale);
+    const chartWidth = dayX(addDays(viewStart, rangeDays));
+    const today = startOfDay(new Date());
+
+    const days = useMemo(
+        () => Array.from({ length: rangeDays }, (_, i) => addDays(viewStart, i)),
+        [viewStart, rangeDays]
+    );
+
+    // Project groups (plus tasks without a project) in display order
+    const groups = useMemo(() => {
+        const byProject = new Map();
+        tasks.forEach(t => {
+            const key = t.projectId || null;
+            if (!byProject.has(key)) byProject.set(key, []);
+            byProject.get(key).push(t);
+        });
+        byProject.forEach(list => list.sort((a, b) => {
+            const sa = getTaskSpan(a)?.start ?? Infinity;
+            const sb = getTaskSpan(b)?.start ?? Infinity;
+            return sa - sb;
+        }));
+
+        const result = projects
+            .filter(p => byProject.has(p.id))
+            .map(p => ({ id: p.id, title: p.title, tasks: byProject.get(p.id) }));
+        if (byProject.has(null)) result.push({ id: 'none', title: 'No Project', tasks: byProject.get(null) });
+        return result;
+    }, [tasks, projects]);
+
+    const critical = useMemo(() => computeCriticalPath(tasks), [tasks]);
+
+    // Spans with the in-flight drag applied
+    const spans = useMemo(() => {
+        const map = new Map();
+        tasks.forEach(t => {
+            const span = getTaskSpan(t);
+            if (span) map.set(t.id, span);
+        });
+        if (drag && drag.deltaDays !== 0) {
+            const { span, mode, deltaDays } = drag;
+            const start = mode === 'resize-end' ? span.start : addDays(span.start, deltaDays);
+            const end = mode === 'resize-start' ? span.end : addDays(span.end, deltaDays);
+            map.set(drag.taskId, {
+                start: start > end ? end : start,
+                end: end < start ? start : end
+            });
+        }
+        return map;
+    }, [tasks, drag]);
+
+    // Vertical layout: y-center of each task row (for arrows)
+    const { rowCenters, bodyHeight } = useMemo(() => {
+        const centers = new Map();
+        let y = 0;
+        groups.forEach(group => {
+            y += GROUP_HEIGHT;
+            group.tasks.forEach(t => {
+                centers.set(t.id, y + ROW_HEIGHT / 2);
+                y += ROW_HEIGHT;
+            });
+        });
+        return { rowCenters: centers, bodyHeight: y };
+    }, [groups]);
+
+    const links = useMemo(
+        () => tasks.flatMap(t => (t.dependencies || []).map(dep => ({ ...dep, successorId: t.id }))),
+        [tasks]
+    );
+
+    // --- Drag to move / resize ---
+    const pixelToDay = (anchor, dx) => {
+        const anchorX = dayX(anchor);
+        const target = getDateFromPixelOffset(Math.max(0, anchorX + dx + getDayWidth(anchor, scale) / 2), viewStart, scale);
+        return diffDays(anchor, target);
+    };
+
+    const handleDragStart = (task) => (e, mode) => {
+        const span = getTaskSpan(task);
+        if (!span) return;
+        e.currentTarget.setPointerCapture?.(e.pointerId);
+        setDrag({ taskId: task.id, mode, originX: e.clientX, span, deltaDays: 0 });
+    };
+
+    const handlePointerMove = (e) => {
+        if (!drag) return;
+        const anchor = drag.mode === 'resize-end' ? drag.span.end : drag.span.start;
+        const deltaDays = pixelToDay(anchor, e.clientX - drag.originX);
+        if (deltaDays !== drag.deltaDays) setDrag(prev => ({ ...prev, deltaDays }));
+    };
+
+    const handlePointerUp = async () => {
+        if (!drag) return;
+        const current = drag;
+        setDrag(null);
+        if (current.deltaDays === 0) return;
+
+        const task = tasks.find(t => t.id === current.taskId);
+        const newSpan = spans.get(current.taskId);
+
+        // Keep the due date's time of day; start dates are day-granular
+        const dueDate = addDays(new Date(task.dueDate), diffDays(current.span.end, newSpan.end)).toISOString();
+        const startDate = newSpan.start.toISOString();
+
+        setTasks(prev => prev.map(t => t.id === task.id ? { ...t, startDate, dueDate } : t));
+        try {
+            const { choice } = await patchVersioned([{ endpoint: `/tasks/${task.id}`, updates: { startDate, dueDate }, version: task.version }]);
+            if (choice === 'discard') refetch();
+        } catch (err) {
+            console.error('Gantt reschedule failed:', err);
+            showToast(`Failed to reschedule: ${err.message}`, 'error');
+            refetch();
+        }
+    };
+
+    // --- Header ---
+    const monthSegments = useMemo(() => {
+        const segments = [];
+        days.forEach(day => {
+            const last = segments[segments.length - 1];
+            if (last && last.month === day.getMonth()) last.width += getDayWidth(day, scale);
+            else segments.push({ month: day.getMonth(), label: day.toLocaleDateString('en-US', { month: 'long', year: 'numeric' }), width: getDayWidth(day, scale) });
+        });
+        return segments;
+    }, [days, scale]);
+
+    const dayLabel = (day) => {
+        if (zoom === 'quarter') return day.getDay() === 1 ? day.getDate() : '';
+        return day.getDate();
     };
 
     return (
@@ -27,87 +177,134 @@ const GanttChart = () => {
             subtitle="Project timelines and critical path delivery."
             actions={
                 <div className="flex items-center gap-4">
-                    <div className="flex items-center gap-2 bg-white p-1 rounded-xl border border-slate-300 text-sm font-bold"> {/* Updated border to 300 */}
-                        <button className="px-3 py-1.5 bg-slate-900 text-white rounded-lg">Month</button>
-                        <button className="px-3 py-1.5 text-slate-500 hover:bg-slate-50 rounded-lg transition-all">Quarter</button>
+                    <button
+                        onClick={() => setShowCritical(prev => !prev)}
+                        className={`px-3 py-2 rounded-xl border text-sm font-bold flex items-center gap-2 transition-all ${showCritical ? 'bg-red-50 text-red-600 border-red-200' : 'bg-white text-slate-500 border-slate-300 hover:text-slate-900'}`}
+                        title="Highlight the critical path"
+                    >
+                        <Route size={16} />
+                        Critical Path
+                    </button>
+                    <div className="flex items-center gap-2 bg-white p-1 rounded-xl border border-slate-300 text-sm font-bold">
+                        {Object.entries(ZOOM_LEVELS).map(([key, level]) => (
+                            <button
+                                key={key}
+                                onClick={() => setZoom(key)}
+                                className={`px-3 py-1.5 rounded-lg transition-all ${zoom === key ? 'bg-slate-900 text-white' : 'text-slate-500 hover:bg-slate-50'}`}
+                            >
+                                {level.label}
+                            </button>
+                        ))}
                     </div>
                     <div className="flex items-center gap-1">
-                        <button className="p-2 bg-white border border-slate-300 rounded-xl text-slate-400 hover:text-slate-900 transition-all">
+                        <button onClick={() => setViewStart(prev => addDays(prev, -step))} className="p-2 bg-white border border-slate-300 rounded-xl text-slate-400 hover:text-slate-900 transition-all">
                             <ChevronLeft size={20} />
                         </button>
-                        <button className="p-2 bg-white border border-slate-300 rounded-xl text-slate-400 hover:text-slate-900 transition-all">
+                        <button onClick={() => setViewStart(addDays(startOfWeek(new Date()), -7))} className="px-3 py-2 bg-white border border-slate-300 rounded-xl text-sm font-bold text-slate-500 hover:text-slate-900 transition-all">
+                            Today
+                        </button>
+                        <button onClick={() => setViewStart(prev => addDays(prev, step))} className="p-2 bg-white border border-slate-300 rounded-xl text-slate-400 hover:text-slate-900 transition-all">
                             <ChevronRight size={20} />
                         </button>
                     </div>
                 </div>
             }
         >
-            <div className="flex-1 bg-white rounded-3xl border border-slate-300 shadow-sm flex flex-col overflow-hidden"> {/* Updated border to 300 */}
-                {/* Timeline Header */}
-                <div className="flex border-b border-slate-300 bg-slate-50/50">
-                    <div className="w-64 p-6 border-r border-slate-300 font-bold text-slate-400 text-[10px] uppercase tracking-widest flex items-center">
-                        Project / Task
-                    </div>
-                    <div className="flex-1 overflow-x-auto flex invisible-scrollbar">
-                        {days.map((day, i) => (
-                            <div key={i} className="min-w-[40px] h-16 flex flex-col items-center justify-center border-r border-slate-300/50">
-                                <span className="text-[8px] font-bold text-slate-400 uppercase leading-none">{day.toLocaleDateString('en-US', { weekday: 'narrow' })}</span>
-                                <span className={`text-xs font-bold mt-1 ${day.toDateString() === new Date().toDateString() ? 'text-teal-600' : 'text-slate-500'}`}>
-                                    {day.getDate()}
-                                </span>
+            <div
+                className="flex-1 bg-white rounded-3xl border border-slate-300 shadow-sm overflow-auto"
+                onPointerMove={handlePointerMove}
+                onPointerUp={handlePointerUp}
+                onPointerCancel={() => setDrag(null)}
+            >
+                <div style={{ width: LABEL_WIDTH + chartWidth }} className="relative">
+                    {/* Timeline Header */}
+                    <div className="flex border-b border-slate-300 bg-slate-50 sticky top-0 z-30">
+                        <div style={{ width: LABEL_WIDTH }} className="shrink-0 p-6 border-r border-slate-300 font-bold text-slate-400 text-[10px] uppercase tracking-widest flex items-center sticky left-0 bg-slate-50 z-10">
+                            Project / Task
+                        </div>
+                        <div className="flex flex-col">
+                            <div className="flex h-7 border-b border-slate-200">
+                                {monthSegments.map((seg, i) => (
+                                    <div key={i} style={{ width: seg.width }} className="shrink-0 px-2 flex items-center text-[10px] font-bold text-slate-500 uppercase tracking-wider border-r border-slate-300/50 overflow-hidden whitespace-nowrap">
+                                        {seg.label}
+                                    </div>
+                                ))}
                             </div>
-                        ))}
+                            <div className="flex h-9">
+                                {days.map((day, i) => (
+                                    <div key={i} style={{ width: getDayWidth(day, scale) }} className="shrink-0 flex flex-col items-center justify-center border-r border-slate-300/50">
+                                        {zoom === 'week' && (
+                                            <span className="text-[8px] font-bold text-slate-400 uppercase leading-none">{day.toLocaleDateString('en-US', { weekday: 'narrow' })}</span>
+                                        )}
+                                        <span className={`text-xs font-bold ${day.getTime() === today.getTime() ? 'text-teal-600' : 'text-slate-500'}`}>
+                                            {dayLabel(day)}
+                                        </span>
+                                    </div>
+                                ))}
+                            </div>
+                        </div>
                     </div>
-                </div>
 
-                {/* Chart Rows */}
-                <div className="flex-1 overflow-y-auto">
-                    {projects.map(project => (
-                        <React.Fragment key={project.id}>
-                            <div className="flex bg-slate-50/80 border-b border-slate-300">
-                                <div className="w-64 p-4 border-r border-slate-300 flex items-center gap-3">
-                                    <div className="w-2 h-2 rounded-full bg-teal-500"></div>
-                                    <span className="font-bold text-slate-800 text-sm uppercase tracking-tight">{project.title}</span>
+                    {/* Chart Rows */}
+                    <div className="relative">
+                        <div style={{ left: LABEL_WIDTH }} className="absolute top-0 bottom-0 right-0 pointer-events-none overflow-hidden">
+                            {today >= viewStart && today < addDays(viewStart, rangeDays) && (
+                                <div style={{ left: dayX(today) + getDayWidth(today, scale) / 2 }} className="absolute top-0 bottom-0 w-px bg-teal-400/60" />
+                            )}
+                            <GanttDependencyArrows
+                                links={links}
+                                rowCenters={rowCenters}
+                                spans={spans}
+                                dayX={dayX}
+                                width={chartWidth}
+                                height={bodyHeight}
+                                rowHeight={ROW_HEIGHT}
+                                criticalIds={critical.dependencyIds}
+                                showCritical={showCritical}
+                            />
+                        </div>
+
+                        {tasksLoading && <div className="p-8 text-sm text-slate-400">Loading tasks...</div>}
+
+                        {groups.map(group => (
+                            <React.Fragment key={group.id}>
+                                <div className="flex bg-slate-50/80 border-b border-slate-300" style={{ height: GROUP_HEIGHT }}>
+                                    <div style={{ width: LABEL_WIDTH }} className="shrink-0 px-4 border-r border-slate-300 flex items-center gap-3 sticky left-0 bg-slate-50 z-10">
+                                        <div className="w-2 h-2 rounded-full bg-teal-500"></div>
+                                        <span className="font-bold text-slate-800 text-sm uppercase tracking-tight truncate">{group.title}</span>
+                                    </div>
+                                    <div className="flex-1"></div>
                                 </div>
-                                <div className="flex-1"></div>
-                            </div>
-                            {tasks.filter(t => t.projectId === project.id).map(task => {
-                                const { start, end } = getTaskSpan(task);
-                                return (
-                                    <div key={task.id} className="flex border-b border-slate-200 group hover:bg-slate-50/30">
-                                        <div className="w-64 p-4 border-r border-slate-300 pl-10">
-                                            <p className="font-medium text-slate-600 text-sm line-clamp-1">{task.title}</p>
-                                        </div>
-                                        <div className="flex-1 relative flex items-center overflow-x-auto invisible-scrollbar">
-                                            {days.map((day, i) => (
-                                                <div key={i} className="min-w-[40px] h-full border-r border-slate-200/50"></div>
-                                            ))}
-                                            <motion.div
-                                                initial={{ width: 0, opacity: 0 }}
-                                                animate={{ width: 120, opacity: 1 }}
-                                                className={`absolute h-6 rounded-lg border shadow-sm ${task.status === 'done' ? 'bg-teal-100 border-teal-200' :
-                                                    task.status === 'doing' ? 'bg-blue-100 border-blue-200' :
-                                                        'bg-slate-100 border-slate-200'
-                                                    }`}
-                                                style={{
-                                                    left: `${(days.findIndex(d => d.toDateString() === start.toDateString()) * 40) + 10}px`
-                                                }}
-                                            >
-                                                <div className="w-full h-full flex items-center px-2">
-                                                    <span className={`text-[8px] font-bold uppercase truncate ${task.status === 'done' ? 'text-teal-700' :
-                                                        task.status === 'doing' ? 'text-blue-700' :
-                                                            'text-slate-500'
-                                                        }`}>
-                                                        {task.status}
-                                                    </span>
-                                                </div>
-                                            </motion.div>
+                                {group.tasks.map(task => {
+                                    const span = spans.get(task.id);
+                                    return (
+                                        <div key={task.id} className="flex border-b border-slate-200 group hover:bg-slate-50/30" style={{ height: ROW_HEIGHT }}>
+                                            <div style={{ width: LABEL_WIDTH }} className="shrink-0 px-4 pl-10 border-r border-slate-300 flex items-center sticky left-0 bg-white z-10">
+                                                <button onClick={() => navigate(`/task/${task.id}`)} className="font-medium text-slate-600 text-sm truncate text-left hover:text-teal-700">
+                                                    {task.title}
+                                                </button>
+                                            </div>
+                                            <div className="relative overflow-hidden" style={{ width: chartWidth }}>
+                                                {span ? (
+                                                    <GanttBar
+                                                        task={task}
+                                                        left={dayX(span.start)}
+                                                        width={dayX(addDays(span.end, 1)) - dayX(span.start)}
+                                                        isCritical={showCritical && critical.taskIds.has(task.id)}
+                                                        isDragging={drag?.taskId === task.id}
+                                                        onDragStart={handleDragStart(task)}
+                                                        onOpen={() => navigate(`/task/${task.id}`)}
+                                                    />
+                                                ) : (
+                                                    <span className="absolute top-1/2 -translate-y-1/2 left-2 text-[10px] italic text-slate-400">No dates</span>
+                                                )}
+                                            </div>
                                         </div>
-                                    </div>
-                                );
-                            })}
-                        </React.Fragment>
-                    ))}
+                                    );
+                                })}
+                            </React.Fragment>
+                        ))}
+                    </div>
                 </div>
             </div>
         </PageLayout>
@@ -5,6 +5,9 @@ import { useApiData } from '../hooks/useApiData';
 import { MoreHorizontal, Plus, Clock, Users } from 'lucide-react';
 import { getTaskCardColor } from '../utils/cardStyles';
 import NewTaskModal from './NewTaskModal';
+import { useWorkflow } from '../hooks/useWorkflow';
+import { usePriorities } from '../hooks/usePriorities';
+import { STATUS_BADGE_CLASSES } from '../utils/workflow';
 
 const KanbanBoard = () => {
     const { data: tasks, loading: tasksLoading, refetch: refetchTasks } = useApiData('/tasks');
@@ -12,11 +15,14 @@ const KanbanBoard = () => {
 
     const [showNewTaskModal, setShowNewTaskModal] = useState(false);
 
-    const columns = [
-        { id: 'todo', title: 'To Do', color: 'bg-slate-100 text-slate-600' },
-        { id: 'doing', title: 'In Progress', color: 'bg-blue-100 text-blue-700' },
-        { id: 'done', title: 'Completed', color: 'bg-teal-100 text-teal-700' },
-    ];
+    // One column per workflow status, plus one for any status the workflow no longer lists
+    const { statuses, getStatus } = useWorkflow();
+    const legacyKeys = [...new Set(tasks.map(t => t.status))].filter(key => !statuses.some(s => s.key === key));
+    const columns = [...statuses, ...legacyKeys.map(getStatus)].map(status => ({
+        id: status.key,
+        title: status.label,
+        color: STATUS_BADGE_CLASSES[status.color] || STATUS_BADGE_CLASSES.slate
+    }));
 
     const getTasksByStatus = (status) => tasks.filter(t => t.status === status);
 
@@ -93,54 +99,48 @@ const getTypeLabel = (t) => {
     return 'LTASK';
 };
 
-const getPriorityLabel = (p) => {
-    if (!p) return 'TASK';
-    const lowerP = p.toLowerCase();
-    if (lowerP === 'high') return 'HIGH';
-    if (lowerP === 'medium') return 'MED';
-    if (lowerP === 'low') return 'LOW';
-    return p.toUpperCase();
-};
-
-const KanbanCard = ({ task, colleagues }) => (
-    <motion.div
-        layout
-        initial={{ opacity: 0, y: 10 }}
-        animate={{ opacity: 1, y: 0 }}
-        whileHover={{ y: -2, shadow: '0 20px 25px -5px rgb(0 0 0 / 0.1), 0 8px 10px -6px rgb(0 0 0 / 0.1)' }}
-        className={`${getTaskCardColor(task)} p-5 rounded-2xl border border-slate-300 shadow-sm cursor-grab active:cursor-grabbing group`}
-    >
-        <div className="flex flex-col gap-0.5 mb-3 text-left">
-            <span className="text-[7.5px] font-black text-slate-900/40 uppercase tracking-widest leading-none">
-                {getTypeLabel(task)}
-            </span>
-            <span className="text-[8px] font-black uppercase tracking-wider leading-none text-slate-900">
-                {getPriorityLabel(task.priority)}
-            </span>
-        </div>
-
-        <h4 className="font-bold text-slate-800 text-sm mb-4 leading-tight">{task.title}</h4>
-
-        <div className="flex items-center justify-between mt-auto">
-            <div className="flex items-center gap-1.5 text-slate-400">
-                <Clock size={12} />
-                <span className="text-[10px] font-bold uppercase">
-                    {task.dueDate ? new Date(task.dueDate).toLocaleDateString('en-US', { month: 'short', day: 'numeric' }) : 'No Date'}
+const KanbanCard = ({ task, colleagues }) => {
+    const { getLevel } = usePriorities();
+    return (
+        <motion.div
+            layout
+            initial={{ opacity: 0, y: 10 }}
+            animate={{ opacity: 1, y: 0 }}
+            whileHover={{ y: -2, shadow: '0 20px 25px -5px rgb(0 0 0 / 0.1), 0 8px 10px -6px rgb(0 0 0 / 0.1)' }}
+            className={`${getTaskCardColor(task)} p-5 rounded-2xl border border-slate-300 shadow-sm cursor-grab active:cursor-grabbing group`}
+        >
+            <div className="flex flex-col gap-0.5 mb-3 text-left">
+                <span className="text-[7.5px] font-black text-slate-900/40 uppercase tracking-widest leading-none">
+                    {getTypeLabel(task)}
+                </span>
+                <span className="text-[8px] font-black uppercase tracking-wider leading-none text-slate-900">
+                    {getLevel(task.priority)?.label || 'Task'}
                 </span>
             </div>
 
-            <div className="flex -space-x-2">
-                {task.assignedTo?.map(id => {
-                    const colleague = colleagues.find(c => c.id === id);
-                    return colleague ? (
-                        <div key={id} className="w-6 h-6 rounded-full bg-slate-900 border-2 border-white flex items-center justify-center text-[8px] font-bold text-white uppercase" title={colleague.name}>
-                            {colleague.avatar}
-                        </div>
-                    ) : null;
-                })}
+            <h4 className="font-bold text-slate-800 text-sm mb-4 leading-tight">{task.title}</h4>
+
+            <div className="flex items-center justify-between mt-auto">
+                <div className="flex items-center gap-1.5 text-slate-400">
+                    <Clock size={12} />
+                    <span className="text-[10px] font-bold uppercase">
+                        {task.dueDate ? new Date(task.dueDate).toLocaleDateString('en-US', { month: 'short', day: 'numeric' }) : 'No Date'}
+                    </span>
+                </div>
+
+                <div className="flex -space-x-2">
+                    {task.assignedTo?.map(id => {
+                        const colleague = colleagues.find(c => c.id === id);
+                        return colleague ? (
+                            <div key={id} className="w-6 h-6 rounded-full bg-slate-900 border-2 border-white flex items-center justify-center text-[8px] font-bold text-white uppercase" title={colleague.name}>
+                                {colleague.avatar}
+                            </div>
+                        ) : null;
+                    })}
+                </div>
             </div>
-        </div>
-    </motion.div>
-);
+        </motion.div>
+    );
+};
 
 export default KanbanBoard;
@@ -5,11 +5,13 @@ import { useApiData } from '../hooks/useApiData';
 import { ListTodo, Clock, AlertCircle, CheckCircle2 } from 'lucide-react';
 import NewTaskModal from './NewTaskModal';
 import Card from './common/Card';
+import { usePriorities } from '../hooks/usePriorities';
 
 const LoneTasks = () => {
     const navigate = useNavigate();
     const { data: tasks, loading, refetch } = useApiData('/tasks');
     const [showNewTaskModal, setShowNewTaskModal] = useState(false);
+    const { getLevel, classesFor } = usePriorities();
 
     // Filter tasks that are NOT assigned to any project
     const loneTasks = tasks.filter(task => !task.projectId);
@@ -55,9 +57,7 @@ const LoneTasks = () => {
                                 className="p-6 group cursor-pointer"
                             >
                                 <div className="flex items-start justify-between">
-                                    <div className={`p-2 rounded-xl ${task.priority === 'high' ? 'bg-amber-100 text-amber-600' :
-                                        task.priority === 'medium' ? 'bg-blue-100 text-blue-600' : 'bg-teal-100 text-teal-600'
-                                        }`}>
+                                    <div className={`p-2 rounded-xl ${classesFor(task.priority).badge}`} title={getLevel(task.priority)?.label || 'No priority'}>
                                         <AlertCircle size={20} />
                                     </div>
                                     <span className={`text-[10px] font-black uppercase tracking-widest px-3 py-1 rounded-full ${task.status === 'completed' ? 'bg-green-100 text-green-700' : 'bg-slate-100 text-slate-600'
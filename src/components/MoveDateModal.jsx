@@ -8,6 +8,7 @@ const MoveDateModal = ({ isOpen, onClose, onSuccess, tasks, selectedTaskIds, onC
     const { showToast } = useToast();
     const [days, setDays] = useState(1);
     const [direction, setDirection] = useState('later'); // 'earlier' or 'later'
+    const [businessDays, setBusinessDays] = useState(false); // Skip weekends
     const [loading, setLoading] = useState(false);
 
     const taskIds = Array.isArray(selectedTaskIds) ? selectedTaskIds : Array.from(selectedTaskIds || []);
@@ -21,7 +22,7 @@ const MoveDateModal = ({ isOpen, onClose, onSuccess, tasks, selectedTaskIds, onC
         try {
             // Use the passed handler (Optimistic Update)
             if (onConfirm) {
-                await onConfirm(taskIds, days, direction);
+                await onConfirm(taskIds, days, direction, businessDays);
             } else {
                 // Fallback (Legacy)
                 const promises = taskIds.map(id => {
@@ -117,6 +118,18 @@ const MoveDateModal = ({ isOpen, onClose, onSuccess, tasks, selectedTaskIds, onC
                                         </button>
                                     </div>
                                 </div>
+
+                                {onConfirm && (
+                                    <label className="flex items-center gap-3 text-sm font-bold text-slate-700 cursor-pointer">
+                                        <input
+                                            type="checkbox"
+                                            checked={businessDays}
+                                            onChange={e => setBusinessDays(e.target.checked)}
+                                            className="w-4 h-4 rounded border-slate-300 text-slate-900 focus:ring-slate-900"
+                                        />
+                                        Count business days only (skip weekends)
+                                    </label>
+                                )}
                             </div>
 
                             <button
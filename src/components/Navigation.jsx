@@ -1,4 +1,4 @@
-import { LayoutDashboard, Calendar, Columns, BarChart3, Users, Settings, FolderKanban, ListTodo, ShieldAlert } from 'lucide-react';
+import { LayoutDashboard, Calendar, Columns, BarChart3, Users, Settings, FolderKanban, ListTodo, ShieldAlert, Inbox, Trash2 } from 'lucide-react';
 import { useApiData } from '../hooks/useApiData';
 import { useAuth } from '../context/AuthContext';
 import { useToast, useToastState } from '../context/ToastContext';
@@ -33,11 +33,13 @@ const Navigation = () => {
                 { path: '/projects', icon: <FolderKanban size={20} />, label: 'Projects' },
                 { path: '/lone-tasks', icon: <ListTodo size={20} />, label: 'Lone Tasks' },
                 { path: '/team', icon: <Users size={20} />, label: 'Directory' },
+                { path: '/my-requests', icon: <Inbox size={20} />, label: 'My Requests' },
             ]
         },
         {
             group: 'System', items: [
                 // ...(isAdmin ? [{ id: 'admin', icon: <ShieldAlert size={20} />, label: 'Admin Dash' }] : []), // Moved to Top
+                { path: '/trash', icon: <Trash2 size={20} />, label: 'Trash' },
                 { path: '/settings', icon: <Settings size={20} />, label: 'Settings' },
             ]
         }
@@ -78,6 +80,7 @@ const Navigation = () => {
                             key={toast.id}
                             message={toast.message}
                             type={toast.type}
+                            action={toast.action}
                             onClose={() => removeToast(toast.id)}
                             className="w-full shadow-sm border border-slate-200"
                         />
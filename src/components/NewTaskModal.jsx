@@ -4,16 +4,20 @@ import { X, CheckSquare, Calendar, User, Plus } from 'lucide-react';
 import { apiClient } from '../api/client';
 import { useApiData } from '../hooks/useApiData';
 import { useToast } from '../context/ToastContext';
+import RecurrencePicker from './shared/RecurrencePicker';
+import { usePriorities } from '../hooks/usePriorities';
 
 const NewTaskModal = ({ isOpen, onClose, onSuccess, initialDate, initialAssignee, initialData }) => {
     const { showToast } = useToast();
+    const { levels: priorityLevels } = usePriorities();
     const { data: colleagues, refetch: refetchColleagues } = useApiData('/colleagues');
 
     const [title, setTitle] = useState('');
     const [dueDate, setDueDate] = useState('');
-    const [priority, setPriority] = useState('whenever');
+    const [priority, setPriority] = useState(''); // '' = none
     const [assigneeSearch, setAssigneeSearch] = useState('');
     const [selectedAssignee, setSelectedAssignee] = useState(null);
+    const [recurrence, setRecurrence] = useState(null); // rule object, null = one-off
 
     // Smart Assignee Logic
     const [showAddPrompt, setShowAddPrompt] = useState(false);
@@ -94,8 +98,9 @@ const NewTaskModal = ({ isOpen, onClose, onSuccess, initialDate, initialAssignee
             await apiClient.post('/tasks', {
                 title,
                 dueDate: finalDueDate,
-                priority,
-                assignedTo: selectedAssignee ? [selectedAssignee] : []
+                priority: priority || null,
+                assignedTo: selectedAssignee ? [selectedAssignee] : [],
+                ...(recurrence && { recurrence: { rule: recurrence } })
             });
             showToast(`Created task: "${title}"`, 'success'); // Specific Confirmation
             onSuccess?.();
@@ -104,6 +109,8 @@ const NewTaskModal = ({ isOpen, onClose, onSuccess, initialDate, initialAssignee
             setTitle('');
             setAssigneeSearch('');
             setSelectedAssignee(null);
+            setRecurrence(null);
+            setPriority('');
         } catch (err) {
             console.error(err);
             showToast("Failed to create task", 'error');
@@ -230,12 +237,19 @@ const NewTaskModal = ({ isOpen, onClose, onSuccess, initialDate, initialAssignee
                                         onChange={e => setPriority(e.target.value)}
                                         className="w-full bg-slate-50 rounded-xl p-3 text-sm font-bold text-slate-700 border-none focus:ring-2 focus:ring-teal-500/50 appearance-none cursor-pointer"
                                     >
-                                        <option value="asap">A.S.A.P.</option>
-                                        <option value="sooner">Sooner is better</option>
-                                        <option value="whenever">Whenever</option>
+                                        <option value="">None</option>
+                                        {priorityLevels.map(level => (
+                                            <option key={level.value} value={level.value}>{level.value} - {level.label}</option>
+                                        ))}
                                     </select>
                                 </div>
                             </div>
+
+                            {/* Repeat */}
+                            <div>
+                                <label className="text-xs font-bold text-slate-500 uppercase tracking-wider mb-2 block">Repeat</label>
+                                <RecurrencePicker value={recurrence} onChange={setRecurrence} anchorDate={dueDate ? `${dueDate}T00:00:00` : undefined} />
+                            </div>
                             <div className="grid grid-cols-1 gap-6 pt-6">
                                 <button
                                     type="submit"
@@ -0,0 +1,357 @@
+import React, { useState } from 'react';
+import { createPortal } from 'react-dom';
+import { useNavigate } from 'react-router-dom';
+import { useQueryClient } from '@tanstack/react-query';
+import { motion } from 'framer-motion';
+import { ChevronLeft, Briefcase, Calendar, Pencil, Archive, ArchiveRestore, Trash2, Users, CheckCircle2, Circle, X, AlertTriangle } from 'lucide-react';
+import { useApiData } from '../hooks/useApiData';
+import { apiClient } from '../api/client';
+import { useToast } from '../context/ToastContext';
+import ProjectModal, { PROJECT_STATUS_OPTIONS } from './ProjectModal';
+import { isTaskListQuery } from '../utils/taskQuery';
+import { isTaskDone } from '../utils/workflow';
+
+const MEMBER_ROLES = ['owner', 'member', 'viewer'];
+
+const formatDate = (val) => val
+    ? new Date(val).toLocaleDateString(undefined, { month: 'short', day: 'numeric', year: 'numeric' })
+    : '—';
+
+// Delete confirmation with the orphan/cascade choice for the project's tasks
+const DeleteProjectModal = ({ project, onClose, onConfirm }) => {
+    const [mode, setMode] = useState('orphan');
+    const [loading, setLoading] = useState(false);
+
+    const handleConfirm = async () => {
+        setLoading(true);
+        try {
+            await onConfirm(mode);
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    const optionClass = (value) => `w-full text-left p-4 rounded-xl border transition-all ${mode === value
+        ? 'border-slate-900 bg-slate-50'
+        : 'border-slate-200 hover:border-slate-300'
+        }`;
+
+    return createPortal(
+        <div className="fixed inset-0 z-[10000] flex items-center justify-center p-4 bg-slate-900/60 backdrop-blur-sm">
+            <motion.div
+                initial={{ opacity: 0, scale: 0.95 }}
+                animate={{ opacity: 1, scale: 1 }}
+                className="bg-white rounded-2xl shadow-2xl w-full max-w-md overflow-hidden border border-slate-200"
+            >
+                <div className="flex items-center justify-between p-4 border-b border-slate-100 bg-slate-50/50">
+                    <div className="flex items-center gap-2">
+                        <div className="p-2 bg-red-100 rounded-lg border border-red-200 shadow-sm text-red-600">
+                            <AlertTriangle size={18} strokeWidth={2.5} />
+                        </div>
+                        <h3 className="font-bold text-slate-900">Delete "{project.title}"?</h3>
+                    </div>
+                    <button onClick={onClose} className="p-1 hover:bg-slate-200/50 rounded-lg transition-colors text-slate-400 hover:text-slate-600">
+                        <X size={18} />
+                    </button>
+                </div>
+
+                <div className="p-6 space-y-3">
+                    <p className="text-sm text-slate-500 mb-2">
+                        This project has {project.taskCount} task{project.taskCount === 1 ? '' : 's'}. What should happen to them?
+                    </p>
+                    <button type="button" onClick={() => setMode('orphan')} className={optionClass('orphan')}>
+                        <p className="text-sm font-bold text-slate-900">Keep tasks</p>
+                        <p className="text-xs text-slate-500">Tasks are detached and appear under Lone Tasks.</p>
+                    </button>
+                    <button type="button" onClick={() => setMode('cascade')} className={optionClass('cascade')}>
+                        <p className="text-sm font-bold text-red-600">Delete tasks too</p>
+                        <p className="text-xs text-slate-500">All tasks in this project go to the Trash with it.</p>
+                    </button>
+
+                    <div className="flex gap-3 pt-4">
+                        <button
+                            onClick={onClose}
+                            className="flex-1 py-3 bg-white text-slate-700 border border-slate-200 rounded-xl text-sm font-bold hover:bg-slate-50 transition-all"
+                        >
+                            Cancel
+                        </button>
+                        <button
+                            onClick={handleConfirm}
+                            disabled={loading}
+                            className="flex-1 py-3 bg-red-600 text-white rounded-xl text-sm font-bold hover:bg-red-700 transition-all shadow-lg active:scale-95 disabled:opacity-50"
+                        >
+                            {loading ? 'Deleting...' : 'Delete Project'}
+                        </button>
+                    </div>
+                </div>
+            </motion.div>
+        </div>,
+        document.body
+    );
+};
+
+const ProjectMembers = ({ project, colleagues, onChange }) => {
+    const { showToast } = useToast();
+    const [newMemberId, setNewMemberId] = useState('');
+
+    const memberIds = new Set(project.members.map(m => m.userId));
+    const candidates = colleagues.filter(c => !memberIds.has(c.id));
+
+    const run = async (request, failMessage) => {
+        try {
+            await request();
+            onChange();
+        } catch (err) {
+            console.error(failMessage, err);
+            showToast(`${failMessage}: ${err.message}`, 'error');
+        }
+    };
+
+    const addMember = () => {
+        if (!newMemberId) return;
+        run(() => apiClient.post(`/projects/${project.id}/members`, { userId: newMemberId, role: 'member' }), 'Failed to add member');
+        setNewMemberId('');
+    };
+
+    return (
+        <div className="bg-white rounded-xl border border-slate-200 shadow-sm">
+            <div className="px-5 py-4 border-b border-slate-100 flex items-center gap-2">
+                <Users size={16} className="text-slate-400" />
+                <h3 className="text-sm font-bold text-slate-900">Members</h3>
+                <span className="text-xs text-slate-400">{project.members.length}</span>
+            </div>
+            <ul className="divide-y divide-slate-100">
+                {project.members.map(member => (
+                    <li key={member.userId} className="px-5 py-3 flex items-center gap-3 group">
+                        <span className="w-8 h-8 rounded-full bg-slate-100 flex items-center justify-center text-sm overflow-hidden shrink-0">
+                            {member.avatar?.startsWith('http') ? <img src={member.avatar} alt="" className="w-full h-full object-cover" /> : member.avatar}
+                        </span>
+                        <div className="flex-1 min-w-0">
+                            <p className="text-sm font-medium text-slate-900 truncate">{member.name}</p>
+                            <p className="text-xs text-slate-400 truncate">{member.email}</p>
+                        </div>
+                        {project.canManage ? (
+                            <>
+                                <select
+                                    value={member.role}
+                                    onChange={(e) => run(() => apiClient.patch(`/projects/${project.id}/members/${member.userId}`, { role: e.target.value }), 'Failed to change role')}
+                                    className="text-xs font-bold uppercase text-slate-500 bg-transparent border-none focus:ring-0 cursor-pointer"
+                                >
+                                    {MEMBER_ROLES.map(r => <option key={r} value={r}>{r}</option>)}
+                                </select>
+                                <button
+                                    onClick={() => run(() => apiClient.delete(`/projects/${project.id}/members/${member.userId}`), 'Failed to remove member')}
+                                    className="p-1.5 hover:bg-red-50 text-slate-300 hover:text-red-500 rounded transition-colors opacity-0 group-hover:opacity-100"
+                                    title="Remove Member"
+                                >
+                                    <X size={14} />
+                                </button>
+                            </>
+                        ) : (
+                            <span className="text-xs font-bold uppercase text-slate-400">{member.role}</span>
+                        )}
+                    </li>
+                ))}
+                {project.members.length === 0 && (
+                    <li className="px-5 py-4 text-sm text-slate-400">No members yet.</li>
+                )}
+            </ul>
+            {project.canManage && candidates.length > 0 && (
+                <div className="px-5 py-3 border-t border-slate-100 flex gap-2">
+                    <select
+                        value={newMemberId}
+                        onChange={(e) => setNewMemberId(e.target.value)}
+                        className="flex-1 px-3 py-2 bg-white border border-slate-200 rounded-lg text-sm text-slate-700 focus:outline-none focus:ring-2 focus:ring-teal-500/20"
+                    >
+                        <option value="">Add a member...</option>
+                        {candidates.map(c => <option key={c.id} value={c.id}>{c.name}</option>)}
+                    </select>
+                    <button
+                        onClick={addMember}
+                        disabled={!newMemberId}
+                        className="px-4 py-2 bg-slate-900 text-white rounded-lg text-sm font-bold hover:bg-slate-800 disabled:opacity-50"
+                    >
+                        Add
+                    </button>
+                </div>
+            )}
+        </div>
+    );
+};
+
+const ProjectDetailView = ({ projectId, onBack }) => {
+    const navigate = useNavigate();
+    const queryClient = useQueryClient();
+    const { showToast } = useToast();
+
+    const { data: project, loading, refetch } = useApiData(`/projects/${projectId}`);
+    const { data: tasks } = useApiData(`/tasks?projectId=${projectId}`);
+    const { data: colleagues } = useApiData('/colleagues');
+
+    const [isEditing, setIsEditing] = useState(false);
+    const [isDeleting, setIsDeleting] = useState(false);
+
+    if (loading) return <div className="p-8 text-slate-400">Loading project...</div>;
+    if (!project?.id) return <div className="p-8 text-red-400">Project not found.</div>;
+
+    const isArchived = !!project.archived_at;
+    const statusLabel = PROJECT_STATUS_OPTIONS.find(o => o.value === project.status)?.label || project.status;
+
+    // Project lists and task lists both embed project state
+    const refreshAll = () => {
+        refetch();
+        queryClient.invalidateQueries({ queryKey: ['/projects'] });
+        queryClient.invalidateQueries({ queryKey: ['/projects?includeArchived=true'] });
+        queryClient.invalidateQueries({ predicate: isTaskListQuery });
+    };
+
+    const toggleArchive = async () => {
+        try {
+            await apiClient.post(`/projects/${project.id}/${isArchived ? 'restore' : 'archive'}`);
+            showToast(isArchived ? 'Project restored' : 'Project archived', 'success');
+            refreshAll();
+        } catch (err) {
+            console.error('Archive toggle failed:', err);
+            showToast(`Failed to update project: ${err.message}`, 'error');
+        }
+    };
+
+    const handleDelete = async (mode) => {
+        try {
+            await apiClient.delete(`/projects/${project.id}?tasks=${mode}`);
+            showToast(`Deleted project: "${project.title}"`, 'success');
+            refreshAll();
+            navigate('/projects');
+        } catch (err) {
+            console.error('Delete project failed:', err);
+            showToast(`Failed to delete project: ${err.message}`, 'error');
+        }
+    };
+
+    return (
+        <div className="flex flex-col h-full bg-slate-50">
+            <div className="h-16 bg-white border-b border-slate-200 flex items-center px-6 gap-4 shrink-0 shadow-sm z-10">
+                <button
+                    onClick={onBack}
+                    className="p-2 -ml-2 hover:bg-slate-100 rounded-full text-slate-500 hover:text-slate-900 transition-colors"
+                    title="Go Back"
+                >
+                    <ChevronLeft size={24} />
+                </button>
+                <div className="h-8 w-[1px] bg-slate-100 mx-2"></div>
+                <div className="flex-1 min-w-0">
+                    <div className="flex items-center gap-3 text-xs text-slate-500 mb-0.5">
+                        <span className="uppercase tracking-wider font-bold">Project</span>
+                        {project.client && (
+                            <>
+                                <span>•</span>
+                                <span className="flex items-center gap-1">
+                                    <Briefcase size={10} />
+                                    {project.client}
+                                </span>
+                            </>
+                        )}
+                    </div>
+                    <h1 className="text-lg font-bold text-slate-900 truncate">{project.title}</h1>
+                </div>
+                <span className={`px-3 py-1 rounded-full text-xs font-bold uppercase tracking-wide border ${isArchived
+                    ? 'bg-slate-100 text-slate-500 border-slate-200'
+                    : 'bg-teal-50 text-teal-700 border-teal-200'
+                    }`}>
+                    {statusLabel}
+                </span>
+                {project.canManage && (
+                    <div className="flex items-center gap-1">
+                        {!isArchived && (
+                            <button onClick={() => setIsEditing(true)} className="p-2 rounded-lg hover:bg-slate-100 text-slate-500 hover:text-slate-900" title="Edit Project">
+                                <Pencil size={16} />
+                            </button>
+                        )}
+                        <button onClick={toggleArchive} className="p-2 rounded-lg hover:bg-slate-100 text-slate-500 hover:text-slate-900" title={isArchived ? 'Restore Project' : 'Archive Project'}>
+                            {isArchived ? <ArchiveRestore size={16} /> : <Archive size={16} />}
+                        </button>
+                        <button onClick={() => setIsDeleting(true)} className="p-2 rounded-lg hover:bg-red-50 text-slate-400 hover:text-red-500" title="Delete Project">
+                            <Trash2 size={16} />
+                        </button>
+                    </div>
+                )}
+            </div>
+
+            <div className="flex-1 overflow-y-auto p-8">
+                <div className="max-w-5xl mx-auto grid grid-cols-1 lg:grid-cols-3 gap-6">
+                    <div className="lg:col-span-2 space-y-6">
+                        {project.description && (
+                            <p className="text-sm text-slate-600 leading-relaxed whitespace-pre-wrap">{project.description}</p>
+                        )}
+
+                        <div className="bg-white rounded-xl border border-slate-200 shadow-sm">
+                            <div className="px-5 py-4 border-b border-slate-100 flex items-center justify-between">
+                                <h3 className="text-sm font-bold text-slate-900">Tasks</h3>
+                                <span className="text-xs text-slate-400">{project.completedTaskCount}/{project.taskCount} done</span>
+                            </div>
+                            <ul className="divide-y divide-slate-100">
+                                {tasks.map(task => (
+                                    <li key={task.id}>
+                                        <button
+                                            onClick={() => navigate(`/task/${task.id}`)}
+                                            className="w-full px-5 py-3 flex items-center gap-3 text-left hover:bg-slate-50"
+                                        >
+                                            {isTaskDone(task)
+                                                ? <CheckCircle2 size={16} className="text-emerald-500 shrink-0" />
+                                                : <Circle size={16} className="text-slate-300 shrink-0" />}
+                                            <span className={`flex-1 text-sm truncate ${isTaskDone(task) ? 'text-slate-400 line-through' : 'text-slate-700'}`}>
+                                                {task.title}
+                                            </span>
+                                            <span className="text-xs text-slate-400">{task.dueDate ? formatDate(task.dueDate) : ''}</span>
+                                        </button>
+                                    </li>
+                                ))}
+                                {tasks.length === 0 && (
+                                    <li className="px-5 py-4 text-sm text-slate-400">No tasks in this project.</li>
+                                )}
+                            </ul>
+                        </div>
+                    </div>
+
+                    <div className="space-y-6">
+                        <div className="bg-white rounded-xl border border-slate-200 shadow-sm p-5 space-y-4">
+                            <div>
+                                <div className="flex items-center justify-between text-xs font-bold mb-2">
+                                    <span className="text-slate-500 uppercase tracking-wider">Progress</span>
+                                    <span className="text-slate-900">{project.progress}%</span>
+                                </div>
+                                <div className="h-2 bg-slate-100 rounded-full overflow-hidden">
+                                    <div className="h-full bg-teal-500 rounded-full transition-all" style={{ width: `${project.progress}%` }} />
+                                </div>
+                            </div>
+                            <div className="grid grid-cols-2 gap-4 text-sm">
+                                <div>
+                                    <p className="text-xs font-bold text-slate-500 uppercase tracking-wider mb-1">Start</p>
+                                    <p className="flex items-center gap-1.5 text-slate-700"><Calendar size={12} />{formatDate(project.start_date)}</p>
+                                </div>
+                                <div>
+                                    <p className="text-xs font-bold text-slate-500 uppercase tracking-wider mb-1">End</p>
+                                    <p className="flex items-center gap-1.5 text-slate-700"><Calendar size={12} />{formatDate(project.end_date)}</p>
+                                </div>
+                            </div>
+                        </div>
+
+                        <ProjectMembers project={project} colleagues={colleagues} onChange={refetch} />
+                    </div>
+                </div>
+            </div>
+
+            <ProjectModal
+                isOpen={isEditing}
+                project={project}
+                onClose={() => setIsEditing(false)}
+                onSuccess={refreshAll}
+            />
+            {isDeleting && (
+                <DeleteProjectModal project={project} onClose={() => setIsDeleting(false)} onConfirm={handleDelete} />
+            )}
+        </div>
+    );
+};
+
+export default ProjectDetailView;
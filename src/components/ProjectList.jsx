@@ -1,52 +1,87 @@
-import React from 'react';
+import React, { useState } from 'react';
+import { useNavigate } from 'react-router-dom';
 import PageLayout from './layout/PageLayout';
 import { motion } from 'framer-motion';
 import { useApiData } from '../hooks/useApiData';
-import { FolderKanban, Plus, MoreHorizontal, Target, Calendar } from 'lucide-react';
+import { useAuth } from '../context/AuthContext';
+import { FolderKanban, Plus, ChevronRight, Target, Calendar, Archive, Briefcase } from 'lucide-react';
 
 import Card from './common/Card';
+import ProjectModal from './ProjectModal';
+import { isTaskDone } from '../utils/workflow';
 
 const ProjectList = () => {
-    const { data: projects, loading } = useApiData('/projects');
+    const navigate = useNavigate();
+    const { user } = useAuth();
+    const [showArchived, setShowArchived] = useState(false);
+    const [showNewProject, setShowNewProject] = useState(false);
+
+    const { data: projects, loading, refetch } = useApiData(showArchived ? '/projects?includeArchived=true' : '/projects');
     const { data: tasks } = useApiData('/tasks');
 
+    const canCreate = user?.role === 'admin' || user?.role === 'god';
+
     return (
         <PageLayout
             title="Projects"
             subtitle="High-level oversight of active and planned initiatives."
             actions={
-                <button className="px-4 py-2 bg-slate-900 text-white rounded-xl text-sm font-semibold hover:bg-slate-800 transition-all shadow-lg flex items-center gap-2">
-                    <Plus size={18} />
-                    New Project
-                </button>
+                <div className="flex items-center gap-3">
+                    <button
+                        onClick={() => setShowArchived(prev => !prev)}
+                        className={`px-4 py-2 rounded-xl text-sm font-semibold transition-all flex items-center gap-2 border ${showArchived ? 'bg-slate-100 text-slate-900 border-slate-300' : 'bg-white text-slate-500 border-slate-200 hover:text-slate-900'}`}
+                    >
+                        <Archive size={16} />
+                        {showArchived ? 'Hide Archived' : 'Show Archived'}
+                    </button>
+                    {canCreate && (
+                        <button
+                            onClick={() => setShowNewProject(true)}
+                            className="px-4 py-2 bg-slate-900 text-white rounded-xl text-sm font-semibold hover:bg-slate-800 transition-all shadow-lg flex items-center gap-2"
+                        >
+                            <Plus size={18} />
+                            New Project
+                        </button>
+                    )}
+                </div>
             }
         >
+            <ProjectModal
+                isOpen={showNewProject}
+                onClose={() => setShowNewProject(false)}
+                onSuccess={(project) => { refetch(); navigate(`/project/${project.id}`); }}
+            />
+
             <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-6 overflow-y-auto pb-8 pr-2 custom-scrollbar flex-1">
                 {loading ? (
                     [1, 2, 3].map(i => <div key={i} className="h-64 bg-white rounded-2xl animate-pulse"></div>)
                 ) : (
                     projects.map(project => {
                         const projectTasks = tasks.filter(t => t.projectId === project.id);
-                        const completed = projectTasks.filter(t => t.status === 'done').length;
+                        const completed = projectTasks.filter(t => isTaskDone(t)).length;
                         const progress = projectTasks.length > 0 ? (completed / projectTasks.length) * 100 : 0;
 
                         return (
                             <Card
                                 key={project.id}
                                 variant="MACRO"
-                                className="p-8 group"
-                                onClick={() => { }} // Make interactive
+                                className={`p-8 group ${project.archived_at ? 'opacity-60' : ''}`}
+                                onClick={() => navigate(`/project/${project.id}`)}
                             >
                                 <div className="flex justify-between items-start mb-6">
                                     <div className="p-3 bg-teal-50 text-teal-600 rounded-2xl group-hover:bg-teal-500 group-hover:text-white transition-colors">
                                         <FolderKanban size={24} />
                                     </div>
-                                    <button className="p-2 text-slate-400 hover:text-slate-900 rounded-lg hover:bg-slate-50">
-                                        <MoreHorizontal size={20} />
-                                    </button>
+                                    <ChevronRight size={20} className="text-slate-300 group-hover:text-slate-900 transition-colors" />
                                 </div>
 
-                                <h3 className="text-xl font-bold text-slate-900 mb-2">{project.title}</h3>
+                                <h3 className="text-xl font-bold text-slate-900 mb-1">{project.title}</h3>
+                                {project.client && (
+                                    <p className="flex items-center gap-1.5 text-xs font-bold text-teal-700 mb-2">
+                                        <Briefcase size={12} />
+                                        {project.client}
+                                    </p>
+                                )}
                                 <p className="text-sm text-slate-500 mb-6 line-clamp-2">{project.description}</p>
 
                                 <div className="space-y-4">
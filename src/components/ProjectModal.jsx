@@ -0,0 +1,143 @@
+import React, { useEffect, useState } from 'react';
+import { createPortal } from 'react-dom';
+import { motion } from 'framer-motion';
+import { X, FolderKanban } from 'lucide-react';
+import { apiClient } from '../api/client';
+import { useToast } from '../context/ToastContext';
+
+export const PROJECT_STATUS_OPTIONS = [
+    { value: 'planning', label: 'Planning' },
+    { value: 'active', label: 'Active' },
+    { value: 'on_hold', label: 'On Hold' },
+    { value: 'completed', label: 'Completed' }
+];
+
+const toDateInput = (val) => {
+    if (!val) return '';
+    const d = new Date(val);
+    return isNaN(d.getTime()) ? '' : d.toISOString().split('T')[0];
+};
+
+// Create (no `project`) or edit (with `project`) a project
+const ProjectModal = ({ isOpen, onClose, onSuccess, project = null }) => {
+    const { showToast } = useToast();
+    const [form, setForm] = useState({ title: '', description: '', client: '', status: 'planning', startDate: '', endDate: '' });
+    const [loading, setLoading] = useState(false);
+
+    useEffect(() => {
+        if (!isOpen) return;
+        setForm({
+            title: project?.title || '',
+            description: project?.description || '',
+            client: project?.client || '',
+            status: project?.status && project.status !== 'archived' ? project.status : 'planning',
+            startDate: toDateInput(project?.start_date),
+            endDate: toDateInput(project?.end_date)
+        });
+    }, [isOpen, project]);
+
+    if (!isOpen) return null;
+
+    const update = (key) => (e) => setForm(prev => ({ ...prev, [key]: e.target.value }));
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        if (form.startDate && form.endDate && form.endDate < form.startDate) {
+            showToast('End date must be after start date', 'error');
+            return;
+        }
+
+        setLoading(true);
+        try {
+            const payload = { ...form, startDate: form.startDate || null, endDate: form.endDate || null };
+            const saved = project
+                ? await apiClient.patch(`/projects/${project.id}`, payload)
+                : await apiClient.post('/projects', payload);
+            showToast(project ? 'Project updated' : `Created project: "${saved.title}"`, 'success');
+            onSuccess?.(saved);
+            onClose();
+        } catch (err) {
+            console.error('Save project failed:', err);
+            showToast(`Failed to save project: ${err.message}`, 'error');
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    const inputClass = 'w-full px-4 py-3 bg-white border border-slate-200 rounded-xl text-sm font-medium text-slate-900 focus:outline-none focus:ring-2 focus:ring-teal-500/20 focus:border-teal-500 transition-all';
+    const labelClass = 'block text-xs font-bold text-slate-500 uppercase tracking-wider mb-2';
+
+    return createPortal(
+        <div className="fixed inset-0 z-[10000] flex items-center justify-center p-4 bg-slate-900/60 backdrop-blur-sm">
+            <motion.div
+                initial={{ opacity: 0, scale: 0.95 }}
+                animate={{ opacity: 1, scale: 1 }}
+                exit={{ opacity: 0, scale: 0.95 }}
+                className="bg-white rounded-2xl shadow-2xl w-full max-w-lg overflow-hidden border border-slate-200"
+            >
+                <div className="flex items-center justify-between p-4 border-b border-slate-100 bg-slate-50/50">
+                    <div className="flex items-center gap-2">
+                        <div className="p-2 bg-teal-100 rounded-lg border border-teal-200 shadow-sm text-teal-700">
+                            <FolderKanban size={18} strokeWidth={2.5} />
+                        </div>
+                        <h3 className="font-bold text-slate-900">{project ? 'Edit Project' : 'New Project'}</h3>
+                    </div>
+                    <button onClick={onClose} className="p-1 hover:bg-slate-200/50 rounded-lg transition-colors text-slate-400 hover:text-slate-600">
+                        <X size={18} />
+                    </button>
+                </div>
+
+                <form onSubmit={handleSubmit} className="p-6 space-y-5">
+                    <div>
+                        <label className={labelClass}>Title</label>
+                        <input autoFocus required value={form.title} onChange={update('title')} className={inputClass} placeholder="e.g. Spring Community Launch" />
+                    </div>
+                    <div>
+                        <label className={labelClass}>Description</label>
+                        <textarea rows={3} value={form.description} onChange={update('description')} className={`${inputClass} resize-none`} />
+                    </div>
+                    <div className="grid grid-cols-2 gap-4">
+                        <div>
+                            <label className={labelClass}>Client</label>
+                            <input value={form.client} onChange={update('client')} className={inputClass} placeholder="Optional" />
+                        </div>
+                        <div>
+                            <label className={labelClass}>Status</label>
+                            <select value={form.status} onChange={update('status')} className={`${inputClass} cursor-pointer`}>
+                                {PROJECT_STATUS_OPTIONS.map(o => <option key={o.value} value={o.value}>{o.label}</option>)}
+                            </select>
+                        </div>
+                        <div>
+                            <label className={labelClass}>Start Date</label>
+                            <input type="date" value={form.startDate} onChange={update('startDate')} className={inputClass} />
+                        </div>
+                        <div>
+                            <label className={labelClass}>End Date</label>
+                            <input type="date" value={form.endDate} onChange={update('endDate')} className={inputClass} />
+                        </div>
+                    </div>
+
+                    <div className="flex gap-3 pt-2">
+                        <button
+                            type="button"
+                            onClick={onClose}
+                            className="flex-1 py-3 bg-white text-slate-700 border border-slate-200 rounded-xl text-sm font-bold hover:bg-slate-50 transition-all"
+                        >
+                            Cancel
+                        </button>
+                        <button
+                            type="submit"
+                            disabled={loading || !form.title.trim()}
+                            className="flex-1 py-3 bg-slate-900 text-white rounded-xl text-sm font-bold hover:bg-slate-800 transition-all shadow-lg active:scale-95 disabled:opacity-50 disabled:cursor-not-allowed"
+                        >
+                            {loading ? 'Saving...' : (project ? 'Save Changes' : 'Create Project')}
+                        </button>
+                    </div>
+                </form>
+            </motion.div>
+        </div>,
+        document.body
+    );
+};
+
+export default ProjectModal;
@@ -1,10 +1,14 @@
 import React, { useEffect } from 'react';
-import { Search, Bell, Menu } from 'lucide-react';
+import { Menu } from 'lucide-react';
 import Navigation from './Navigation';
 import Logo from './Logo';
+import GlobalSearch from './layout/GlobalSearch';
+import NotificationBell from './layout/NotificationBell';
+import OrganizationSwitcher from './layout/OrganizationSwitcher';
 import { useAuth, MOCK_USERS } from '../context/AuthContext';
 import { signInWithEmailAndPassword, createUserWithEmailAndPassword, signOut } from 'firebase/auth';
 import { auth } from '../firebase';
+import { ACTIVE_ORG_STORAGE_KEY } from '../api/client';
 import { ChevronDown, RefreshCcw, LogOut } from 'lucide-react'; // Added Icons
 
 const Shell = ({ children }) => {
@@ -37,6 +41,7 @@ const Shell = ({ children }) => {
 
     const handleSignOut = async () => {
         try {
+            localStorage.removeItem(ACTIVE_ORG_STORAGE_KEY);
             if (import.meta.env.DEV) {
                 localStorage.removeItem('mockUserId');
                 window.location.reload();
@@ -65,19 +70,11 @@ const Shell = ({ children }) => {
 
                 {/* Flexible UI area for Search and Profile */}
                 <div className="flex-1 flex items-center justify-between px-6">
-                    <div className="flex items-center bg-slate-100 px-4 py-2 rounded-xl border border-slate-300/50 w-80 group focus-within:bg-white focus-within:ring-2 focus-within:ring-teal-500/20 transition-all">
-                        <Search className="text-slate-400 group-focus-within:text-teal-600 transition-colors" size={18} />
-                        <input
-                            type="text"
-                            placeholder="Search projects, tasks, or directory..."
-                            className="bg-transparent border-none focus:ring-0 text-sm w-full ml-2 text-slate-600 placeholder:text-slate-400 font-medium outline-none"
-                        />
-                    </div>
+                    <GlobalSearch />
 
                     <div className="flex items-center gap-4">
-                        <button className="p-2 text-slate-400 hover:text-slate-900 transition-colors">
-                            <Bell size={20} />
-                        </button>
+                        <OrganizationSwitcher />
+                        <NotificationBell />
                         <div className="h-4 w-[1px] bg-slate-300 mx-2"></div>
                         <div className="relative">
                             <div
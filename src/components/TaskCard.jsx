@@ -4,6 +4,8 @@ import { Crown, Zap, Play, Layers, User, Square, Pause, Check } from 'lucide-rea
 import { getTaskCardColor } from '../utils/cardStyles';
 import { useAuth } from '../context/AuthContext';
 import { useTimelineRegistry } from '../context/TimelineRegistryContext'; // Import Registry
+import { useWorkflow } from '../hooks/useWorkflow';
+import { usePriorities } from '../hooks/usePriorities';
 import { CARD_VARIANTS } from '../styles/designSystem';
 
 const TaskCard = ({
@@ -25,6 +27,10 @@ const TaskCard = ({
 }) => {
     const { user } = useAuth();
     const { registerTask, unregisterTask } = useTimelineRegistry(); // Use Registry
+    const { getStatus } = useWorkflow();
+    const status = getStatus(task.status);
+    const { getLevel, classesFor } = usePriorities();
+    const priority = getLevel(task.priority);
     const [isHovered, setIsHovered] = useState(false);
     const cardRef = useRef(null);
 
@@ -73,25 +79,19 @@ const TaskCard = ({
                 <User size={11} strokeWidth={2.5} className="text-slate-900 fill-slate-900" />
             </div>
 
-            {/* 3. Priority (Numeric 1-4 or Dash) */}
-            <div className={`w-[15px] h-[15px] rounded-full border flex items-center justify-center ${['1', '2', '3', '4'].includes(String(task.priority || '')) ? 'border-slate-900 bg-white' : 'border-transparent bg-white/50'}`}>
-                {(() => {
-                    const p = String(task.priority || '');
-                    if (['1', '2', '3', '4'].includes(p)) {
-                        return <span className={`text-[9px] font-black leading-none ${p === '1' ? 'text-red-600' : 'text-slate-900'}`}>{p}</span>;
-                    }
-                    return <span className="text-[12px] font-black text-slate-900">-</span>; // Inactive / Legacy / None
-                })()}
+            {/* 3. Priority (Level 1-4 in its organization color, or Dash for none) */}
+            <div className={`w-[15px] h-[15px] rounded-full border flex items-center justify-center ${priority ? 'border-slate-900 bg-white' : 'border-transparent bg-white/50'}`} title={priority?.label}>
+                {priority
+                    ? <span className={`text-[9px] font-black leading-none ${classesFor(task.priority).text}`}>{priority.value}</span>
+                    : <span className="text-[12px] font-black text-slate-900">-</span>}
             </div>
 
-            {/* 4. Status Multi-State: Pending (Square), Doing (Play), Paused (Pause), Done (Check) */}
-            <div className={`w-[15px] h-[15px] rounded-full border flex items-center justify-center ${['doing', 'done'].includes(task.status) ? 'border-slate-900 bg-white' : 'border-transparent bg-white/50'}`}>
+            {/* 4. Status by workflow category: Not started (Square), Active (Play), Blocked (Pause), Done (Check) */}
+            <div className={`w-[15px] h-[15px] rounded-full border flex items-center justify-center ${['active', 'done'].includes(status.category) ? 'border-slate-900 bg-white' : 'border-transparent bg-white/50'}`} title={status.label}>
                 {(() => {
-                    // Normalize status
-                    const s = (task.status || 'todo').toLowerCase();
-                    if (s === 'doing') return <Play size={11} strokeWidth={2.5} className="text-slate-900 fill-slate-900 ml-0.5" />;
-                    if (s === 'done') return <Check size={11} strokeWidth={4.5} className="text-slate-900" />; // No fill for check usually, just thick stroke
-                    if (s === 'paused') {
+                    if (status.category === 'active') return <Play size={11} strokeWidth={2.5} className="text-slate-900 fill-slate-900 ml-0.5" />;
+                    if (status.category === 'done') return <Check size={11} strokeWidth={4.5} className="text-slate-900" />; // No fill for check usually, just thick stroke
+                    if (status.category === 'blocked') {
                         // Custom SVG for wider gap
                         return (
                             <svg
@@ -110,7 +110,7 @@ const TaskCard = ({
                             </svg>
                         );
                     }
-                    // Default / Pending / Todo
+                    // Not started (and unknown statuses)
                     return <Square size={8} strokeWidth={2.5} className="text-slate-900 fill-slate-900" />;
                 })()}
             </div>
@@ -1,34 +1,47 @@
 import React, { useState, useEffect } from 'react';
 import { motion, AnimatePresence } from 'framer-motion';
 import { X, Calendar, User, Clock, CheckCircle2, AlertCircle, Type, Text, MoreHorizontal } from 'lucide-react';
-import { apiClient } from '../api/client';
+import { useVersionedPatch } from '../hooks/useVersionedPatch';
+import { useWorkflow } from '../hooks/useWorkflow';
+import { usePriorities } from '../hooks/usePriorities';
+import { normalizePriority, PRIORITY_COLOR_CLASSES, NO_PRIORITY_CLASSES } from '../utils/priorities';
 
 const TaskDetailModal = ({ isOpen, onClose, task, onUpdate }) => {
     const [title, setTitle] = useState('');
     const [description, setDescription] = useState('');
-    const [status, setStatus] = useState('todo');
-    const [priority, setPriority] = useState('medium');
+    const [status, setStatus] = useState('');
+    const [statusNote, setStatusNote] = useState('');
+    const [priority, setPriority] = useState(''); // '' = none
     const [loading, setLoading] = useState(false);
+    const patchVersioned = useVersionedPatch();
+    const workflow = useWorkflow();
+    const { levels: priorityLevels } = usePriorities();
 
     // Sync task data when opened
     useEffect(() => {
         if (task) {
             setTitle(task.title);
             setDescription(task.description || '');
-            setStatus(task.status || 'todo');
-            setPriority(task.priority || 'medium');
+            setStatus(task.status || workflow.initialStatus);
+            setStatusNote('');
+            setPriority(normalizePriority(task.priority) || '');
         }
-    }, [task, isOpen]);
+    }, [task, isOpen, workflow.initialStatus]);
+
+    // A note is given with the status change it explains
+    const statusChanged = !!task && status !== task.status;
+    const needsNote = statusChanged && !!workflow.getStatus(status).requiredFields?.includes('statusNote');
 
     const handleSave = async () => {
         setLoading(true);
         try {
             // Optimistic update
-            const updates = { title, description, status, priority };
+            const updates = { title, description, status, priority: priority || null };
+            if (statusChanged && statusNote.trim()) updates.statusNote = statusNote.trim();
             onUpdate(task.id, null, updates); // null date means date unchanged
 
             // API Call
-            await apiClient.patch(`/tasks/${task.id}`, updates);
+            await patchVersioned([{ endpoint: `/tasks/${task.id}`, updates, version: task.version }]);
             onClose();
         } catch (error) {
             console.error('Failed to update task:', error);
@@ -80,10 +93,21 @@ const TaskDetailModal = ({ isOpen, onClose, task, onUpdate }) => {
                                         onChange={(e) => setStatus(e.target.value)}
                                         className="w-full bg-slate-50 border-none rounded-xl text-sm font-bold text-slate-700 focus:ring-2 focus:ring-teal-500 py-3"
                                     >
-                                        <option value="todo">To Do</option>
-                                        <option value="doing">In Progress</option>
-                                        <option value="done">Completed</option>
+                                        {workflow.getStatus(task.status).unknown && (
+                                            <option value={task.status}>{task.status}</option>
+                                        )}
+                                        {workflow.statuses.map(s => (
+                                            <option key={s.key} value={s.key} disabled={!workflow.canTransition(task.status, s.key)}>{s.label}</option>
+                                        ))}
                                     </select>
+                                    {needsNote && (
+                                        <input
+                                            value={statusNote}
+                                            onChange={(e) => setStatusNote(e.target.value)}
+                                            placeholder={`Why ${workflow.getStatus(status).label}?`}
+                                            className="w-full bg-slate-50 border-none rounded-xl text-sm text-slate-700 focus:ring-2 focus:ring-teal-500 py-2.5"
+                                        />
+                                    )}
                                 </div>
 
                                 {/* Priority */}
@@ -92,29 +116,19 @@ const TaskDetailModal = ({ isOpen, onClose, task, onUpdate }) => {
                                         <AlertCircle size={12} /> Priority
                                     </label>
                                     <div className="flex gap-2">
-                                        {[
-                                            { id: 'asap', label: 'A.S.A.P.' },
-                                            { id: 'sooner', label: 'Sooner' },
-                                            { id: 'whenever', label: 'Whenever' }
-                                        ].map(opt => {
-                                            const isActive = priority === opt.id || (opt.id === 'asap' && priority === 'high') || (opt.id === 'sooner' && priority === 'medium') || (opt.id === 'whenever' && priority === 'low');
-
-                                            let activeClass = '';
-                                            if (isActive) {
-                                                if (opt.id === 'asap') activeClass = 'border-slate-900 bg-slate-900 text-white shadow-md';
-                                                else if (opt.id === 'sooner') activeClass = 'border-amber-500 bg-amber-50 text-amber-700';
-                                                else activeClass = 'border-slate-300 bg-slate-100 text-slate-600';
-                                            } else {
-                                                activeClass = 'border-slate-100 bg-transparent text-slate-400 hover:border-slate-200';
-                                            }
+                                        {[...priorityLevels, { value: '', label: 'None' }].map(level => {
+                                            const isActive = priority === level.value;
+                                            const activeClass = isActive
+                                                ? `${(PRIORITY_COLOR_CLASSES[level.color] || NO_PRIORITY_CLASSES).badge} shadow-sm`
+                                                : 'border-slate-100 bg-transparent text-slate-400 hover:border-slate-200';
 
                                             return (
                                                 <button
-                                                    key={opt.id}
-                                                    onClick={() => setPriority(opt.id)}
+                                                    key={level.value || 'none'}
+                                                    onClick={() => setPriority(level.value)}
                                                     className={`flex-1 py-3 rounded-xl text-xs font-black uppercase tracking-wider border-2 transition-all ${activeClass}`}
                                                 >
-                                                    {opt.label}
+                                                    {level.label}
                                                 </button>
                                             );
                                         })}
@@ -155,7 +169,7 @@ const TaskDetailModal = ({ isOpen, onClose, task, onUpdate }) => {
                         </button>
                         <button
                             onClick={handleSave}
-                            disabled={loading}
+                            disabled={loading || (needsNote && !statusNote.trim())}
                             className="px-8 py-3 bg-slate-900 text-white rounded-xl font-bold hover:bg-slate-800 transition-all shadow-lg shadow-slate-200 disabled:opacity-50"
                         >
                             {loading ? 'Saving...' : 'Save Changes'}
@@ -5,11 +5,14 @@ import { useApiData } from '../hooks/useApiData';
 import TaskStepsList from './TaskStepsList';
 import TaskDetailHeader from './task/TaskDetailHeader';
 import TaskDetailSidebar from './task/TaskDetailSidebar';
+import TaskActivityLog from './task/TaskActivityLog';
+import TaskComments from './task/TaskComments';
+import TaskFiles from './task/TaskFiles';
 
 const TaskDetailView = ({ taskId, onBack }) => {
     const { data: tasks, isLoading } = useApiData('/tasks');
     const { data: colleagues } = useApiData('/colleagues');
-    const { data: projects } = useApiData('/projects');
+    const { data: projects } = useApiData('/projects?includeArchived=true');
 
     const task = tasks.find(t => t.id === taskId);
     const assignedColleagues = colleagues.filter(c => task?.assignedTo?.includes(c.id));
@@ -59,6 +62,7 @@ const TaskDetailView = ({ taskId, onBack }) => {
                                         {task.description ? <p className="whitespace-pre-wrap">{task.description}</p> : <p className="italic text-slate-400">No description provided.</p>}
                                     </div>
                                 </section>
+                                <TaskComments task={task} colleagues={colleagues} />
                             </div>
                         )}
                         {activeTab === 'steps' && (
@@ -67,19 +71,13 @@ const TaskDetailView = ({ taskId, onBack }) => {
                             </div>
                         )}
                         {activeTab === 'activity' && (
-                            <div className="max-w-2xl bg-slate-50 rounded-xl border border-slate-200 p-8 flex flex-col items-center justify-center text-center">
-                                <Activity size={48} className="text-slate-300 mb-4" />
-                                <h3 className="text-slate-900 font-bold mb-2">Audit Log</h3>
-                                <p className="text-slate-500 text-sm">Track changes and updates to this task.</p>
+                            <div className="py-2">
+                                <TaskActivityLog taskId={task.id} colleagues={colleagues} />
                             </div>
                         )}
                         {activeTab === 'files' && (
-                            <div className="max-w-2xl bg-slate-50 rounded-xl border border-dashed border-slate-300 p-12 flex flex-col items-center justify-center text-center hover:bg-slate-100/50 transition-colors cursor-pointer">
-                                <div className="w-12 h-12 bg-white rounded-full flex items-center justify-center shadow-sm mb-4">
-                                    <Paperclip size={24} className="text-teal-600" />
-                                </div>
-                                <h3 className="text-slate-900 font-bold mb-1">Drag files here</h3>
-                                <p className="text-slate-500 text-xs">or click to browse</p>
+                            <div className="py-2">
+                                <TaskFiles task={task} />
                             </div>
                         )}
                     </div>
@@ -87,6 +85,7 @@ const TaskDetailView = ({ taskId, onBack }) => {
 
                 <TaskDetailSidebar
                     task={task}
+                    tasks={tasks}
                     assignedColleagues={assignedColleagues}
                     project={project}
                     creatorName={creatorName}
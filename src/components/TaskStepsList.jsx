@@ -1,12 +1,14 @@
 import React, { useState } from 'react';
 import { useApiData } from '../hooks/useApiData';
 import { apiClient } from '../api/client';
+import { useVersionedPatch } from '../hooks/useVersionedPatch';
 import { Plus, Trash2, Calendar, User, Check, X } from 'lucide-react';
 
 const TaskStepsList = ({ taskId, taskAssigneeId, taskDueDate }) => {
     // Fetch Steps
     const { data: steps = [], refetch } = useApiData(`/steps?taskId=${taskId}`);
     const { data: colleagues } = useApiData('/colleagues');
+    const patchVersioned = useVersionedPatch();
 
     // Local state for "Adding New Step" Input
     const [newItemTitle, setNewItemTitle] = useState('');
@@ -37,7 +39,7 @@ const TaskStepsList = ({ taskId, taskAssigneeId, taskDueDate }) => {
     const handleToggleStep = async (step) => {
         // Optimistic update could go here, but for now allow SWR to refetch
         try {
-            await apiClient.patch(`/steps/${step.id}`, { isCompleted: !step.isCompleted });
+            await patchVersioned([{ endpoint: `/steps/${step.id}`, updates: { isCompleted: !step.isCompleted }, version: step.version }]);
             refetch();
         } catch (err) {
             console.error(err);
@@ -56,7 +58,8 @@ const TaskStepsList = ({ taskId, taskAssigneeId, taskDueDate }) => {
 
     const handleUpdateTitle = async (id, newTitle) => {
         try {
-            await apiClient.patch(`/steps/${id}`, { title: newTitle });
+            const step = steps.find(s => s.id === id);
+            await patchVersioned([{ endpoint: `/steps/${id}`, updates: { title: newTitle }, version: step?.version }]);
             refetch();
         } catch (err) {
             console.error(err);
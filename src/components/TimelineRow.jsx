@@ -12,6 +12,7 @@ const TimelineRow = ({
     isToday,
     isWeekend,
     getTasksForColleague,
+    getGhostsForColleague,
     onUpdate,
     scale,
     onTaskClick,
@@ -62,6 +63,7 @@ const TimelineRow = ({
                 <div className="absolute inset-0 pointer-events-none z-[50]">
                     <TaskColumn
                         tasks={getTasksForColleague(colleague.id)}
+                        ghostTasks={getGhostsForColleague ? getGhostsForColleague(colleague.id) : []}
                         virtualStartDate={virtualStartDate}
                         scale={scale}
                         onUpdate={onUpdate}
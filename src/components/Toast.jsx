@@ -2,7 +2,7 @@ import React from 'react';
 import { motion, AnimatePresence } from 'framer-motion';
 import { CheckCircle2, AlertCircle, Info, X } from 'lucide-react';
 
-const Toast = ({ message, type = 'success', onClose, className = '' }) => {
+const Toast = ({ message, type = 'success', action = null, onClose, className = '' }) => {
     const icons = {
         success: <CheckCircle2 className="text-emerald-500" size={20} />,
         error: <AlertCircle className="text-rose-500" size={20} />,
@@ -28,6 +28,14 @@ const Toast = ({ message, type = 'success', onClose, className = '' }) => {
             <p className="flex-1 text-xs font-semibold leading-relaxed break-words">
                 {message}
             </p>
+            {action && (
+                <button
+                    onClick={() => { onClose(); action.onClick(); }}
+                    className="shrink-0 -mt-0.5 px-2 py-0.5 rounded-lg text-xs font-black uppercase tracking-wider hover:bg-black/5 transition-colors"
+                >
+                    {action.label}
+                </button>
+            )}
             <button
                 onClick={onClose}
                 className="shrink-0 -mr-1 -mt-1 p-1 rounded-lg hover:bg-black/5 transition-colors"
@@ -3,10 +3,14 @@ import { useNavigate } from 'react-router-dom';
 import { Eye } from 'lucide-react';
 import ContextMenu from './ContextMenu';
 import TimelineModals from './TimelineModals';
+import AssignmentConflictModal from './AssignmentConflictModal';
 import { useSyncedTimelineState } from '../hooks/useSyncedTimelineState';
 import { useTimelineSelection } from '../hooks/useTimelineSelection';
 import { useTimelineScroll } from '../hooks/useTimelineScroll';
+import { useTimelineDrag } from '../hooks/useTimelineDrag';
 import { getMenuOptions } from './timeline/contextMenuHelpers.jsx';
+import { useWorkflow } from '../hooks/useWorkflow';
+import { usePriorities } from '../hooks/usePriorities';
 
 // Sub-Components
 import TimelineHeader from './timeline/TimelineHeader';
@@ -20,6 +24,7 @@ const UnifiedTimelineBoard = ({
     colleagues,
     tasks,
     getTasksForColleague,
+    getGhostsForColleague,
     // days, // Deprecated: We now generate this internally for virtualization
     isToday,
     isWeekend,
@@ -29,6 +34,7 @@ const UnifiedTimelineBoard = ({
     onBulkUpdate,
     onDeleteTasks,
     onMoveDate,
+    onDropTasks, // Optional: enables drag and drop of cards
     refetchTasks,
     showSidebar = false,
     viewOffset = 0,
@@ -46,6 +52,8 @@ const UnifiedTimelineBoard = ({
     toggleShowDoneTasks
 }) => {
     const navigate = useNavigate();
+    const workflow = useWorkflow();
+    const { levels: priorityLevels } = usePriorities();
     const scrollContainerRef = React.useRef(null);
     const selectionBoxRef = React.useRef(null);
     const boardRef = React.useRef(null);
@@ -222,6 +230,42 @@ const UnifiedTimelineBoard = ({
     const [rescheduleTask, setRescheduleTask] = React.useState(null);
     const [inviteTask, setInviteTask] = React.useState(null);
     const [delegationUser, setDelegationUser] = React.useState(null);
+    const [pendingDrop, setPendingDrop] = React.useState(null); // Dropped on another colleague's row: reassign or co-assign?
+
+    // 3b. Drag and Drop
+    const commitDrop = React.useCallback((drop, mode) => {
+        setPendingDrop(null);
+        onDropTasks(drop.taskIds, {
+            days: drop.days,
+            fromUserId: drop.fromColleagueId,
+            toUserId: drop.toColleagueId !== drop.fromColleagueId ? drop.toColleagueId : undefined,
+            mode
+        });
+        setSelectedTaskIds(new Set());
+    }, [onDropTasks, setSelectedTaskIds]);
+
+    const handleDrop = React.useCallback((drop) => {
+        if (drop.toColleagueId !== drop.fromColleagueId) setPendingDrop(drop);
+        else commitDrop(drop);
+    }, [commitDrop]);
+
+    const drag = useTimelineDrag({
+        scrollContainerRef,
+        tasks,
+        selectedTaskIds,
+        virtualStartDate,
+        scale,
+        sidebarWidth,
+        onDrop: handleDrop
+    });
+
+    const handleBoardPointerDown = (e) => {
+        if (onDropTasks && drag.handlePointerDown(e)) return;
+        handlePointerDown(e);
+    };
+    const handleBoardPointerMove = (e) => { drag.handlePointerMove(e); handlePointerMove(e); };
+    const handleBoardPointerUp = (e) => { drag.handlePointerUp(e); handlePointerUp(e); };
+    const handleBoardPointerCancel = (e) => { drag.handlePointerCancel(e); handlePointerCancel(e); };
 
     // 4. Handlers
     const handleContextMenu = React.useCallback((e, type, data) => {
@@ -255,7 +299,7 @@ const UnifiedTimelineBoard = ({
         const handleKeyDown = (e) => {
             if (e.key === 'Shift') setIsShiftKey(true);
             if (e.key === 'Escape') {
-                setContextMenu(null); setShowNewTaskModal(false);
+                setContextMenu(null); setShowNewTaskModal(false); setPendingDrop(null);
                 setReassignTask(null); setRescheduleTask(null); setInviteTask(null);
                 setShowMoveDateModal(false); setShowGoToDate(false); setShowCustomScale(false); setShowFlagModal(false);
                 setExpandedTaskId(null); setSelectedTaskIds(new Set());
@@ -322,11 +366,11 @@ const UnifiedTimelineBoard = ({
                 <div
                     ref={scrollContainerRef}
                     onScroll={handleScroll} // ATTACH VIRTUAL SCROLL HANDLER
-                    onPointerDown={handlePointerDown}
-                    onPointerMove={handlePointerMove}
-                    onPointerUp={handlePointerUp}
-                    onPointerCancel={handlePointerCancel}
-                    onLostPointerCapture={handleLostPointerCapture}
+                    onPointerDown={handleBoardPointerDown}
+                    onPointerMove={handleBoardPointerMove}
+                    onPointerUp={handleBoardPointerUp}
+                    onPointerCancel={handleBoardPointerCancel}
+                    onLostPointerCapture={(e) => { drag.handlePointerCancel(e); handleLostPointerCapture(e); }}
                     onPointerLeave={handlePointerUp}
                     onContextMenu={(e) => { e.preventDefault(); e.stopPropagation(); }}
                     style={{ userSelect: 'none', WebkitUserSelect: 'none', touchAction: 'none' }}
@@ -371,6 +415,7 @@ const UnifiedTimelineBoard = ({
                                 isToday={isToday}
                                 isWeekend={isWeekend}
                                 getTasksForColleague={getTasksForColleague}
+                                getGhostsForColleague={getGhostsForColleague}
                                 onUpdateTask={onUpdateTask}
                                 onTaskClick={onTaskClick}
                                 onTaskDoubleClick={onTaskDoubleClick}
@@ -391,6 +436,30 @@ const UnifiedTimelineBoard = ({
                 </div>
             </div>
 
+            {/* Drag label: follows the pointer (positioned by useTimelineDrag) */}
+            {drag.dragState && (
+                <div
+                    ref={drag.previewRef}
+                    className="fixed top-0 left-0 z-[10001] pointer-events-none px-3 py-2 rounded-xl bg-slate-900 text-white text-xs font-bold shadow-xl whitespace-nowrap"
+                >
+                    {drag.dragState.count > 1 ? `${drag.dragState.count} tasks` : '1 task'}
+                    {' → '}
+                    {drag.dragState.date.toLocaleDateString(undefined, { weekday: 'short', month: 'short', day: 'numeric' })}
+                    {drag.dragState.days !== 0 && ` (${drag.dragState.days > 0 ? '+' : ''}${drag.dragState.days}d)`}
+                    {drag.dragState.colleagueChanged && (
+                        <span className="text-teal-300"> · {colleagues.find(c => c.id === drag.dragState.colleagueId)?.name}</span>
+                    )}
+                </div>
+            )}
+
+            <AssignmentConflictModal
+                isOpen={!!pendingDrop}
+                onClose={() => setPendingDrop(null)}
+                onReassign={() => commitDrop(pendingDrop, 'reassign')}
+                onAdd={() => commitDrop(pendingDrop, 'add')}
+                colleagueName={colleagues.find(c => c.id === pendingDrop?.toColleagueId)?.name || 'another colleague'}
+            />
+
             {contextMenu && (
                 <ContextMenu
                     x={contextMenu.x} y={contextMenu.y} onClose={() => setContextMenu(null)}
@@ -400,6 +469,8 @@ const UnifiedTimelineBoard = ({
                             data: contextMenu.data,
                             user,
                             delegationMap,
+                            workflow,
+                            priorityLevels,
                             callbacks: {
                                 closeMenu: () => setContextMenu(null),
                                 navigate,
@@ -16,7 +16,8 @@ const DashboardTimeline = ({ initialTasks, user, refetchTasks, setTasks, scale,
         handleUpdateTask,
         handleBulkUpdate,
         handleDeleteTasks,
-        handleMoveDate
+        handleMoveDate,
+        handleDropTasks
     } = useTimelineActions({
         tasks: initialTasks,
         setTasks,
@@ -60,6 +61,7 @@ const DashboardTimeline = ({ initialTasks, user, refetchTasks, setTasks, scale,
                     onBulkUpdate={handleBulkUpdate}
                     onDeleteTasks={handleDeleteTasks}
                     onMoveDate={handleMoveDate}
+                    onDropTasks={handleDropTasks}
                     refetchTasks={refetchTasks}
 
                     onDateScroll={onDateScroll} // Pass Prop
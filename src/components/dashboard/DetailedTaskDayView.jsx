@@ -1,6 +1,7 @@
 import React, { useMemo, useRef, forwardRef, useImperativeHandle } from 'react';
 import { sortTasksForDisplay } from '../../utils/taskUtils';
 import TaskCard from '../TaskCard';
+import { isTaskDone } from '../../utils/workflow';
 
 const DetailedTaskDayView = forwardRef(({
     tasks = [],
@@ -27,7 +28,7 @@ const DetailedTaskDayView = forwardRef(({
 
         const getTaskDate = (t) => {
             // Priority: CompletedAt -> DueDate -> CreatedAt (fallback)
-            if (t.status === 'done' && t.completedAt) return new Date(t.completedAt);
+            if (isTaskDone(t)) return new Date(t.completedAt);
             if (t.dueDate) return new Date(t.dueDate);
             return new Date(t.createdAt || Date.now());
         };
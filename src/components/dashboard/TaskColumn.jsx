@@ -1,23 +1,27 @@
 import React from 'react';
 import { CheckCircle2, ArrowRight } from 'lucide-react';
+import { useWorkflow } from '../../hooks/useWorkflow';
+import { STATUS_BADGE_CLASSES } from '../../utils/workflow';
+import { usePriorities } from '../../hooks/usePriorities';
+import { priorityRank } from '../../utils/priorities';
 
 const TaskCard = ({ task, assignee, isDelegated }) => {
-    const isUrgent = task.priority === '1';
+    const { getStatus } = useWorkflow();
+    const status = getStatus(task.status);
+    const { getLevel } = usePriorities();
+    const isUrgent = priorityRank(task.priority) === 1;
 
     return (
         <div className={`group relative p-5 bg-white border border-slate-200 rounded-2xl shadow-sm hover:shadow-md hover:border-teal-500/30 transition-all ${isUrgent ? 'ring-1 ring-red-500/20 bg-red-50/5' : ''}`}>
             {isUrgent && (
                 <div className="absolute -top-2 -right-2 bg-red-500 text-white text-[10px] font-black px-2 py-1 rounded-full uppercase tracking-widest shadow-sm z-10">
-                    Priority 1
+                    {getLevel(task.priority).label}
                 </div>
             )}
 
             <div className="flex justify-between items-start mb-2">
-                <span className={`px-2 py-0.5 rounded text-[10px] font-bold uppercase tracking-wider ${task.status === 'done' ? 'bg-teal-100 text-teal-700' :
-                    task.status === 'doing' ? 'bg-blue-100 text-blue-700' :
-                        'bg-slate-100 text-slate-500'
-                    }`}>
-                    {task.status?.toUpperCase().replace('_', ' ')}
+                <span className={`px-2 py-0.5 rounded text-[10px] font-bold uppercase tracking-wider ${STATUS_BADGE_CLASSES[status.color] || STATUS_BADGE_CLASSES.slate}`}>
+                    {status.label}
                 </span>
                 {task.dueDate && (
                     <span className={`text-xs font-semibold ${new Date(task.dueDate) < new Date() ? 'text-red-500' : 'text-slate-400'
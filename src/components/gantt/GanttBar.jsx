@@ -0,0 +1,40 @@
+import React from 'react';
+
+const STATUS_STYLES = {
+    done: { bar: 'bg-teal-100 border-teal-200', text: 'text-teal-700' },
+    doing: { bar: 'bg-blue-100 border-blue-200', text: 'text-blue-700' },
+    todo: { bar: 'bg-slate-100 border-slate-200', text: 'text-slate-500' }
+};
+
+/**
+ * A single task bar. Drag the body to move, drag either edge to resize.
+ * Geometry is computed by the parent; this only reports which drag mode started.
+ */
+const GanttBar = ({ task, left, width, isCritical, isDragging, onDragStart, onOpen }) => {
+    const style = STATUS_STYLES[task.status] || STATUS_STYLES.todo;
+
+    const handle = (mode) => (e) => {
+        e.stopPropagation();
+        onDragStart(e, mode);
+    };
+
+    return (
+        <div
+            onPointerDown={handle('move')}
+            onDoubleClick={onOpen}
+            className={`absolute top-1/2 -translate-y-1/2 h-6 rounded-lg border shadow-sm group/bar touch-none ${style.bar} ${isCritical ? 'ring-2 ring-red-400' : ''} ${isDragging ? 'cursor-grabbing opacity-80 z-20' : 'cursor-grab'}`}
+            style={{ left, width: Math.max(width, 6) }}
+            title={task.title}
+        >
+            <div onPointerDown={handle('resize-start')} className="absolute left-0 top-0 bottom-0 w-2 cursor-ew-resize rounded-l-lg group-hover/bar:bg-slate-900/10" />
+            <div className="w-full h-full flex items-center px-2 overflow-hidden pointer-events-none">
+                <span className={`text-[8px] font-bold uppercase truncate ${style.text}`}>
+                    {task.status}
+                </span>
+            </div>
+            <div onPointerDown={handle('resize-end')} className="absolute right-0 top-0 bottom-0 w-2 cursor-ew-resize rounded-r-lg group-hover/bar:bg-slate-900/10" />
+        </div>
+    );
+};
+
+export default GanttBar;
@@ -0,0 +1,61 @@
+import React from 'react';
+import { addDays } from '../../utils/ganttMath';
+
+const ELBOW = 8;
+
+/**
+ * SVG overlay drawing one elbow arrow per dependency.
+ * finish_to_start leaves the predecessor's right edge; start_to_start its left edge.
+ */
+const GanttDependencyArrows = ({ links, rowCenters, spans, dayX, width, height, rowHeight, criticalIds, showCritical }) => {
+    const paths = links.map(dep => {
+        const fromSpan = spans.get(dep.predecessorId);
+        const toSpan = spans.get(dep.successorId);
+        const y1 = rowCenters.get(dep.predecessorId);
+        const y2 = rowCenters.get(dep.successorId);
+        if (!fromSpan || !toSpan || y1 === undefined || y2 === undefined) return null;
+
+        const x1 = dep.type === 'start_to_start' ? dayX(fromSpan.start) : dayX(addDays(fromSpan.end, 1));
+        const x2 = dayX(toSpan.start);
+
+        let d;
+        if (dep.type === 'start_to_start') {
+            const xm = Math.min(x1, x2) - ELBOW;
+            d = `M ${x1} ${y1} H ${xm} V ${y2} H ${x2}`;
+        } else if (x2 - x1 >= ELBOW * 2) {
+            d = `M ${x1} ${y1} H ${x1 + ELBOW} V ${y2} H ${x2}`;
+        } else {
+            // Successor starts before the predecessor ends: route around between the rows
+            const yMid = y2 > y1 ? y1 + rowHeight / 2 : y1 - rowHeight / 2;
+            d = `M ${x1} ${y1} H ${x1 + ELBOW} V ${yMid} H ${x2 - ELBOW} V ${y2} H ${x2}`;
+        }
+
+        const isCritical = showCritical && criticalIds.has(dep.id);
+        return (
+            <path
+                key={dep.id}
+                d={d}
+                fill="none"
+                strokeWidth={isCritical ? 2 : 1.5}
+                className={isCritical ? 'stroke-red-400' : 'stroke-slate-400'}
+                markerEnd={`url(#${isCritical ? 'gantt-arrow-critical' : 'gantt-arrow'})`}
+            />
+        );
+    });
+
+    return (
+        <svg className="absolute top-0 left-0 pointer-events-none z-10" width={width} height={height}>
+            <defs>
+                <marker id="gantt-arrow" viewBox="0 0 6 6" refX="6" refY="3" markerWidth="6" markerHeight="6" orient="auto">
+                    <path d="M 0 0 L 6 3 L 0 6 z" className="fill-slate-400" />
+                </marker>
+                <marker id="gantt-arrow-critical" viewBox="0 0 6 6" refX="6" refY="3" markerWidth="6" markerHeight="6" orient="auto">
+                    <path d="M 0 0 L 6 3 L 0 6 z" className="fill-red-400" />
+                </marker>
+            </defs>
+            {paths}
+        </svg>
+    );
+};
+
+export default GanttDependencyArrows;
@@ -0,0 +1,150 @@
+import React, { useEffect, useMemo, useRef, useState } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { Search, CheckSquare, ListChecks, Folder, User, Loader2 } from 'lucide-react';
+import { useApiData } from '../../hooks/useApiData';
+
+const DEBOUNCE_MS = 250;
+
+// Result groups in display order; `to` is where Enter / click goes
+const GROUPS = [
+    { key: 'tasks', label: 'Tasks', icon: CheckSquare, to: (t) => `/task/${t.id}`, detail: (t) => t.status },
+    { key: 'steps', label: 'Steps', icon: ListChecks, to: (s) => `/task/${s.taskId}`, detail: (s) => `in ${s.taskTitle}` },
+    { key: 'projects', label: 'Projects', icon: Folder, to: (p) => `/project/${p.id}`, detail: (p) => p.client || p.status },
+    { key: 'people', label: 'People', icon: User, to: (u) => `/team?person=${u.id}`, detail: (u) => u.department || u.email, title: (u) => u.name }
+];
+
+/**
+ * Header search box: full-text results from GET /search, grouped by kind.
+ * Arrow keys move through all results, Enter opens the highlighted one, Escape closes.
+ */
+const GlobalSearch = () => {
+    const navigate = useNavigate();
+    const [text, setText] = useState('');
+    const [query, setQuery] = useState('');
+    const [open, setOpen] = useState(false);
+    const [activeIndex, setActiveIndex] = useState(0);
+    const containerRef = useRef(null);
+
+    // Debounce typing
+    useEffect(() => {
+        const handler = setTimeout(() => setQuery(text.trim()), DEBOUNCE_MS);
+        return () => clearTimeout(handler);
+    }, [text]);
+
+    const { data, loading } = useApiData(
+        query.length >= 2 ? `/search?q=${encodeURIComponent(query)}` : null,
+        [],
+        { keepPrevious: true }
+    );
+
+    // Flat list for keyboard navigation, with each group's slice
+    const { items, groups } = useMemo(() => {
+        const flat = [];
+        const visibleGroups = GROUPS.map(group => {
+            const start = flat.length;
+            (data?.[group.key] || []).forEach(result => flat.push({ group, result }));
+            return { group, start, end: flat.length };
+        }).filter(g => g.end > g.start);
+        return { items: flat, groups: visibleGroups };
+    }, [data]);
+
+    useEffect(() => { setActiveIndex(0); }, [items]);
+
+    // Close when clicking anywhere else
+    useEffect(() => {
+        if (!open) return;
+        const handleClick = (e) => {
+            if (containerRef.current && !containerRef.current.contains(e.target)) setOpen(false);
+        };
+        document.addEventListener('mousedown', handleClick);
+        return () => document.removeEventListener('mousedown', handleClick);
+    }, [open]);
+
+    const openResult = (item) => {
+        if (!item) return;
+        navigate(item.group.to(item.result));
+        setOpen(false);
+        setText('');
+    };
+
+    const handleKeyDown = (e) => {
+        if (e.key === 'Escape') {
+            setOpen(false);
+            e.currentTarget.blur();
+        } else if (e.key === 'ArrowDown') {
+            e.preventDefault();
+            setOpen(true);
+            setActiveIndex(i => (items.length === 0 ? 0 : (i + 1) % items.length));
+        } else if (e.key === 'ArrowUp') {
+            e.preventDefault();
+            setActiveIndex(i => (items.length === 0 ? 0 : (i - 1 + items.length) % items.length));
+        } else if (e.key === 'Enter') {
+            e.preventDefault();
+            openResult(items[activeIndex]);
+        }
+    };
+
+    const showDropdown = open && query.length >= 2;
+
+    return (
+        <div ref={containerRef} className="relative w-80">
+            <div className="flex items-center bg-slate-100 px-4 py-2 rounded-xl border border-slate-300/50 group focus-within:bg-white focus-within:ring-2 focus-within:ring-teal-500/20 transition-all">
+                <Search className="text-slate-400 group-focus-within:text-teal-600 transition-colors" size={18} />
+                <input
+                    type="text"
+                    value={text}
+                    onChange={e => { setText(e.target.value); setOpen(true); }}
+                    onFocus={() => setOpen(true)}
+                    onKeyDown={handleKeyDown}
+                    placeholder="Search projects, tasks, or directory..."
+                    className="bg-transparent border-none focus:ring-0 text-sm w-full ml-2 text-slate-600 placeholder:text-slate-400 font-medium outline-none"
+                    role="combobox"
+                    aria-expanded={showDropdown}
+                    aria-controls="global-search-results"
+                    aria-activedescendant={showDropdown && items[activeIndex] ? `global-search-${activeIndex}` : undefined}
+                />
+                {loading && query.length >= 2 && <Loader2 size={14} className="text-slate-400 animate-spin shrink-0" />}
+            </div>
+
+            {showDropdown && (
+                <div
+                    id="global-search-results"
+                    role="listbox"
+                    className="absolute left-0 right-0 top-full mt-2 bg-white rounded-2xl shadow-2xl border border-slate-200 overflow-hidden z-[200] max-h-[70vh] overflow-y-auto"
+                >
+                    {items.length === 0 ? (
+                        <p className="p-4 text-sm text-slate-400 font-medium">{loading ? 'Searching…' : 'No results'}</p>
+                    ) : groups.map(({ group, start, end }) => (
+                        <div key={group.key} className="py-1">
+                            <p className="px-4 pt-2 pb-1 text-[10px] font-black text-slate-400 uppercase tracking-[0.2em]">{group.label}</p>
+                            {items.slice(start, end).map(({ result }, offset) => {
+                                const index = start + offset;
+                                const Icon = group.icon;
+                                return (
+                                    <button
+                                        key={result.id}
+                                        id={`global-search-${index}`}
+                                        role="option"
+                                        aria-selected={index === activeIndex}
+                                        onMouseEnter={() => setActiveIndex(index)}
+                                        onMouseDown={e => e.preventDefault()} // Keep focus in the input
+                                        onClick={() => openResult(items[index])}
+                                        className={`w-full flex items-center gap-3 px-4 py-2 text-left transition-colors ${index === activeIndex ? 'bg-teal-50' : 'hover:bg-slate-50'}`}
+                                    >
+                                        <Icon size={16} className={index === activeIndex ? 'text-teal-600' : 'text-slate-400'} />
+                                        <span className="min-w-0 flex-1">
+                                            <span className="block text-sm font-bold text-slate-900 truncate">{group.title ? group.title(result) : result.title}</span>
+                                            {group.detail(result) && <span className="block text-xs text-slate-400 truncate">{group.detail(result)}</span>}
+                                        </span>
+                                    </button>
+                                );
+                            })}
+                        </div>
+                    ))}
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default GlobalSearch;
@@ -0,0 +1,139 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { Bell, CheckCheck } from 'lucide-react';
+import { apiClient } from '../../api/client';
+import { useApiData } from '../../hooks/useApiData';
+
+const STATUS_LABELS = { todo: 'To Do', doing: 'Doing', paused: 'Paused', done: 'Done' };
+const DELEGATION_SCOPE_LABELS = { requests: 'request approvals', project: 'project management', users: 'user management' };
+
+const shortDate = (value) => new Date(value).toLocaleDateString(undefined, { month: 'short', day: 'numeric' });
+
+// One line of text per notification type (data is the server's display snapshot)
+const describe = (n) => {
+    const actor = n.actorName || 'Someone';
+    const task = n.data?.taskTitle ? `"${n.data.taskTitle}"` : 'a task';
+    switch (n.type) {
+        case 'assigned': return `${actor} assigned you to ${task}`;
+        case 'unassigned': return `${actor} removed you from ${task}`;
+        case 'invited': return `${actor} invited you to ${task}`;
+        case 'mentioned': return `${actor} mentioned you on ${task}`;
+        case 'status_changed': return `${actor} moved ${task} to ${STATUS_LABELS[n.data.to] || n.data.to}`;
+        case 'request_resolved':
+            return `Your ${String(n.data.requestType || 'request').replace(/_/g, ' ').toLowerCase()} request was ${n.data.status === 'APPROVED' ? 'approved' : 'rejected'}`;
+        case 'request_comment':
+            return `${actor} commented on a ${String(n.data.requestType || 'system').replace(/_/g, ' ').toLowerCase()} request`;
+        case 'delegation_granted': {
+            const starts = n.data.startsAt && new Date(n.data.startsAt) > new Date(n.createdAt) ? ` from ${shortDate(n.data.startsAt)}` : '';
+            return n.data.scope && n.data.scope !== 'full'
+                ? `${actor} delegated ${DELEGATION_SCOPE_LABELS[n.data.scope] || n.data.scope} to you${starts} until ${shortDate(n.data.expiresAt)}`
+                : `${actor} made you ${n.data.role}${starts} until ${shortDate(n.data.expiresAt)}`;
+        }
+        case 'delegation_expiring':
+            return `Your ${n.data.scope && n.data.scope !== 'full' ? DELEGATION_SCOPE_LABELS[n.data.scope] || n.data.scope : n.data.role} access ends ${new Date(n.data.expiresAt).toLocaleString(undefined, { month: 'short', day: 'numeric', hour: 'numeric', minute: '2-digit' })}`;
+        default: return 'New notification';
+    }
+};
+
+/**
+ * Header bell: unread badge and a dropdown feed of GET /notifications.
+ * New notifications arrive over the live event stream (useLiveUpdates refetches this list).
+ */
+const NotificationBell = () => {
+    const navigate = useNavigate();
+    const [open, setOpen] = useState(false);
+    const containerRef = useRef(null);
+
+    const { data, refetch } = useApiData('/notifications');
+    const notifications = data?.notifications || [];
+    const unreadCount = data?.unreadCount || 0;
+
+    // Close when clicking anywhere else
+    useEffect(() => {
+        if (!open) return;
+        const handleClick = (e) => {
+            if (containerRef.current && !containerRef.current.contains(e.target)) setOpen(false);
+        };
+        document.addEventListener('mousedown', handleClick);
+        return () => document.removeEventListener('mousedown', handleClick);
+    }, [open]);
+
+    const handleOpen = async (n) => {
+        setOpen(false);
+        if (!n.readAt) {
+            try {
+                await apiClient.post(`/notifications/${n.id}/read`);
+                refetch();
+            } catch (err) {
+                console.error('Failed to mark notification read:', err);
+            }
+        }
+        if (n.taskId && n.type !== 'unassigned') navigate(`/task/${n.taskId}`);
+    };
+
+    const handleReadAll = async () => {
+        try {
+            await apiClient.post('/notifications/read-all');
+            refetch();
+        } catch (err) {
+            console.error('Failed to mark notifications read:', err);
+        }
+    };
+
+    return (
+        <div ref={containerRef} className="relative">
+            <button
+                onClick={() => setOpen(!open)}
+                className="relative p-2 text-slate-400 hover:text-slate-900 transition-colors"
+                title="Notifications"
+            >
+                <Bell size={20} />
+                {unreadCount > 0 && (
+                    <span className="absolute top-0.5 right-0.5 min-w-[16px] h-4 px-1 rounded-full bg-red-500 text-white text-[9px] font-black flex items-center justify-center">
+                        {unreadCount > 99 ? '99+' : unreadCount}
+                    </span>
+                )}
+            </button>
+
+            {open && (
+                <div className="absolute right-0 top-full mt-2 w-96 bg-white rounded-2xl shadow-2xl border border-slate-200 overflow-hidden z-[200]">
+                    <div className="flex items-center justify-between px-4 py-3 border-b border-slate-100 bg-slate-50/50">
+                        <h3 className="text-sm font-bold text-slate-900">Notifications</h3>
+                        {unreadCount > 0 && (
+                            <button
+                                onClick={handleReadAll}
+                                className="flex items-center gap-1 text-xs font-bold text-teal-600 hover:text-teal-700"
+                            >
+                                <CheckCheck size={14} />
+                                Mark all read
+                            </button>
+                        )}
+                    </div>
+
+                    <div className="max-h-[60vh] overflow-y-auto">
+                        {notifications.length === 0 ? (
+                            <p className="p-6 text-center text-sm text-slate-400 font-medium">You're all caught up.</p>
+                        ) : notifications.map(n => (
+                            <button
+                                key={n.id}
+                                onClick={() => handleOpen(n)}
+                                className={`w-full flex gap-3 px-4 py-3 text-left border-b border-slate-50 hover:bg-slate-50 transition-colors ${n.readAt ? '' : 'bg-teal-50/40'}`}
+                            >
+                                <span className={`mt-1.5 w-2 h-2 rounded-full shrink-0 ${n.readAt ? 'bg-transparent' : 'bg-teal-500'}`} />
+                                <span className="min-w-0 flex-1">
+                                    <span className={`block text-sm ${n.readAt ? 'text-slate-500' : 'text-slate-900 font-medium'}`}>{describe(n)}</span>
+                                    {(n.data?.adminNotes || n.data?.excerpt) && <span className="block text-xs text-slate-400 truncate">"{n.data.adminNotes || n.data.excerpt}"</span>}
+                                    <span className="block text-[11px] text-slate-400 mt-0.5">
+                                        {new Date(n.createdAt).toLocaleString(undefined, { month: 'short', day: 'numeric', hour: 'numeric', minute: '2-digit' })}
+                                    </span>
+                                </span>
+                            </button>
+                        ))}
+                    </div>
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default NotificationBell;
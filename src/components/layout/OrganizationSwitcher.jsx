@@ -0,0 +1,83 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { Building2, ChevronDown, Check } from 'lucide-react';
+import { useAuth } from '../../context/AuthContext';
+import { useToast } from '../../context/ToastContext';
+
+const ROLE_LABELS = { god: 'System God', admin: 'Admin', user: 'Member' };
+
+/**
+ * Header control for the active organization. Only shown to users with more than one;
+ * the role shown per organization is their membership role there.
+ */
+const OrganizationSwitcher = () => {
+    const { user, switchOrganization } = useAuth();
+    const { showToast } = useToast();
+    const [open, setOpen] = useState(false);
+    const [switching, setSwitching] = useState(false);
+    const containerRef = useRef(null);
+
+    // Close when clicking anywhere else
+    useEffect(() => {
+        if (!open) return;
+        const handleClick = (e) => {
+            if (containerRef.current && !containerRef.current.contains(e.target)) setOpen(false);
+        };
+        document.addEventListener('mousedown', handleClick);
+        return () => document.removeEventListener('mousedown', handleClick);
+    }, [open]);
+
+    const organizations = user?.organizations || [];
+    if (organizations.length < 2) return null;
+
+    const active = organizations.find(o => o.id === user.organizationId);
+
+    const handleSelect = async (organization) => {
+        setOpen(false);
+        if (organization.id === user.organizationId) return;
+        setSwitching(true);
+        try {
+            await switchOrganization(organization.id);
+        } catch (err) {
+            console.error('Failed to switch organization:', err);
+            showToast(err.message || 'Failed to switch organization', 'error');
+        } finally {
+            setSwitching(false);
+        }
+    };
+
+    return (
+        <div ref={containerRef} className="relative">
+            <button
+                onClick={() => setOpen(!open)}
+                disabled={switching}
+                className="flex items-center gap-2 px-3 py-2 rounded-xl text-sm font-bold text-slate-700 hover:bg-slate-100 transition-colors disabled:opacity-50"
+                title="Switch organization"
+            >
+                <Building2 size={16} className="text-slate-400" />
+                <span className="max-w-[160px] truncate">{active?.name || 'Select organization'}</span>
+                <ChevronDown size={14} className="text-slate-400" />
+            </button>
+
+            {open && (
+                <div className="absolute right-0 top-12 w-64 bg-white rounded-2xl shadow-xl border border-slate-100 p-2 z-[200]">
+                    <p className="px-3 py-2 text-xs font-bold text-slate-400 uppercase tracking-widest">Organizations</p>
+                    {organizations.map(o => (
+                        <button
+                            key={o.id}
+                            onClick={() => handleSelect(o)}
+                            className={`w-full text-left px-3 py-2 rounded-xl text-sm font-medium flex items-center justify-between ${o.id === user.organizationId ? 'bg-teal-50 text-teal-700' : 'text-slate-600 hover:bg-slate-50'}`}
+                        >
+                            <span className="min-w-0">
+                                <span className="block truncate">{o.name}</span>
+                                <span className="block text-[10px] font-bold text-slate-400 uppercase tracking-widest">{ROLE_LABELS[o.role] || o.role}</span>
+                            </span>
+                            {o.id === user.organizationId && <Check size={14} className="shrink-0" />}
+                        </button>
+                    ))}
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default OrganizationSwitcher;
@@ -0,0 +1,77 @@
+import React, { useState } from 'react';
+import { Send } from 'lucide-react';
+import { useApiData } from '../../hooks/useApiData';
+import { apiClient } from '../../api/client';
+import { useToast } from '../../context/ToastContext';
+
+/**
+ * Discussion thread under a System Request (requester and approvers).
+ * Loads GET /requests/:id only while shown; new comments refresh every open copy over the live stream.
+ */
+const RequestComments = ({ requestId }) => {
+    const { showToast } = useToast();
+    const { data: request, loading, refetch } = useApiData(`/requests/${requestId}`);
+    const [draft, setDraft] = useState('');
+    const [sending, setSending] = useState(false);
+
+    const comments = request?.comments || [];
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        if (!draft.trim()) return;
+        setSending(true);
+        try {
+            await apiClient.post(`/requests/${requestId}/comments`, { body: draft.trim() });
+            setDraft('');
+            refetch();
+        } catch (err) {
+            console.error('Failed to add comment:', err);
+            showToast(err.message || 'Failed to add comment', 'error');
+        } finally {
+            setSending(false);
+        }
+    };
+
+    return (
+        <div className="mt-4 pt-4 border-t border-slate-200 space-y-3">
+            {loading && comments.length === 0 ? (
+                <p className="text-xs text-slate-400">Loading comments...</p>
+            ) : comments.length === 0 ? (
+                <p className="text-xs text-slate-400">No comments yet.</p>
+            ) : comments.map(comment => (
+                <div key={comment.id} className="flex gap-3">
+                    <div className="w-7 h-7 rounded-lg bg-slate-900 text-white flex items-center justify-center text-[10px] font-bold shrink-0">
+                        {(comment.authorName || '?').charAt(0).toUpperCase()}
+                    </div>
+                    <div className="min-w-0">
+                        <p className="text-xs text-slate-400">
+                            <span className="font-semibold text-slate-700">{comment.authorName || 'Unknown User'}</span>
+                            {' · '}
+                            {new Date(comment.createdAt).toLocaleString(undefined, { month: 'short', day: 'numeric', hour: 'numeric', minute: '2-digit' })}
+                        </p>
+                        <p className="text-sm text-slate-700 whitespace-pre-wrap">{comment.body}</p>
+                    </div>
+                </div>
+            ))}
+
+            <form onSubmit={handleSubmit} className="flex gap-2">
+                <input
+                    value={draft}
+                    onChange={(e) => setDraft(e.target.value)}
+                    placeholder="Add a comment..."
+                    maxLength={2000}
+                    className="flex-1 px-3 py-2 bg-white border border-slate-200 rounded-xl text-sm outline-none focus:border-teal-500"
+                />
+                <button
+                    type="submit"
+                    disabled={sending || !draft.trim()}
+                    className="px-3 py-2 bg-slate-900 text-white rounded-xl text-sm font-bold hover:bg-slate-800 disabled:opacity-50"
+                >
+                    <Send size={16} />
+                </button>
+            </form>
+        </div>
+    );
+};
+
+export default RequestComments;
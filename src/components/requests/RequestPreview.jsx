@@ -0,0 +1,83 @@
+import React from 'react';
+import { ShieldAlert, Trash2, UserCog, CalendarClock, FolderPlus, UserCheck, KeyRound, ListX } from 'lucide-react';
+
+const ROLE_LABELS = { admin: 'Admin', user: 'Member' };
+
+const formatDate = (value) => (value
+    ? new Date(value).toLocaleDateString(undefined, { month: 'short', day: 'numeric', year: 'numeric' })
+    : 'no date');
+
+// Label and icon per request type (types unknown to this client fall back to a generic entry)
+export const REQUEST_TYPE_META = {
+    DELETE_USER: { label: 'Remove User', icon: Trash2 },
+    REASSIGN_TASK: { label: 'Task Reassignment', icon: UserCog },
+    CHANGE_ROLE: { label: 'Role Change', icon: KeyRound },
+    EXTEND_DUE_DATE: { label: 'Due Date Extension', icon: CalendarClock },
+    CREATE_PROJECT: { label: 'New Project', icon: FolderPlus },
+    DELETE_TASK: { label: 'Task Deletion', icon: ListX },
+    GRANT_DELEGATION: { label: 'Admin Delegation', icon: UserCheck }
+};
+
+export const getRequestMeta = (type) => REQUEST_TYPE_META[type] || { label: 'System Request', icon: ShieldAlert };
+
+const Strong = ({ children }) => <span className="font-semibold text-slate-800">{children}</span>;
+
+// One sentence per type, from the payload and the names captured at submission (request.context)
+const describe = (type, payload, context) => {
+    const task = <Strong>{context.taskTitle || 'a task'}</Strong>;
+    switch (type) {
+        case 'DELETE_USER':
+            return <>Remove <Strong>{context.targetUserName || 'a member'}</Strong> from the organization</>;
+        case 'REASSIGN_TASK':
+            return context.fromUserName
+                ? <>Hand {task} from <Strong>{context.fromUserName}</Strong> to <Strong>{(context.toUserNames || []).join(', ')}</Strong></>
+                : <>Assign {task} to <Strong>{(context.toUserNames || []).join(', ')}</Strong></>;
+        case 'CHANGE_ROLE':
+            return <>Make <Strong>{context.userName || 'a member'}</Strong> {ROLE_LABELS[payload.role] || payload.role}</>;
+        case 'EXTEND_DUE_DATE':
+            return <>Move {task} from {formatDate(context.currentDueDate)} to <Strong>{formatDate(payload.dueDate)}</Strong></>;
+        case 'CREATE_PROJECT':
+            return <>Create project <Strong>{payload.title}</Strong>{payload.client && <> for {payload.client}</>}</>;
+        case 'DELETE_TASK':
+            return <>Delete {task}</>;
+        case 'GRANT_DELEGATION':
+            return <>Give <Strong>{context.delegateName || 'a member'}</Strong> admin rights for {payload.days} day{payload.days === 1 ? '' : 's'}</>;
+        default:
+            return <span className="font-mono text-xs">{JSON.stringify(payload)}</span>;
+    }
+};
+
+/**
+ * Votes so far against the request's quorum; names on hover.
+ */
+export const ApprovalProgress = ({ request }) => {
+    const votes = request.approvals || [];
+    const approvals = votes.filter(v => v.decision === 'APPROVED');
+    const required = request.required_approvals || 1;
+    if (required === 1 && votes.length === 0) return null;
+
+    return (
+        <span
+            className="text-[10px] font-bold text-slate-500 bg-white border border-slate-200 px-2 py-0.5 rounded-full uppercase tracking-wider"
+            title={votes.map(v => `${v.approverName || 'Unknown'}: ${v.decision.toLowerCase()}`).join('\n')}
+        >
+            {approvals.length}/{required} approvals
+        </span>
+    );
+};
+
+/**
+ * What a System Request asks for, in words, plus the requester's reason when given.
+ */
+const RequestPreview = ({ request }) => {
+    const payload = request.payload || {};
+    return (
+        <div className="text-sm text-slate-500">
+            <p>{describe(request.type, payload, request.context || {})}</p>
+            {payload.description && <p className="text-xs text-slate-400 mt-0.5 line-clamp-2">{payload.description}</p>}
+            {payload.reason && <p className="text-xs text-slate-400 italic mt-0.5">"{payload.reason}"</p>}
+        </div>
+    );
+};
+
+export default RequestPreview;
@@ -0,0 +1,97 @@
+import React from 'react';
+import { Repeat } from 'lucide-react';
+import { WEEKDAY_SHORT, WEEKDAY_LONG, NTH_LABELS, defaultRuleFor, describeRule } from '../../utils/recurrence';
+
+const FREQUENCY_OPTIONS = [
+    { value: '', label: 'Does not repeat' },
+    { value: 'daily', label: 'Daily' },
+    { value: 'weekly', label: 'Weekly' },
+    { value: 'monthly', label: 'Monthly' },
+    { value: 'business_days', label: 'Business days' }
+];
+
+const UNIT_LABELS = { daily: 'day(s)', weekly: 'week(s)', monthly: 'month(s)', business_days: 'business day(s)' };
+
+/**
+ * Controlled editor for a recurrence rule. `value` is a rule object or null (does not repeat).
+ * `anchorDate` seeds sensible defaults (weekday / day of month) when switching frequency.
+ */
+const RecurrencePicker = ({ value, onChange, anchorDate }) => {
+    const rule = value;
+    const update = (patch) => onChange({ ...rule, ...patch });
+
+    const selectClass = 'bg-slate-50 rounded-xl p-3 text-sm font-bold text-slate-700 border-none focus:ring-2 focus:ring-teal-500/50 cursor-pointer';
+
+    const toggleWeekday = (day) => {
+        const current = rule.weekdays || [];
+        const next = current.includes(day) ? current.filter(d => d !== day) : [...current, day].sort();
+        if (next.length > 0) update({ weekdays: next });
+    };
+
+    const anchor = anchorDate ? new Date(anchorDate) : new Date();
+    const anchorNth = Math.min(Math.ceil(anchor.getDate() / 7), 4);
+
+    return (
+        <div className="space-y-3">
+            <div className="flex items-center gap-2">
+                <Repeat size={16} className="text-slate-400 shrink-0" />
+                <select
+                    value={rule?.freq || ''}
+                    onChange={(e) => onChange(defaultRuleFor(e.target.value, anchor))}
+                    className={`${selectClass} flex-1`}
+                >
+                    {FREQUENCY_OPTIONS.map(o => <option key={o.value} value={o.value}>{o.label}</option>)}
+                </select>
+            </div>
+
+            {rule && (
+                <>
+                    <div className="flex items-center gap-2 text-sm font-bold text-slate-500">
+                        <span>Every</span>
+                        <input
+                            type="number"
+                            min={1}
+                            max={365}
+                            value={rule.interval || 1}
+                            onChange={(e) => update({ interval: Math.max(1, parseInt(e.target.value, 10) || 1) })}
+                            className="w-16 bg-slate-50 rounded-xl p-2 text-sm font-bold text-slate-700 border-none focus:ring-2 focus:ring-teal-500/50"
+                        />
+                        <span>{UNIT_LABELS[rule.freq]}</span>
+                    </div>
+
+                    {rule.freq === 'weekly' && (
+                        <div className="flex gap-1">
+                            {WEEKDAY_SHORT.map((label, day) => (
+                                <button
+                                    key={day}
+                                    type="button"
+                                    onClick={() => toggleWeekday(day)}
+                                    className={`flex-1 py-2 rounded-lg text-xs font-bold transition-colors ${rule.weekdays?.includes(day) ? 'bg-slate-900 text-white' : 'bg-slate-50 text-slate-500 hover:bg-slate-100'}`}
+                                >
+                                    {label.charAt(0)}
+                                </button>
+                            ))}
+                        </div>
+                    )}
+
+                    {rule.freq === 'monthly' && (
+                        <select
+                            value={rule.nthWeekday ? 'nth' : 'day'}
+                            onChange={(e) => onChange(e.target.value === 'nth'
+                                ? { freq: 'monthly', interval: rule.interval, nthWeekday: { n: anchorNth, weekday: anchor.getDay() } }
+                                : { freq: 'monthly', interval: rule.interval, monthDay: anchor.getDate() })}
+                            className={`${selectClass} w-full`}
+                        >
+                            <option value="day">On day {anchor.getDate()}</option>
+                            <option value="nth">On the {NTH_LABELS[anchorNth]} {WEEKDAY_LONG[anchor.getDay()]}</option>
+                        </select>
+                    )}
+
+                    <p className="text-xs text-slate-400">{describeRule(rule)}</p>
+                </>
+            )}
+        </div>
+    );
+};
+
+export default RecurrencePicker;
@@ -2,6 +2,9 @@ import React, { useMemo, useState } from 'react';
 import { ChevronDown, X, Check } from 'lucide-react';
 import FilterChip from './FilterChip';
 import FilterCommandButton from './FilterCommandButton';
+import { useWorkflow } from '../../../hooks/useWorkflow';
+import { usePriorities } from '../../../hooks/usePriorities';
+import { PRIORITY_VALUES, normalizePriority } from '../../../utils/priorities';
 
 const FilterAndSortToolbar = ({
     tasks, colleagues, projectsData,
@@ -16,6 +19,8 @@ const FilterAndSortToolbar = ({
     showProjectControls = false,
     showSortControls = true
 }) => {
+    const { statuses, getStatus } = useWorkflow();
+    const { levels } = usePriorities();
 
     // -- 1. Derive Suggestions --
     const peopleSuggestions = useMemo(() => {
@@ -35,8 +40,8 @@ const FilterAndSortToolbar = ({
 
     const taskSuggestions = useMemo(() => {
         return {
-            'status': ['Todo', 'In Progress', 'Done', 'Blocked'],
-            'priority': ['Priority 1', 'Priority 2', 'Priority 3'],
+            'status': statuses.map(s => s.label),
+            'priority': PRIORITY_VALUES.map(value => `Priority ${value}`),
             'due date': ['Overdue', 'Today', 'Tomorrow', 'This Week', 'Next Week'],
             'created': ['Today', 'Yesterday', 'Last 7 Days'],
             'content': ['Has Steps', 'Has Deliverables', 'Has Files'],
@@ -45,7 +50,7 @@ const FilterAndSortToolbar = ({
             // User asked for "Step Name, Step Description". That's a lot of unique values.
             // Let's stick to the high level buckets for now unless requested.
         };
-    }, []);
+    }, [statuses]);
 
     const projectSuggestions = useMemo(() => {
         const clients = new Set();
@@ -155,24 +160,19 @@ const FilterAndSortToolbar = ({
                                             }
                                         }
 
-                                        // 2. Priority Shortcuts (Check existence)
-                                        if (['p1', 'priority 1'].includes(lower)) {
-                                            if (tasks.some(t => t.priority === '1')) results.push({ type: 'priority', value: 'Priority 1' });
-                                        }
-                                        if (['p2', 'priority 2'].includes(lower)) {
-                                            if (tasks.some(t => t.priority === '2')) results.push({ type: 'priority', value: 'Priority 2' });
-                                        }
-                                        if (['p3', 'priority 3'].includes(lower)) {
-                                            if (tasks.some(t => t.priority === '3')) results.push({ type: 'priority', value: 'Priority 3' });
+                                        // 2. Priority Shortcuts (Check existence): "p1", "priority 1", legacy words or a level label
+                                        const priorityMatch = normalizePriority(lower) || levels.find(l => l.label.toLowerCase() === lower)?.value;
+                                        if (priorityMatch && tasks.some(t => normalizePriority(t.priority) === priorityMatch)) {
+                                            results.push({ type: 'priority', value: `Priority ${priorityMatch}` });
                                         }
 
                                         // 3. Status Shortcuts (Check existence)
                                         if (lower.startsWith('st ') || lower.startsWith('status ')) {
                                             const val = lower.replace(/^(st|status)\s+/, '').trim();
-                                            const match = (tasks || []).find(t => t.status?.toLowerCase() === val);
+                                            // Key or label of a status some task is in; suggest its label
+                                            const match = (tasks || []).find(t => t.status?.toLowerCase() === val || getStatus(t.status).label.toLowerCase() === val);
                                             if (match) {
-                                                const displayVal = match.status; // Use actual casing
-                                                results.push({ type: 'status', value: displayVal });
+                                                results.push({ type: 'status', value: getStatus(match.status).label });
                                             }
                                         }
 
@@ -0,0 +1,157 @@
+import React from 'react';
+import { Activity, Plus, Pencil, UserPlus, UserMinus, UserCheck, Mail, CheckSquare, Trash2, Paperclip, Link2, Repeat, RotateCcw } from 'lucide-react';
+import { useApiData } from '../../hooks/useApiData';
+import { describeRule } from '../../utils/recurrence';
+
+const FIELD_LABELS = {
+    title: 'title',
+    status: 'status',
+    statusNote: 'status note',
+    priority: 'priority',
+    startDate: 'start date',
+    dueDate: 'due date',
+    description: 'description'
+};
+
+const ACTION_ICONS = {
+    created: Plus,
+    updated: Pencil,
+    assigned: UserPlus,
+    unassigned: UserMinus,
+    invited: Mail,
+    invite_accepted: UserCheck,
+    invite_declined: UserMinus,
+    invite_revoked: UserMinus,
+    step_added: CheckSquare,
+    step_updated: CheckSquare,
+    step_deleted: Trash2,
+    step_restored: RotateCcw,
+    file_added: Paperclip,
+    file_deleted: Paperclip,
+    dependency_added: Link2,
+    dependency_updated: Link2,
+    dependency_removed: Link2,
+    recurrence_set: Repeat,
+    recurrence_stopped: Repeat,
+    deleted: Trash2,
+    restored: RotateCcw
+};
+
+const formatValue = (field, value) => {
+    if (value === null || value === undefined || value === '') return 'none';
+    if (field === 'dueDate' || field === 'startDate') return new Date(value).toLocaleDateString(undefined, { month: 'short', day: 'numeric', year: 'numeric' });
+    if (field === 'description' || field === 'statusNote') return value.length > 60 ? `${value.substring(0, 60)}…` : value;
+    return String(value);
+};
+
+// "Finish → Start • +2d lag", as TaskDependencies shows it
+const formatDependency = (value) => {
+    const type = value?.type === 'start_to_start' ? 'Start → Start' : 'Finish → Start';
+    return value?.lagDays ? `${type} • ${value.lagDays > 0 ? '+' : ''}${value.lagDays}d lag` : type;
+};
+
+const describeEntry = (entry, nameOf) => {
+    switch (entry.action) {
+        case 'created':
+            return <>created this task</>;
+        case 'updated':
+            return (
+                <>
+                    changed {FIELD_LABELS[entry.field] || entry.field} from{' '}
+                    <span className="font-semibold text-slate-700">{formatValue(entry.field, entry.oldValue)}</span> to{' '}
+                    <span className="font-semibold text-slate-700">{formatValue(entry.field, entry.newValue)}</span>
+                </>
+            );
+        case 'assigned':
+            return <>assigned <span className="font-semibold text-slate-700">{nameOf(entry.newValue)}</span></>;
+        case 'unassigned':
+            return <>unassigned <span className="font-semibold text-slate-700">{nameOf(entry.oldValue)}</span></>;
+        case 'invited':
+            return <>invited <span className="font-semibold text-slate-700">{entry.newValue?.email}</span></>;
+        case 'invite_accepted':
+            return <>accepted the invitation for <span className="font-semibold text-slate-700">{entry.oldValue?.email}</span></>;
+        case 'invite_declined':
+            return <>declined the invitation for <span className="font-semibold text-slate-700">{entry.oldValue?.email}</span></>;
+        case 'invite_revoked':
+            return <>revoked the invitation for <span className="font-semibold text-slate-700">{entry.oldValue?.email}</span></>;
+        case 'step_added':
+            return <>added step <span className="font-semibold text-slate-700">{entry.newValue?.title}</span></>;
+        case 'step_updated':
+            if (entry.oldValue?.isCompleted !== entry.newValue?.isCompleted) {
+                return <>{entry.newValue?.isCompleted ? 'completed' : 'reopened'} step <span className="font-semibold text-slate-700">{entry.newValue?.title}</span></>;
+            }
+            return <>edited step <span className="font-semibold text-slate-700">{entry.newValue?.title}</span></>;
+        case 'step_deleted':
+            return <>removed step <span className="font-semibold text-slate-700">{entry.oldValue?.title}</span></>;
+        case 'step_restored':
+            return <>restored step <span className="font-semibold text-slate-700">{entry.newValue?.title}</span></>;
+        case 'file_added':
+            return <>attached <span className="font-semibold text-slate-700">{entry.newValue?.name}</span></>;
+        case 'file_deleted':
+            return <>removed attachment <span className="font-semibold text-slate-700">{entry.oldValue?.name}</span></>;
+        case 'dependency_added':
+            return <>added dependency on <span className="font-semibold text-slate-700">{entry.newValue?.title}</span></>;
+        case 'dependency_updated':
+            return (
+                <>
+                    changed dependency on <span className="font-semibold text-slate-700">{entry.newValue?.title}</span> from{' '}
+                    <span className="font-semibold text-slate-700">{formatDependency(entry.oldValue)}</span> to{' '}
+                    <span className="font-semibold text-slate-700">{formatDependency(entry.newValue)}</span>
+                </>
+            );
+        case 'dependency_removed':
+            return <>removed dependency on <span className="font-semibold text-slate-700">{entry.oldValue?.title}</span></>;
+        case 'recurrence_set':
+            return <>set this task to repeat <span className="font-semibold text-slate-700">{describeRule(entry.newValue).toLowerCase()}</span></>;
+        case 'recurrence_stopped':
+            return <>stopped this task repeating</>;
+        case 'deleted':
+            return <>deleted this task</>;
+        case 'restored':
+            return <>restored this task</>;
+        default:
+            return <>{entry.action}</>;
+    }
+};
+
+const TaskActivityLog = ({ taskId, colleagues = [] }) => {
+    const { data: activity, loading } = useApiData(`/tasks/${taskId}/activity`);
+
+    const nameOf = (userId) => colleagues.find(c => c.id === userId)?.name || 'Unknown user';
+
+    if (loading) return <div className="text-sm text-slate-400">Loading activity...</div>;
+
+    if (activity.length === 0) {
+        return (
+            <div className="max-w-2xl bg-slate-50 rounded-xl border border-slate-200 p-8 flex flex-col items-center justify-center text-center">
+                <Activity size={48} className="text-slate-300 mb-4" />
+                <h3 className="text-slate-900 font-bold mb-2">Audit Log</h3>
+                <p className="text-slate-500 text-sm">No changes recorded for this task yet.</p>
+            </div>
+        );
+    }
+
+    return (
+        <ol className="max-w-2xl relative border-l border-slate-200 ml-3 space-y-6">
+            {activity.map(entry => {
+                const Icon = ACTION_ICONS[entry.action] || Activity;
+                return (
+                    <li key={entry.id} className="ml-6">
+                        <span className="absolute -left-3 flex items-center justify-center w-6 h-6 rounded-full bg-white border border-slate-200 text-slate-500">
+                            <Icon size={12} />
+                        </span>
+                        <p className="text-sm text-slate-500">
+                            <span className="font-bold text-slate-900">{entry.actorName || 'System'}</span>{' '}
+                            {describeEntry(entry, nameOf)}
+                        </p>
+                        <time className="text-xs text-slate-400" title={new Date(entry.createdAt).toLocaleString()}>
+                            {new Date(entry.createdAt).toLocaleString(undefined, { month: 'short', day: 'numeric', hour: 'numeric', minute: '2-digit' })}
+                        </time>
+                    </li>
+                );
+            })}
+        </ol>
+    );
+};
+
+export default TaskActivityLog;
@@ -0,0 +1,254 @@
+import React, { useMemo, useRef, useState } from 'react';
+import { Send, Pencil, Trash2, MessageSquare } from 'lucide-react';
+import { useApiData } from '../../hooks/useApiData';
+import { apiClient } from '../../api/client';
+import { useAuth } from '../../context/AuthContext';
+import { useToast } from '../../context/ToastContext';
+
+const escapeRegExp = (str) => str.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Highlight "@Name" / "@First" for the users the server resolved as mentions
+const CommentBody = ({ body, mentions = [] }) => {
+    const pattern = useMemo(() => {
+        const names = mentions.flatMap(m => [m.name, m.name.split(' ')[0]]).filter(Boolean);
+        if (names.length === 0) return null;
+        const sorted = [...new Set(names)].sort((a, b) => b.length - a.length);
+        return new RegExp(`(@(?:${sorted.map(escapeRegExp).join('|')}))`, 'gi');
+    }, [mentions]);
+
+    if (!pattern) return <p className="text-sm text-slate-700 whitespace-pre-wrap">{body}</p>;
+
+    return (
+        <p className="text-sm text-slate-700 whitespace-pre-wrap">
+            {body.split(pattern).map((part, i) => (
+                i % 2 === 1
+                    ? <span key={i} className="font-semibold text-teal-700 bg-teal-50 rounded px-0.5">{part}</span>
+                    : <React.Fragment key={i}>{part}</React.Fragment>
+            ))}
+        </p>
+    );
+};
+
+const Avatar = ({ colleague, fallbackName }) => (
+    <div className="w-8 h-8 rounded-lg bg-slate-900 text-white flex items-center justify-center text-xs font-bold shrink-0">
+        {colleague?.avatar || (fallbackName || '?').charAt(0).toUpperCase()}
+    </div>
+);
+
+// Textarea with "@" autocomplete over the colleague list
+const MentionInput = ({ value, onChange, onSubmit, colleagues, placeholder, autoFocus }) => {
+    const textareaRef = useRef(null);
+    const [query, setQuery] = useState(null); // { start, text } while typing after "@"
+    const [activeIndex, setActiveIndex] = useState(0);
+
+    const suggestions = useMemo(() => {
+        if (!query) return [];
+        const q = query.text.toLowerCase();
+        return colleagues.filter(c => c.name?.toLowerCase().includes(q)).slice(0, 6);
+    }, [query, colleagues]);
+
+    const handleChange = (e) => {
+        const text = e.target.value;
+        onChange(text);
+
+        const caret = e.target.selectionStart;
+        const match = /(^|\s)@([^\s@]*)$/.exec(text.slice(0, caret));
+        setQuery(match ? { start: caret - match[2].length - 1, text: match[2] } : null);
+        setActiveIndex(0);
+    };
+
+    const insertMention = (colleague) => {
+        const caret = textareaRef.current.selectionStart;
+        const next = `${value.slice(0, query.start)}@${colleague.name} ${value.slice(caret)}`;
+        onChange(next);
+        setQuery(null);
+        textareaRef.current.focus();
+    };
+
+    const handleKeyDown = (e) => {
+        if (suggestions.length > 0) {
+            if (e.key === 'ArrowDown') { e.preventDefault(); setActiveIndex(i => (i + 1) % suggestions.length); return; }
+            if (e.key === 'ArrowUp') { e.preventDefault(); setActiveIndex(i => (i - 1 + suggestions.length) % suggestions.length); return; }
+            if (e.key === 'Enter' || e.key === 'Tab') { e.preventDefault(); insertMention(suggestions[activeIndex]); return; }
+            if (e.key === 'Escape') { setQuery(null); return; }
+        }
+        if (e.key === 'Enter' && (e.metaKey || e.ctrlKey)) {
+            e.preventDefault();
+            onSubmit();
+        }
+    };
+
+    return (
+        <div className="relative flex-1">
+            <textarea
+                ref={textareaRef}
+                autoFocus={autoFocus}
+                rows={2}
+                value={value}
+                onChange={handleChange}
+                onKeyDown={handleKeyDown}
+                onBlur={() => setTimeout(() => setQuery(null), 150)}
+                placeholder={placeholder}
+                className="w-full bg-white border border-slate-300 rounded-lg px-3 py-2 text-sm focus:ring-2 focus:ring-teal-500 focus:border-transparent outline-none shadow-sm resize-none"
+            />
+            {suggestions.length > 0 && (
+                <div className="absolute left-0 bottom-full mb-1 w-64 bg-white rounded-xl shadow-xl border border-slate-100 p-1 z-50">
+                    {suggestions.map((c, i) => (
+                        <button
+                            key={c.id}
+                            type="button"
+                            onMouseDown={(e) => { e.preventDefault(); insertMention(c); }}
+                            className={`w-full flex items-center gap-2 px-2 py-1.5 rounded-lg text-left text-sm ${i === activeIndex ? 'bg-teal-50 text-teal-700' : 'text-slate-600 hover:bg-slate-50'}`}
+                        >
+                            <div className="w-5 h-5 rounded bg-slate-900 text-white flex items-center justify-center text-[9px] font-bold">{c.avatar}</div>
+                            <span className="truncate">{c.name}</span>
+                        </button>
+                    ))}
+                </div>
+            )}
+        </div>
+    );
+};
+
+const CommentRow = ({ comment, colleague, canEdit, canDelete, colleagues, onSave, onDelete }) => {
+    const [isEditing, setIsEditing] = useState(false);
+    const [draft, setDraft] = useState(comment.body);
+
+    const submitEdit = async () => {
+        if (draft.trim() && draft !== comment.body) await onSave(draft);
+        setIsEditing(false);
+    };
+
+    return (
+        <li className="flex gap-3 group">
+            <Avatar colleague={colleague} fallbackName={comment.authorName} />
+            <div className="flex-1 min-w-0">
+                <div className="flex items-center gap-2 mb-1">
+                    <span className="text-sm font-bold text-slate-900">{colleague?.name || comment.authorName || 'Unknown'}</span>
+                    <time className="text-xs text-slate-400">
+                        {new Date(comment.createdAt).toLocaleString(undefined, { month: 'short', day: 'numeric', hour: 'numeric', minute: '2-digit' })}
+                    </time>
+                    {comment.editedAt && <span className="text-xs text-slate-400 italic">(edited)</span>}
+                    <div className="ml-auto flex items-center gap-1 opacity-0 group-hover:opacity-100 transition-opacity">
+                        {canEdit && !isEditing && (
+                            <button onClick={() => setIsEditing(true)} className="p-1 rounded hover:bg-slate-100 text-slate-400 hover:text-slate-700" title="Edit Comment">
+                                <Pencil size={12} />
+                            </button>
+                        )}
+                        {canDelete && (
+                            <button onClick={onDelete} className="p-1 rounded hover:bg-red-50 text-slate-300 hover:text-red-500" title="Delete Comment">
+                                <Trash2 size={12} />
+                            </button>
+                        )}
+                    </div>
+                </div>
+                {isEditing ? (
+                    <div className="flex items-start gap-2">
+                        <MentionInput value={draft} onChange={setDraft} onSubmit={submitEdit} colleagues={colleagues} autoFocus />
+                        <button onClick={submitEdit} className="px-3 py-2 bg-teal-600 text-white rounded-lg text-xs font-bold hover:bg-teal-700">Save</button>
+                        <button onClick={() => { setDraft(comment.body); setIsEditing(false); }} className="px-3 py-2 text-slate-500 rounded-lg text-xs font-bold hover:bg-slate-100">Cancel</button>
+                    </div>
+                ) : (
+                    <CommentBody body={comment.body} mentions={comment.mentions} />
+                )}
+            </div>
+        </li>
+    );
+};
+
+const TaskComments = ({ task, colleagues = [] }) => {
+    const { user } = useAuth();
+    const { showToast } = useToast();
+    const { data: comments, refetch } = useApiData(`/tasks/${task.id}/comments`);
+    const [draft, setDraft] = useState('');
+    const [isPosting, setIsPosting] = useState(false);
+
+    const currentUserId = user?.id || user?.uid;
+    const canModerate = task.isOwner || user?.role === 'god';
+
+    const handlePost = async () => {
+        if (!draft.trim() || isPosting) return;
+        setIsPosting(true);
+        try {
+            await apiClient.post(`/tasks/${task.id}/comments`, { body: draft });
+            setDraft('');
+            refetch();
+        } catch (err) {
+            console.error('Failed to post comment:', err);
+            showToast(`Failed to post comment: ${err.message}`, 'error');
+        } finally {
+            setIsPosting(false);
+        }
+    };
+
+    const handleSave = async (commentId, body) => {
+        try {
+            await apiClient.patch(`/tasks/${task.id}/comments/${commentId}`, { body });
+            refetch();
+        } catch (err) {
+            console.error('Failed to edit comment:', err);
+            showToast(`Failed to edit comment: ${err.message}`, 'error');
+        }
+    };
+
+    const handleDelete = async (commentId) => {
+        if (!confirm('Delete this comment?')) return;
+        try {
+            await apiClient.delete(`/tasks/${task.id}/comments/${commentId}`);
+            refetch();
+        } catch (err) {
+            console.error('Failed to delete comment:', err);
+            showToast(`Failed to delete comment: ${err.message}`, 'error');
+        }
+    };
+
+    return (
+        <section>
+            <h3 className="text-sm font-bold text-slate-900 uppercase tracking-wider mb-3 flex items-center gap-2">
+                <MessageSquare size={14} />
+                Discussion
+                <span className="text-slate-400 font-medium normal-case tracking-normal">({comments.length})</span>
+            </h3>
+
+            {comments.length === 0 ? (
+                <p className="text-sm italic text-slate-400 mb-4">No comments yet. Use @name to loop someone in.</p>
+            ) : (
+                <ul className="space-y-4 mb-6">
+                    {comments.map(comment => (
+                        <CommentRow
+                            key={comment.id}
+                            comment={comment}
+                            colleague={colleagues.find(c => c.id === comment.authorId)}
+                            colleagues={colleagues}
+                            canEdit={comment.authorId === currentUserId}
+                            canDelete={comment.authorId === currentUserId || canModerate}
+                            onSave={(body) => handleSave(comment.id, body)}
+                            onDelete={() => handleDelete(comment.id)}
+                        />
+                    ))}
+                </ul>
+            )}
+
+            <div className="flex items-start gap-3">
+                <Avatar colleague={colleagues.find(c => c.id === currentUserId)} fallbackName={user?.displayName} />
+                <MentionInput
+                    value={draft}
+                    onChange={setDraft}
+                    onSubmit={handlePost}
+                    colleagues={colleagues}
+                    placeholder="Add a comment... (@ to mention, Ctrl+Enter to send)"
+                />
+                <button
+                    onClick={handlePost}
+                    disabled={!draft.trim() || isPosting}
+                    className="p-2.5 bg-teal-600 text-white rounded-lg hover:bg-teal-700 transition-colors shadow-sm disabled:opacity-40"
+                    title="Post Comment"
+                >
+                    <Send size={16} />
+                </button>
+            </div>
+        </section>
+    );
+};
+
+export default TaskComments;
@@ -0,0 +1,111 @@
+import React, { useState } from 'react';
+import { useQueryClient } from '@tanstack/react-query';
+import { Link2, X } from 'lucide-react';
+import { useApiData } from '../../hooks/useApiData';
+import { apiClient } from '../../api/client';
+import { useToast } from '../../context/ToastContext';
+import { isTaskListQuery } from '../../utils/taskQuery';
+
+const TYPE_LABELS = {
+    finish_to_start: 'Finish → Start',
+    start_to_start: 'Start → Start'
+};
+
+const TaskDependencies = ({ task, tasks = [] }) => {
+    const { showToast } = useToast();
+    const queryClient = useQueryClient();
+    const { data, refetch } = useApiData(`/tasks/${task.id}/dependencies`);
+    const [form, setForm] = useState({ predecessorId: '', type: 'finish_to_start', lagDays: 0 });
+
+    const predecessors = data.predecessors || [];
+    const successors = data.successors || [];
+    const linkedIds = new Set([task.id, ...predecessors.map(d => d.predecessorId)]);
+    const candidates = tasks.filter(t => !linkedIds.has(t.id));
+
+    // The Gantt chart reads dependencies from the task list
+    const refreshAll = () => {
+        refetch();
+        queryClient.invalidateQueries({ predicate: isTaskListQuery });
+    };
+
+    const addDependency = async () => {
+        if (!form.predecessorId) return;
+        try {
+            await apiClient.post(`/tasks/${task.id}/dependencies`, { ...form, lagDays: Number(form.lagDays) || 0 });
+            setForm({ predecessorId: '', type: 'finish_to_start', lagDays: 0 });
+            refreshAll();
+        } catch (err) {
+            console.error('Add dependency failed:', err);
+            showToast(`Failed to add dependency: ${err.message}`, 'error');
+        }
+    };
+
+    const removeDependency = async (dep) => {
+        try {
+            await apiClient.delete(`/tasks/${task.id}/dependencies/${dep.id}`);
+            refreshAll();
+        } catch (err) {
+            console.error('Remove dependency failed:', err);
+            showToast(`Failed to remove dependency: ${err.message}`, 'error');
+        }
+    };
+
+    const selectClass = 'w-full px-2 py-1.5 bg-white border border-slate-200 rounded-lg text-xs text-slate-700 focus:outline-none focus:ring-2 focus:ring-teal-500/20';
+
+    return (
+        <section>
+            <h3 className="text-xs font-bold text-slate-500 uppercase tracking-wider mb-3">Depends On</h3>
+            <div className="space-y-2">
+                {predecessors.map(dep => (
+                    <div key={dep.id} className="flex items-center gap-2 p-2 bg-white border border-slate-200 rounded-lg shadow-sm group">
+                        <Link2 size={14} className="text-slate-400 shrink-0" />
+                        <div className="flex-1 min-w-0">
+                            <p className="text-sm font-medium text-slate-700 truncate">{dep.title}</p>
+                            <p className="text-[10px] text-slate-400">
+                                {TYPE_LABELS[dep.type]}{dep.lagDays ? ` • ${dep.lagDays > 0 ? '+' : ''}${dep.lagDays}d lag` : ''}
+                            </p>
+                        </div>
+                        <button onClick={() => removeDependency(dep)} className="p-1 text-slate-300 hover:text-red-500 opacity-0 group-hover:opacity-100" title="Remove Dependency">
+                            <X size={12} />
+                        </button>
+                    </div>
+                ))}
+                {predecessors.length === 0 && <div className="text-sm text-slate-400 italic">No dependencies</div>}
+
+                {candidates.length > 0 && (
+                    <div className="space-y-2 pt-1">
+                        <select value={form.predecessorId} onChange={(e) => setForm(prev => ({ ...prev, predecessorId: e.target.value }))} className={selectClass}>
+                            <option value="">Add a predecessor...</option>
+                            {candidates.map(t => <option key={t.id} value={t.id}>{t.title}</option>)}
+                        </select>
+                        {form.predecessorId && (
+                            <div className="flex gap-2">
+                                <select value={form.type} onChange={(e) => setForm(prev => ({ ...prev, type: e.target.value }))} className={selectClass}>
+                                    {Object.entries(TYPE_LABELS).map(([value, label]) => <option key={value} value={value}>{label}</option>)}
+                                </select>
+                                <input
+                                    type="number"
+                                    value={form.lagDays}
+                                    onChange={(e) => setForm(prev => ({ ...prev, lagDays: e.target.value }))}
+                                    className={`${selectClass} w-16`}
+                                    title="Lag (days)"
+                                />
+                                <button onClick={addDependency} className="px-3 bg-slate-900 text-white rounded-lg text-xs font-bold hover:bg-slate-800">
+                                    Add
+                                </button>
+                            </div>
+                        )}
+                    </div>
+                )}
+            </div>
+
+            {successors.length > 0 && (
+                <p className="text-[10px] text-slate-400 mt-3">
+                    Blocks: {successors.map(d => d.title).join(', ')}
+                </p>
+            )}
+        </section>
+    );
+};
+
+export default TaskDependencies;
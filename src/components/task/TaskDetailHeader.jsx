@@ -1,7 +1,12 @@
 import React from 'react';
 import { ChevronLeft, Clock } from 'lucide-react';
+import { useWorkflow } from '../../hooks/useWorkflow';
+import { STATUS_BADGE_CLASSES } from '../../utils/workflow';
 
 const TaskDetailHeader = ({ task, onBack }) => {
+    const { getStatus } = useWorkflow();
+    const status = getStatus(task.status);
+
     return (
         <div className="h-16 bg-white border-b border-slate-200 flex items-center px-6 gap-4 shrink-0 shadow-sm z-10">
             <button
@@ -24,11 +29,11 @@ const TaskDetailHeader = ({ task, onBack }) => {
                 <h1 className="text-lg font-bold text-slate-900 truncate">{task.title}</h1>
             </div>
             <div className="flex items-center gap-3">
-                <span className={`px-3 py-1 rounded-full text-xs font-bold uppercase tracking-wide border ${task.status === 'done' ? 'bg-emerald-50 text-emerald-700 border-emerald-200' :
-                    task.status === 'doing' ? 'bg-blue-50 text-blue-700 border-blue-200' :
-                        'bg-slate-100 text-slate-600 border-slate-200'
-                    }`}>
-                    {task.status?.toUpperCase() || 'TODO'}
+                <span
+                    className={`px-3 py-1 rounded-full text-xs font-bold uppercase tracking-wide border ${STATUS_BADGE_CLASSES[status.color] || STATUS_BADGE_CLASSES.slate}`}
+                    title={task.statusNote || undefined}
+                >
+                    {status.label}
                 </span>
             </div>
         </div>
@@ -1,7 +1,12 @@
 import React from 'react';
 import { Plus, Calendar } from 'lucide-react';
+import TaskDependencies from './TaskDependencies';
+import TaskRecurrence from './TaskRecurrence';
+import { usePriorities } from '../../hooks/usePriorities';
+
+const TaskDetailSidebar = ({ task, tasks, assignedColleagues, project, creatorName }) => {
+    const { getLevel, classesFor } = usePriorities();
 
-const TaskDetailSidebar = ({ task, assignedColleagues, project, creatorName }) => {
     return (
         <div className="w-80 border-l border-slate-200 bg-slate-50 overflow-y-auto p-6 space-y-8 shrink-0">
             {/* Assignees */}
@@ -30,6 +35,15 @@ const TaskDetailSidebar = ({ task, assignedColleagues, project, creatorName }) =
             <section>
                 <h3 className="text-xs font-bold text-slate-500 uppercase tracking-wider mb-3">Dates</h3>
                 <div className="space-y-3">
+                    <div className="flex items-center gap-3 text-sm">
+                        <Calendar size={16} className="text-slate-400" />
+                        <div>
+                            <p className="text-slate-500 text-xs">Start Date</p>
+                            <p className="font-medium text-slate-700">
+                                {task.startDate ? new Date(task.startDate).toLocaleDateString() : 'No date'}
+                            </p>
+                        </div>
+                    </div>
                     <div className="flex items-center gap-3 text-sm">
                         <Calendar size={16} className="text-slate-400" />
                         <div>
@@ -42,21 +56,16 @@ const TaskDetailSidebar = ({ task, assignedColleagues, project, creatorName }) =
                 </div>
             </section>
 
+            <TaskRecurrence task={task} />
+
+            <TaskDependencies task={task} tasks={tasks} />
+
             {/* Priority */}
             <section>
                 <h3 className="text-xs font-bold text-slate-500 uppercase tracking-wider mb-3">Priority</h3>
-                <div className={`inline-flex items-center gap-2 px-3 py-1.5 rounded-lg border text-xs font-bold uppercase tracking-wide
-                    ${task.priority === '1' ? 'bg-red-50 text-red-700 border-red-200' :
-                        task.priority === '2' ? 'bg-amber-50 text-amber-700 border-amber-200' :
-                            task.priority === '3' ? 'bg-amber-50 text-amber-900 border-amber-100' :
-                                'bg-green-50 text-green-700 border-green-200'}`}
-                >
-                    <div className={`w-2 h-2 rounded-full ${task.priority === '1' ? 'bg-red-500' :
-                        task.priority === '2' ? 'bg-amber-500' :
-                            task.priority === '3' ? 'bg-amber-600' :
-                                'bg-green-500'}`}
-                    />
-                    {task.priority === '1' ? 'Urgent' : task.priority === '2' ? 'ASAP' : task.priority === '3' ? 'Soon' : 'Later'}
+                <div className={`inline-flex items-center gap-2 px-3 py-1.5 rounded-lg border text-xs font-bold uppercase tracking-wide ${classesFor(task.priority).badge}`}>
+                    <div className={`w-2 h-2 rounded-full ${classesFor(task.priority).dot}`} />
+                    {getLevel(task.priority)?.label || 'None'}
                 </div>
             </section>
 
@@ -0,0 +1,195 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { useQueryClient } from '@tanstack/react-query';
+import { Paperclip, FileText, Image as ImageIcon, File, Download, Trash2, X, Loader2 } from 'lucide-react';
+import { useApiData } from '../../hooks/useApiData';
+import { apiClient } from '../../api/client';
+import { useAuth } from '../../context/AuthContext';
+import { useToast } from '../../context/ToastContext';
+import { isTaskListQuery } from '../../utils/taskQuery';
+
+const isPreviewable = (mimeType) => mimeType?.startsWith('image/') || mimeType === 'application/pdf';
+
+const formatSize = (bytes) => {
+    if (bytes < 1024) return `${bytes} B`;
+    if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+    return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+};
+
+const FileIcon = ({ mimeType }) => {
+    if (mimeType?.startsWith('image/')) return <ImageIcon size={18} className="text-teal-600" />;
+    if (mimeType === 'application/pdf') return <FileText size={18} className="text-red-500" />;
+    return <File size={18} className="text-slate-400" />;
+};
+
+// Inline image / PDF preview. Fetches through apiClient so auth headers are sent.
+const FilePreview = ({ taskId, file, onClose }) => {
+    const [url, setUrl] = useState(null);
+    const [error, setError] = useState(null);
+
+    useEffect(() => {
+        let objectUrl;
+        apiClient.getBlob(`/tasks/${taskId}/files/${file.id}/download?inline=1`)
+            .then(blob => {
+                objectUrl = URL.createObjectURL(blob);
+                setUrl(objectUrl);
+            })
+            .catch(err => setError(err.message));
+
+        return () => { if (objectUrl) URL.revokeObjectURL(objectUrl); };
+    }, [taskId, file.id]);
+
+    return (
+        <div className="border border-slate-200 rounded-xl overflow-hidden bg-white shadow-sm">
+            <div className="flex items-center justify-between px-4 py-2 bg-slate-50 border-b border-slate-200">
+                <span className="text-sm font-medium text-slate-700 truncate">{file.name}</span>
+                <button onClick={onClose} className="p-1 rounded hover:bg-slate-200 text-slate-400 hover:text-slate-700" title="Close Preview">
+                    <X size={14} />
+                </button>
+            </div>
+            <div className="bg-slate-100 flex items-center justify-center min-h-[300px]">
+                {error && <p className="text-sm text-red-400">{error}</p>}
+                {!error && !url && <Loader2 size={24} className="text-slate-400 animate-spin" />}
+                {url && file.mimeType === 'application/pdf' && (
+                    <iframe src={url} title={file.name} className="w-full h-[600px] bg-white" />
+                )}
+                {url && file.mimeType.startsWith('image/') && (
+                    <img src={url} alt={file.name} className="max-w-full max-h-[600px] object-contain" />
+                )}
+            </div>
+        </div>
+    );
+};
+
+const TaskFiles = ({ task }) => {
+    const { user } = useAuth();
+    const { showToast } = useToast();
+    const queryClient = useQueryClient();
+    const { data: files, refetch } = useApiData(`/tasks/${task.id}/files`);
+
+    const inputRef = useRef(null);
+    const [isDragging, setIsDragging] = useState(false);
+    const [isUploading, setIsUploading] = useState(false);
+    const [previewFile, setPreviewFile] = useState(null);
+
+    const currentUserId = user?.id || user?.uid;
+    const canModerate = task.isOwner || user?.role === 'god';
+
+    // Task lists carry a lightweight `files` array (used by the "Has Files" filter)
+    const refreshAll = () => {
+        refetch();
+        queryClient.invalidateQueries({ predicate: isTaskListQuery });
+    };
+
+    const uploadFiles = async (fileList) => {
+        const selected = Array.from(fileList || []);
+        if (selected.length === 0) return;
+
+        const formData = new FormData();
+        selected.forEach(f => formData.append('files', f));
+
+        setIsUploading(true);
+        try {
+            await apiClient.upload(`/tasks/${task.id}/files`, formData);
+            showToast(`Uploaded ${selected.length > 1 ? `${selected.length} files` : selected[0].name}`, 'success');
+            refreshAll();
+        } catch (err) {
+            console.error('Upload failed:', err);
+            showToast(`Upload failed: ${err.message}`, 'error');
+        } finally {
+            setIsUploading(false);
+            if (inputRef.current) inputRef.current.value = '';
+        }
+    };
+
+    const handleDownload = async (file) => {
+        try {
+            const blob = await apiClient.getBlob(`/tasks/${task.id}/files/${file.id}/download`);
+            const url = URL.createObjectURL(blob);
+            const a = document.createElement('a');
+            a.href = url;
+            a.download = file.name;
+            a.click();
+            URL.revokeObjectURL(url);
+        } catch (err) {
+            console.error('Download failed:', err);
+            showToast(`Download failed: ${err.message}`, 'error');
+        }
+    };
+
+    const handleDelete = async (file) => {
+        if (!confirm(`Delete ${file.name}?`)) return;
+        try {
+            await apiClient.delete(`/tasks/${task.id}/files/${file.id}`);
+            if (previewFile?.id === file.id) setPreviewFile(null);
+            refreshAll();
+        } catch (err) {
+            console.error('Delete failed:', err);
+            showToast(`Failed to delete file: ${err.message}`, 'error');
+        }
+    };
+
+    const handleDrop = (e) => {
+        e.preventDefault();
+        setIsDragging(false);
+        uploadFiles(e.dataTransfer.files);
+    };
+
+    return (
+        <div className="max-w-3xl space-y-6">
+            <div
+                onClick={() => !isUploading && inputRef.current?.click()}
+                onDragOver={(e) => { e.preventDefault(); setIsDragging(true); }}
+                onDragLeave={() => setIsDragging(false)}
+                onDrop={handleDrop}
+                className={`rounded-xl border border-dashed p-12 flex flex-col items-center justify-center text-center transition-colors cursor-pointer ${isDragging
+                    ? 'bg-teal-50 border-teal-400'
+                    : 'bg-slate-50 border-slate-300 hover:bg-slate-100/50'
+                    }`}
+            >
+                <input ref={inputRef} type="file" multiple className="hidden" onChange={(e) => uploadFiles(e.target.files)} />
+                <div className="w-12 h-12 bg-white rounded-full flex items-center justify-center shadow-sm mb-4">
+                    {isUploading
+                        ? <Loader2 size={24} className="text-teal-600 animate-spin" />
+                        : <Paperclip size={24} className="text-teal-600" />}
+                </div>
+                <h3 className="text-slate-900 font-bold mb-1">{isUploading ? 'Uploading...' : 'Drag files here'}</h3>
+                <p className="text-slate-500 text-xs">or click to browse</p>
+            </div>
+
+            {files.length > 0 && (
+                <ul className="border border-slate-200 rounded-xl bg-white shadow-sm divide-y divide-slate-100 overflow-hidden">
+                    {files.map(file => (
+                        <li key={file.id} className="px-4 py-3 flex items-center gap-3 group hover:bg-slate-50">
+                            <FileIcon mimeType={file.mimeType} />
+                            <div className="flex-1 min-w-0">
+                                <button
+                                    onClick={() => isPreviewable(file.mimeType) ? setPreviewFile(file) : handleDownload(file)}
+                                    className="text-sm font-medium text-slate-700 hover:text-teal-700 truncate block max-w-full text-left"
+                                >
+                                    {file.name}
+                                </button>
+                                <p className="text-xs text-slate-400">
+                                    {formatSize(file.size)} • {file.uploaderName || 'Unknown'} • {new Date(file.createdAt).toLocaleDateString()}
+                                </p>
+                            </div>
+                            <div className="flex items-center gap-1 opacity-50 group-hover:opacity-100 transition-opacity">
+                                <button onClick={() => handleDownload(file)} className="p-1.5 rounded hover:bg-slate-200 text-slate-500" title="Download">
+                                    <Download size={14} />
+                                </button>
+                                {(file.uploadedBy === currentUserId || canModerate) && (
+                                    <button onClick={() => handleDelete(file)} className="p-1.5 hover:bg-red-50 text-slate-300 hover:text-red-500 rounded transition-colors" title="Delete File">
+                                        <Trash2 size={14} />
+                                    </button>
+                                )}
+                            </div>
+                        </li>
+                    ))}
+                </ul>
+            )}
+
+            {previewFile && <FilePreview taskId={task.id} file={previewFile} onClose={() => setPreviewFile(null)} />}
+        </div>
+    );
+};
+
+export default TaskFiles;
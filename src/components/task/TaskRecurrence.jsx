@@ -0,0 +1,89 @@
+import React, { useState } from 'react';
+import { useQueryClient } from '@tanstack/react-query';
+import { Repeat } from 'lucide-react';
+import { useApiData } from '../../hooks/useApiData';
+import { apiClient } from '../../api/client';
+import { useToast } from '../../context/ToastContext';
+import RecurrencePicker from '../shared/RecurrencePicker';
+import { describeRule } from '../../utils/recurrence';
+import { isTaskListQuery } from '../../utils/taskQuery';
+
+const TaskRecurrence = ({ task }) => {
+    const { showToast } = useToast();
+    const queryClient = useQueryClient();
+    const { data: series, refetch } = useApiData(task.recurrenceId ? `/tasks/${task.id}/recurrence` : null);
+
+    const [isEditing, setIsEditing] = useState(false);
+    const [draft, setDraft] = useState(null);
+    const [saving, setSaving] = useState(false);
+
+    const refreshAll = () => {
+        refetch();
+        queryClient.invalidateQueries({ predicate: isTaskListQuery });
+        queryClient.invalidateQueries({ queryKey: ['/recurrences/upcoming'] });
+    };
+
+    const startEditing = () => {
+        setDraft(series?.rule || null);
+        setIsEditing(true);
+    };
+
+    const save = async () => {
+        setSaving(true);
+        try {
+            if (draft) {
+                await apiClient.put(`/tasks/${task.id}/recurrence`, { rule: draft });
+                showToast(task.recurrenceId ? 'Schedule updated for this and future occurrences' : 'Task now repeats', 'success');
+            } else if (task.recurrenceId) {
+                await apiClient.delete(`/tasks/${task.id}/recurrence`);
+                showToast('Stopped repeating after this occurrence', 'success');
+            }
+            setIsEditing(false);
+            refreshAll();
+        } catch (err) {
+            console.error('Save recurrence failed:', err);
+            showToast(`Failed to update repeat: ${err.message}`, 'error');
+        } finally {
+            setSaving(false);
+        }
+    };
+
+    return (
+        <section>
+            <div className="flex items-center justify-between mb-3">
+                <h3 className="text-xs font-bold text-slate-500 uppercase tracking-wider">Repeat</h3>
+                {!isEditing && (
+                    <button onClick={startEditing} className="text-xs font-bold text-teal-700 hover:text-teal-900">
+                        {task.recurrenceId ? 'Edit' : 'Set'}
+                    </button>
+                )}
+            </div>
+
+            {isEditing ? (
+                <div className="space-y-3">
+                    <RecurrencePicker value={draft} onChange={setDraft} anchorDate={task.dueDate} />
+                    {task.recurrenceId && (
+                        <p className="text-[10px] text-slate-400">Applies to this and all future occurrences. Completed ones are kept.</p>
+                    )}
+                    <div className="flex gap-2">
+                        <button onClick={() => setIsEditing(false)} className="flex-1 py-2 bg-white border border-slate-200 rounded-lg text-xs font-bold text-slate-600 hover:bg-slate-50">
+                            Cancel
+                        </button>
+                        <button onClick={save} disabled={saving} className="flex-1 py-2 bg-slate-900 text-white rounded-lg text-xs font-bold hover:bg-slate-800 disabled:opacity-50">
+                            {saving ? 'Saving...' : 'Save'}
+                        </button>
+                    </div>
+                </div>
+            ) : (
+                <div className="flex items-center gap-3 text-sm">
+                    <Repeat size={16} className="text-slate-400" />
+                    <span className={task.recurrenceId ? 'font-medium text-slate-700' : 'text-slate-400 italic'}>
+                        {task.recurrenceId ? describeRule(series?.rule) : 'Does not repeat'}
+                    </span>
+                </div>
+            )}
+        </section>
+    );
+};
+
+export default TaskRecurrence;
@@ -0,0 +1,21 @@
+import React from 'react';
+import { Repeat } from 'lucide-react';
+
+/**
+ * Placeholder capsule for a projected occurrence of a repeating task.
+ * It is not a real task yet (the server generates it inside the series horizon), so it is read-only.
+ */
+const GhostTaskCard = ({ occurrence }) => {
+    const date = new Date(occurrence.dueDate).toLocaleDateString(undefined, { weekday: 'short', month: 'short', day: 'numeric' });
+
+    return (
+        <div
+            title={`${occurrence.title} (repeats ${date})`}
+            className="absolute inset-0 pointer-events-auto rounded-[11.5px] border border-dashed border-slate-400 bg-white/60 flex flex-col items-center justify-start pt-2 opacity-70 hover:opacity-100 transition-opacity cursor-default"
+        >
+            <Repeat size={12} className="text-slate-400" />
+        </div>
+    );
+};
+
+export default React.memo(GhostTaskCard);
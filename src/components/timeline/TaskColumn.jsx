@@ -1,10 +1,13 @@
 import React, { useMemo } from 'react';
 import { getPixelOffsetFromStart, getDayWidth } from '../../utils/timelineMath';
 import TaskCard from '../TaskCard';
+import GhostTaskCard from './GhostTaskCard';
 import { sortTasksForDisplay } from '../../utils/taskUtils';
+import { isTaskDone } from '../../utils/workflow';
 
 const TaskColumn = ({
     tasks,
+    ghostTasks = [],
     virtualStartDate,
     scale,
     onUpdate,
@@ -20,7 +23,7 @@ const TaskColumn = ({
         if (!tasks) return map;
 
         tasks.forEach(task => {
-            const dateStr = task.status === 'done' && task.completedAt
+            const dateStr = isTaskDone(task)
                 ? new Date(task.completedAt).toDateString()
                 : task.dueDate ? new Date(task.dueDate).toDateString() : null;
 
@@ -32,22 +35,40 @@ const TaskColumn = ({
         return map;
     }, [tasks]);
 
-    if (!tasks || tasks.length === 0) return null;
+    // Ghost occurrences (not yet generated) sit after the real capsules of their day
+    const ghostsByDate = useMemo(() => {
+        const map = new Map();
+        ghostTasks.forEach(ghost => {
+            const dateStr = new Date(ghost.dueDate).toDateString();
+            if (!map.has(dateStr)) map.set(dateStr, []);
+            map.get(dateStr).push(ghost);
+        });
+        return map;
+    }, [ghostTasks]);
+
+    const dates = useMemo(
+        () => Array.from(new Set([...tasksByDate.keys(), ...ghostsByDate.keys()])),
+        [tasksByDate, ghostsByDate]
+    );
+
+    if (dates.length === 0) return null;
 
     return (
         <div className="relative w-full h-full pointer-events-none">
-            {Array.from(tasksByDate.entries()).map(([dateStr, dayTasks]) => {
+            {dates.map(dateStr => {
+                const dayTasks = tasksByDate.get(dateStr) || [];
+                const dayGhosts = ghostsByDate.get(dateStr) || [];
                 const dayDate = new Date(dateStr);
                 const leftPos = getPixelOffsetFromStart(dayDate, virtualStartDate, scale || 96);
                 const colWidth = getDayWidth(dayDate, scale || 96);
 
                 // --- LOGIC COPIED FROM TIMELINE DAY CELL ---
                 const sortedTasks = sortTasksForDisplay(dayTasks);
-                const doneTasks = sortedTasks.filter(t => t.status === 'done');
-                const activeTasks = sortedTasks.filter(t => t.status !== 'done');
+                const doneTasks = sortedTasks.filter(t => isTaskDone(t));
+                const activeTasks = sortedTasks.filter(t => !isTaskDone(t));
 
                 const doneColumns = Math.ceil(doneTasks.length / 6);
-                const activeColumns = activeTasks.length;
+                const activeColumns = activeTasks.length + dayGhosts.length;
                 const totalItems = doneColumns + activeColumns;
                 const availableWidth = colWidth - 4;
                 const itemWidth = 25;
@@ -133,6 +154,16 @@ const TaskColumn = ({
                                         </div>
                                     );
                                 })}
+                                {dayGhosts.map((ghost, i) => (
+                                    <div key={ghost.id} className="relative hover:z-[3000]"
+                                        style={{
+                                            marginLeft: (activeTasks.length + i) > 0 ? `-${squeeze}px` : 0,
+                                            zIndex: 0,
+                                            width: '25px', height: '93px'
+                                        }}>
+                                        <GhostTaskCard occurrence={ghost} />
+                                    </div>
+                                ))}
                             </div>
                         </div>
                     </div>
@@ -8,6 +8,7 @@ const TimelineBody = ({
     isToday,
     isWeekend,
     getTasksForColleague,
+    getGhostsForColleague,
     onUpdateTask,
     onTaskClick,
     onTaskDoubleClick,
@@ -28,6 +29,7 @@ const TimelineBody = ({
                 <div
                     key={colleague.id}
                     id={`timeline-row-${colleague.id}`}
+                    data-colleague-id={colleague.id} // Drop target for task drags
                     className={cIdx === 0
                         ? "sticky top-[73px] z-[150] shadow-xl border-y-2 border-slate-900 bg-white"
                         : `border-t border-slate-300 ${cIdx === colleagues.length - 1 ? 'border-b' : ''}`}
@@ -45,6 +47,7 @@ const TimelineBody = ({
                         isToday={isToday}
                         isWeekend={isWeekend}
                         getTasksForColleague={getTasksForColleague}
+                        getGhostsForColleague={getGhostsForColleague}
                         onUpdate={onUpdateTask}
                         onTaskClick={onTaskClick}
                         onTaskDoubleClick={onTaskDoubleClick}
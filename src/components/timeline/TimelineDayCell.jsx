@@ -1,6 +1,7 @@
 import React from 'react';
 import TaskCard from '../TaskCard';
 import { sortTasksForDisplay } from '../../utils/taskUtils';
+import { isTaskDone } from '../../utils/workflow';
 
 const TimelineDayCell = ({
     day,
@@ -23,7 +24,7 @@ const TimelineDayCell = ({
     dayDate.setHours(0, 0, 0, 0);
 
     const rawTasks = getTasksForColleague(colleagueId).filter(t => {
-        const isDone = t.status === 'done';
+        const isDone = isTaskDone(t);
         if (isDone && t.completedAt) {
             const cDate = new Date(t.completedAt);
             cDate.setHours(0, 0, 0, 0);
@@ -37,8 +38,8 @@ const TimelineDayCell = ({
 
     const dailyTasks = sortTasksForDisplay(rawTasks);
 
-    const doneTasks = dailyTasks.filter(t => t.status === 'done');
-    const activeTasks = dailyTasks.filter(t => t.status !== 'done');
+    const doneTasks = dailyTasks.filter(t => isTaskDone(t));
+    const activeTasks = dailyTasks.filter(t => !isTaskDone(t));
 
     // 2. Layout Logic (Squeeze & Stack)
     const doneColumns = Math.ceil(doneTasks.length / 6);
@@ -1,11 +1,17 @@
 import React from 'react';
 import { Eye, EyeOff, CalendarDays, Clock, User, UserPlus, Zap, Play, Pause, CheckCircle2, Square, Trash2, Ban, Maximize2, RotateCcw, Flag, Plus, Shield, Calendar } from 'lucide-react';
+import { DEFAULT_WORKFLOW, REQUIRED_FIELD_LABELS } from '../../utils/workflow';
+import { DEFAULT_PRIORITY_LEVELS, PRIORITY_COLOR_CLASSES, NO_PRIORITY_CLASSES } from '../../utils/priorities';
+
+const STATUS_CATEGORY_ICONS = { not_started: Square, active: Play, blocked: Pause, done: CheckCircle2 };
 
 export const getMenuOptions = ({
     type,
     data,
     user,
     delegationMap,
+    workflow = DEFAULT_WORKFLOW,
+    priorityLevels = DEFAULT_PRIORITY_LEVELS,
     callbacks
 }) => {
     const {
@@ -49,18 +55,34 @@ export const getMenuOptions = ({
             ...(isOwner ? [{
                 label: 'Set Priority', icon: Zap,
                 submenu: [
-                    { label: '1 - NOW!', icon: () => <div className="w-4 h-4 rounded-full bg-red-600 text-white text-[9px] font-black flex items-center justify-center">1</div>, onClick: withClose(() => { onBulkUpdate(selectedTaskIds, { priority: '1' }); setSelectedTaskIds(new Set()); }) },
-                    { label: '2 - ASAP', icon: () => <div className="w-4 h-4 rounded-full border border-slate-900 text-slate-900 text-[9px] font-black flex items-center justify-center">2</div>, onClick: withClose(() => { onBulkUpdate(selectedTaskIds, { priority: '2' }); setSelectedTaskIds(new Set()); }) },
-                    { label: '3 - Soon', icon: () => <div className="w-4 h-4 rounded-full border border-slate-900 text-slate-900 text-[9px] font-black flex items-center justify-center">3</div>, onClick: withClose(() => { onBulkUpdate(selectedTaskIds, { priority: '3' }); setSelectedTaskIds(new Set()); }) },
-                    { label: '4 - Later', icon: () => <div className="w-4 h-4 rounded-full border border-slate-900 text-slate-900 text-[9px] font-black flex items-center justify-center">4</div>, onClick: withClose(() => { onBulkUpdate(selectedTaskIds, { priority: '4' }); setSelectedTaskIds(new Set()); }) },
+                    ...priorityLevels.map(level => ({
+                        label: `${level.value} - ${level.label}`,
+                        icon: () => <div className={`w-4 h-4 rounded-full border border-current text-[9px] font-black flex items-center justify-center ${(PRIORITY_COLOR_CLASSES[level.color] || NO_PRIORITY_CLASSES).text}`}>{level.value}</div>,
+                        onClick: withClose(() => { onBulkUpdate(selectedTaskIds, { priority: level.value }); setSelectedTaskIds(new Set()); })
+                    })),
                     { label: 'None', icon: Ban, onClick: withClose(() => { onBulkUpdate(selectedTaskIds, { priority: null }); setSelectedTaskIds(new Set()); }) }
                 ]
             }] : []),
             { type: 'separator' },
-            { label: 'Mark Doing', icon: Play, onClick: withClose(() => { onBulkUpdate(selectedTaskIds, { status: 'doing' }); setSelectedTaskIds(new Set()); }) },
-            { label: 'Mark Paused', icon: Pause, onClick: withClose(() => { onBulkUpdate(selectedTaskIds, { status: 'paused' }); setSelectedTaskIds(new Set()); }) },
-            { label: 'Mark Done', icon: CheckCircle2, onClick: withClose(() => { onBulkUpdate(selectedTaskIds, { status: 'done' }); setSelectedTaskIds(new Set()); }) },
-            { label: 'Mark Pending', icon: Square, onClick: withClose(() => { onBulkUpdate(selectedTaskIds, { status: 'todo' }); setSelectedTaskIds(new Set()); }) },
+            // One "Mark <status>" per workflow status; a status note it requires is asked for, other required fields must be set first
+            ...workflow.statuses.map(status => {
+                const missing = workflow.missingFields(status.key, data).filter(field => field !== 'statusNote');
+                return {
+                    label: missing.length > 0 ? `Mark ${status.label} (needs ${missing.map(f => REQUIRED_FIELD_LABELS[f].toLowerCase()).join(', ')})` : `Mark ${status.label}`,
+                    icon: STATUS_CATEGORY_ICONS[status.category],
+                    disabled: !workflow.canTransition(data.status, status.key) || missing.length > 0,
+                    onClick: withClose(() => {
+                        const updates = { status: status.key };
+                        if (status.requiredFields?.includes('statusNote')) {
+                            const note = prompt(`Moving to ${status.label}: add a status note`);
+                            if (!note?.trim()) return;
+                            updates.statusNote = note.trim();
+                        }
+                        onBulkUpdate(selectedTaskIds, updates);
+                        setSelectedTaskIds(new Set());
+                    })
+                };
+            }),
             { label: 'Delete Task', icon: Trash2, danger: true, onClick: withClose(() => setShowDeleteModal(true)) }
         ];
     }
@@ -82,7 +104,7 @@ export const getMenuOptions = ({
         return [
             ...(isAdmin ? [
                 ...(delegationMap.has(data.id) ?
-                    [{ label: 'Revoke Admin Access', icon: Ban, danger: true, onClick: withClose(() => handleRevokeDelegation(delegationMap.get(data.id).id)) }] :
+                    [{ label: 'Revoke Delegation', icon: Ban, danger: true, onClick: withClose(() => handleRevokeDelegation(delegationMap.get(data.id).id)) }] :
                     [{ label: 'Delegate Admin Access...', icon: Shield, onClick: withClose(() => onDelegateConfig(data)) }]
                 ),
                 { type: 'separator' }
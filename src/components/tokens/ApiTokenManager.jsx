@@ -0,0 +1,167 @@
+import React, { useState } from 'react';
+import { KeyRound, Copy, Check, Ban, Plus } from 'lucide-react';
+import { apiClient } from '../../api/client';
+import { useToast } from '../../context/ToastContext';
+
+const EXPIRY_OPTIONS = [
+    { value: '30', label: '30 days' },
+    { value: '90', label: '90 days' },
+    { value: '365', label: '1 year' },
+    { value: '', label: 'No expiry' }
+];
+
+const STATUS_STYLES = {
+    active: 'bg-teal-100 text-teal-700',
+    expired: 'bg-slate-200 text-slate-600',
+    revoked: 'bg-red-100 text-red-700'
+};
+
+const formatDate = (value) => (value
+    ? new Date(value).toLocaleDateString(undefined, { month: 'short', day: 'numeric', year: 'numeric' })
+    : null);
+
+/**
+ * Token list with mint and revoke, for one owner (the signed-in user, or a service account).
+ * A new token is shown once, right after it is created; the server only keeps its hash.
+ * @param {string} endpoint - collection URL: POST mints, DELETE /:id revokes
+ * @param {Function} onChange - refetch `tokens` after a mint or revoke
+ */
+const ApiTokenManager = ({ endpoint, tokens, onChange }) => {
+    const { showToast } = useToast();
+    const [name, setName] = useState('');
+    const [canWrite, setCanWrite] = useState(false);
+    const [expiresInDays, setExpiresInDays] = useState('90');
+    const [creating, setCreating] = useState(false);
+    const [revealed, setRevealed] = useState(null); // { id, token } of the token just minted
+    const [copied, setCopied] = useState(false);
+    const [processing, setProcessing] = useState(null);
+
+    const handleCreate = async (e) => {
+        e.preventDefault();
+        if (!name.trim()) return;
+        setCreating(true);
+        try {
+            const created = await apiClient.post(endpoint, {
+                name: name.trim(),
+                scopes: canWrite ? ['read', 'write'] : ['read'],
+                expiresInDays: expiresInDays ? Number(expiresInDays) : undefined
+            });
+            setRevealed({ id: created.id, token: created.token });
+            setCopied(false);
+            setName('');
+            onChange();
+        } catch (err) {
+            console.error('Failed to create token:', err);
+            showToast(err.message || 'Failed to create token', 'error');
+        } finally {
+            setCreating(false);
+        }
+    };
+
+    const handleRevoke = async (token) => {
+        if (!confirm(`Revoke "${token.name}"? Scripts using it stop working immediately.`)) return;
+        setProcessing(token.id);
+        try {
+            await apiClient.delete(`${endpoint}/${token.id}`);
+            if (revealed?.id === token.id) setRevealed(null);
+            onChange();
+        } catch (err) {
+            console.error('Failed to revoke token:', err);
+            showToast(err.message || 'Failed to revoke token', 'error');
+        } finally {
+            setProcessing(null);
+        }
+    };
+
+    const handleCopy = async () => {
+        try {
+            await navigator.clipboard.writeText(revealed.token);
+            setCopied(true);
+        } catch (err) {
+            console.error('Clipboard unavailable:', err);
+        }
+    };
+
+    return (
+        <div className="space-y-4">
+            {revealed && (
+                <div className="p-4 bg-amber-50 border border-amber-200 rounded-2xl space-y-2">
+                    <p className="text-xs font-bold text-amber-800">Copy this token now: it won't be shown again.</p>
+                    <div className="flex gap-2">
+                        <code className="flex-1 min-w-0 px-3 py-2 bg-white border border-amber-200 rounded-xl text-xs font-mono text-slate-800 break-all select-all">
+                            {revealed.token}
+                        </code>
+                        <button onClick={handleCopy} className="px-3 py-2 bg-slate-900 text-white rounded-xl hover:bg-slate-800" title="Copy">
+                            {copied ? <Check size={16} /> : <Copy size={16} />}
+                        </button>
+                    </div>
+                </div>
+            )}
+
+            <div className="space-y-2">
+                {tokens.length === 0 ? (
+                    <p className="text-sm text-slate-400">No tokens yet.</p>
+                ) : tokens.map(token => (
+                    <div key={token.id} className="flex items-center gap-4 p-4 bg-slate-50 rounded-2xl">
+                        <KeyRound size={16} className="text-slate-400 shrink-0" />
+                        <div className="min-w-0 flex-1">
+                            <div className="flex items-center gap-2">
+                                <p className="font-semibold text-slate-800 truncate">{token.name}</p>
+                                <span className={`text-[10px] font-bold px-2 py-0.5 rounded-full uppercase tracking-wider ${STATUS_STYLES[token.status] || ''}`}>
+                                    {token.status}
+                                </span>
+                                <span className="text-[10px] font-bold text-slate-500 uppercase tracking-wider">{token.scopes.join(' + ')}</span>
+                            </div>
+                            <p className="text-xs text-slate-400 mt-0.5">
+                                <span className="font-mono">{token.prefix}…</span>
+                                {' · '}created {formatDate(token.createdAt)}
+                                {' · '}{token.expiresAt ? `expires ${formatDate(token.expiresAt)}` : 'no expiry'}
+                                {' · '}{token.lastUsedAt ? `last used ${formatDate(token.lastUsedAt)}` : 'never used'}
+                            </p>
+                        </div>
+                        {token.status === 'active' && (
+                            <button
+                                onClick={() => handleRevoke(token)}
+                                disabled={processing === token.id}
+                                className="p-2 text-slate-400 hover:text-red-500 transition-colors disabled:opacity-50"
+                                title="Revoke"
+                            >
+                                <Ban size={16} />
+                            </button>
+                        )}
+                    </div>
+                ))}
+            </div>
+
+            <form onSubmit={handleCreate} className="flex flex-wrap items-center gap-2">
+                <input
+                    value={name}
+                    onChange={(e) => setName(e.target.value)}
+                    maxLength={100}
+                    placeholder="Token name, e.g. nightly-sync"
+                    className="flex-1 min-w-[200px] px-3 py-2 bg-slate-50 border border-slate-200 rounded-xl text-sm outline-none focus:border-teal-500"
+                />
+                <select
+                    value={expiresInDays}
+                    onChange={(e) => setExpiresInDays(e.target.value)}
+                    className="px-3 py-2 bg-white border border-slate-200 rounded-xl text-sm text-slate-600 outline-none"
+                >
+                    {EXPIRY_OPTIONS.map(o => <option key={o.label} value={o.value}>{o.label}</option>)}
+                </select>
+                <label className="flex items-center gap-2 text-sm text-slate-600 px-2">
+                    <input type="checkbox" checked={canWrite} onChange={(e) => setCanWrite(e.target.checked)} className="accent-teal-600" />
+                    Can write
+                </label>
+                <button
+                    type="submit"
+                    disabled={creating || !name.trim()}
+                    className="px-3 py-2 bg-slate-900 text-white rounded-xl text-sm font-bold hover:bg-slate-800 disabled:opacity-50 flex items-center gap-1"
+                >
+                    <Plus size={16} /> Create
+                </button>
+            </form>
+        </div>
+    );
+};
+
+export default ApiTokenManager;
@@ -1,7 +1,7 @@
 import React from 'react';
 import { onAuthStateChanged, signInAnonymously } from 'firebase/auth';
 import { auth } from '../firebase';
-import { apiClient } from '../api/client';
+import { apiClient, ACTIVE_ORG_STORAGE_KEY } from '../api/client';
 
 const AuthContext = React.createContext();
 
@@ -41,6 +41,18 @@ export const AuthProvider = ({ children }) => {
         }
     };
 
+    // Profile for the active organization. A stored organization the user no longer belongs to (403)
+    // is forgotten and the server's default used instead.
+    const fetchProfile = async () => {
+        try {
+            return await apiClient.get('/users/me');
+        } catch (err) {
+            if (err.status !== 403 || !localStorage.getItem(ACTIVE_ORG_STORAGE_KEY)) throw err;
+            localStorage.removeItem(ACTIVE_ORG_STORAGE_KEY);
+            return apiClient.get('/users/me');
+        }
+    };
+
     // DEV: Handle Mock User Switching
     const switchUser = async (mockUserId) => {
         if (!import.meta.env.DEV) return;
@@ -51,10 +63,11 @@ export const AuthProvider = ({ children }) => {
         } else {
             localStorage.removeItem('mockUserId');
         }
+        if (mockUserId !== user?.id) localStorage.removeItem(ACTIVE_ORG_STORAGE_KEY); // Organizations are per user
 
         // Reload user data
         try {
-            const res = await apiClient.get('/users/me');
+            const res = await fetchProfile();
             const userData = { ...res, uid: res.id, displayName: res.name };
             updateUser(userData);
             console.log("Switched to User:", res.name);
@@ -66,6 +79,27 @@ export const AuthProvider = ({ children }) => {
         }
     };
 
+    // Re-read the profile (e.g. after organizations or roles changed)
+    const refreshUser = async () => {
+        const res = await fetchProfile();
+        updateUser({ ...user, ...res, displayName: res.name || user?.displayName });
+    };
+
+    // Make another of the user's organizations active. Requests carry it from now on, and data
+    // queries are keyed by it (useApiData), so every view refetches for the new organization.
+    const switchOrganization = async (organizationId) => {
+        const previous = localStorage.getItem(ACTIVE_ORG_STORAGE_KEY);
+        localStorage.setItem(ACTIVE_ORG_STORAGE_KEY, organizationId);
+        try {
+            const res = await apiClient.get('/users/me');
+            updateUser({ ...user, ...res, displayName: res.name || user?.displayName });
+        } catch (err) {
+            if (previous) localStorage.setItem(ACTIVE_ORG_STORAGE_KEY, previous);
+            else localStorage.removeItem(ACTIVE_ORG_STORAGE_KEY);
+            throw err;
+        }
+    };
+
     React.useEffect(() => {
         if (import.meta.env.DEV) {
             // Initial Load for Dev Mode
@@ -83,7 +117,7 @@ export const AuthProvider = ({ children }) => {
         const unsubscribe = onAuthStateChanged(auth || {}, async (firebaseUser) => {
             if (firebaseUser) {
                 try {
-                    const res = await apiClient.get('/users/me');
+                    const res = await fetchProfile();
                     const userData = { ...firebaseUser, ...res, displayName: res.name || firebaseUser.displayName };
                     updateUser(userData);
                 } catch (err) {
@@ -99,7 +133,7 @@ export const AuthProvider = ({ children }) => {
     }, []);
 
     return (
-        <AuthContext.Provider value={{ user, loading, switchUser }}>
+        <AuthContext.Provider value={{ user, loading, switchUser, switchOrganization, refreshUser }}>
             {!loading && children}
         </AuthContext.Provider>
     );
@@ -0,0 +1,92 @@
+import React from 'react';
+import { useToast } from './ToastContext';
+
+const CommandHistoryContext = React.createContext(null);
+
+const MAX_HISTORY = 50;
+
+export const useCommandHistory = () => {
+    const context = React.useContext(CommandHistoryContext);
+    if (!context) throw new Error('useCommandHistory must be used within a CommandHistoryProvider');
+    return context;
+};
+
+// Keyboard shortcuts stay with the text field being edited
+const isEditable = (target) => !!target?.closest?.('input, textarea, select, [contenteditable="true"]');
+
+/**
+ * Undo/redo for task actions, client-side. Each command carries its own inverse:
+ * record({ label, undo, redo }) after the action succeeded, where label is its success message and undo/redo are
+ * async functions that throw when the server refuses (the command is then dropped from the history).
+ * The success toast gets an "Undo" button; Ctrl+Z / Ctrl+Shift+Z (Cmd on macOS, Ctrl+Y too) walk the history.
+ */
+export const CommandHistoryProvider = ({ children }) => {
+    const { showToast } = useToast();
+    const pastRef = React.useRef([]);
+    const futureRef = React.useRef([]);
+    const runningRef = React.useRef(false); // One step at a time: steps depend on each other's versions
+    const [counts, setCounts] = React.useState({ past: 0, future: 0 });
+
+    const sync = () => setCounts({ past: pastRef.current.length, future: futureRef.current.length });
+
+    // Move the newest command from one stack to the other, running its undo or redo on the way
+    const step = React.useCallback(async (direction) => {
+        const from = direction === 'undo' ? pastRef : futureRef;
+        const to = direction === 'undo' ? futureRef : pastRef;
+        if (runningRef.current || from.current.length === 0) return;
+
+        const command = from.current.pop();
+        runningRef.current = true;
+        sync();
+        try {
+            await command[direction]();
+            to.current.push(command);
+            showToast(direction === 'undo' ? `Undone: ${command.label}` : command.label, 'success', undefined,
+                direction === 'undo' ? { label: 'Redo', onClick: () => step('redo') } : { label: 'Undo', onClick: () => step('undo') });
+        } catch (err) {
+            console.error(`${direction} failed:`, err);
+            showToast(`Could not ${direction}: ${err.message}`, 'error');
+        } finally {
+            runningRef.current = false;
+            sync();
+        }
+    }, [showToast]);
+
+    const undo = React.useCallback(() => step('undo'), [step]);
+    const redo = React.useCallback(() => step('redo'), [step]);
+
+    const record = React.useCallback((command) => {
+        pastRef.current = [...pastRef.current, command].slice(-MAX_HISTORY);
+        futureRef.current = [];
+        sync();
+        showToast(command.label, 'success', undefined, { label: 'Undo', onClick: undo });
+    }, [showToast, undo]);
+
+    React.useEffect(() => {
+        const handleKeyDown = (e) => {
+            if (!(e.ctrlKey || e.metaKey) || isEditable(e.target)) return;
+            const key = e.key.toLowerCase();
+            if (key === 'z' && !e.shiftKey) {
+                e.preventDefault();
+                undo();
+            } else if ((key === 'z' && e.shiftKey) || key === 'y') {
+                e.preventDefault();
+                redo();
+            }
+        };
+        window.addEventListener('keydown', handleKeyDown);
+        return () => window.removeEventListener('keydown', handleKeyDown);
+    }, [undo, redo]);
+
+    const value = React.useMemo(() => ({
+        record, undo, redo,
+        canUndo: counts.past > 0,
+        canRedo: counts.future > 0
+    }), [record, undo, redo, counts]);
+
+    return (
+        <CommandHistoryContext.Provider value={value}>
+            {children}
+        </CommandHistoryContext.Provider>
+    );
+};
@@ -0,0 +1,128 @@
+import React from 'react';
+import { createPortal } from 'react-dom';
+import { motion } from 'framer-motion';
+import { GitMerge } from 'lucide-react';
+
+const ConflictContext = React.createContext(null);
+
+export const useConflictResolver = () => {
+    const context = React.useContext(ConflictContext);
+    if (!context) throw new Error('useConflictResolver must be used within a ConflictProvider');
+    return context;
+};
+
+const formatValue = (value) => {
+    if (value === null || value === undefined || value === '') return '—';
+    if (Array.isArray(value)) return value.length === 0 ? '—' : `${value.length} selected`;
+    if (typeof value === 'boolean') return value ? 'Yes' : 'No';
+    if (typeof value === 'string' && /^\d{4}-\d{2}-\d{2}T/.test(value)) {
+        return new Date(value).toLocaleDateString(undefined, { month: 'short', day: 'numeric' });
+    }
+    return String(value);
+};
+
+const sameValue = (a, b) => JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+
+const FIELD_LABELS = {
+    title: 'Title', description: 'Description', status: 'Status', priority: 'Priority',
+    startDate: 'Start', dueDate: 'Due', assignedTo: 'Assignees', isCompleted: 'Done', duration: 'Duration', position: 'Order'
+};
+
+// One row per edited field whose server value no longer matches what the user saw (just the title when no fields apply)
+const ConflictDialog = ({ conflicts, onResolve }) => createPortal(
+    <div className="fixed inset-0 z-[10000] flex items-center justify-center p-4 bg-slate-900/60 backdrop-blur-sm">
+        <motion.div
+            initial={{ opacity: 0, scale: 0.95 }}
+            animate={{ opacity: 1, scale: 1 }}
+            className="bg-white rounded-2xl shadow-2xl w-full max-w-lg overflow-hidden border border-slate-200"
+        >
+            <div className="flex items-center gap-2 p-4 border-b border-slate-100 bg-slate-50/50">
+                <div className="p-2 bg-amber-100 rounded-lg border border-amber-200 shadow-sm text-amber-600">
+                    <GitMerge size={18} strokeWidth={2.5} />
+                </div>
+                <h3 className="font-bold text-slate-900">
+                    {conflicts.length === 1 ? 'Someone else changed this' : `${conflicts.length} items were changed by someone else`}
+                </h3>
+            </div>
+
+            <div className="p-6 space-y-4 max-h-[50vh] overflow-y-auto">
+                <p className="text-sm text-slate-500">
+                    Your edit was made on an older version. Keep their version, or overwrite it with yours?
+                </p>
+                {conflicts.map(({ current, updates }) => {
+                    const fields = Object.keys(updates).filter(key => FIELD_LABELS[key]);
+                    return (
+                        <div key={current.id} className="rounded-xl border border-slate-200 p-3">
+                            <p className="text-sm font-bold text-slate-900 truncate">{current.title}</p>
+                            {fields.length > 0 && (
+                                <div className="grid grid-cols-[auto_1fr_1fr] gap-x-3 gap-y-1 text-xs mt-2">
+                                    <span />
+                                    <span className="font-bold text-slate-400 uppercase tracking-wider">Theirs</span>
+                                    <span className="font-bold text-slate-400 uppercase tracking-wider">Yours</span>
+                                    {fields.map(key => (
+                                        <React.Fragment key={key}>
+                                            <span className="font-bold text-slate-500">{FIELD_LABELS[key]}</span>
+                                            <span className="text-slate-700 truncate">{formatValue(current[key])}</span>
+                                            <span className={`truncate ${sameValue(current[key], updates[key]) ? 'text-slate-400' : 'font-bold text-slate-900'}`}>
+                                                {formatValue(updates[key])}
+                                            </span>
+                                        </React.Fragment>
+                                    ))}
+                                </div>
+                            )}
+                        </div>
+                    );
+                })}
+            </div>
+
+            <div className="flex gap-3 p-4 border-t border-slate-100">
+                <button
+                    onClick={() => onResolve('discard')}
+                    className="flex-1 py-3 bg-white text-slate-700 border border-slate-200 rounded-xl text-sm font-bold hover:bg-slate-50 transition-all"
+                >
+                    Keep theirs
+                </button>
+                <button
+                    onClick={() => onResolve('overwrite')}
+                    className="flex-1 py-3 bg-slate-900 text-white rounded-xl text-sm font-bold hover:bg-slate-800 transition-all shadow-lg active:scale-95"
+                >
+                    Overwrite with mine
+                </button>
+            </div>
+        </motion.div>
+    </div>,
+    document.body
+);
+
+/**
+ * Hosts the conflict prompt. resolveConflict(conflicts) shows it and resolves to 'overwrite' | 'discard'.
+ * conflicts: [{ current, updates }] where current is the server state from the 409 response.
+ * Prompts are queued so parallel writes never stack dialogs.
+ */
+export const ConflictProvider = ({ children }) => {
+    const [pending, setPending] = React.useState(null);
+    const queueRef = React.useRef(Promise.resolve());
+
+    const resolveConflict = React.useCallback((conflicts) => {
+        const result = queueRef.current.then(() => new Promise(resolve => {
+            setPending({
+                conflicts,
+                onResolve: (choice) => {
+                    setPending(null);
+                    resolve(choice);
+                }
+            });
+        }));
+        queueRef.current = result;
+        return result;
+    }, []);
+
+    const value = React.useMemo(() => ({ resolveConflict }), [resolveConflict]);
+
+    return (
+        <ConflictContext.Provider value={value}>
+            {children}
+            {pending && <ConflictDialog conflicts={pending.conflicts} onResolve={pending.onResolve} />}
+        </ConflictContext.Provider>
+    );
+};
@@ -1,23 +1,17 @@
 import React, { createContext, useContext, useMemo } from 'react';
 import { useApiData } from '../hooks/useApiData';
+import { useLiveUpdates } from '../hooks/useLiveUpdates';
 
 const DataContext = createContext(null);
 
 export const DataProvider = ({ children }) => {
+    // Other people's changes stream in and patch these caches (see useLiveUpdates)
+    useLiveUpdates();
+
     // 1. Fetch Core Data (Sequential Structure First)
     const { data: colleagues = [], loading: loadingColleagues, refetch: refetchColleagues } = useApiData('/colleagues');
 
-    // Fetch Tasks only after colleagues structure is known (Optimistic logic)
-    const shouldFetchTasks = !loadingColleagues && colleagues.length > 0;
-
-    // Note: We use the same 'useApiData' hook but lift it here.
-    // This ensures data is fetched once and held in memory.
-    const {
-        data: tasks = [],
-        loading: loadingTasks,
-        refetch: refetchTasks,
-        setData: setTasks
-    } = useApiData(shouldFetchTasks ? '/tasks' : null);
+    // Tasks are not held here: views fetch the slice they show (see useTimelineData)
 
     const {
         data: projectsData = [],
@@ -28,13 +22,9 @@ export const DataProvider = ({ children }) => {
     // Aggregate Loading State
     // Note: We consider 'loading' true if critical data (Colleagues) is loading.
     // Tasks loading might be secondary depending on UX, but for now we track all.
-    const loading = loadingColleagues || loadingTasks || loadingProjects;
+    const loading = loadingColleagues || loadingProjects;
 
     const value = useMemo(() => ({
-        tasks,
-        setTasks, // Exposed for optimistic updates
-        refetchTasks,
-
         colleagues,
         refetchColleagues,
 
@@ -42,7 +32,7 @@ export const DataProvider = ({ children }) => {
         refetchProjects,
 
         loading
-    }), [tasks, colleagues, projectsData, loading, refetchTasks, refetchColleagues, refetchProjects]);
+    }), [colleagues, projectsData, loading, refetchColleagues, refetchProjects]);
 
     return (
         <DataContext.Provider value={value}>
@@ -18,10 +18,11 @@ export const useToast = () => {
 export const ToastProvider = ({ children }) => {
     const [activeToast, setActiveToast] = React.useState(null);
 
-    const showToast = React.useCallback((message, type = 'info', duration = 3000) => {
+    // action: optional { label, onClick } button (e.g. Undo); clicking it also dismisses the toast
+    const showToast = React.useCallback((message, type = 'info', duration = 3000, action = null) => {
         const id = Math.random().toString(36).substr(2, 9);
         // Singleton Pattern: Replace existing toast immediately (Persistence)
-        setActiveToast({ id, message, type });
+        setActiveToast({ id, message, type, action });
     }, []);
 
     const removeToast = React.useCallback((id) => {
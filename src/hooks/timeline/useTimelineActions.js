@@ -1,9 +1,51 @@
 import { useCallback } from 'react';
+import { useQueryClient } from '@tanstack/react-query';
 import { apiClient } from '../../api/client';
 import { useToast } from '../../context/ToastContext';
+import { useCommandHistory } from '../../context/CommandHistoryContext';
+import { useVersionedPatch } from '../useVersionedPatch';
+import { useBulkTaskOperation } from '../useBulkTaskOperation';
+import { SERIES_TEMPLATE_FIELDS } from '../../utils/recurrence';
+import { useWorkflow } from '../useWorkflow';
 
 export const useTimelineActions = ({ tasks, setTasks, refetchTasks, setDelegations }) => {
     const { showToast } = useToast();
+    const queryClient = useQueryClient();
+    const patchVersioned = useVersionedPatch();
+    const runBulk = useBulkTaskOperation();
+    const { record } = useCommandHistory();
+    const { isDoneStatus } = useWorkflow();
+
+    // Bulk operations are conditional on the versions we rendered
+    const versionedTasks = useCallback((ids) => {
+        const versions = new Map((tasks || []).map(t => [t.id, t.version]));
+        return ids.map(id => ({ id, version: versions.get(id) }));
+    }, [tasks]);
+
+    // One undo or redo step of a recorded command. versions holds the task versions the previous step left behind
+    // (each step is conditional on them, and moves them forward); send(ids, versions) resolves to { results }.
+    const historyStep = useCallback((ids, versions, send) => async () => {
+        const { results } = await send(ids, versions);
+        results.forEach(r => { if (r.task) versions.set(r.id, r.task.version); });
+        refetchTasks();
+    }, [refetchTasks]);
+
+    const bulkSend = useCallback((operation) => (ids, versions) => (
+        runBulk(ids.map(id => ({ id, version: versions.get(id) })), operation)
+    ), [runBulk]);
+
+    // Per-task previous values of the given fields, as a setEach operation (assignedTo must stay an array)
+    const restoreFields = (before, ids, keys) => ({
+        type: 'setEach',
+        fields: Object.fromEntries(ids.map(id => [id, Object.fromEntries(keys.map(key => [key, before.get(id)?.[key] ?? (key === 'assignedTo' ? [] : null)]))]))
+    });
+
+    const versionsOf = (results) => new Map(results.filter(r => r.task).map(r => [r.id, r.task.version]));
+
+    // Ghost cards are projected from series state, which changes with edits/completions
+    const refreshUpcoming = useCallback(() => {
+        queryClient.invalidateQueries({ queryKey: ['/recurrences/upcoming'] });
+    }, [queryClient]);
 
     // Revoke Admin
     const handleRevokeDelegation = useCallback(async (delegationId) => {
@@ -30,16 +72,43 @@ export const useTimelineActions = ({ tasks, setTasks, refetchTasks, setDelegatio
                 setTasks(prev => prev.map(t => t.id === taskId ? { ...t, ...updates } : t));
             }
 
-            await apiClient.patch(`/tasks/${taskId}`, updates);
+            // Repeating task: ask whether template edits should carry forward
+            const task = tasks?.find(t => t.id === taskId);
+            let body = updates;
+            if (task?.recurrenceId && SERIES_TEMPLATE_FIELDS.some(key => updates[key] !== undefined)) {
+                const applyToFuture = confirm('This is a repeating task.\n\nOK: apply to this and all future occurrences\nCancel: this occurrence only');
+                if (applyToFuture) body = { ...updates, scope: 'future' };
+            }
+
+            // Conditional on the version we rendered; a concurrent edit prompts instead of silently winning
+            const { results, choice } = await patchVersioned([{ endpoint: `/tasks/${taskId}`, updates: body, version: task?.version }]);
             // We refetch to ensure server state (generated columns etc)
             refetchTasks();
-            showToast('Task updated', 'success');
+            if (task?.recurrenceId) refreshUpcoming();
+            if (choice === 'discard') {
+                showToast('Kept the other change', 'success');
+            } else if (!task || body.scope === 'future') {
+                // Series-wide edits rewrite every future occurrence: not undoable from here
+                showToast('Task updated', 'success');
+            } else {
+                const keys = Object.keys(updates);
+                const patch = (fields) => async (ids, versions) => {
+                    const { results: [updated] } = await patchVersioned([{ endpoint: `/tasks/${taskId}`, updates: fields, version: versions.get(taskId) }]);
+                    return { results: [{ id: taskId, task: updated }] };
+                };
+                const versions = new Map([[taskId, results[0]?.version]]);
+                record({
+                    label: 'Task updated',
+                    undo: historyStep([taskId], versions, patch(Object.fromEntries(keys.map(key => [key, task[key] ?? null])))),
+                    redo: historyStep([taskId], versions, patch(updates))
+                });
+            }
         } catch (err) {
             console.error('Failed to update task:', err);
             showToast('Failed to update task', 'error');
             refetchTasks(); // Revert
         }
-    }, [refetchTasks, showToast, setTasks]);
+    }, [tasks, refetchTasks, refreshUpcoming, showToast, setTasks, patchVersioned, record, historyStep]);
 
     // Delete
     const handleDeleteTasks = useCallback(async (taskIds) => {
@@ -47,16 +116,41 @@ export const useTimelineActions = ({ tasks, setTasks, refetchTasks, setDelegatio
 
         const idsToDelete = Array.from(taskIds);
 
+        // Repeating tasks: optionally end their series too
+        const recurringIds = new Set((tasks || []).filter(t => idsToDelete.includes(t.id) && t.recurrenceId).map(t => t.id));
+        const endSeries = recurringIds.size > 0 && confirm('Also delete all future occurrences of the repeating task(s)?');
+
         // Optimistic
         if (setTasks) {
             setTasks(prev => prev.filter(t => !idsToDelete.includes(t.id)));
         }
 
         try {
-            const promises = idsToDelete.map(id => apiClient.delete(`/tasks/${id}`));
-            await Promise.all(promises);
-            const count = taskIds.size;
-            showToast(`Deleted ${count > 1 ? `${count} tasks` : 'task'}`, 'success');
+            // One transaction: either every selected task is deleted or none are
+            const { results, choice } = await runBulk(versionedTasks(idsToDelete), endSeries ? { type: 'delete', scope: 'future' } : { type: 'delete' });
+            if (recurringIds.size > 0 || choice === 'discard') {
+                refetchTasks();
+                refreshUpcoming();
+            }
+            const deletedIds = results.filter(r => r.status === 'deleted').map(r => r.id);
+            const label = `Deleted ${deletedIds.length !== 1 ? `${deletedIds.length} tasks` : 'task'}`;
+            if (deletedIds.length === 0) {
+                showToast(label, 'success');
+            } else {
+                // Deleted tasks are kept (soft-deleted) until restored; delete itself does not bump versions.
+                // Restoring a task that ended its series also brings back the future occurrences and the series end.
+                const versions = new Map(versionedTasks(deletedIds).map(t => [t.id, t.version]));
+                const withUpcoming = (send) => async (ids, vers) => {
+                    const response = await send(ids, vers);
+                    if (endSeries) refreshUpcoming();
+                    return response;
+                };
+                record({
+                    label,
+                    undo: historyStep(deletedIds, versions, withUpcoming((ids) => apiClient.post('/tasks/restore', { taskIds: ids }))),
+                    redo: historyStep(deletedIds, versions, withUpcoming(bulkSend(endSeries ? { type: 'delete', scope: 'future' } : { type: 'delete' })))
+                });
+            }
             return true;
         } catch (err) {
             console.error('Delete failed:', err);
@@ -64,18 +158,20 @@ export const useTimelineActions = ({ tasks, setTasks, refetchTasks, setDelegatio
             refetchTasks(); // Revert
             return false;
         }
-    }, [refetchTasks, showToast, setTasks]);
+    }, [tasks, refetchTasks, refreshUpcoming, showToast, setTasks, runBulk, versionedTasks, record, historyStep, bulkSend]);
 
     // Bulk Update
     const handleBulkUpdate = useCallback(async (selectedTaskIds, updates) => {
         const ids = Array.from(selectedTaskIds);
+        const before = new Map((tasks || []).filter(t => ids.includes(t.id)).map(t => [t.id, t]));
 
         // Optimistic
         if (setTasks) {
             setTasks(prev => prev.map(t => {
                 if (ids.includes(t.id)) {
                     const newT = { ...t, ...updates };
-                    if (updates.status === 'done') newT.completedAt = new Date().toISOString();
+                    // As the server: entering the done category completes, leaving it reopens
+                    if (updates.status && isDoneStatus(updates.status)) newT.completedAt = t.completedAt || new Date().toISOString();
                     else if (updates.status) newT.completedAt = null;
                     return newT;
                 }
@@ -84,69 +180,137 @@ export const useTimelineActions = ({ tasks, setTasks, refetchTasks, setDelegatio
         }
 
         try {
-            const promises = ids.map(taskId => apiClient.patch(`/tasks/${taskId}`, updates));
-            await Promise.all(promises);
+            // All or nothing: a task the user cannot change fails the whole batch
+            const { results, conflicted, choice } = await runBulk(versionedTasks(ids), { type: 'set', fields: updates });
             const count = ids.length;
-            showToast(`Updated ${count} tasks`, 'success');
+            const label = choice === 'discard'
+                ? `Updated ${count - conflicted} tasks, kept ${conflicted} newer change(s)`
+                : `Updated ${count} tasks`;
+            const updatedIds = results.filter(r => r.status === 'updated').map(r => r.id);
+            if (updatedIds.length > 0) {
+                const versions = versionsOf(results);
+                record({
+                    label,
+                    // A status change clears the note, which the previous status may require
+                    undo: historyStep(updatedIds, versions, bulkSend(restoreFields(before, updatedIds, updates.status ? [...new Set([...Object.keys(updates), 'statusNote'])] : Object.keys(updates)))),
+                    redo: historyStep(updatedIds, versions, bulkSend({ type: 'set', fields: updates }))
+                });
+            } else {
+                showToast(label, 'success');
+            }
             refetchTasks();
+            if (updates.status && isDoneStatus(updates.status)) refreshUpcoming();
         } catch (err) {
             console.error('Bulk update failed:', err);
-            showToast('Some updates failed', 'error');
+            showToast(`Nothing was updated: ${err.message}`, 'error');
             refetchTasks();
         }
-    }, [refetchTasks, showToast, setTasks]);
+    }, [tasks, refetchTasks, refreshUpcoming, showToast, setTasks, runBulk, versionedTasks, record, historyStep, bulkSend, isDoneStatus]);
 
     // Move Date
-    const handleMoveDate = useCallback(async (taskIds, days, direction) => {
+    const handleMoveDate = useCallback(async (taskIds, days, direction, businessDays = false) => {
         if (!taskIds || taskIds.length === 0 || !days) return;
+        const before = new Map((tasks || []).filter(t => taskIds.includes(t.id)).map(t => [t.id, t]));
 
-        // Optimistic
-        if (setTasks) {
+        // Optimistic (calendar days only; business-day shifts wait for the server)
+        if (setTasks && !businessDays) {
             setTasks(prevTasks => prevTasks.map(t => {
                 if (taskIds.includes(t.id) && t.dueDate) {
                     const newDate = new Date(t.dueDate);
                     const shift = direction === 'later' ? days : -days;
                     newDate.setDate(newDate.getDate() + shift);
-                    return { ...t, dueDate: newDate.toISOString() };
+                    const newStart = t.startDate ? new Date(t.startDate) : null;
+                    newStart?.setDate(newStart.getDate() + shift);
+                    return { ...t, dueDate: newDate.toISOString(), startDate: newStart ? newStart.toISOString() : t.startDate };
                 }
                 return t;
             }));
         }
 
         try {
-            const promises = taskIds.map(id => {
-                // If we don't have tasks array passed in, we can't calculate new date safely for API unless we rely on backend logic?
-                // But backend expects 'dueDate' string usually.
-                // WE MUST HAVE 'tasks' prop to facilitate this safely.
-                if (!tasks) return Promise.resolve(); // Fail safe
+            // The server shifts due (and start) dates itself; tasks without a due date are skipped
+            const shift = direction === 'later' ? days : -days;
+            const operation = { type: 'shiftDueDate', days: shift, businessDays };
+            const { results, choice } = await runBulk(versionedTasks(taskIds), operation);
+            const label = `Moved due dates (${taskIds.length} Tasks)`;
+            const movedIds = results.filter(r => r.status === 'updated').map(r => r.id);
+            if (movedIds.length > 0) {
+                // Undo puts the exact previous dates back (business-day shifts are not symmetric)
+                const versions = versionsOf(results);
+                record({
+                    label,
+                    undo: historyStep(movedIds, versions, bulkSend(restoreFields(before, movedIds, ['dueDate', 'startDate']))),
+                    redo: historyStep(movedIds, versions, bulkSend(operation))
+                });
+            } else {
+                showToast(label, 'success');
+            }
+            // Optimistic state is good unless someone else's version was kept or weekends were skipped
+            if (choice === 'discard' || businessDays) refetchTasks();
+        } catch (err) {
+            console.error("Failed to move dates:", err);
+            showToast(`Failed to update task dates: ${err.message}`, 'error');
+            refetchTasks();
+        }
+    }, [tasks, setTasks, showToast, refetchTasks, runBulk, versionedTasks, record, historyStep, bulkSend]);
 
-                const task = tasks.find(t => t.id === id);
-                if (!task || !task.dueDate) return Promise.resolve();
+    // Drag and drop on the timeline: shift by whole days and/or move to another colleague's row, as one
+    // all-or-nothing bulk request, undoable from the command history.
+    const handleDropTasks = useCallback(async (taskIds, { days = 0, fromUserId, toUserId, mode = 'reassign' }) => {
+        if (!taskIds || taskIds.length === 0 || (!days && !toUserId)) return;
 
-                const currentDate = new Date(task.dueDate);
-                const shift = direction === 'later' ? days : -days;
-                currentDate.setDate(currentDate.getDate() + shift);
+        const before = new Map((tasks || []).filter(t => taskIds.includes(t.id)).map(t => [t.id, t]));
+        const shift = (value) => {
+            if (!value || !days) return value;
+            const date = new Date(value);
+            date.setDate(date.getDate() + days);
+            return date.toISOString();
+        };
+        const nextAssignees = (t) => {
+            const current = t.assignedTo || [];
+            const kept = mode === 'add' ? (current.length > 0 ? current : [fromUserId]) : current.filter(id => id !== fromUserId);
+            return [...new Set([...kept, toUserId])];
+        };
 
-                return apiClient.patch(`/tasks/${id}`, {
-                    dueDate: currentDate.toISOString()
-                });
-            });
+        // Optimistic
+        if (setTasks) {
+            setTasks(prev => prev.map(t => (before.has(t.id)
+                ? { ...t, dueDate: shift(t.dueDate), startDate: shift(t.startDate), ...(toUserId ? { assignedTo: nextAssignees(t) } : {}) }
+                : t)));
+        }
+
+        try {
+            const operation = { type: 'move', days, fromUserId, toUserId, mode };
+            const { results, choice } = await runBulk(versionedTasks(taskIds), operation);
+            const movedIds = results.filter(r => r.status === 'updated').map(r => r.id);
+            const label = `Moved ${movedIds.length !== 1 ? `${movedIds.length} tasks` : 'task'}`;
+            if (choice === 'discard') refetchTasks();
+            if (movedIds.length === 0) {
+                showToast(label, 'success');
+                return;
+            }
 
-            await Promise.all(promises);
-            showToast(`Moved due dates (${taskIds.length} Tasks)`, 'success');
-            // refetchTasks(); // Optional if optimistic is good
+            // The inverse: each moved task's previous dates and assignees (moving back is not exact for co-assigns)
+            const keys = [...(days ? ['dueDate', 'startDate'] : []), ...(toUserId ? ['assignedTo'] : [])];
+            const versions = versionsOf(results);
+            record({
+                label,
+                undo: historyStep(movedIds, versions, bulkSend(restoreFields(before, movedIds, keys))),
+                redo: historyStep(movedIds, versions, bulkSend(operation))
+            });
         } catch (err) {
-            console.error("Failed to move dates:", err);
-            showToast("Failed to update task dates", 'error');
+            console.error('Drop failed:', err);
+            showToast(`Nothing was moved: ${err.message}`, 'error');
             refetchTasks();
         }
-    }, [tasks, setTasks, showToast, refetchTasks]);
+    }, [tasks, setTasks, showToast, refetchTasks, runBulk, versionedTasks, record, historyStep, bulkSend]);
 
     return {
         handleRevokeDelegation,
         handleUpdateTask,
         handleDeleteTasks,
         handleBulkUpdate,
-        handleMoveDate
+        handleMoveDate,
+        handleDropTasks
     };
 };
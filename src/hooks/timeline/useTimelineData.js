@@ -1,15 +1,26 @@
 import { useState, useEffect, useMemo } from 'react';
 import { apiClient } from '../../api/client';
 import { useDataContext } from '../../context/DataContext';
+import { useApiData } from '../useApiData';
 
-export const useTimelineData = (user) => {
+// taskQuery: the '/tasks?...' endpoint for the visible window and filters (see utils/taskQuery)
+export const useTimelineData = (user, taskQuery) => {
     // 1. Consume Global Data (Cached)
     const {
-        tasks, setTasks, refetchTasks,
         colleagues,
         projectsData,
-        loading
+        loading: loadingShared
     } = useDataContext();
+
+    // Fetch Tasks only after colleagues structure is known (Optimistic logic)
+    const shouldFetchTasks = !loadingShared && colleagues.length > 0;
+    const {
+        data: tasks,
+        loading: loadingTasks,
+        refetch: refetchTasks,
+        setData: setTasks
+    } = useApiData(shouldFetchTasks ? taskQuery : null, [], { keepPrevious: true });
+    const loading = loadingShared || loadingTasks;
     const [delegations, setDelegations] = useState([]);
 
     // Fetch Delegations if Admin
@@ -1,13 +1,14 @@
-import { useQuery, useQueryClient } from '@tanstack/react-query';
+import { useQuery, useQueryClient, keepPreviousData } from '@tanstack/react-query';
 import { apiClient } from '../api/client';
 import { useAuth } from '../context/AuthContext';
 
-export const useApiData = (endpoint, dependencies = []) => {
+// keepPrevious: while a changed endpoint (e.g. new filters) loads, keep showing the previous result instead of []
+export const useApiData = (endpoint, dependencies = [], { keepPrevious = false } = {}) => {
     const { user } = useAuth();
     const queryClient = useQueryClient();
 
-    // Query Key uniquely identifies this data (endpoint + user + dependencies)
-    const queryKey = [endpoint, user?.uid || user?.id, ...dependencies].filter(Boolean);
+    // Query Key uniquely identifies this data (endpoint + user + active organization + dependencies)
+    const queryKey = [endpoint, user?.uid || user?.id, user?.organizationId, ...dependencies].filter(Boolean);
 
     const { data, isLoading, error, refetch } = useQuery({
         queryKey,
@@ -18,7 +19,7 @@ export const useApiData = (endpoint, dependencies = []) => {
             return result;
         },
         enabled: !!user && !!endpoint, // Only fetch if user logged in
-        placeholderData: [], // Show empty array while loading
+        placeholderData: keepPrevious ? keepPreviousData : [], // Show empty array while loading
     });
 
     // Backwards Compatibility: "setData"
@@ -0,0 +1,47 @@
+import { useCallback } from 'react';
+import { apiClient } from '../api/client';
+import { useConflictResolver } from '../context/ConflictContext';
+
+const conflictsOf = (err) => (err?.status === 409 ? (err.body?.results || []).filter(r => r.status === 'conflict') : []);
+
+/**
+ * Run one operation over many tasks through POST /tasks/bulk (a single all-or-nothing transaction).
+ * Each task is conditional on the version the client last saw; if any are stale the user chooses once:
+ * overwrite (resend against the current versions) or keep theirs (resend without the stale tasks).
+ *
+ * Usage: const runBulk = useBulkTaskOperation();
+ *        const { results, conflicted, choice } = await runBulk(tasks, { type: 'set', fields: { status: 'done' } });
+ * tasks are { id, version } (cached task objects work). results are the server's per-task results.
+ * Throws on any other failure (nothing is applied in that case).
+ */
+export const useBulkTaskOperation = () => {
+    const { resolveConflict } = useConflictResolver();
+
+    return useCallback(async (tasks, operation) => {
+        const send = (list) => apiClient.post('/tasks/bulk', {
+            taskIds: list.map(t => t.id),
+            operation,
+            versions: Object.fromEntries(list.filter(t => t.version).map(t => [t.id, t.version]))
+        });
+
+        try {
+            const { results } = await send(tasks);
+            return { results, conflicted: 0, choice: null };
+        } catch (err) {
+            const conflicts = conflictsOf(err);
+            if (conflicts.length === 0) throw err;
+
+            // Only field sets have per-field values to compare; other operations just list the tasks
+            const updates = operation.type === 'set' ? operation.fields : {};
+            const choice = await resolveConflict(conflicts.map(c => ({ current: c.current, updates })));
+
+            const currentById = new Map(conflicts.map(c => [c.id, c.current]));
+            const retry = choice === 'overwrite'
+                ? tasks.map(t => (currentById.has(t.id) ? { id: t.id, version: currentById.get(t.id).version } : t))
+                : tasks.filter(t => !currentById.has(t.id));
+
+            const { results } = retry.length > 0 ? await send(retry) : { results: [] };
+            return { results, conflicted: conflicts.length, choice };
+        }
+    }, [resolveConflict]);
+};
@@ -1,4 +1,8 @@
 import { useMemo } from 'react';
+import { useWorkflow } from './useWorkflow';
+import { isTaskDone } from '../utils/workflow';
+import { usePriorities } from './usePriorities';
+import { normalizePriority } from '../utils/priorities';
 
 export const useFilterLogic = ({
     tasks,
@@ -8,6 +12,8 @@ export const useFilterLogic = ({
     filters // { searchText, taskFilters, projectFilters, colleagueFilters }
 }) => {
     const { searchText, taskFilters, projectFilters, colleagueFilters } = filters;
+    const { getStatus } = useWorkflow();
+    const { levels } = usePriorities();
 
     // -- 1. Filter Tasks (What) --
     const filteredTasks = useMemo(() => {
@@ -38,12 +44,15 @@ export const useFilterLogic = ({
                     const val = f.value;
 
                     // 1. Status & Priority
-                    if (type === 'status') return String(task.status || '').toLowerCase() === val.toLowerCase();
+                    if (type === 'status') {
+                        // Workflow label ("In Progress") or key ("doing")
+                        const wanted = val.toLowerCase();
+                        return String(task.status || '').toLowerCase() === wanted || getStatus(task.status).label.toLowerCase() === wanted;
+                    }
                     if (type === 'priority') {
-                        // Normalize: "Priority 1" -> "1", and handle both number/string data
-                        const dataPrio = String(task.priority || '').toLowerCase();
-                        const filterPrio = val.toLowerCase().replace('priority ', '').trim();
-                        return dataPrio === filterPrio;
+                        // "Priority 1", "P1", "1" or the organization's label for the level
+                        const wanted = normalizePriority(val) || levels.find(l => l.label.toLowerCase() === val.toLowerCase())?.value;
+                        return !!wanted && normalizePriority(task.priority) === wanted;
                     }
 
                     // 2. Title (Fuzzy)
@@ -66,7 +75,7 @@ export const useFilterLogic = ({
                             tmrw.setDate(today.getDate() + 1);
                             return taskDay.getTime() === tmrw.getTime();
                         }
-                        if (val.toLowerCase() === 'overdue') return taskDay < today && task.status !== 'done';
+                        if (val.toLowerCase() === 'overdue') return taskDay < today && !isTaskDone(task);
 
                         // Handle Specific Date Input
                         const inputDate = new Date(val);
@@ -80,7 +89,7 @@ export const useFilterLogic = ({
 
                     // 4. Content
                     if (type === 'content') {
-                        if (val === 'Has Steps') return task.steps && task.steps.length > 0;
+                        if (val === 'Has Steps') return task.hasSteps;
                         if (val === 'Has Deliverables') return task.deliverables && task.deliverables.length > 0;
                         if (val === 'Has Files') return task.files && task.files.length > 0;
                     }
@@ -109,12 +118,13 @@ export const useFilterLogic = ({
             const token = searchText.toLowerCase();
             result = result.filter(t =>
                 t.title?.toLowerCase().includes(token) ||
-                t.status?.toLowerCase().includes(token)
+                t.status?.toLowerCase().includes(token) ||
+                getStatus(t.status).label.toLowerCase().includes(token)
             );
         }
 
         return result;
-    }, [tasks, taskFilters, projectFilters, searchText, projectsData]);
+    }, [tasks, taskFilters, projectFilters, searchText, projectsData, getStatus, levels]);
 
 
     // -- 2. Filter Colleagues (Who) --
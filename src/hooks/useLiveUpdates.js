@@ -0,0 +1,123 @@
+import { useEffect, useRef } from 'react';
+import { useQueryClient } from '@tanstack/react-query';
+import { apiClient } from '../api/client';
+import { useAuth } from '../context/AuthContext';
+
+const MAX_RETRY_MS = 30 * 1000;
+
+const endpointOf = (query) => (typeof query.queryKey[0] === 'string' ? query.queryKey[0] : '');
+
+// Mirrors the server's task visibility: lists show the active organization's tasks, plus guest tasks
+// in organizations the user is not a member of (events arrive for every organization they belong to)
+const belongsInActiveOrg = (task, user) => {
+    if (user.role === 'god' || !task.organizationId || task.organizationId === user.organizationId) return true;
+    const isMemberOfTaskOrg = (user.organizations || []).some(o => o.id === task.organizationId);
+    return !isMemberOfTaskOrg && (task.createdBy === user.id || (task.assignedTo || []).includes(user.id));
+};
+
+// Insert or merge a task into a cached task list
+const upsertTask = (list, task, user) => {
+    if (!Array.isArray(list)) return list;
+    const userId = user.id;
+    const index = list.findIndex(t => t.id === task.id);
+    if (index === -1) {
+        if (!belongsInActiveOrg(task, user)) return list;
+        return [...list, { ...task, isOwner: task.createdBy === userId, accessSource: task.createdBy === userId ? 'owner' : 'member' }];
+    }
+    const next = [...list];
+    next[index] = { ...list[index], ...task };
+    return next;
+};
+
+/**
+ * Patch the React Query caches (keys used by useApiData) for one change event.
+ * Plain task lists ('/tasks') are patched in place; derived views are invalidated so they refetch.
+ */
+const applyChange = (queryClient, event, user) => {
+    const invalidateWhere = (match) => queryClient.invalidateQueries({ predicate: (query) => match(endpointOf(query)) });
+
+    switch (event.entity) {
+        case 'task': {
+            queryClient.setQueriesData({ queryKey: ['/tasks'] }, (list) => event.action === 'deleted'
+                ? (Array.isArray(list) ? list.filter(t => t.id !== event.id) : list)
+                : upsertTask(list, event.task, user));
+
+            invalidateWhere(key =>
+                key.startsWith('/tasks?') // Filtered lists (e.g. project detail)
+                || key.startsWith(`/tasks/${event.id}/`) // Comments, files, activity, dependencies...
+                || key === '/recurrences/upcoming'
+                || (event.task?.projectId && key === `/projects/${event.task.projectId}`));
+            break;
+        }
+        case 'step':
+            invalidateWhere(key => key === `/steps?taskId=${event.taskId}`);
+            break;
+        case 'project':
+            invalidateWhere(key => key.startsWith('/projects')
+                // Deleting a project orphans or removes its tasks
+                || (event.action === 'deleted' && key.startsWith('/tasks')));
+            break;
+        case 'request':
+            invalidateWhere(key => key.startsWith('/requests'));
+            break;
+        case 'notification':
+            invalidateWhere(key => key.startsWith('/notifications'));
+            break;
+        default:
+            break;
+    }
+};
+
+/**
+ * Subscribe to the /events stream while signed in and keep cached data live.
+ * Reconnects with backoff. After a dropped connection everything is refetched since events may have been missed;
+ * a clean close (e.g. the hosting request timeout) just reconnects.
+ */
+export const useLiveUpdates = () => {
+    const { user } = useAuth();
+    const queryClient = useQueryClient();
+    const userId = user?.id;
+    const organizationId = user?.organizationId; // The stream is scoped to the active organization: reconnect on switch
+    const userRef = useRef(user);
+    userRef.current = user;
+
+    useEffect(() => {
+        if (!userId) return;
+
+        const controller = new AbortController();
+        let retryMs = 1000;
+        let retryTimer = null;
+        let dropped = false;
+
+        const connect = async () => {
+            try {
+                await apiClient.stream('/events', {
+                    signal: controller.signal,
+                    onEvent: (type, data) => {
+                        if (type === 'ready') {
+                            if (dropped) queryClient.invalidateQueries();
+                            dropped = false;
+                            retryMs = 1000;
+                        } else if (type === 'change') {
+                            applyChange(queryClient, data, userRef.current);
+                        }
+                    }
+                });
+            } catch (err) {
+                if (controller.signal.aborted) return;
+                console.warn('[Live] Event stream dropped:', err.message);
+                dropped = true;
+            }
+            if (controller.signal.aborted) return;
+
+            retryTimer = setTimeout(connect, retryMs);
+            retryMs = Math.min(retryMs * 2, MAX_RETRY_MS);
+        };
+
+        connect();
+        return () => {
+            controller.abort();
+            clearTimeout(retryTimer);
+        };
+    }, [userId, organizationId, queryClient]);
+};
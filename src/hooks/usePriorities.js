@@ -0,0 +1,19 @@
+import { useMemo } from 'react';
+import { useApiData } from './useApiData';
+import { useAuth } from '../context/AuthContext';
+import { DEFAULT_PRIORITY_LEVELS, findPriorityLevel, PRIORITY_COLOR_CLASSES, NO_PRIORITY_CLASSES } from '../utils/priorities';
+
+// The active organization's priority labels and colors (the defaults until loaded).
+// getLevel(priority) is the level or null for none; classesFor(priority) its PRIORITY_COLOR_CLASSES entry.
+export const usePriorities = () => {
+    const { user } = useAuth();
+    const { data, loading, refetch } = useApiData(user?.organizationId ? `/organizations/${user.organizationId}/priorities` : null);
+    const levels = data.levels || DEFAULT_PRIORITY_LEVELS;
+    const isDefault = data.isDefault ?? true;
+
+    return useMemo(() => {
+        const getLevel = (priority) => findPriorityLevel(levels, priority);
+        const classesFor = (priority) => PRIORITY_COLOR_CLASSES[getLevel(priority)?.color] || NO_PRIORITY_CLASSES;
+        return { levels, getLevel, classesFor, isDefault, loading, refetch };
+    }, [levels, isDefault, loading, refetch]);
+};
@@ -0,0 +1,199 @@
+import { useState, useRef, useCallback, useEffect } from 'react';
+import { useTimelineRegistry } from '../context/TimelineRegistryContext';
+import { getDateFromPixelOffset } from '../utils/timelineMath';
+import { isTaskDone } from '../utils/workflow';
+
+const DRAG_THRESHOLD = 5; // px before a press on a card becomes a drag (below it, it stays a click)
+const EDGE_SIZE = 60; // px from the visible grid's edges where auto-scroll kicks in
+const MAX_SCROLL_SPEED = 24; // px per frame at the very edge
+const ONE_DAY_MS = 86400000;
+const DRAGGED_CLASS = 'opacity-40';
+
+const dayDiff = (from, to) => Math.round((to - from) / ONE_DAY_MS);
+
+// Auto-scroll speed for a pointer position along one axis: negative near the start edge, positive near the end
+const edgeSpeed = (pos, start, end) => {
+    if (pos < start + EDGE_SIZE) return -Math.ceil(MAX_SCROLL_SPEED * Math.min(1, (start + EDGE_SIZE - pos) / EDGE_SIZE));
+    if (pos > end - EDGE_SIZE) return Math.ceil(MAX_SCROLL_SPEED * Math.min(1, (pos - end + EDGE_SIZE) / EDGE_SIZE));
+    return 0;
+};
+
+/**
+ * Pointer-based drag and drop of task cards on the unified timeline.
+ * Pressing a card and moving past a small threshold drags it, or the whole selection when the card is part of it.
+ * The day under the pointer comes from getDateFromPixelOffset, the colleague row from the `data-colleague-id`
+ * element under it; near the edges the board scrolls by itself. Done tasks stay where they were completed.
+ *
+ * Usage: const drag = useTimelineDrag({ ..., onDrop });
+ *        onDrop({ taskIds, days, fromColleagueId, toColleagueId }) fires once per drop that changes something.
+ * Card presses are handled here; the board's own pan/marquee handlers keep ignoring `.task-card` targets.
+ */
+export const useTimelineDrag = ({ scrollContainerRef, tasks, selectedTaskIds, virtualStartDate, scale, sidebarWidth = 0, onDrop }) => {
+    const { getTasks } = useTimelineRegistry();
+    const [dragState, setDragState] = useState(null); // { count, date, days, colleagueId, colleagueChanged } while dragging
+    const previewRef = useRef(null); // Floating label, moved by direct DOM updates
+    const dragRef = useRef(null);
+    const frameRef = useRef(null);
+
+    const setDraggedClass = (taskIds, on) => {
+        const registry = getTasks();
+        taskIds.forEach(id => registry.get(id)?.element?.classList.toggle(DRAGGED_CLASS, on));
+    };
+
+    // Day and row under the pointer (content coordinates, so it keeps working while auto-scrolling)
+    const locate = useCallback((clientX, clientY) => {
+        const scrollBox = scrollContainerRef.current;
+        const rect = scrollBox.getBoundingClientRect();
+        const gridPixel = clientX - rect.left + scrollBox.scrollLeft - sidebarWidth;
+        const date = getDateFromPixelOffset(Math.max(0, gridPixel), virtualStartDate, scale || 96);
+        date.setHours(0, 0, 0, 0);
+        const row = document.elementFromPoint(clientX, clientY)?.closest('[data-colleague-id]');
+        return { date, colleagueId: row ? row.dataset.colleagueId : null };
+    }, [scrollContainerRef, virtualStartDate, scale, sidebarWidth]);
+
+    const updateTarget = useCallback(() => {
+        const drag = dragRef.current;
+        if (!drag?.active) return;
+        const { date, colleagueId } = locate(drag.clientX, drag.clientY);
+        const days = dayDiff(drag.originDate, date);
+        // Off the rows (header, sidebar gap): keep the last row
+        const targetColleagueId = colleagueId || drag.colleagueId;
+
+        if (previewRef.current) {
+            previewRef.current.style.transform = `translate(${drag.clientX + 14}px, ${drag.clientY + 14}px)`;
+        }
+        if (days !== drag.days || targetColleagueId !== drag.colleagueId) {
+            drag.days = days;
+            drag.colleagueId = targetColleagueId;
+            setDragState({ count: drag.taskIds.length, date, days, colleagueId: targetColleagueId, colleagueChanged: targetColleagueId !== drag.originColleagueId });
+        }
+    }, [locate]);
+
+    const stopAutoScroll = () => {
+        if (frameRef.current) cancelAnimationFrame(frameRef.current);
+        frameRef.current = null;
+    };
+
+    const autoScroll = useCallback(() => {
+        const drag = dragRef.current;
+        const scrollBox = scrollContainerRef.current;
+        if (!drag?.active || !scrollBox) return;
+
+        const rect = scrollBox.getBoundingClientRect();
+        const dx = edgeSpeed(drag.clientX, rect.left + sidebarWidth, rect.right);
+        const dy = edgeSpeed(drag.clientY, rect.top, rect.bottom);
+        if (dx || dy) {
+            scrollBox.scrollLeft += dx;
+            scrollBox.scrollTop += dy;
+            updateTarget();
+        }
+        frameRef.current = requestAnimationFrame(autoScroll);
+    }, [scrollContainerRef, sidebarWidth, updateTarget]);
+
+    const endDrag = useCallback(() => {
+        const drag = dragRef.current;
+        dragRef.current = null;
+        stopAutoScroll();
+        setDragState(null);
+        if (!drag) return;
+        if (drag.active) {
+            setDraggedClass(drag.taskIds, false);
+            try {
+                scrollContainerRef.current?.releasePointerCapture(drag.pointerId);
+            } catch (err) {
+                // Already released
+            }
+        }
+    }, [scrollContainerRef]);
+
+    // Returns true when the press is on a draggable card (the caller then leaves it alone)
+    const handlePointerDown = useCallback((e) => {
+        if (e.button !== 0 || e.shiftKey) return false;
+        const card = e.target.closest('.task-card');
+        const task = card && tasks.find(t => t.id === card.dataset.taskId);
+        const row = card?.closest('[data-colleague-id]');
+        if (!task || !row || isTaskDone(task) || !task.dueDate) return false;
+
+        const group = selectedTaskIds.has(task.id) && selectedTaskIds.size > 1
+            ? tasks.filter(t => selectedTaskIds.has(t.id) && !isTaskDone(t) && t.dueDate).map(t => t.id)
+            : [task.id];
+
+        const { date } = locate(e.clientX, e.clientY);
+        dragRef.current = {
+            active: false,
+            pointerId: e.pointerId,
+            startX: e.clientX,
+            startY: e.clientY,
+            clientX: e.clientX,
+            clientY: e.clientY,
+            taskIds: group,
+            originDate: date,
+            originColleagueId: row.dataset.colleagueId,
+            colleagueId: row.dataset.colleagueId,
+            days: 0
+        };
+        return true;
+    }, [tasks, selectedTaskIds, locate]);
+
+    const handlePointerMove = useCallback((e) => {
+        const drag = dragRef.current;
+        if (!drag || drag.pointerId !== e.pointerId) return;
+        drag.clientX = e.clientX;
+        drag.clientY = e.clientY;
+
+        if (!drag.active) {
+            if (Math.hypot(e.clientX - drag.startX, e.clientY - drag.startY) < DRAG_THRESHOLD) return;
+            drag.active = true;
+            // Capturing on the board also means the press no longer ends in a click on the card
+            try {
+                scrollContainerRef.current.setPointerCapture(e.pointerId);
+            } catch (err) {
+                console.error('Failed to capture pointer', err);
+            }
+            setDraggedClass(drag.taskIds, true);
+            setDragState({ count: drag.taskIds.length, date: drag.originDate, days: 0, colleagueId: drag.colleagueId, colleagueChanged: false });
+            frameRef.current = requestAnimationFrame(autoScroll);
+        }
+        updateTarget();
+    }, [scrollContainerRef, autoScroll, updateTarget]);
+
+    const handlePointerUp = useCallback((e) => {
+        const drag = dragRef.current;
+        if (!drag || drag.pointerId !== e.pointerId) return;
+        const wasActive = drag.active;
+        if (wasActive) updateTarget();
+        endDrag();
+
+        if (!wasActive) return; // A plain click: the card's own handlers take it
+        if (drag.days === 0 && drag.colleagueId === drag.originColleagueId) return;
+        onDrop({
+            taskIds: drag.taskIds,
+            days: drag.days,
+            fromColleagueId: drag.originColleagueId,
+            toColleagueId: drag.colleagueId
+        });
+    }, [updateTarget, endDrag, onDrop]);
+
+    const handlePointerCancel = useCallback((e) => {
+        if (dragRef.current?.pointerId === e.pointerId) endDrag();
+    }, [endDrag]);
+
+    // Escape drops nothing
+    useEffect(() => {
+        if (!dragState) return;
+        const handleKeyDown = (e) => { if (e.key === 'Escape') endDrag(); };
+        window.addEventListener('keydown', handleKeyDown);
+        return () => window.removeEventListener('keydown', handleKeyDown);
+    }, [dragState, endDrag]);
+
+    useEffect(() => stopAutoScroll, []);
+
+    return {
+        dragState,
+        previewRef,
+        handlePointerDown,
+        handlePointerMove,
+        handlePointerUp,
+        handlePointerCancel
+    };
+};
@@ -1,14 +1,32 @@
-import { useCallback, useState } from 'react';
+import { useCallback, useMemo, useState } from 'react';
 import { useTimelineData } from './timeline/useTimelineData';
+import { useApiData } from './useApiData';
 
 import { useTimelineActions } from './timeline/useTimelineActions';
-import { useFilterAndSortTool } from './useFilterAndSortTool';
+import { useFilterPersistence } from './useFilterPersistence';
+import { useFilterLogic } from './useFilterLogic';
+import { useTimelineDateRange } from './useTimelineDateRange';
+import { buildTaskQuery } from '../utils/taskQuery';
+import { isTaskDone } from '../utils/workflow';
+import { useWorkflow } from './useWorkflow';
 
 export const useTimelineState = (user) => {
     // 0. UI State
     const [showDoneTasks, setShowDoneTasks] = useState(true);
 
-    // 1. Data Fetching
+    // 1. Filter State (needed first: the server applies what it can)
+    const { state: filterState, setters: filterSetters } = useFilterPersistence(user);
+
+    // Only the visible days are fetched
+    const days = useTimelineDateRange();
+    const workflow = useWorkflow();
+    const taskQuery = useMemo(() => {
+        const to = new Date(days[days.length - 1]);
+        to.setDate(to.getDate() + 1);
+        return buildTaskQuery({ from: days[0], to, taskFilters: filterState.taskFilters, workflow });
+    }, [days, filterState.taskFilters, workflow]);
+
+    // 2. Data Fetching
     const {
         tasks,
         setTasks,
@@ -19,36 +37,41 @@ export const useTimelineState = (user) => {
         delegations,
         setDelegations,
         delegationMap
-    } = useTimelineData(user);
+    } = useTimelineData(user, taskQuery);
+
+    // Projected occurrences of repeating tasks that are not generated yet
+    const { data: upcomingOccurrences } = useApiData('/recurrences/upcoming');
 
-    // 2. Filters & Computed Lists
+    // 3. Computed Lists (client-side pass for filters the server cannot apply)
+    const { searchText, colleagueFilters, taskFilters, projectFilters, sortConfig, hideEmptyRows } = filterState;
     const {
-        searchText, setSearchText,
-        colleagueFilters, setColleagueFilters,
-        taskFilters, setTaskFilters,
-        sortConfig, setSortConfig,
-        hideEmptyRows, setHideEmptyRows,
-        resetAll,
-        projectFilters, setProjectFilters,
-        filteredTasks,
-        visibleColleagues
-    } = useFilterAndSortTool(tasks, colleagues, projectsData, user);
+        setSearchText, setColleagueFilters, setTaskFilters, setProjectFilters,
+        setSortConfig, setHideEmptyRows, resetAll
+    } = filterSetters;
+    const { filteredTasks, visibleColleagues } = useFilterLogic({
+        tasks,
+        colleagues,
+        projectsData,
+        user,
+        filters: filterState
+    });
 
-    // 3. Actions
+    // 4. Actions
     // Pass 'tasks' so actions can look up task details for API calls
     const {
         handleRevokeDelegation,
         handleUpdateTask,
         handleDeleteTasks,
         handleBulkUpdate,
-        handleMoveDate
+        handleMoveDate,
+        handleDropTasks
     } = useTimelineActions({ tasks, setTasks, refetchTasks, setDelegations });
 
-    // 4. Adapters & Helpers
+    // 5. Adapters & Helpers
     const getTasksForColleague = useCallback((colleagueId) =>
         filteredTasks.filter(t => {
             // 0. Done Toggle Check
-            if (t.status === 'done' && !showDoneTasks) return false;
+            if (isTaskDone(t) && !showDoneTasks) return false;
 
             // 1. Explicit Assignment
             if (t.assignedTo && t.assignedTo.includes(colleagueId)) return true;
@@ -61,6 +84,14 @@ export const useTimelineState = (user) => {
         }),
         [filteredTasks, showDoneTasks]);
 
+    // Same row matching as real tasks (assignees, else creator)
+    const getGhostsForColleague = useCallback((colleagueId) =>
+        (upcomingOccurrences || []).filter(o => {
+            if (o.assignedTo.length > 0) return o.assignedTo.includes(colleagueId);
+            return o.createdBy === colleagueId;
+        }),
+        [upcomingOccurrences]);
+
     return {
         // Data
         tasks,
@@ -89,9 +120,11 @@ export const useTimelineState = (user) => {
         handleDeleteTasks,
         handleBulkUpdate,
         handleMoveDate,
+        handleDropTasks,
         setDelegations,
 
         // Helpers
-        getTasksForColleague
+        getTasksForColleague,
+        getGhostsForColleague
     };
 };
@@ -0,0 +1,50 @@
+import { useCallback } from 'react';
+import { apiClient } from '../api/client';
+import { useConflictResolver } from '../context/ConflictContext';
+
+// Conditional-write header for a row version (tasks and steps expose `version`)
+export const ifMatch = (version) => (version ? { 'If-Match': `"${version}"` } : undefined);
+
+const isConflict = (err) => err?.status === 409 && err.body?.current;
+
+/**
+ * PATCH with optimistic concurrency: each write is conditional on the version the client last saw.
+ * Stale writes come back as 409 with the server state; the user then chooses once for the whole batch
+ * whether to overwrite with their edit or keep the other change.
+ *
+ * Usage: const patchVersioned = useVersionedPatch();
+ *        const { results, conflicted, choice } = await patchVersioned([{ endpoint, updates, version }]);
+ * results are server objects in input order (the current server state for discarded writes).
+ * Throws on any non-conflict failure.
+ */
+export const useVersionedPatch = () => {
+    const { resolveConflict } = useConflictResolver();
+
+    return useCallback(async (writes) => {
+        const settled = await Promise.allSettled(
+            writes.map(w => apiClient.patch(w.endpoint, w.updates, ifMatch(w.version)))
+        );
+
+        const failure = settled.find(r => r.status === 'rejected' && !isConflict(r.reason));
+        if (failure) throw failure.reason;
+
+        const results = settled.map(r => r.value);
+        const conflicts = settled
+            .map((r, index) => (r.status === 'rejected' ? { index, current: r.reason.body.current, updates: writes[index].updates } : null))
+            .filter(Boolean);
+        if (conflicts.length === 0) return { results, conflicted: 0, choice: null };
+
+        const choice = await resolveConflict(conflicts.map(({ current, updates }) => ({ current, updates })));
+
+        if (choice === 'overwrite') {
+            const retried = await Promise.all(conflicts.map(c =>
+                apiClient.patch(writes[c.index].endpoint, c.updates, ifMatch(c.current.version))
+            ));
+            conflicts.forEach((c, i) => { results[c.index] = retried[i]; });
+        } else {
+            conflicts.forEach(c => { results[c.index] = c.current; });
+        }
+
+        return { results, conflicted: conflicts.length, choice };
+    }, [resolveConflict]);
+};
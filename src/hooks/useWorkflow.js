@@ -0,0 +1,14 @@
+import { useMemo } from 'react';
+import { useApiData } from './useApiData';
+import { useAuth } from '../context/AuthContext';
+import { buildWorkflow, DEFAULT_STATUSES } from '../utils/workflow';
+
+// The active organization's task statuses (the default ones until loaded), with the lookups of buildWorkflow
+export const useWorkflow = () => {
+    const { user } = useAuth();
+    const { data, loading, refetch } = useApiData(user?.organizationId ? `/organizations/${user.organizationId}/workflow` : null);
+    const statuses = data.statuses || DEFAULT_STATUSES;
+
+    const isDefault = data.isDefault ?? true;
+    return useMemo(() => ({ ...buildWorkflow(statuses), isDefault, loading, refetch }), [statuses, isDefault, loading, refetch]);
+};
@@ -4,6 +4,8 @@ import App from './App.jsx'
 import './index.css'
 import { AuthProvider } from './context/AuthContext'
 import { ToastProvider } from './context/ToastContext'
+import { ConflictProvider } from './context/ConflictContext'
+import { CommandHistoryProvider } from './context/CommandHistoryContext'
 
 console.log("[MAIN] Starting App...");
 
@@ -18,9 +20,13 @@ if (!rootElement) {
         <React.StrictMode>
             {console.log("[MAIN] Rendering Providers...")}
             <ToastProvider>
-                <AuthProvider>
-                    <App />
-                </AuthProvider>
+                <ConflictProvider>
+                    <CommandHistoryProvider>
+                        <AuthProvider>
+                            <App />
+                        </AuthProvider>
+                    </CommandHistoryProvider>
+                </ConflictProvider>
             </ToastProvider>
         </React.StrictMode>
     );
@@ -0,0 +1,139 @@
+import React, { useState } from 'react';
+import { useNavigate, useParams } from 'react-router-dom';
+import { useQueryClient } from '@tanstack/react-query';
+import { Mail, CheckSquare, Building2 } from 'lucide-react';
+import PageLayout from '../components/layout/PageLayout';
+import { useApiData } from '../hooks/useApiData';
+import { useAuth } from '../context/AuthContext';
+import { useToast } from '../context/ToastContext';
+import { apiClient } from '../api/client';
+
+const CLOSED_MESSAGES = {
+    accepted: 'This invitation has already been accepted.',
+    declined: 'This invitation was declined.',
+    revoked: 'This invitation was withdrawn by an admin.',
+    expired: 'This invitation has expired. Ask the person who invited you to send a new one.'
+};
+
+/**
+ * /invite/:token — the link in invitation emails. Shows what the invitation grants and lets the
+ * signed-in user accept it (claiming the invited placeholder account) or decline it.
+ */
+const AcceptInvite = () => {
+    const { token } = useParams();
+    const navigate = useNavigate();
+    const queryClient = useQueryClient();
+    const { user } = useAuth();
+    const { showToast } = useToast();
+    const { data: invitation, loading, error, refetch } = useApiData(`/invitations/${token}`);
+    const [submitting, setSubmitting] = useState(false);
+
+    const respond = async (action) => {
+        setSubmitting(true);
+        try {
+            const result = await apiClient.post(`/invitations/${token}/${action}`);
+            if (action === 'accept') {
+                showToast('Invitation accepted', 'success');
+                queryClient.invalidateQueries(); // New tasks and directory entries everywhere
+                navigate(result.taskIds?.length === 1 ? `/task/${result.taskIds[0]}` : '/my-dashboard');
+            } else {
+                showToast('Invitation declined', 'success');
+                refetch();
+            }
+        } catch (err) {
+            console.error(`Failed to ${action} invitation:`, err);
+            showToast(err.message || `Failed to ${action} invitation`, 'error');
+            refetch();
+        } finally {
+            setSubmitting(false);
+        }
+    };
+
+    const renderBody = () => {
+        if (loading) return <div className="h-48 bg-slate-50 rounded-2xl animate-pulse" />;
+        if (error || !invitation?.id) {
+            return <p className="text-sm text-slate-500">This invitation link is not valid. It may have been replaced by a newer one.</p>;
+        }
+
+        return (
+            <>
+                <div className="flex items-start gap-4">
+                    <div className="p-3 bg-teal-50 text-teal-600 rounded-2xl border border-teal-100">
+                        <Mail size={22} />
+                    </div>
+                    <div>
+                        <h3 className="text-lg font-bold text-slate-900">
+                            {invitation.inviterName || 'A teammate'} invited {invitation.email}
+                        </h3>
+                        <p className="text-sm text-slate-500 flex items-center gap-1.5 mt-1">
+                            <Building2 size={14} />
+                            {invitation.organizationName || 'Their organization'}
+                            {invitation.membership && <span className="text-slate-400">· directory member</span>}
+                        </p>
+                    </div>
+                </div>
+
+                {invitation.tasks?.length > 0 && (
+                    <div className="space-y-2">
+                        <p className="text-[10px] font-black text-slate-400 uppercase tracking-[0.2em]">Tasks</p>
+                        {invitation.tasks.map(task => (
+                            <div key={task.id} className="flex items-center gap-3 p-3 bg-slate-50 rounded-xl">
+                                <CheckSquare size={16} className="text-slate-400 shrink-0" />
+                                <span className="text-sm font-semibold text-slate-800 flex-1 truncate">{task.title}</span>
+                                {task.dueDate && (
+                                    <span className="text-xs text-slate-400">
+                                        Due {new Date(task.dueDate).toLocaleDateString(undefined, { month: 'short', day: 'numeric' })}
+                                    </span>
+                                )}
+                            </div>
+                        ))}
+                    </div>
+                )}
+
+                {invitation.status !== 'pending' ? (
+                    <p className="text-sm font-medium text-slate-500 bg-slate-50 rounded-xl p-4">{CLOSED_MESSAGES[invitation.status]}</p>
+                ) : (
+                    <>
+                        {!invitation.emailMatches && (
+                            <p className="text-sm text-amber-700 bg-amber-50 border border-amber-100 rounded-xl p-4">
+                                This invitation was sent to <strong>{invitation.email}</strong>. Accepting adds it to the account you are signed in with
+                                {user?.email ? <> (<strong>{user.email}</strong>)</> : null}.
+                            </p>
+                        )}
+                        <div className="flex gap-3">
+                            <button
+                                onClick={() => respond('decline')}
+                                disabled={submitting}
+                                className="flex-1 py-3 bg-white text-slate-700 border border-slate-200 rounded-xl text-sm font-bold hover:bg-slate-50 transition-all disabled:opacity-50"
+                            >
+                                Decline
+                            </button>
+                            <button
+                                onClick={() => respond('accept')}
+                                disabled={submitting}
+                                className="flex-1 py-3 bg-slate-900 text-white rounded-xl text-sm font-bold hover:bg-slate-800 transition-all shadow-lg active:scale-95 disabled:opacity-50"
+                            >
+                                Accept invitation
+                            </button>
+                        </div>
+                        <p className="text-xs text-slate-400 text-center">
+                            Expires {new Date(invitation.expiresAt).toLocaleDateString(undefined, { month: 'short', day: 'numeric', year: 'numeric' })}
+                        </p>
+                    </>
+                )}
+            </>
+        );
+    };
+
+    return (
+        <PageLayout title="Invitation">
+            <div className="h-full overflow-y-auto pt-8">
+                <div className="max-w-lg mx-auto bg-white rounded-2xl border border-slate-200 shadow-sm p-8 space-y-6">
+                    {renderBody()}
+                </div>
+            </div>
+        </PageLayout>
+    );
+};
+
+export default AcceptInvite;
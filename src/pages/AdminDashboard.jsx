@@ -6,18 +6,33 @@ import { useApiData } from '../hooks/useApiData';
 import Card from '../components/common/Card';
 import NewTaskModal from '../components/NewTaskModal';
 import SystemRequests from './SystemRequests';
+import EmailDelivery from './EmailDelivery';
+import PendingInvitations from './PendingInvitations';
+import OrganizationMembers from './OrganizationMembers';
+import OrganizationsAdmin from './OrganizationsAdmin';
+import Delegations from './Delegations';
+import ServiceAccounts from './ServiceAccounts';
+import WorkflowSettings from './WorkflowSettings';
+import PrioritySettings from './PrioritySettings';
+import { useAuth } from '../context/AuthContext';
+import { isTaskDone, STATUS_BADGE_CLASSES } from '../utils/workflow';
+import { useWorkflow } from '../hooks/useWorkflow';
+import { usePriorities } from '../hooks/usePriorities';
 
 const AdminDashboard = () => { // RENAMED
     const { data: tasks, loading: tasksLoading, refetch: refetchTasks } = useApiData('/tasks');
     const { data: projects, loading: projectsLoading } = useApiData('/projects');
     const { data: colleagues } = useApiData('/colleagues');
+    const { user } = useAuth();
+    const { getStatus } = useWorkflow();
+    const { getLevel, classesFor } = usePriorities();
 
     const [showNewTaskModal, setShowNewTaskModal] = useState(false);
 
     const stats = {
         totalTasks: tasks.length,
         activeProjects: projects.filter(p => p.status === 'active').length,
-        completedTasks: tasks.filter(t => t.status === 'done').length,
+        completedTasks: tasks.filter(t => isTaskDone(t)).length,
         teamSize: colleagues.length,
     };
 
@@ -126,7 +141,7 @@ const AdminDashboard = () => { // RENAMED
                                 tasks.slice(0, 10).map(task => (
                                     <div key={task.id} className="flex items-center justify-between p-4 bg-slate-50 rounded-2xl hover:bg-slate-100 transition-colors group">
                                         <div className="flex items-center gap-4">
-                                            <div className={`p-2 rounded-lg ${task.priority === 'high' ? 'bg-amber-100 text-amber-600' : 'bg-slate-200 text-slate-600'}`}>
+                                            <div className={`p-2 rounded-lg ${classesFor(task.priority).badge}`} title={getLevel(task.priority)?.label || 'No priority'}>
                                                 <Clock size={18} />
                                             </div>
                                             <div>
@@ -147,11 +162,8 @@ const AdminDashboard = () => { // RENAMED
                                                     ) : null;
                                                 })}
                                             </div>
-                                            <div className={`px-3 py-1 rounded-full text-[10px] font-bold uppercase tracking-wider ${task.status === 'done' ? 'bg-teal-100 text-teal-700' :
-                                                task.status === 'doing' ? 'bg-blue-100 text-blue-700' :
-                                                    'bg-slate-200 text-slate-600'
-                                                }`}>
-                                                {task.status}
+                                            <div className={`px-3 py-1 rounded-full text-[10px] font-bold uppercase tracking-wider ${STATUS_BADGE_CLASSES[getStatus(task.status).color] || STATUS_BADGE_CLASSES.slate}`}>
+                                                {getStatus(task.status).label}
                                             </div>
                                         </div>
                                     </div>
@@ -160,6 +172,41 @@ const AdminDashboard = () => { // RENAMED
                         </div>
                     </Card>
                 </div>
+
+                <div className="grid grid-cols-1 lg:grid-cols-3 gap-8">
+                    <div className="lg:col-span-1">
+                        <PendingInvitations />
+                    </div>
+
+                    {/* Outbox delivery status */}
+                    <div className="lg:col-span-2">
+                        <EmailDelivery />
+                    </div>
+                </div>
+
+                {/* Organization: members and roles, delegated rights, service accounts, workflow and priorities (org admins), all organizations (gods) */}
+                <div className="grid grid-cols-1 lg:grid-cols-3 gap-8">
+                    <div className="lg:col-span-2">
+                        <OrganizationMembers />
+                    </div>
+                    <div className="lg:col-span-1">
+                        <Delegations />
+                    </div>
+                    <div className="lg:col-span-2">
+                        <ServiceAccounts />
+                    </div>
+                    <div className="lg:col-span-1">
+                        <WorkflowSettings />
+                    </div>
+                    <div className="lg:col-span-1">
+                        <PrioritySettings />
+                    </div>
+                    {user?.role === 'god' && (
+                        <div className="lg:col-span-1">
+                            <OrganizationsAdmin />
+                        </div>
+                    )}
+                </div>
             </div>
         </PageLayout>
     );
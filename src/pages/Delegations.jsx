@@ -0,0 +1,122 @@
+import React, { useState } from 'react';
+import { useApiData } from '../hooks/useApiData';
+import { apiClient } from '../api/client';
+import { Shield, RefreshCw, Ban } from 'lucide-react';
+import { DELEGATION_SCOPES } from '../components/DelegationModal';
+
+const formatDate = (value) => new Date(value).toLocaleDateString(undefined, { month: 'short', day: 'numeric', year: 'numeric' });
+
+const STATUS_STYLES = {
+    scheduled: 'bg-blue-100 text-blue-700',
+    active: 'bg-teal-100 text-teal-700',
+    expired: 'bg-slate-200 text-slate-600',
+    cancelled: 'bg-red-100 text-red-700'
+};
+
+/**
+ * Admin panel: delegations in effect or scheduled (revocable), and the history of ended ones.
+ * New delegations are granted from a colleague's context menu on the timeline.
+ */
+const Delegations = () => {
+    const [tab, setTab] = useState('current');
+    const { data: current, loading, refetch } = useApiData('/delegations');
+    const { data: history, loading: historyLoading, refetch: refetchHistory } = useApiData(tab === 'history' ? '/delegations/history' : null);
+    const { data: projects } = useApiData('/projects');
+    const { data: colleagues } = useApiData('/colleagues');
+    const [processing, setProcessing] = useState(null);
+
+    const rows = tab === 'current' ? current : history;
+    const isLoading = tab === 'current' ? loading : historyLoading;
+
+    // What a scoped delegation covers, by name
+    const describeScope = (d) => {
+        const label = DELEGATION_SCOPES.find(s => s.value === (d.scope || 'full'))?.label || d.scope;
+        if (!d.scope_ids?.length) return label;
+        const names = d.scope_ids.map(id => (d.scope === 'project'
+            ? projects.find(p => p.id === id)?.title
+            : colleagues.find(c => c.id === id)?.name) || 'Unknown');
+        return `${label}: ${names.join(', ')}`;
+    };
+
+    const handleRevoke = async (delegation) => {
+        if (!confirm(`Revoke ${delegation.delegate_name}'s delegation?`)) return;
+        setProcessing(delegation.id);
+        try {
+            await apiClient.delete(`/delegations/${delegation.id}`);
+            refetch();
+        } catch (error) {
+            console.error('Failed to revoke delegation:', error);
+            alert(error.message || 'Failed to revoke delegation.');
+        } finally {
+            setProcessing(null);
+        }
+    };
+
+    return (
+        <div className="bg-white rounded-[2.5rem] border border-slate-200 shadow-sm overflow-hidden flex flex-col h-[480px]">
+            <div className="p-6 border-b border-slate-100 flex items-center justify-between">
+                <h3 className="font-bold text-lg text-slate-800 flex items-center gap-2">
+                    <Shield className="text-slate-400" size={18} />
+                    Delegations
+                </h3>
+                <div className="flex items-center gap-2">
+                    {['current', 'history'].map(t => (
+                        <button
+                            key={t}
+                            onClick={() => setTab(t)}
+                            className={`px-3 py-1.5 rounded-xl text-xs font-bold capitalize ${tab === t ? 'bg-slate-900 text-white' : 'text-slate-500 hover:bg-slate-100'}`}
+                        >
+                            {t}
+                        </button>
+                    ))}
+                    <button onClick={tab === 'current' ? refetch : refetchHistory} className="p-2 text-slate-400 hover:text-teal-600 transition-colors">
+                        <RefreshCw size={18} />
+                    </button>
+                </div>
+            </div>
+
+            <div className="overflow-y-auto flex-1 p-6 space-y-3 custom-scrollbar">
+                {isLoading ? (
+                    <div className="text-center py-10 text-slate-400">Loading delegations...</div>
+                ) : rows.length === 0 ? (
+                    <div className="text-center py-10 text-slate-400">
+                        {tab === 'current' ? 'Nobody holds delegated rights.' : 'No past delegations.'}
+                    </div>
+                ) : rows.map(d => {
+                    const status = d.status === 'active' && new Date(d.starts_at) > new Date() ? 'scheduled' : d.status;
+                    return (
+                        <div key={d.id} className="flex items-center gap-4 p-4 bg-slate-50 rounded-2xl">
+                            <div className="min-w-0 flex-1">
+                                <div className="flex items-center gap-2">
+                                    <p className="font-semibold text-slate-800 truncate">{d.delegate_name}</p>
+                                    <span className={`text-[10px] font-bold px-2 py-0.5 rounded-full uppercase tracking-wider ${STATUS_STYLES[status] || ''}`}>
+                                        {status}
+                                    </span>
+                                </div>
+                                <p className="text-xs text-slate-500 mt-0.5 truncate">{describeScope(d)}</p>
+                                <p className="text-xs text-slate-400 mt-0.5">
+                                    {formatDate(d.starts_at)} – {formatDate(d.ended_at || d.expires_at)}
+                                    {d.delegator_name && ` · by ${d.delegator_name}`}
+                                    {d.status === 'cancelled' && d.cancelled_by_name && ` · revoked by ${d.cancelled_by_name}`}
+                                </p>
+                                {d.reason && <p className="text-xs text-slate-400 italic truncate">"{d.reason}"</p>}
+                            </div>
+                            {tab === 'current' && (
+                                <button
+                                    onClick={() => handleRevoke(d)}
+                                    disabled={processing === d.id}
+                                    className="p-2 text-slate-400 hover:text-red-500 transition-colors disabled:opacity-50"
+                                    title="Revoke"
+                                >
+                                    <Ban size={16} />
+                                </button>
+                            )}
+                        </div>
+                    );
+                })}
+            </div>
+        </div>
+    );
+};
+
+export default Delegations;
@@ -0,0 +1,125 @@
+import React, { useState } from 'react';
+import { useApiData } from '../hooks/useApiData';
+import { apiClient } from '../api/client';
+import { Mail, RefreshCw, RotateCcw } from 'lucide-react';
+
+const STATUS_STYLES = {
+    pending: 'bg-slate-200 text-slate-600',
+    sending: 'bg-blue-100 text-blue-700',
+    sent: 'bg-teal-100 text-teal-700',
+    failed: 'bg-red-100 text-red-700'
+};
+
+const TEMPLATE_LABELS = {
+    invitation: 'Invitation',
+    assigned: 'Assignment',
+    daily_digest: 'Daily digest',
+    request_decision: 'Request decision'
+};
+
+/**
+ * Admin view of the email outbox (GET /emails): delivery status per message, with retry for failed ones.
+ */
+const EmailDelivery = () => {
+    const [statusFilter, setStatusFilter] = useState(null);
+    const { data, loading, refetch } = useApiData(statusFilter ? `/emails?status=${statusFilter}` : '/emails', [], { keepPrevious: true });
+    const emails = data?.emails || [];
+    const counts = data?.counts || {};
+    const [retrying, setRetrying] = useState(null); // id of email being retried
+
+    const handleRetry = async (id) => {
+        setRetrying(id);
+        try {
+            await apiClient.post(`/emails/${id}/retry`);
+            refetch();
+        } catch (error) {
+            console.error('Failed to retry email:', error);
+            alert('Failed to retry email.');
+        } finally {
+            setRetrying(null);
+        }
+    };
+
+    return (
+        <div className="bg-white rounded-[2.5rem] border border-slate-200 shadow-sm overflow-hidden flex flex-col h-[480px]">
+            <div className="p-6 border-b border-slate-100 flex items-center justify-between gap-4">
+                <h3 className="font-bold text-lg text-slate-800 flex items-center gap-2">
+                    <Mail className="text-slate-400" size={18} />
+                    Email Delivery
+                </h3>
+                <div className="flex items-center gap-2">
+                    {['pending', 'sent', 'failed'].map(status => (
+                        <button
+                            key={status}
+                            onClick={() => setStatusFilter(statusFilter === status ? null : status)}
+                            className={`px-3 py-1 rounded-full text-[10px] font-bold uppercase tracking-wider transition-all ${statusFilter === status ? 'ring-2 ring-slate-900 ' : ''}${STATUS_STYLES[status]}`}
+                        >
+                            {status} {counts[status] ?? 0}
+                        </button>
+                    ))}
+                    <button onClick={refetch} className="p-2 text-slate-400 hover:text-teal-600 transition-colors">
+                        <RefreshCw size={18} />
+                    </button>
+                </div>
+            </div>
+
+            <div className="overflow-y-auto flex-1 custom-scrollbar">
+                {loading && emails.length === 0 ? (
+                    <div className="text-center py-10 text-slate-400">Loading emails...</div>
+                ) : emails.length === 0 ? (
+                    <div className="text-center py-10 text-slate-400">No emails {statusFilter ? `with status ${statusFilter}` : 'queued yet'}.</div>
+                ) : (
+                    <table className="w-full text-sm">
+                        <thead className="sticky top-0 bg-slate-50 text-[10px] font-bold text-slate-400 uppercase tracking-wider text-left">
+                            <tr>
+                                <th className="px-6 py-3">Recipient</th>
+                                <th className="px-3 py-3">Email</th>
+                                <th className="px-3 py-3">Status</th>
+                                <th className="px-3 py-3">Attempts</th>
+                                <th className="px-6 py-3 text-right">Queued</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            {emails.map(email => (
+                                <tr key={email.id} className="border-t border-slate-100 align-top">
+                                    <td className="px-6 py-3 font-medium text-slate-800">{email.toEmail}</td>
+                                    <td className="px-3 py-3 max-w-xs">
+                                        <p className="text-slate-700 truncate" title={email.subject}>{email.subject}</p>
+                                        <p className="text-xs text-slate-400">{TEMPLATE_LABELS[email.template] || email.template}</p>
+                                        {email.lastError && <p className="text-xs text-red-500 truncate" title={email.lastError}>{email.lastError}</p>}
+                                    </td>
+                                    <td className="px-3 py-3">
+                                        <span className={`px-3 py-1 rounded-full text-[10px] font-bold uppercase tracking-wider ${STATUS_STYLES[email.status]}`}>
+                                            {email.status}
+                                        </span>
+                                        {email.status === 'pending' && email.attempts > 0 && (
+                                            <p className="text-[11px] text-slate-400 mt-1">
+                                                Retry {new Date(email.nextAttemptAt).toLocaleTimeString(undefined, { hour: 'numeric', minute: '2-digit' })}
+                                            </p>
+                                        )}
+                                    </td>
+                                    <td className="px-3 py-3 text-slate-500">{email.attempts}</td>
+                                    <td className="px-6 py-3 text-right text-slate-400 whitespace-nowrap">
+                                        {new Date(email.createdAt).toLocaleString(undefined, { month: 'short', day: 'numeric', hour: 'numeric', minute: '2-digit' })}
+                                        {email.status === 'failed' && (
+                                            <button
+                                                onClick={() => handleRetry(email.id)}
+                                                disabled={retrying === email.id}
+                                                className="ml-3 inline-flex items-center gap-1 text-xs font-bold text-teal-600 hover:text-teal-700 disabled:opacity-50"
+                                            >
+                                                <RotateCcw size={12} />
+                                                Retry
+                                            </button>
+                                        )}
+                                    </td>
+                                </tr>
+                            ))}
+                        </tbody>
+                    </table>
+                )}
+            </div>
+        </div>
+    );
+};
+
+export default EmailDelivery;
@@ -12,6 +12,8 @@ import DetailedTaskDayView from '../components/dashboard/DetailedTaskDayView';
 import { TimelineRegistryProvider } from '../context/TimelineRegistryContext';
 
 import { useTimelineScale } from '../hooks/useTimelineScale';
+import { isTaskDone } from '../utils/workflow';
+import { priorityRank } from '../utils/priorities';
 
 const MyDashboard = () => {
     const { user } = useAuth();
@@ -74,7 +76,7 @@ const MyDashboard = () => {
             const isUnassigned = (!task.assignedTo || task.assignedTo.length === 0);
 
             // Handle DONE tasks
-            if (task.status === 'done') {
+            if (isTaskDone(task)) {
                 if (isAssignedToMe || (isCreatedByMe && isUnassigned)) {
                     completed.push(task);
                 }
@@ -83,7 +85,7 @@ const MyDashboard = () => {
 
             if (isAssignedToMe || (isCreatedByMe && isUnassigned)) {
                 // Check Overdue (Internal split for potential logic, but we merge for display)
-                if (task.status !== 'done' && task.dueDate) {
+                if (!isTaskDone(task) && task.dueDate) {
                     const d = new Date(task.dueDate);
                     d.setHours(0, 0, 0, 0);
                     if (d < now) {
@@ -101,8 +103,10 @@ const MyDashboard = () => {
         });
 
         const sortFn = (a, b) => {
-            if (a.priority === '1' && b.priority !== '1') return -1;
-            if (a.priority !== '1' && b.priority === '1') return 1;
+            const isTopA = priorityRank(a.priority) === 1;
+            const isTopB = priorityRank(b.priority) === 1;
+            if (isTopA && !isTopB) return -1;
+            if (!isTopA && isTopB) return 1;
             const dateA = a.dueDate ? new Date(a.dueDate) : new Date(8640000000000000);
             const dateB = b.dueDate ? new Date(b.dueDate) : new Date(8640000000000000);
             return dateA - dateB;
@@ -126,7 +130,7 @@ const MyDashboard = () => {
 
         // Helper to get effective date
         const getEffectiveDate = (t) => {
-            if (t.status === 'done' && t.completedAt) return new Date(t.completedAt);
+            if (isTaskDone(t)) return new Date(t.completedAt);
             if (t.dueDate) return new Date(t.dueDate);
             return null;
         };
@@ -0,0 +1,89 @@
+import React, { useState } from 'react';
+import PageLayout from '../components/layout/PageLayout';
+import { useApiData } from '../hooks/useApiData';
+import { useAuth } from '../context/AuthContext';
+import SystemRequests from './SystemRequests';
+import { Inbox, MessageSquare } from 'lucide-react';
+import RequestPreview, { ApprovalProgress, getRequestMeta } from '../components/requests/RequestPreview';
+import RequestComments from '../components/requests/RequestComments';
+
+const STATUS_STYLES = {
+    PENDING: 'bg-amber-100 text-amber-700',
+    APPROVED: 'bg-teal-100 text-teal-700',
+    REJECTED: 'bg-red-100 text-red-700'
+};
+
+/**
+ * Requests the current user has sent to admins: pending ones with their approval progress,
+ * resolved ones with the decision and note. Each has its comment thread.
+ * Members delegated request approvals (no Admin Dashboard) also review the queue here.
+ */
+const MyRequests = () => {
+    const { user } = useAuth();
+    const { data: requests, loading } = useApiData('/requests/mine');
+    const reviewsRequests = (user?.delegatedScopes || []).some(d => d.scope === 'requests');
+    const [openComments, setOpenComments] = useState(null);
+
+    if (loading) {
+        return (
+            <div className="p-8 h-full flex items-center justify-center">
+                <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-slate-900"></div>
+            </div>
+        );
+    }
+
+    return (
+        <PageLayout title="My Requests" subtitle="What you have asked admins to approve.">
+            <div className="h-full overflow-y-auto custom-scrollbar pb-8 pr-2 space-y-4">
+                {reviewsRequests && (
+                    <div className="h-[480px] flex flex-col">
+                        <SystemRequests />
+                    </div>
+                )}
+                {requests.length === 0 ? (
+                    <div className="text-center py-20 flex flex-col items-center gap-4 text-slate-400">
+                        <Inbox size={48} className="text-slate-300" />
+                        <p>You haven't sent any requests.</p>
+                    </div>
+                ) : requests.map(req => {
+                    const { label, icon: Icon } = getRequestMeta(req.type);
+                    return (
+                        <div key={req.id} className="bg-white rounded-2xl p-6 border border-slate-200">
+                            <div className="flex items-start gap-6">
+                                <div className="w-12 h-12 rounded-xl bg-slate-50 border border-slate-200 flex items-center justify-center text-slate-600 shrink-0">
+                                    <Icon size={20} />
+                                </div>
+                                <div className="flex-1 min-w-0">
+                                    <div className="flex items-center gap-3 mb-1">
+                                        <h4 className="font-bold text-slate-900">{label}</h4>
+                                        <span className={`text-[10px] font-bold px-2 py-0.5 rounded-full uppercase tracking-wider ${STATUS_STYLES[req.status] || ''}`}>
+                                            {req.status}
+                                        </span>
+                                        {req.status === 'PENDING' && <ApprovalProgress request={req} />}
+                                    </div>
+                                    <RequestPreview request={req} />
+                                    {req.admin_notes && req.status !== 'PENDING' && (
+                                        <p className="text-xs text-slate-500 mt-1">Admin note: "{req.admin_notes}"</p>
+                                    )}
+                                    <p className="text-xs text-slate-400 mt-1 flex items-center gap-3">
+                                        Sent {new Date(req.created_at).toLocaleString()}
+                                        {req.resolved_at && <> · Resolved {new Date(req.resolved_at).toLocaleString()}</>}
+                                        <button
+                                            onClick={() => setOpenComments(openComments === req.id ? null : req.id)}
+                                            className="flex items-center gap-1 font-bold hover:text-teal-600"
+                                        >
+                                            <MessageSquare size={12} /> {req.comment_count || 0}
+                                        </button>
+                                    </p>
+                                </div>
+                            </div>
+                            {openComments === req.id && <RequestComments requestId={req.id} />}
+                        </div>
+                    );
+                })}
+            </div>
+        </PageLayout>
+    );
+};
+
+export default MyRequests;
@@ -0,0 +1,150 @@
+import React, { useState } from 'react';
+import { useApiData } from '../hooks/useApiData';
+import { useAuth } from '../context/AuthContext';
+import { apiClient } from '../api/client';
+import { Users, RefreshCw, UserMinus, Globe, Plus, X } from 'lucide-react';
+
+/**
+ * Admin panel for the active organization: members with their role here (user/admin), removal
+ * (membership only, the account is kept) and the email domains that auto-join new sign-ups.
+ * Domain rules are read-only for org admins; god users add and remove them.
+ */
+const OrganizationMembers = () => {
+    const { user, refreshUser } = useAuth();
+    const organizationId = user?.organizationId;
+    const organization = (user?.organizations || []).find(o => o.id === organizationId);
+    const isGod = user?.role === 'god';
+
+    const { data: members, loading, refetch } = useApiData(organizationId ? `/organizations/${organizationId}/members` : null);
+    const { data: domains, refetch: refetchDomains } = useApiData(organizationId ? `/organizations/${organizationId}/domains` : null);
+    const [processing, setProcessing] = useState(null); // id of member or rule being processed
+    const [newDomain, setNewDomain] = useState('');
+
+    const run = async (id, action, failure) => {
+        setProcessing(id);
+        try {
+            await action();
+        } catch (error) {
+            console.error(failure, error);
+            alert(error.message || failure);
+        } finally {
+            setProcessing(null);
+        }
+    };
+
+    const handleRoleChange = (member, role) => run(member.id, async () => {
+        await apiClient.patch(`/organizations/${organizationId}/members/${member.id}`, { role });
+        refetch();
+        if (member.id === user.id) refreshUser(); // Own role here changed
+    }, 'Failed to change role.');
+
+    const handleRemove = (member) => {
+        if (!confirm(`Remove ${member.name} from ${organization?.name || 'this organization'}? Their account is kept.`)) return;
+        run(member.id, async () => {
+            await apiClient.delete(`/organizations/${organizationId}/members/${member.id}`);
+            refetch();
+        }, 'Failed to remove member.');
+    };
+
+    const handleAddDomain = (e) => {
+        e.preventDefault();
+        if (!newDomain.trim()) return;
+        run('new-domain', async () => {
+            await apiClient.post(`/organizations/${organizationId}/domains`, { domain: newDomain.trim() });
+            setNewDomain('');
+            refetchDomains();
+        }, 'Failed to add domain.');
+    };
+
+    const handleRemoveDomain = (rule) => run(rule.id, async () => {
+        await apiClient.delete(`/organizations/${organizationId}/domains/${rule.id}`);
+        refetchDomains();
+    }, 'Failed to remove domain.');
+
+    if (!organizationId) return null;
+
+    return (
+        <div className="bg-white rounded-[2.5rem] border border-slate-200 shadow-sm overflow-hidden flex flex-col h-[480px]">
+            <div className="p-6 border-b border-slate-100 flex items-center justify-between">
+                <h3 className="font-bold text-lg text-slate-800 flex items-center gap-2">
+                    <Users className="text-slate-400" size={18} />
+                    Members{organization ? ` · ${organization.name}` : ''}
+                </h3>
+                <button onClick={refetch} className="p-2 text-slate-400 hover:text-teal-600 transition-colors">
+                    <RefreshCw size={18} />
+                </button>
+            </div>
+
+            <div className="overflow-y-auto flex-1 p-6 space-y-3 custom-scrollbar">
+                {loading ? (
+                    <div className="text-center py-10 text-slate-400">Loading members...</div>
+                ) : members.map(member => (
+                    <div key={member.id} className="flex items-center gap-4 p-4 bg-slate-50 rounded-2xl">
+                        <div className="min-w-0 flex-1">
+                            <p className="font-semibold text-slate-800 truncate">
+                                {member.name}
+                                {member.status === 'pending' && <span className="ml-2 text-xs font-medium text-amber-600">Invited</span>}
+                            </p>
+                            <p className="text-xs text-slate-400 mt-0.5 truncate">{member.email}</p>
+                        </div>
+                        <select
+                            value={member.role}
+                            onChange={(e) => handleRoleChange(member, e.target.value)}
+                            disabled={processing === member.id}
+                            className="px-3 py-1.5 bg-white border border-slate-200 rounded-xl text-xs font-bold text-slate-600 outline-none disabled:opacity-50"
+                        >
+                            <option value="user">Member</option>
+                            <option value="admin">Admin</option>
+                        </select>
+                        <button
+                            onClick={() => handleRemove(member)}
+                            disabled={processing === member.id}
+                            className="p-2 text-slate-400 hover:text-red-500 transition-colors disabled:opacity-50"
+                            title="Remove from organization"
+                        >
+                            <UserMinus size={16} />
+                        </button>
+                    </div>
+                ))}
+            </div>
+
+            <div className="p-6 border-t border-slate-100 space-y-3">
+                <p className="text-[10px] font-black text-slate-400 uppercase tracking-[0.2em] flex items-center gap-1.5">
+                    <Globe size={12} /> Auto-join domains
+                </p>
+                <div className="flex flex-wrap gap-2">
+                    {domains.length === 0 && <span className="text-xs text-slate-400">None: people only join by invitation.</span>}
+                    {domains.map(rule => (
+                        <span key={rule.id} className="flex items-center gap-1 px-3 py-1 bg-slate-100 rounded-full text-xs font-semibold text-slate-600">
+                            @{rule.domain}{rule.role === 'admin' && ' (admin)'}
+                            {isGod && (
+                                <button onClick={() => handleRemoveDomain(rule)} disabled={processing === rule.id} className="text-slate-400 hover:text-red-500">
+                                    <X size={12} />
+                                </button>
+                            )}
+                        </span>
+                    ))}
+                </div>
+                {isGod && (
+                    <form onSubmit={handleAddDomain} className="flex gap-2">
+                        <input
+                            value={newDomain}
+                            onChange={(e) => setNewDomain(e.target.value)}
+                            placeholder="example.com"
+                            className="flex-1 px-3 py-2 bg-slate-50 border border-slate-200 rounded-xl text-sm outline-none focus:border-teal-500"
+                        />
+                        <button
+                            type="submit"
+                            disabled={processing === 'new-domain'}
+                            className="px-3 py-2 bg-slate-900 text-white rounded-xl text-sm font-bold hover:bg-slate-800 disabled:opacity-50"
+                        >
+                            <Plus size={16} />
+                        </button>
+                    </form>
+                )}
+            </div>
+        </div>
+    );
+};
+
+export default OrganizationMembers;
@@ -0,0 +1,126 @@
+import React, { useState } from 'react';
+import { useApiData } from '../hooks/useApiData';
+import { useAuth } from '../context/AuthContext';
+import { apiClient } from '../api/client';
+import { Building2, Plus, Check } from 'lucide-react';
+
+const PLAN_TIERS = ['free', 'pro', 'enterprise'];
+
+/**
+ * God-only list of every organization: create, rename and set the plan tier.
+ */
+const OrganizationsAdmin = () => {
+    const { refreshUser } = useAuth();
+    const { data: organizations, loading, refetch } = useApiData('/organizations');
+    const [newName, setNewName] = useState('');
+    const [editing, setEditing] = useState(null); // { id, name }
+    const [processing, setProcessing] = useState(null);
+
+    const save = async (id, action, failure) => {
+        setProcessing(id);
+        try {
+            await action();
+            refetch();
+            refreshUser(); // Switcher lists organizations by name
+        } catch (error) {
+            console.error(failure, error);
+            alert(error.message || failure);
+        } finally {
+            setProcessing(null);
+        }
+    };
+
+    const handleCreate = (e) => {
+        e.preventDefault();
+        if (!newName.trim()) return;
+        save('new', async () => {
+            await apiClient.post('/organizations', { name: newName.trim() });
+            setNewName('');
+        }, 'Failed to create organization.');
+    };
+
+    const handleRename = (e) => {
+        e.preventDefault();
+        if (!editing?.name.trim()) return;
+        save(editing.id, async () => {
+            await apiClient.patch(`/organizations/${editing.id}`, { name: editing.name.trim() });
+            setEditing(null);
+        }, 'Failed to rename organization.');
+    };
+
+    const handlePlanChange = (organization, planTier) => save(organization.id, () =>
+        apiClient.patch(`/organizations/${organization.id}`, { planTier }), 'Failed to change plan.');
+
+    return (
+        <div className="bg-white rounded-[2.5rem] border border-slate-200 shadow-sm overflow-hidden flex flex-col h-[480px]">
+            <div className="p-6 border-b border-slate-100">
+                <h3 className="font-bold text-lg text-slate-800 flex items-center gap-2">
+                    <Building2 className="text-slate-400" size={18} />
+                    Organizations
+                </h3>
+            </div>
+
+            <div className="overflow-y-auto flex-1 p-6 space-y-3 custom-scrollbar">
+                {loading ? (
+                    <div className="text-center py-10 text-slate-400">Loading organizations...</div>
+                ) : organizations.map(organization => (
+                    <div key={organization.id} className="flex items-center gap-4 p-4 bg-slate-50 rounded-2xl">
+                        <div className="min-w-0 flex-1">
+                            {editing?.id === organization.id ? (
+                                <form onSubmit={handleRename} className="flex gap-2">
+                                    <input
+                                        autoFocus
+                                        value={editing.name}
+                                        onChange={(e) => setEditing({ ...editing, name: e.target.value })}
+                                        onKeyDown={(e) => e.key === 'Escape' && setEditing(null)}
+                                        className="flex-1 min-w-0 px-3 py-1.5 bg-white border border-slate-200 rounded-xl text-sm outline-none focus:border-teal-500"
+                                    />
+                                    <button type="submit" disabled={processing === organization.id} className="p-1.5 text-teal-600 disabled:opacity-50">
+                                        <Check size={16} />
+                                    </button>
+                                </form>
+                            ) : (
+                                <button
+                                    onClick={() => setEditing({ id: organization.id, name: organization.name })}
+                                    className="font-semibold text-slate-800 truncate hover:text-teal-600 text-left"
+                                    title="Rename"
+                                >
+                                    {organization.name}
+                                </button>
+                            )}
+                            <p className="text-xs text-slate-400 mt-0.5">
+                                {organization.memberCount} member{organization.memberCount === 1 ? '' : 's'}
+                            </p>
+                        </div>
+                        <select
+                            value={organization.planTier || 'free'}
+                            onChange={(e) => handlePlanChange(organization, e.target.value)}
+                            disabled={processing === organization.id}
+                            className="px-3 py-1.5 bg-white border border-slate-200 rounded-xl text-xs font-bold text-slate-600 uppercase outline-none disabled:opacity-50"
+                        >
+                            {PLAN_TIERS.map(tier => <option key={tier} value={tier}>{tier}</option>)}
+                        </select>
+                    </div>
+                ))}
+            </div>
+
+            <form onSubmit={handleCreate} className="p-6 border-t border-slate-100 flex gap-2">
+                <input
+                    value={newName}
+                    onChange={(e) => setNewName(e.target.value)}
+                    placeholder="New organization name"
+                    className="flex-1 px-3 py-2 bg-slate-50 border border-slate-200 rounded-xl text-sm outline-none focus:border-teal-500"
+                />
+                <button
+                    type="submit"
+                    disabled={processing === 'new'}
+                    className="px-3 py-2 bg-slate-900 text-white rounded-xl text-sm font-bold hover:bg-slate-800 disabled:opacity-50 flex items-center gap-1"
+                >
+                    <Plus size={16} /> Create
+                </button>
+            </form>
+        </div>
+    );
+};
+
+export default OrganizationsAdmin;
@@ -0,0 +1,85 @@
+import React, { useState } from 'react';
+import { useApiData } from '../hooks/useApiData';
+import { apiClient } from '../api/client';
+import { UserPlus, RefreshCw, Send, X } from 'lucide-react';
+
+/**
+ * Admin list of open invitations (GET /invitations?status=pending) with resend and revoke.
+ * Resending issues a new link and retires the old one; revoking removes the invitee's placeholder access.
+ */
+const PendingInvitations = () => {
+    const { data: invitations, loading, refetch } = useApiData('/invitations?status=pending');
+    const [processing, setProcessing] = useState(null); // id of invitation being processed
+
+    const handleAction = async (invitation, action) => {
+        if (action === 'revoke' && !confirm(`Revoke the invitation for ${invitation.email}? They will lose access to everything it covers.`)) return;
+        setProcessing(invitation.id);
+        try {
+            await apiClient.post(`/invitations/${invitation.id}/${action}`);
+            refetch();
+        } catch (error) {
+            console.error(`Failed to ${action} invitation:`, error);
+            alert(`Failed to ${action} invitation.`);
+        } finally {
+            setProcessing(null);
+        }
+    };
+
+    return (
+        <div className="bg-white rounded-[2.5rem] border border-slate-200 shadow-sm overflow-hidden flex flex-col h-[480px]">
+            <div className="p-6 border-b border-slate-100 flex items-center justify-between">
+                <h3 className="font-bold text-lg text-slate-800 flex items-center gap-2">
+                    <UserPlus className="text-slate-400" size={18} />
+                    Pending Invitations
+                </h3>
+                <button onClick={refetch} className="p-2 text-slate-400 hover:text-teal-600 transition-colors">
+                    <RefreshCw size={18} />
+                </button>
+            </div>
+
+            <div className="overflow-y-auto flex-1 p-6 space-y-3 custom-scrollbar">
+                {loading ? (
+                    <div className="text-center py-10 text-slate-400">Loading invitations...</div>
+                ) : invitations.length === 0 ? (
+                    <div className="text-center py-10 text-slate-400">No open invitations.</div>
+                ) : invitations.map(invitation => (
+                    <div key={invitation.id} className="flex items-center gap-4 p-4 bg-slate-50 rounded-2xl">
+                        <div className="min-w-0 flex-1">
+                            <p className="font-semibold text-slate-800 truncate">{invitation.email}</p>
+                            <p className="text-xs text-slate-400 mt-0.5">
+                                {[
+                                    invitation.membership && 'Directory',
+                                    invitation.taskIds.length > 0 && `${invitation.taskIds.length} task${invitation.taskIds.length === 1 ? '' : 's'}`,
+                                    invitation.inviterName && `by ${invitation.inviterName}`
+                                ].filter(Boolean).join(' · ')}
+                            </p>
+                            <p className={`text-xs mt-0.5 ${invitation.status === 'expired' ? 'text-red-500 font-bold' : 'text-slate-400'}`}>
+                                {invitation.status === 'expired' ? 'Expired' : 'Expires'}{' '}
+                                {new Date(invitation.expiresAt).toLocaleDateString(undefined, { month: 'short', day: 'numeric' })}
+                                {invitation.sendCount > 1 && ` · sent ${invitation.sendCount}×`}
+                            </p>
+                        </div>
+                        <button
+                            onClick={() => handleAction(invitation, 'resend')}
+                            disabled={processing === invitation.id}
+                            className="p-2 text-slate-400 hover:text-teal-600 transition-colors disabled:opacity-50"
+                            title="Resend (new link)"
+                        >
+                            <Send size={16} />
+                        </button>
+                        <button
+                            onClick={() => handleAction(invitation, 'revoke')}
+                            disabled={processing === invitation.id}
+                            className="p-2 text-slate-400 hover:text-red-500 transition-colors disabled:opacity-50"
+                            title="Revoke"
+                        >
+                            <X size={16} />
+                        </button>
+                    </div>
+                ))}
+            </div>
+        </div>
+    );
+};
+
+export default PendingInvitations;
@@ -0,0 +1,101 @@
+import React, { useEffect, useState } from 'react';
+import { useQueryClient } from '@tanstack/react-query';
+import { useAuth } from '../context/AuthContext';
+import { usePriorities } from '../hooks/usePriorities';
+import { apiClient } from '../api/client';
+import { PRIORITY_COLORS, PRIORITY_COLOR_CLASSES } from '../utils/priorities';
+import { Flag, RefreshCw, RotateCcw } from 'lucide-react';
+
+/**
+ * Admin panel for the active organization's priority labels and colors.
+ * The scale itself (levels 1 to 4, 1 most urgent) is fixed: only what each level is called and how it looks changes.
+ */
+const PrioritySettings = () => {
+    const { user } = useAuth();
+    const queryClient = useQueryClient();
+    const priorities = usePriorities();
+    const endpoint = `/organizations/${user?.organizationId}/priorities`;
+
+    const [draft, setDraft] = useState(priorities.levels);
+    const [saving, setSaving] = useState(false);
+
+    useEffect(() => setDraft(priorities.levels), [priorities.levels]);
+
+    const updateLevel = (value, changes) => setDraft(prev => prev.map(l => (l.value === value ? { ...l, ...changes } : l)));
+
+    const save = async (body) => {
+        setSaving(true);
+        try {
+            await apiClient.put(endpoint, body);
+            queryClient.invalidateQueries({ queryKey: [endpoint] });
+        } catch (error) {
+            console.error('Failed to save priorities:', error);
+            alert(error.message || 'Failed to save priorities.');
+        } finally {
+            setSaving(false);
+        }
+    };
+
+    const handleReset = () => {
+        if (!confirm('Go back to the default priorities (Now, ASAP, Soon, Later)?')) return;
+        save({ reset: true });
+    };
+
+    const isDirty = JSON.stringify(draft) !== JSON.stringify(priorities.levels);
+
+    return (
+        <div className="bg-white rounded-[2.5rem] border border-slate-200 shadow-sm overflow-hidden flex flex-col">
+            <div className="p-6 border-b border-slate-100 flex items-center justify-between">
+                <h3 className="font-bold text-lg text-slate-800 flex items-center gap-2">
+                    <Flag className="text-slate-400" size={18} />
+                    Priorities
+                    {priorities.isDefault && <span className="text-[10px] font-bold px-2 py-0.5 rounded-full uppercase tracking-wider bg-slate-100 text-slate-500">Default</span>}
+                </h3>
+                <div className="flex items-center gap-1">
+                    {!priorities.isDefault && (
+                        <button onClick={handleReset} disabled={saving} className="p-2 hover:bg-slate-50 rounded-full text-slate-400 hover:text-teal-600 transition-colors" title="Reset to default">
+                            <RotateCcw size={18} />
+                        </button>
+                    )}
+                    <button onClick={() => priorities.refetch()} className="p-2 hover:bg-slate-50 rounded-full text-slate-400 hover:text-teal-600 transition-colors">
+                        <RefreshCw size={18} className={priorities.loading ? 'animate-spin' : ''} />
+                    </button>
+                </div>
+            </div>
+
+            <div className="p-4 space-y-2">
+                {draft.map(level => (
+                    <div key={level.value} className="flex items-center gap-2 rounded-2xl bg-slate-50 p-3">
+                        <span className={`text-[10px] font-bold px-2 py-0.5 rounded-full uppercase tracking-wider border ${PRIORITY_COLOR_CLASSES[level.color].badge}`}>P{level.value}</span>
+                        <input
+                            value={level.label}
+                            onChange={(e) => updateLevel(level.value, { label: e.target.value })}
+                            maxLength={24}
+                            className="flex-1 min-w-0 px-3 py-1.5 bg-white border border-slate-200 rounded-xl text-sm outline-none focus:border-teal-500"
+                        />
+                        <select
+                            value={level.color}
+                            onChange={(e) => updateLevel(level.value, { color: e.target.value })}
+                            className="px-2 py-1.5 bg-white border border-slate-200 rounded-xl text-xs text-slate-600 outline-none"
+                        >
+                            {PRIORITY_COLORS.map(color => <option key={color} value={color}>{color}</option>)}
+                        </select>
+                    </div>
+                ))}
+                <p className="text-xs text-slate-400 px-2">Level 1 is the most urgent. Tasks without a priority sort last.</p>
+            </div>
+
+            <div className="p-4 border-t border-slate-100 flex justify-end">
+                <button
+                    onClick={() => save({ levels: draft })}
+                    disabled={saving || !isDirty || draft.some(l => !l.label.trim())}
+                    className="px-4 py-2 bg-slate-900 text-white rounded-xl text-sm font-semibold hover:bg-slate-800 disabled:opacity-50"
+                >
+                    {saving ? 'Saving...' : 'Save'}
+                </button>
+            </div>
+        </div>
+    );
+};
+
+export default PrioritySettings;
@@ -0,0 +1,142 @@
+import React, { useState } from 'react';
+import { useApiData } from '../hooks/useApiData';
+import { useAuth } from '../context/AuthContext';
+import { apiClient } from '../api/client';
+import { Bot, RefreshCw, Plus, Trash2, ChevronDown, ChevronRight } from 'lucide-react';
+import ApiTokenManager from '../components/tokens/ApiTokenManager';
+
+/**
+ * Admin panel for the active organization's service accounts: login-less members that scripts act as,
+ * through tokens minted here. Retiring one revokes its tokens and removes it from the organization.
+ */
+const ServiceAccounts = () => {
+    const { user } = useAuth();
+    const organizationId = user?.organizationId;
+    const endpoint = organizationId ? `/organizations/${organizationId}/service-accounts` : null;
+
+    const { data: accounts, loading, refetch } = useApiData(endpoint);
+    const [expanded, setExpanded] = useState(null);
+    const [processing, setProcessing] = useState(null);
+    const [name, setName] = useState('');
+    const [role, setRole] = useState('user');
+
+    const handleCreate = async (e) => {
+        e.preventDefault();
+        if (!name.trim()) return;
+        setProcessing('new');
+        try {
+            const account = await apiClient.post(endpoint, { name: name.trim(), role });
+            setName('');
+            setExpanded(account.id);
+            refetch();
+        } catch (error) {
+            console.error('Failed to create service account:', error);
+            alert(error.message || 'Failed to create service account.');
+        } finally {
+            setProcessing(null);
+        }
+    };
+
+    const handleRetire = async (account) => {
+        if (!confirm(`Retire ${account.name}? Its tokens are revoked and it leaves the organization.`)) return;
+        setProcessing(account.id);
+        try {
+            await apiClient.delete(`${endpoint}/${account.id}`);
+            refetch();
+        } catch (error) {
+            console.error('Failed to retire service account:', error);
+            alert(error.message || 'Failed to retire service account.');
+        } finally {
+            setProcessing(null);
+        }
+    };
+
+    return (
+        <div className="bg-white rounded-[2.5rem] border border-slate-200 shadow-sm overflow-hidden flex flex-col h-[480px]">
+            <div className="p-6 border-b border-slate-100 flex items-center justify-between">
+                <h3 className="font-bold text-lg text-slate-800 flex items-center gap-2">
+                    <Bot className="text-slate-400" size={18} />
+                    Service Accounts
+                </h3>
+                <button onClick={refetch} className="p-2 hover:bg-slate-50 rounded-full text-slate-400 hover:text-teal-600 transition-colors">
+                    <RefreshCw size={18} className={loading ? 'animate-spin' : ''} />
+                </button>
+            </div>
+
+            <div className="flex-1 overflow-y-auto custom-scrollbar p-4 space-y-2">
+                {loading && accounts.length === 0 ? (
+                    <div className="text-center py-10 text-slate-400">Loading service accounts...</div>
+                ) : accounts.length === 0 ? (
+                    <div className="text-center py-10 text-slate-400">No service accounts. Create one for each script or integration.</div>
+                ) : accounts.map(account => (
+                    <div key={account.id} className={`rounded-2xl bg-slate-50 ${account.active ? '' : 'opacity-60'}`}>
+                        <div className="flex items-center gap-3 p-4">
+                            <button
+                                onClick={() => setExpanded(expanded === account.id ? null : account.id)}
+                                className="text-slate-400 hover:text-slate-600"
+                                disabled={!account.active}
+                            >
+                                {expanded === account.id ? <ChevronDown size={16} /> : <ChevronRight size={16} />}
+                            </button>
+                            <div className="min-w-0 flex-1">
+                                <div className="flex items-center gap-2">
+                                    <p className="font-semibold text-slate-800 truncate">{account.name}</p>
+                                    <span className="text-[10px] font-bold px-2 py-0.5 rounded-full uppercase tracking-wider bg-slate-200 text-slate-600">
+                                        {account.active ? account.role : 'retired'}
+                                    </span>
+                                </div>
+                                <p className="text-xs text-slate-400 mt-0.5">
+                                    {account.tokens.filter(t => t.status === 'active').length} active token(s)
+                                    {account.creatorName && ` · created by ${account.creatorName}`}
+                                </p>
+                            </div>
+                            {account.active && (
+                                <button
+                                    onClick={() => handleRetire(account)}
+                                    disabled={processing === account.id}
+                                    className="p-2 text-slate-400 hover:text-red-500 transition-colors disabled:opacity-50"
+                                    title="Retire"
+                                >
+                                    <Trash2 size={16} />
+                                </button>
+                            )}
+                        </div>
+                        {expanded === account.id && account.active && (
+                            <div className="px-4 pb-4">
+                                <ApiTokenManager endpoint={`${endpoint}/${account.id}/tokens`} tokens={account.tokens} onChange={refetch} />
+                            </div>
+                        )}
+                    </div>
+                ))}
+            </div>
+
+            <form onSubmit={handleCreate} className="p-4 border-t border-slate-100 flex gap-2">
+                <input
+                    value={name}
+                    onChange={(e) => setName(e.target.value)}
+                    maxLength={100}
+                    placeholder="Service account name"
+                    className="flex-1 min-w-0 px-3 py-2 bg-slate-50 border border-slate-200 rounded-xl text-sm outline-none focus:border-teal-500"
+                />
+                <select
+                    value={role}
+                    onChange={(e) => setRole(e.target.value)}
+                    className="px-3 py-2 bg-white border border-slate-200 rounded-xl text-sm text-slate-600 outline-none"
+                >
+                    <option value="user">User</option>
+                    <option value="admin">Admin</option>
+                </select>
+                <button
+                    type="submit"
+                    disabled={processing === 'new' || !name.trim()}
+                    className="px-3 py-2 bg-slate-900 text-white rounded-xl hover:bg-slate-800 disabled:opacity-50"
+                    title="Create service account"
+                >
+                    <Plus size={16} />
+                </button>
+            </form>
+        </div>
+    );
+};
+
+export default ServiceAccounts;
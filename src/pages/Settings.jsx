@@ -0,0 +1,39 @@
+import React from 'react';
+import PageLayout from '../components/layout/PageLayout';
+import { useApiData } from '../hooks/useApiData';
+import { KeyRound } from 'lucide-react';
+import ApiTokenManager from '../components/tokens/ApiTokenManager';
+
+/**
+ * Account settings. Personal access tokens: scripts send one as `Authorization: Bearer <token>`
+ * and act as you ('read' tokens can only fetch).
+ */
+const Settings = () => {
+    const { data: tokens, loading, refetch } = useApiData('/tokens');
+
+    return (
+        <PageLayout title="Settings" subtitle="Your account and integrations.">
+            <div className="h-full overflow-y-auto custom-scrollbar pb-8 pr-2 space-y-8">
+                <section className="bg-white rounded-[2.5rem] border border-slate-200 shadow-sm p-8 space-y-6">
+                    <div>
+                        <h3 className="font-bold text-lg text-slate-800 flex items-center gap-2">
+                            <KeyRound className="text-slate-400" size={18} />
+                            Personal access tokens
+                        </h3>
+                        <p className="text-sm text-slate-500 mt-1">
+                            For scripts and integrations: send a token as <code className="font-mono text-xs bg-slate-100 px-1 py-0.5 rounded">Authorization: Bearer &lt;token&gt;</code>.
+                            It can do what you can in the organization it targets (<code className="font-mono text-xs bg-slate-100 px-1 py-0.5 rounded">X-Organization-Id</code>), never more.
+                        </p>
+                    </div>
+                    {loading ? (
+                        <div className="text-center py-10 text-slate-400">Loading tokens...</div>
+                    ) : (
+                        <ApiTokenManager endpoint="/tokens" tokens={tokens} onChange={refetch} />
+                    )}
+                </section>
+            </div>
+        </PageLayout>
+    );
+};
+
+export default Settings;
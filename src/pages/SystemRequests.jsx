@@ -1,12 +1,17 @@
 import React, { useState } from 'react';
 import { motion, AnimatePresence } from 'framer-motion';
 import { useApiData } from '../hooks/useApiData';
+import { useAuth } from '../context/AuthContext';
 import { apiClient } from '../api/client';
-import { ShieldAlert, Check, X, Clock, Trash2, UserCog, RefreshCw } from 'lucide-react';
+import { Check, Clock, RefreshCw, MessageSquare } from 'lucide-react';
+import RequestPreview, { ApprovalProgress, getRequestMeta } from '../components/requests/RequestPreview';
+import RequestComments from '../components/requests/RequestComments';
 
 const SystemRequests = () => { // RENAMED
+    const { user } = useAuth();
     const { data: requests, loading, refetch } = useApiData('/requests?status=PENDING');
     const [processing, setProcessing] = useState(null); // id of request being processed
+    const [openComments, setOpenComments] = useState(null); // id of request whose thread is shown
 
     const handleResolve = async (id, status) => {
         setProcessing(id);
@@ -18,28 +23,12 @@ const SystemRequests = () => { // RENAMED
             refetch();
         } catch (error) {
             console.error(`Failed to ${status} request:`, error);
-            alert(`Failed to ${status} request.`);
+            alert(error.message || `Failed to ${status} request.`);
         } finally {
             setProcessing(null);
         }
     };
 
-    const getRequestIcon = (type) => {
-        switch (type) {
-            case 'DELETE_USER': return <Trash2 size={20} />;
-            case 'REASSIGN_TASK': return <UserCog size={20} />;
-            default: return <ShieldAlert size={20} />;
-        }
-    };
-
-    const getRequestTitle = (req) => {
-        switch (req.type) {
-            case 'DELETE_USER': return 'Delete User Request';
-            case 'REASSIGN_TASK': return 'Task Reassignment';
-            default: return 'System Request';
-        }
-    };
-
     return (
         <div className="flex-1 bg-white rounded-[2.5rem] border border-slate-200 shadow-sm overflow-hidden flex flex-col h-full min-h-[400px]"> {/* Adjusted Layout for Sub-Component */}
             <div className="p-6 border-b border-slate-100 flex items-center justify-between">
@@ -62,58 +51,81 @@ const SystemRequests = () => { // RENAMED
                             <p>All caught up! No pending requests.</p>
                         </div>
                     ) : (
-                        requests.map(req => (
-                            <motion.div
-                                key={req.id}
-                                initial={{ opacity: 0, y: 10 }}
-                                animate={{ opacity: 1, y: 0 }}
-                                exit={{ opacity: 0, height: 0 }}
-                                className="bg-slate-50 rounded-2xl p-6 border border-slate-200 flex items-center gap-6 group hover:border-slate-300 transition-colors"
-                            >
-                                <div className="w-12 h-12 rounded-xl bg-white border border-slate-200 flex items-center justify-center text-slate-600 shadow-sm shrink-0">
-                                    {getRequestIcon(req.type)}
-                                </div>
+                        requests.map(req => {
+                            const { label, icon: Icon } = getRequestMeta(req.type);
+                            const ownVote = (req.approvals || []).find(v => v.approverId === user?.id);
+                            const isOwn = req.requester_id === user?.id && user?.role !== 'god';
 
-                                <div className="flex-1 min-w-0">
-                                    <div className="flex items-center gap-3 mb-1">
-                                        <h4 className="font-bold text-slate-900">{getRequestTitle(req)}</h4>
-                                        <span className="bg-amber-100 text-amber-700 text-[10px] font-bold px-2 py-0.5 rounded-full uppercase tracking-wider">
-                                            {req.status}
-                                        </span>
-                                    </div>
-                                    <div className="flex items-center gap-2 text-sm text-slate-500">
-                                        <span className="flex items-center gap-1 font-medium text-slate-700">
-                                            <img src={req.requester_avatar || 'https://ui-avatars.com/api/?name=User'} alt="" className="w-4 h-4 rounded-full" />
-                                            {req.requester_name || 'Unknown User'}
-                                        </span>
-                                        <span>requested to</span>
-                                        <span className="font-mono text-xs bg-white px-1.5 py-0.5 rounded border border-slate-200">
-                                            {JSON.stringify(req.payload)}
-                                        </span>
+                            return (
+                                <motion.div
+                                    key={req.id}
+                                    initial={{ opacity: 0, y: 10 }}
+                                    animate={{ opacity: 1, y: 0 }}
+                                    exit={{ opacity: 0, height: 0 }}
+                                    className="bg-slate-50 rounded-2xl p-6 border border-slate-200 group hover:border-slate-300 transition-colors"
+                                >
+                                    <div className="flex items-center gap-6">
+                                        <div className="w-12 h-12 rounded-xl bg-white border border-slate-200 flex items-center justify-center text-slate-600 shadow-sm shrink-0">
+                                            <Icon size={20} />
+                                        </div>
+
+                                        <div className="flex-1 min-w-0">
+                                            <div className="flex items-center gap-3 mb-1">
+                                                <h4 className="font-bold text-slate-900">{label}</h4>
+                                                <span className="bg-amber-100 text-amber-700 text-[10px] font-bold px-2 py-0.5 rounded-full uppercase tracking-wider">
+                                                    {req.status}
+                                                </span>
+                                                <ApprovalProgress request={req} />
+                                            </div>
+                                            <div className="flex items-center gap-2 text-sm text-slate-500 mb-1">
+                                                <span className="flex items-center gap-1 font-medium text-slate-700">
+                                                    <img src={req.requester_avatar || 'https://ui-avatars.com/api/?name=User'} alt="" className="w-4 h-4 rounded-full" />
+                                                    {req.requester_name || 'Unknown User'}
+                                                </span>
+                                                <span>requested:</span>
+                                            </div>
+                                            <RequestPreview request={req} />
+                                            <p className="text-xs text-slate-400 mt-1 flex items-center gap-3">
+                                                {new Date(req.created_at).toLocaleString()}
+                                                <button
+                                                    onClick={() => setOpenComments(openComments === req.id ? null : req.id)}
+                                                    className="flex items-center gap-1 font-bold hover:text-teal-600"
+                                                >
+                                                    <MessageSquare size={12} /> {req.comment_count || 0}
+                                                </button>
+                                            </p>
+                                        </div>
+
+                                        {isOwn ? (
+                                            <span className="text-xs font-bold text-slate-400">Your request</span>
+                                        ) : ownVote?.decision === 'APPROVED' ? (
+                                            <span className="flex items-center gap-1 text-xs font-bold text-teal-600">
+                                                <Check size={14} /> You approved
+                                            </span>
+                                        ) : (
+                                            <div className="flex gap-2">
+                                                <button
+                                                    onClick={() => handleResolve(req.id, 'REJECTED')}
+                                                    disabled={!!processing}
+                                                    className="px-4 py-2 bg-white border border-slate-200 text-slate-600 rounded-xl text-sm font-bold hover:bg-slate-50 hover:text-red-600 transition-colors disabled:opacity-50"
+                                                >
+                                                    Deny
+                                                </button>
+                                                <button
+                                                    onClick={() => handleResolve(req.id, 'APPROVED')}
+                                                    disabled={!!processing}
+                                                    className="px-6 py-2 bg-slate-900 text-white rounded-xl text-sm font-bold hover:bg-slate-800 shadow-lg shadow-slate-200 transition-all disabled:opacity-50"
+                                                >
+                                                    {processing === req.id ? '...' : 'Approve'}
+                                                </button>
+                                            </div>
+                                        )}
                                     </div>
-                                    <p className="text-xs text-slate-400 mt-1">
-                                        {new Date(req.created_at).toLocaleString()}
-                                    </p>
-                                </div>
 
-                                <div className="flex gap-2">
-                                    <button
-                                        onClick={() => handleResolve(req.id, 'REJECTED')}
-                                        disabled={!!processing}
-                                        className="px-4 py-2 bg-white border border-slate-200 text-slate-600 rounded-xl text-sm font-bold hover:bg-slate-50 hover:text-red-600 transition-colors disabled:opacity-50"
-                                    >
-                                        Deny
-                                    </button>
-                                    <button
-                                        onClick={() => handleResolve(req.id, 'APPROVED')}
-                                        disabled={!!processing}
-                                        className="px-6 py-2 bg-slate-900 text-white rounded-xl text-sm font-bold hover:bg-slate-800 shadow-lg shadow-slate-200 transition-all disabled:opacity-50"
-                                    >
-                                        {processing === req.id ? '...' : 'Approve'}
-                                    </button>
-                                </div>
-                            </motion.div>
-                        ))
+                                    {openComments === req.id && <RequestComments requestId={req.id} />}
+                                </motion.div>
+                            );
+                        })
                     )}
                 </AnimatePresence>
             </div>
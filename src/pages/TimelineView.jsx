@@ -11,6 +11,7 @@ import TimelineControls from '../components/TimelineControls';
 import UnifiedTimelineBoard from '../components/UnifiedTimelineBoard';
 import { TimelineRegistryProvider } from '../context/TimelineRegistryContext';
 import PageLayout from '../components/layout/PageLayout';
+import { isTaskDone } from '../utils/workflow';
 
 const TimelineView = () => {
     const navigate = useNavigate();
@@ -29,8 +30,8 @@ const TimelineView = () => {
         resetAll,
         visibleColleagues, filteredTasks,
         delegationMap, handleRevokeDelegation,
-        handleUpdateTask, handleBulkUpdate, handleMoveDate, handleDeleteTasks,
-        getTasksForColleague, setDelegations,
+        handleUpdateTask, handleBulkUpdate, handleMoveDate, handleDropTasks, handleDeleteTasks,
+        getTasksForColleague, getGhostsForColleague, setDelegations,
         loading,
         showDoneTasks, setShowDoneTasks // New Exports
     } = useTimelineState(user);
@@ -66,7 +67,7 @@ const TimelineView = () => {
 
         // Helper to get effective date
         const getEffectiveDate = (t) => {
-            if (t.status === 'done' && t.completedAt) return new Date(t.completedAt);
+            if (isTaskDone(t)) return new Date(t.completedAt);
             if (t.dueDate) return new Date(t.dueDate);
             return null;
         };
@@ -261,6 +262,7 @@ const TimelineView = () => {
                     colleagues={visibleColleagues}
                     tasks={tasks}
                     getTasksForColleague={getTasksForColleague}
+                    getGhostsForColleague={getGhostsForColleague}
 
                     days={days}
                     isToday={isToday}
@@ -272,6 +274,7 @@ const TimelineView = () => {
                     onBulkUpdate={handleBulkUpdate}
                     onDeleteTasks={handleDeleteTasks}
                     onMoveDate={handleMoveDate}
+                    onDropTasks={handleDropTasks}
                     refetchTasks={refetchTasks}
 
                     showSidebar={true}
@@ -0,0 +1,125 @@
+import React, { useState } from 'react';
+import { useQueryClient } from '@tanstack/react-query';
+import PageLayout from '../components/layout/PageLayout';
+import { useApiData } from '../hooks/useApiData';
+import { useToast } from '../context/ToastContext';
+import { apiClient } from '../api/client';
+import { isTaskListQuery } from '../utils/taskQuery';
+import { FolderKanban, ListTodo, CheckSquare, RotateCcw, Trash2, RefreshCw } from 'lucide-react';
+
+const formatDate = (value) => new Date(value).toLocaleDateString(undefined, { month: 'short', day: 'numeric', year: 'numeric' });
+
+const SECTIONS = [
+    { kind: 'projects', label: 'Projects', icon: FolderKanban, context: (item) => item.taskCount > 0 ? `${item.taskCount} task(s) deleted with it` : item.client },
+    { kind: 'tasks', label: 'Tasks', icon: ListTodo, context: (item) => item.projectTitle && `in ${item.projectTitle}` },
+    { kind: 'steps', label: 'Steps', icon: CheckSquare, context: (item) => `on ${item.taskTitle}` }
+];
+
+/**
+ * Deleted projects, tasks and steps the user may restore. Everything here is purged for good
+ * after the retention period (or right away with "Delete forever").
+ */
+const Trash = () => {
+    const { data, loading, refetch } = useApiData('/trash');
+    const { showToast } = useToast();
+    const queryClient = useQueryClient();
+    const [processing, setProcessing] = useState(null);
+
+    const handleRestore = async (kind, item) => {
+        setProcessing(item.id);
+        try {
+            const { restoredTaskCount } = await apiClient.post(`/trash/${kind}/${item.id}/restore`);
+            showToast(kind === 'projects' && restoredTaskCount > 0 ? `Restored ${item.title} and ${restoredTaskCount} task(s)` : `Restored ${item.title}`, 'success');
+            refetch();
+            // Task lists show steps and project state too
+            queryClient.invalidateQueries({ predicate: isTaskListQuery });
+            if (kind === 'projects') {
+                queryClient.invalidateQueries({ queryKey: ['/projects'] });
+                queryClient.invalidateQueries({ queryKey: ['/projects?includeArchived=true'] });
+            }
+        } catch (error) {
+            console.error('Restore failed:', error);
+            showToast(`Could not restore: ${error.message}`, 'error');
+        } finally {
+            setProcessing(null);
+        }
+    };
+
+    const handlePurge = async (kind, item) => {
+        const warning = kind === 'projects' && item.taskCount > 0 ? ` and the ${item.taskCount} task(s) deleted with it` : '';
+        if (!confirm(`Delete "${item.title}"${warning} forever? This cannot be undone.`)) return;
+        setProcessing(item.id);
+        try {
+            await apiClient.delete(`/trash/${kind}/${item.id}`);
+            showToast(`Deleted ${item.title} forever`, 'success');
+            refetch();
+        } catch (error) {
+            console.error('Purge failed:', error);
+            showToast(`Could not delete: ${error.message}`, 'error');
+        } finally {
+            setProcessing(null);
+        }
+    };
+
+    const isEmpty = SECTIONS.every(({ kind }) => (data[kind] || []).length === 0);
+
+    return (
+        <PageLayout
+            title="Trash"
+            subtitle={data.retentionDays ? `Deleted items are kept for ${data.retentionDays} days, then deleted forever.` : 'Deleted items you can restore.'}
+            actions={
+                <button onClick={() => refetch()} className="p-2 hover:bg-slate-100 rounded-full text-slate-400 hover:text-teal-600 transition-colors">
+                    <RefreshCw size={18} className={loading ? 'animate-spin' : ''} />
+                </button>
+            }
+        >
+            <div className="h-full overflow-y-auto custom-scrollbar pb-8 pr-2 space-y-8">
+                {loading ? (
+                    <div className="text-center py-10 text-slate-400">Loading trash...</div>
+                ) : isEmpty ? (
+                    <div className="text-center py-10 text-slate-400">The trash is empty.</div>
+                ) : SECTIONS.filter(({ kind }) => (data[kind] || []).length > 0).map(({ kind, label, icon: Icon, context }) => (
+                    <section key={kind} className="bg-white rounded-[2.5rem] border border-slate-200 shadow-sm p-6 space-y-2">
+                        <h3 className="font-bold text-lg text-slate-800 flex items-center gap-2 px-2 pb-2">
+                            <Icon className="text-slate-400" size={18} />
+                            {label}
+                            <span className="text-xs font-bold text-slate-400">{data[kind].length}</span>
+                        </h3>
+                        {data[kind].map(item => (
+                            <div key={item.id} className="flex items-center gap-3 p-4 rounded-2xl bg-slate-50">
+                                <div className="min-w-0 flex-1">
+                                    <p className="font-semibold text-slate-800 truncate">{item.title}</p>
+                                    <p className="text-xs text-slate-400 mt-0.5 truncate">
+                                        {[
+                                            context(item),
+                                            `deleted ${formatDate(item.deletedAt)}${item.deletedByName ? ` by ${item.deletedByName}` : ''}`,
+                                            `gone for good ${formatDate(item.purgeAt)}`
+                                        ].filter(Boolean).join(' · ')}
+                                    </p>
+                                </div>
+                                <button
+                                    onClick={() => handleRestore(kind, item)}
+                                    disabled={processing === item.id}
+                                    className="flex items-center gap-1.5 px-3 py-2 text-xs font-bold text-teal-700 bg-white border border-slate-200 rounded-xl hover:bg-teal-50 transition-colors disabled:opacity-50"
+                                >
+                                    <RotateCcw size={14} />
+                                    Restore
+                                </button>
+                                <button
+                                    onClick={() => handlePurge(kind, item)}
+                                    disabled={processing === item.id}
+                                    className="p-2 text-slate-400 hover:text-red-500 transition-colors disabled:opacity-50"
+                                    title="Delete forever"
+                                >
+                                    <Trash2 size={16} />
+                                </button>
+                            </div>
+                        ))}
+                    </section>
+                ))}
+            </div>
+        </PageLayout>
+    );
+};
+
+export default Trash;
@@ -0,0 +1,183 @@
+import React, { useEffect, useState } from 'react';
+import { useQueryClient } from '@tanstack/react-query';
+import { useAuth } from '../context/AuthContext';
+import { useWorkflow } from '../hooks/useWorkflow';
+import { apiClient } from '../api/client';
+import { STATUS_BADGE_CLASSES, STATUS_CATEGORY_LABELS, REQUIRED_FIELD_LABELS } from '../utils/workflow';
+import { GitBranch, RefreshCw, Plus, Trash2, ArrowUp, ArrowDown, RotateCcw } from 'lucide-react';
+
+const toKey = (label) => label.toLowerCase().trim().replace(/[^a-z0-9]+/g, '_').replace(/^[^a-z]+|_+$/g, '').substring(0, 32);
+
+/**
+ * Admin panel for the active organization's workflow: the statuses tasks move through, their category
+ * (which drives completion and the card icon), the statuses each may move to, and the fields required to enter it.
+ * Keys are fixed once created; a status still used by tasks cannot be removed (the server answers 409).
+ */
+const WorkflowSettings = () => {
+    const { user } = useAuth();
+    const queryClient = useQueryClient();
+    const workflow = useWorkflow();
+    const endpoint = `/organizations/${user?.organizationId}/workflow`;
+
+    const [draft, setDraft] = useState(workflow.statuses);
+    const [newLabel, setNewLabel] = useState('');
+    const [saving, setSaving] = useState(false);
+
+    useEffect(() => setDraft(workflow.statuses), [workflow.statuses]);
+
+    const updateStatus = (key, changes) => setDraft(prev => prev.map(s => (s.key === key ? { ...s, ...changes } : s)));
+
+    const move = (index, offset) => setDraft(prev => {
+        const next = [...prev];
+        [next[index], next[index + offset]] = [next[index + offset], next[index]];
+        return next;
+    });
+
+    // Removing a status drops it from the others' transitions too
+    const remove = (key) => setDraft(prev => prev.filter(s => s.key !== key).map(s => (
+        s.transitions ? { ...s, transitions: s.transitions.filter(k => k !== key) } : s
+    )));
+
+    const toggleTransition = (status, key) => {
+        const current = status.transitions || draft.map(s => s.key).filter(k => k !== status.key);
+        const transitions = current.includes(key) ? current.filter(k => k !== key) : [...current, key];
+        updateStatus(status.key, { transitions });
+    };
+
+    const toggleRequired = (status, field) => {
+        const current = status.requiredFields || [];
+        updateStatus(status.key, { requiredFields: current.includes(field) ? current.filter(f => f !== field) : [...current, field] });
+    };
+
+    const handleAdd = (e) => {
+        e.preventDefault();
+        const key = toKey(newLabel);
+        if (!key || draft.some(s => s.key === key)) return alert('Choose a label that gives a new, unique status key.');
+        setDraft(prev => [...prev, { key, label: newLabel.trim(), category: 'active', color: 'slate' }]);
+        setNewLabel('');
+    };
+
+    const save = async (body) => {
+        setSaving(true);
+        try {
+            await apiClient.put(endpoint, body);
+            queryClient.invalidateQueries({ queryKey: [endpoint] });
+        } catch (error) {
+            console.error('Failed to save workflow:', error);
+            alert(error.message || 'Failed to save workflow.');
+        } finally {
+            setSaving(false);
+        }
+    };
+
+    const handleReset = () => {
+        if (!confirm('Go back to the default statuses (To Do, In Progress, Paused, Blocked, Done)?')) return;
+        save({ reset: true });
+    };
+
+    const isDirty = JSON.stringify(draft) !== JSON.stringify(workflow.statuses);
+
+    return (
+        <div className="bg-white rounded-[2.5rem] border border-slate-200 shadow-sm overflow-hidden flex flex-col h-[480px]">
+            <div className="p-6 border-b border-slate-100 flex items-center justify-between">
+                <h3 className="font-bold text-lg text-slate-800 flex items-center gap-2">
+                    <GitBranch className="text-slate-400" size={18} />
+                    Workflow
+                    {workflow.isDefault && <span className="text-[10px] font-bold px-2 py-0.5 rounded-full uppercase tracking-wider bg-slate-100 text-slate-500">Default</span>}
+                </h3>
+                <div className="flex items-center gap-1">
+                    {!workflow.isDefault && (
+                        <button onClick={handleReset} disabled={saving} className="p-2 hover:bg-slate-50 rounded-full text-slate-400 hover:text-teal-600 transition-colors" title="Reset to default">
+                            <RotateCcw size={18} />
+                        </button>
+                    )}
+                    <button onClick={() => workflow.refetch()} className="p-2 hover:bg-slate-50 rounded-full text-slate-400 hover:text-teal-600 transition-colors">
+                        <RefreshCw size={18} className={workflow.loading ? 'animate-spin' : ''} />
+                    </button>
+                </div>
+            </div>
+
+            <div className="flex-1 overflow-y-auto custom-scrollbar p-4 space-y-2">
+                {draft.map((status, index) => (
+                    <div key={status.key} className="rounded-2xl bg-slate-50 p-4 space-y-3">
+                        <div className="flex items-center gap-2">
+                            <span className={`text-[10px] font-bold px-2 py-0.5 rounded-full uppercase tracking-wider border ${STATUS_BADGE_CLASSES[status.color]}`}>{status.key}</span>
+                            <input
+                                value={status.label}
+                                onChange={(e) => updateStatus(status.key, { label: e.target.value })}
+                                maxLength={40}
+                                className="flex-1 min-w-0 px-3 py-1.5 bg-white border border-slate-200 rounded-xl text-sm outline-none focus:border-teal-500"
+                            />
+                            <select
+                                value={status.category}
+                                onChange={(e) => updateStatus(status.key, { category: e.target.value })}
+                                className="px-2 py-1.5 bg-white border border-slate-200 rounded-xl text-xs text-slate-600 outline-none"
+                            >
+                                {Object.entries(STATUS_CATEGORY_LABELS).map(([category, label]) => <option key={category} value={category}>{label}</option>)}
+                            </select>
+                            <select
+                                value={status.color}
+                                onChange={(e) => updateStatus(status.key, { color: e.target.value })}
+                                className="px-2 py-1.5 bg-white border border-slate-200 rounded-xl text-xs text-slate-600 outline-none"
+                            >
+                                {Object.keys(STATUS_BADGE_CLASSES).map(color => <option key={color} value={color}>{color}</option>)}
+                            </select>
+                            <button onClick={() => move(index, -1)} disabled={index === 0} className="p-1 text-slate-400 hover:text-slate-700 disabled:opacity-30"><ArrowUp size={14} /></button>
+                            <button onClick={() => move(index, 1)} disabled={index === draft.length - 1} className="p-1 text-slate-400 hover:text-slate-700 disabled:opacity-30"><ArrowDown size={14} /></button>
+                            <button onClick={() => remove(status.key)} disabled={draft.length === 1} className="p-1 text-slate-400 hover:text-red-500 disabled:opacity-30" title="Remove"><Trash2 size={14} /></button>
+                        </div>
+                        <div className="flex flex-wrap items-center gap-1.5 text-[11px]">
+                            <span className="font-bold text-slate-400 uppercase tracking-wider mr-1">Moves to</span>
+                            {draft.filter(s => s.key !== status.key).map(target => {
+                                const allowed = !status.transitions || status.transitions.includes(target.key);
+                                return (
+                                    <button
+                                        key={target.key}
+                                        onClick={() => toggleTransition(status, target.key)}
+                                        className={`px-2 py-0.5 rounded-full border ${allowed ? 'bg-white border-slate-300 text-slate-700' : 'border-transparent text-slate-300 line-through'}`}
+                                    >
+                                        {target.label}
+                                    </button>
+                                );
+                            })}
+                        </div>
+                        <div className="flex flex-wrap items-center gap-1.5 text-[11px]">
+                            <span className="font-bold text-slate-400 uppercase tracking-wider mr-1">Requires</span>
+                            {Object.entries(REQUIRED_FIELD_LABELS).map(([field, label]) => (
+                                <label key={field} className="flex items-center gap-1 text-slate-600">
+                                    <input type="checkbox" checked={!!status.requiredFields?.includes(field)} onChange={() => toggleRequired(status, field)} />
+                                    {label}
+                                </label>
+                            ))}
+                        </div>
+                    </div>
+                ))}
+                <p className="text-xs text-slate-400 px-2">New tasks start in the first status. Done statuses complete the task.</p>
+            </div>
+
+            <div className="p-4 border-t border-slate-100 flex gap-2">
+                <form onSubmit={handleAdd} className="flex-1 flex gap-2">
+                    <input
+                        value={newLabel}
+                        onChange={(e) => setNewLabel(e.target.value)}
+                        maxLength={40}
+                        placeholder="New status"
+                        className="flex-1 min-w-0 px-3 py-2 bg-slate-50 border border-slate-200 rounded-xl text-sm outline-none focus:border-teal-500"
+                    />
+                    <button type="submit" disabled={!newLabel.trim()} className="px-3 py-2 bg-white border border-slate-200 text-slate-600 rounded-xl hover:bg-slate-50 disabled:opacity-50" title="Add status">
+                        <Plus size={16} />
+                    </button>
+                </form>
+                <button
+                    onClick={() => save({ statuses: draft })}
+                    disabled={saving || !isDirty}
+                    className="px-4 py-2 bg-slate-900 text-white rounded-xl text-sm font-semibold hover:bg-slate-800 disabled:opacity-50"
+                >
+                    {saving ? 'Saving...' : 'Save'}
+                </button>
+            </div>
+        </div>
+    );
+};
+
+export default WorkflowSettings;
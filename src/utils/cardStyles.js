@@ -1,3 +1,5 @@
+import { isTaskDone } from './workflow';
+
 export const getTaskCardColor = (task) => {
     // 0. Safe Date Normalization (Local Midnight Comparison)
     const today = new Date();
@@ -15,7 +17,7 @@ export const getTaskCardColor = (task) => {
         }
     }
 
-    const isCompleted = task.status === 'done' || task.status === 'completed';
+    const isCompleted = isTaskDone(task) || task.status === 'completed';
     // Determine Type: Project (The Container), Project Task (Child), or Lone Task
     const type = task.type === 'project' ? 'PROJ' : (task.projectId ? 'PTASK' : 'LTASK');
     const isStrong = type === 'PROJ'; // Projects get stronger colors
@@ -0,0 +1,115 @@
+/**
+ * GANTT MATH UTILITIES
+ * Task spans, dependency slack and critical path.
+ * Pixel placement is delegated to timelineMath (variable weekend widths).
+ */
+
+const ONE_DAY_MS = 86400000;
+
+export const startOfDay = (value) => {
+    const d = new Date(value);
+    d.setHours(0, 0, 0, 0);
+    return d;
+};
+
+export const addDays = (date, days) => {
+    const d = new Date(date);
+    d.setDate(d.getDate() + days);
+    return d;
+};
+
+/** Whole calendar days from a to b (negative when b is earlier). */
+export const diffDays = (a, b) => Math.round((startOfDay(b) - startOfDay(a)) / ONE_DAY_MS);
+
+/**
+ * Inclusive day span of a task. Tasks without a start date are one-day bars on their due date.
+ * @returns {{ start: Date, end: Date } | null} null when the task has no due date
+ */
+export const getTaskSpan = (task) => {
+    if (!task.dueDate) return null;
+    const end = startOfDay(task.dueDate);
+    const start = task.startDate ? startOfDay(task.startDate) : end;
+    return { start: start > end ? end : start, end };
+};
+
+/**
+ * Days of float on a dependency edge: how far the predecessor may slip before it pushes the successor.
+ * finish_to_start: successor may start the day after predecessor ends (+ lag).
+ * start_to_start: successor may start the day predecessor starts (+ lag).
+ */
+export const getEdgeSlack = (dependency, predecessorSpan, successorSpan) => {
+    const anchor = dependency.type === 'start_to_start'
+        ? predecessorSpan.start
+        : addDays(predecessorSpan.end, 1);
+    return diffDays(anchor, successorSpan.start) - (dependency.lagDays || 0);
+};
+
+/**
+ * Critical path per project: tasks with zero (or negative) total float against the project's finish.
+ * Total float = min over successors of (edge slack + successor float); for sink tasks, days until project end.
+ *
+ * @param {Array} tasks - Tasks from /tasks (with startDate, dueDate, projectId, dependencies[])
+ * @returns {{ taskIds: Set<string>, dependencyIds: Set<string> }}
+ */
+export const computeCriticalPath = (tasks) => {
+    const spans = new Map();
+    tasks.forEach(t => {
+        const span = getTaskSpan(t);
+        if (span) spans.set(t.id, span);
+    });
+
+    // Outgoing edges (predecessor -> successors), only between scheduled tasks
+    const outgoing = new Map();
+    tasks.forEach(t => {
+        (t.dependencies || []).forEach(dep => {
+            if (!spans.has(dep.predecessorId) || !spans.has(t.id)) return;
+            if (!outgoing.has(dep.predecessorId)) outgoing.set(dep.predecessorId, []);
+            outgoing.get(dep.predecessorId).push(dep);
+        });
+    });
+
+    // Finish date of each project (tasks without a project share one bucket)
+    const projectEnd = new Map();
+    tasks.forEach(t => {
+        const span = spans.get(t.id);
+        if (!span) return;
+        const key = t.projectId || null;
+        if (!projectEnd.has(key) || span.end > projectEnd.get(key)) projectEnd.set(key, span.end);
+    });
+    const projectOf = new Map(tasks.map(t => [t.id, t.projectId || null]));
+
+    // Backward pass (memoized DFS; the server rejects cycles, `visiting` guards stale data)
+    const float = new Map();
+    const visiting = new Set();
+    const getFloat = (taskId) => {
+        if (float.has(taskId)) return float.get(taskId);
+        if (visiting.has(taskId)) return Infinity;
+        visiting.add(taskId);
+
+        const span = spans.get(taskId);
+        let result = diffDays(span.end, projectEnd.get(projectOf.get(taskId)));
+        (outgoing.get(taskId) || []).forEach(dep => {
+            const edgeSlack = getEdgeSlack(dep, span, spans.get(dep.successorId));
+            result = Math.min(result, edgeSlack + getFloat(dep.successorId));
+        });
+
+        visiting.delete(taskId);
+        float.set(taskId, result);
+        return result;
+    };
+
+    const taskIds = new Set();
+    spans.forEach((_, taskId) => {
+        if (getFloat(taskId) <= 0) taskIds.add(taskId);
+    });
+
+    const dependencyIds = new Set();
+    outgoing.forEach((deps, predecessorId) => {
+        deps.forEach(dep => {
+            const slack = getEdgeSlack(dep, spans.get(predecessorId), spans.get(dep.successorId));
+            if (slack <= 0 && taskIds.has(predecessorId) && taskIds.has(dep.successorId)) dependencyIds.add(dep.id);
+        });
+    });
+
+    return { taskIds, dependencyIds };
+};
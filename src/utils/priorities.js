@@ -0,0 +1,22 @@
+/**
+ * PRIORITY HELPERS
+ * The scale itself lives in shared/priorities.js, shared with the API so both sort and
+ * validate the same way; this adds what only the UI needs.
+ */
+export {
+    PRIORITY_VALUES, PRIORITY_COLORS, DEFAULT_PRIORITY_LEVELS,
+    normalizePriority, priorityRank, findPriorityLevel
+} from '../../shared/priorities.js';
+
+// Literal class names so Tailwind keeps them: badge (pill with border), dot, text (the card's level digit)
+export const PRIORITY_COLOR_CLASSES = {
+    red: { badge: 'bg-red-50 text-red-700 border-red-200', dot: 'bg-red-500', text: 'text-red-600' },
+    orange: { badge: 'bg-orange-50 text-orange-700 border-orange-200', dot: 'bg-orange-500', text: 'text-orange-600' },
+    amber: { badge: 'bg-amber-50 text-amber-800 border-amber-200', dot: 'bg-amber-500', text: 'text-amber-600' },
+    blue: { badge: 'bg-blue-50 text-blue-700 border-blue-200', dot: 'bg-blue-500', text: 'text-blue-600' },
+    violet: { badge: 'bg-violet-50 text-violet-700 border-violet-200', dot: 'bg-violet-500', text: 'text-violet-600' },
+    teal: { badge: 'bg-teal-50 text-teal-700 border-teal-200', dot: 'bg-teal-500', text: 'text-teal-600' },
+    slate: { badge: 'bg-slate-100 text-slate-600 border-slate-200', dot: 'bg-slate-400', text: 'text-slate-900' }
+};
+
+export const NO_PRIORITY_CLASSES = { badge: 'bg-slate-50 text-slate-400 border-slate-200', dot: 'bg-slate-300', text: 'text-slate-900' };
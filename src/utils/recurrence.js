@@ -0,0 +1,52 @@
+/**
+ * RECURRENCE HELPERS
+ * Mirrors the rule shapes accepted by the API (server/src/services/recurrence.js).
+ */
+
+// Fields an "all future occurrences" edit carries forward (dates stay per-occurrence)
+export const SERIES_TEMPLATE_FIELDS = ['title', 'description', 'priority', 'assignedTo'];
+
+export const WEEKDAY_SHORT = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+export const WEEKDAY_LONG = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+export const NTH_LABELS = { 1: 'first', 2: 'second', 3: 'third', 4: 'fourth', '-1': 'last' };
+
+const ordinal = (n) => {
+    const suffix = (n % 100 >= 11 && n % 100 <= 13) ? 'th' : ({ 1: 'st', 2: 'nd', 3: 'rd' }[n % 10] || 'th');
+    return `${n}${suffix}`;
+};
+
+/** Sensible default rule for a given frequency, anchored on a date. */
+export const defaultRuleFor = (freq, anchorDate = new Date()) => {
+    const d = new Date(anchorDate);
+    switch (freq) {
+        case 'daily': return { freq, interval: 1 };
+        case 'weekly': return { freq, interval: 1, weekdays: [d.getDay()] };
+        case 'monthly': return { freq, interval: 1, monthDay: d.getDate() };
+        case 'business_days': return { freq, interval: 1 };
+        default: return null;
+    }
+};
+
+/** Human-readable summary, e.g. "Every 2 weeks on Mon, Thu". */
+export const describeRule = (rule) => {
+    if (!rule) return 'Does not repeat';
+    const n = rule.interval || 1;
+
+    switch (rule.freq) {
+        case 'daily':
+            return n === 1 ? 'Every day' : `Every ${n} days`;
+        case 'weekly': {
+            const days = (rule.weekdays || []).map(d => WEEKDAY_SHORT[d]).join(', ');
+            return `${n === 1 ? 'Every week' : `Every ${n} weeks`} on ${days}`;
+        }
+        case 'monthly': {
+            const every = n === 1 ? 'Every month' : `Every ${n} months`;
+            if (rule.nthWeekday) return `${every} on the ${NTH_LABELS[rule.nthWeekday.n]} ${WEEKDAY_LONG[rule.nthWeekday.weekday]}`;
+            return `${every} on the ${ordinal(rule.monthDay)}`;
+        }
+        case 'business_days':
+            return n === 1 ? 'Every business day' : `Every ${n} business days`;
+        default:
+            return 'Custom';
+    }
+};
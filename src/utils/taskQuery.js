@@ -0,0 +1,98 @@
+import { DEFAULT_WORKFLOW } from './workflow';
+import { normalizePriority } from './priorities';
+
+/**
+ * TASK QUERY HELPERS
+ * Builds GET /tasks URLs from toolbar filters (see server/src/services/taskQuery.js for the parameters).
+ * Only filters the server can apply as-is, or as a looser superset, are sent;
+ * useFilterLogic still runs on the result, so client-only filters keep working unchanged.
+ */
+
+const startOfDay = (date) => {
+    const d = new Date(date);
+    d.setHours(0, 0, 0, 0);
+    return d;
+};
+
+const addDays = (date, days) => {
+    const d = new Date(date);
+    d.setDate(d.getDate() + days);
+    return d;
+};
+
+// Local calendar day -> [from, to) for a toolbar date value ('today', 'tomorrow', 'yesterday' or a date)
+const dayRange = (value) => {
+    const today = startOfDay(new Date());
+    const keyword = value.toLowerCase();
+    let day;
+    if (keyword === 'today') day = today;
+    else if (keyword === 'tomorrow') day = addDays(today, 1);
+    else if (keyword === 'yesterday') day = addDays(today, -1);
+    else {
+        const parsed = new Date(value);
+        if (isNaN(parsed.getTime())) return null;
+        day = startOfDay(parsed);
+    }
+    return [day, addDays(day, 1)];
+};
+
+/**
+ * '/tasks?...' for a timeline window and toolbar task filters.
+ * @param {{ from?: Date, to?: Date, taskFilters?: Array<{ type: string, value: string }>, workflow?: object }} options
+ *   window is [from, to); workflow (see buildWorkflow) turns status labels into the keys the server filters on
+ */
+export const buildTaskQuery = ({ from, to, taskFilters = [], workflow = DEFAULT_WORKFLOW } = {}) => {
+    const params = new URLSearchParams();
+    if (from && to) {
+        params.set('from', from.toISOString());
+        params.set('to', to.toISOString());
+    }
+
+    const valuesOf = (type) => taskFilters.filter(f => f.type === type).map(f => f.value);
+
+    const statuses = valuesOf('status').map(v => {
+        const wanted = v.toLowerCase();
+        return workflow.statuses.find(s => s.key === wanted || s.label.toLowerCase() === wanted)?.key || wanted;
+    });
+    if (statuses.length > 0) params.set('status', statuses.join(','));
+
+    // Anything but a level spelling (e.g. an organization label) is left to useFilterLogic
+    const priorities = valuesOf('priority').map(normalizePriority);
+    if (priorities.length > 0 && priorities.every(Boolean)) params.set('priority', priorities.join(','));
+
+    // Title matches are a subset of title-or-description matches
+    const [title] = valuesOf('title');
+    if (title) params.set('q', title);
+
+    if (valuesOf('content').includes('Has Steps')) params.set('hasSteps', 'true');
+
+    const [due] = valuesOf('due date');
+    if (due) {
+        if (due.toLowerCase() === 'overdue') {
+            params.set('dueTo', startOfDay(new Date()).toISOString()); // Open tasks only: checked client-side
+        } else {
+            const range = dayRange(due);
+            if (range) {
+                params.set('dueFrom', range[0].toISOString());
+                params.set('dueTo', range[1].toISOString());
+            }
+        }
+    }
+
+    // The toolbar only understands these two for created dates
+    const [created] = valuesOf('created').filter(v => ['today', 'yesterday'].includes(v.toLowerCase()));
+    const createdRange = created && dayRange(created);
+    if (createdRange) {
+        params.set('createdFrom', createdRange[0].toISOString());
+        params.set('createdTo', createdRange[1].toISOString());
+    }
+
+    const query = params.toString();
+    return query ? `/tasks?${query}` : '/tasks';
+};
+
+// React Query predicate for every cached task list ('/tasks' and its filtered/windowed variants)
+export const isTaskListQuery = (query) => {
+    const endpoint = query.queryKey[0];
+    return endpoint === '/tasks' || (typeof endpoint === 'string' && endpoint.startsWith('/tasks?'));
+};
@@ -1,10 +1,13 @@
+import { isTaskDone } from './workflow';
+import { priorityRank } from './priorities';
+
 /**
  * Sorts tasks for display consistent with Timeline logic.
  * Order:
  * 1. Completed Tasks (Done) - seemingly first? (Logic says return -1 if a is done)
  *    - Sorted by CompletedAt (oldest first?)
  * 2. Active Tasks
- *    - Priority Score (1 > 2/High > 3/Med > 4/Low)
+ *    - Priority (1 > 2 > 3 > 4 > none, see utils/priorities)
  *    - CreatedAt (Oldest first)
  * 
  * @param {Array} tasks 
@@ -20,8 +23,8 @@ export const sortTasksForDisplay = (tasks) => {
         // But for DetailedView, we want a linear list.
         // User said: "Single source of truth". I will replicate exact logic.
 
-        const isDoneA = a.status === 'done';
-        const isDoneB = b.status === 'done';
+        const isDoneA = isTaskDone(a);
+        const isDoneB = isTaskDone(b);
 
         if (isDoneA && isDoneB) {
             return new Date(a.completedAt || a.updatedAt || 0).getTime() - new Date(b.completedAt || b.updatedAt || 0).getTime();
@@ -29,16 +32,12 @@ export const sortTasksForDisplay = (tasks) => {
         if (isDoneA) return -1;
         if (isDoneB) return 1;
 
-        // 2. Priority Score
-        const getScore = (task) => {
-            const p = String(task.priority || '').toLowerCase();
-            return (p === '1') ? 0 : (p === '2' || p === 'high') ? 10 : (p === '3' || p === 'medium') ? 20 : 100;
-        };
-        const scoreA = getScore(a);
-        const scoreB = getScore(b);
+        // 2. Priority (same order as GET /tasks)
+        const rankA = priorityRank(a.priority);
+        const rankB = priorityRank(b.priority);
 
-        if (scoreA !== scoreB) {
-            return scoreA - scoreB;
+        if (rankA !== rankB) {
+            return rankA - rankB;
         }
 
         // 3. CreatedAt (Tie-breaker)
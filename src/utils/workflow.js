@@ -0,0 +1,59 @@
+/**
+ * WORKFLOW HELPERS
+ * Mirrors the organization workflow served by GET /organizations/:id/workflow (server/src/services/workflows.js):
+ * an ordered list of { key, label, category, color, transitions?, requiredFields? }.
+ */
+
+// The server default, used until the organization's workflow has loaded
+export const DEFAULT_STATUSES = [
+    { key: 'todo', label: 'To Do', category: 'not_started', color: 'slate' },
+    { key: 'doing', label: 'In Progress', category: 'active', color: 'blue' },
+    { key: 'paused', label: 'Paused', category: 'blocked', color: 'amber' },
+    { key: 'blocked', label: 'Blocked', category: 'blocked', color: 'red', requiredFields: ['statusNote'] },
+    { key: 'done', label: 'Done', category: 'done', color: 'teal' }
+];
+
+export const STATUS_CATEGORY_LABELS = { not_started: 'Not started', active: 'Active', blocked: 'Blocked', done: 'Done' };
+
+// Literal class names so Tailwind keeps them
+export const STATUS_BADGE_CLASSES = {
+    slate: 'bg-slate-100 text-slate-600 border-slate-200',
+    blue: 'bg-blue-100 text-blue-700 border-blue-200',
+    amber: 'bg-amber-100 text-amber-700 border-amber-200',
+    red: 'bg-red-100 text-red-700 border-red-200',
+    violet: 'bg-violet-100 text-violet-700 border-violet-200',
+    teal: 'bg-teal-100 text-teal-700 border-teal-200'
+};
+
+export const REQUIRED_FIELD_LABELS = { statusNote: 'Status note', description: 'Description', dueDate: 'Due date', assignedTo: 'Assignee' };
+
+/** Done is a category, not a key: the server stamps completedAt on entering any done status. */
+export const isTaskDone = (task) => !!task?.completedAt;
+
+// Tasks can carry a key the workflow no longer lists (legacy values): show it as is
+const unknownStatus = (key) => ({ key, label: key || 'No status', category: 'not_started', color: 'slate', unknown: true });
+
+const isFilled = (value) => (Array.isArray(value) ? value.length > 0 : value !== undefined && value !== null && String(value).trim() !== '');
+
+/**
+ * Lookups over a status list (see useWorkflow).
+ * canTransition(from, to): the source status allows it (statuses without transitions, and unknown ones, go anywhere)
+ * missingFields(to, task): required fields of `to` the task leaves empty
+ */
+export const buildWorkflow = (statuses = DEFAULT_STATUSES) => {
+    const byKey = new Map(statuses.map(s => [s.key, s]));
+    const getStatus = (key) => byKey.get(key) || unknownStatus(key);
+    return {
+        statuses,
+        getStatus,
+        initialStatus: statuses[0].key,
+        isDoneStatus: (key) => byKey.get(key)?.category === 'done',
+        canTransition: (from, to) => {
+            const transitions = byKey.get(from)?.transitions;
+            return from === to || !transitions || transitions.includes(to);
+        },
+        missingFields: (to, task) => (byKey.get(to)?.requiredFields || []).filter(field => !isFilled(task?.[field]))
+    };
+};
+
+export const DEFAULT_WORKFLOW = buildWorkflow();